@@ -0,0 +1,104 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\FlagReview;
+use App\Models\VitalSignsRecord;
+use App\Services\FlagReviewService;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Auth;
+use Illuminate\Validation\Rule;
+
+class FlagReviewController extends Controller
+{
+    public function __construct(
+        protected FlagReviewService $flagReviewService
+    ) {}
+
+    /**
+     * Get the authenticated user's flagged readings for review.
+     */
+    public function index(Request $request): JsonResponse
+    {
+        $request->validate([
+            'status' => 'nullable|in:unreviewed,reviewed,all',
+            'per_page' => 'nullable|integer|min:1|max:100',
+        ]);
+
+        $user = Auth::user();
+        $status = $request->string('status', 'unreviewed')->toString();
+
+        $records = $this->flagReviewService->getQueue($user, $status, $request->integer('per_page', 15));
+
+        return response()->json([
+            'data' => $records->items(),
+            'meta' => [
+                'current_page' => $records->currentPage(),
+                'last_page' => $records->lastPage(),
+                'per_page' => $records->perPage(),
+                'total' => $records->total(),
+                'unreviewed_count' => $this->flagReviewService->getUnreviewedCount($user),
+                'filters' => [
+                    'status' => $status,
+                ],
+            ],
+        ]);
+    }
+
+    /**
+     * Get the review history of one of the user's flagged readings.
+     */
+    public function history(VitalSignsRecord $vitalSignsRecord): JsonResponse
+    {
+        // Ensure the record belongs to the authenticated user
+        if ($vitalSignsRecord->user_id !== Auth::id()) {
+            return response()->json([
+                'message' => 'Unauthorized access to vital signs record.',
+            ], 403);
+        }
+
+        return response()->json([
+            'data' => $this->flagReviewService->getHistory($vitalSignsRecord),
+        ]);
+    }
+
+    /**
+     * Acknowledge one of the user's flagged readings with what was done about it.
+     */
+    public function store(Request $request, VitalSignsRecord $vitalSignsRecord): JsonResponse
+    {
+        // Ensure the record belongs to the authenticated user
+        if ($vitalSignsRecord->user_id !== Auth::id()) {
+            return response()->json([
+                'message' => 'Unauthorized access to vital signs record.',
+            ], 403);
+        }
+
+        $validated = $request->validate([
+            'outcome' => ['required', Rule::in(array_keys(FlagReview::OUTCOMES))],
+            'notes' => 'nullable|string|max:500',
+        ]);
+
+        if (! $vitalSignsRecord->is_flagged) {
+            return response()->json([
+                'message' => 'Only flagged readings can be reviewed.',
+            ], 422);
+        }
+
+        $review = $this->flagReviewService->acknowledge(
+            $vitalSignsRecord,
+            Auth::user(),
+            $validated['outcome'],
+            $validated['notes'] ?? null
+        );
+
+        return response()->json([
+            'message' => 'Flagged reading reviewed successfully.',
+            'data' => $review,
+            'meta' => [
+                'unreviewed_count' => $this->flagReviewService->getUnreviewedCount(Auth::user()),
+            ],
+        ], 201);
+    }
+}
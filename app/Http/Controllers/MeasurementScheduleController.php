@@ -0,0 +1,118 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Http\Requests\StoreMeasurementScheduleRequest;
+use App\Http\Requests\UpdateMeasurementScheduleRequest;
+use App\Models\MeasurementSchedule;
+use App\Services\MeasurementScheduleService;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Auth;
+
+class MeasurementScheduleController extends Controller
+{
+    public function __construct(
+        protected MeasurementScheduleService $measurementScheduleService
+    ) {}
+
+    /**
+     * Display the user's measurement schedules.
+     */
+    public function index(): JsonResponse
+    {
+        $schedules = $this->measurementScheduleService->getSchedules(Auth::user());
+
+        return response()->json([
+            'data' => $schedules,
+        ]);
+    }
+
+    /**
+     * Store a new measurement schedule.
+     */
+    public function store(StoreMeasurementScheduleRequest $request): JsonResponse
+    {
+        $schedule = $this->measurementScheduleService->create(Auth::user(), $request->validated());
+
+        return response()->json([
+            'message' => 'Measurement schedule created successfully.',
+            'data' => $schedule,
+        ], 201);
+    }
+
+    /**
+     * Update a measurement schedule.
+     */
+    public function update(UpdateMeasurementScheduleRequest $request, MeasurementSchedule $measurementSchedule): JsonResponse
+    {
+        // Ensure the schedule belongs to the authenticated user
+        if ($measurementSchedule->user_id !== Auth::id()) {
+            return response()->json([
+                'message' => 'Unauthorized access to measurement schedule.',
+            ], 403);
+        }
+
+        $schedule = $this->measurementScheduleService->update($measurementSchedule, $request->validated());
+
+        return response()->json([
+            'message' => 'Measurement schedule updated successfully.',
+            'data' => $schedule,
+        ]);
+    }
+
+    /**
+     * Remove a measurement schedule.
+     */
+    public function destroy(MeasurementSchedule $measurementSchedule): JsonResponse
+    {
+        // Ensure the schedule belongs to the authenticated user
+        if ($measurementSchedule->user_id !== Auth::id()) {
+            return response()->json([
+                'message' => 'Unauthorized access to measurement schedule.',
+            ], 403);
+        }
+
+        $this->measurementScheduleService->delete($measurementSchedule);
+
+        return response()->json([
+            'message' => 'Measurement schedule deleted successfully.',
+        ]);
+    }
+
+    /**
+     * Get what is due or overdue in the current day or week of each schedule.
+     */
+    public function due(): JsonResponse
+    {
+        $due = $this->measurementScheduleService->getDueReadings(Auth::user());
+
+        return response()->json([
+            'data' => $due,
+            'meta' => [
+                'overdue' => collect($due)->where('status', 'overdue')->count(),
+                'reminders' => collect($due)->where('remind', true)->count(),
+                'generated_at' => now()->toISOString(),
+            ],
+        ]);
+    }
+
+    /**
+     * Get adherence to each schedule over the last number of days.
+     */
+    public function adherence(Request $request): JsonResponse
+    {
+        $request->validate([
+            'days' => 'nullable|integer|min:7|max:365',
+        ]);
+
+        $adherence = $this->measurementScheduleService->getAdherence(Auth::user(), $request->integer('days', 30));
+
+        return response()->json([
+            'data' => $adherence,
+            'meta' => [
+                'generated_at' => now()->toISOString(),
+            ],
+        ]);
+    }
+}
@@ -2,18 +2,26 @@
 
 namespace App\Http\Controllers;
 
+use App\Http\Requests\StoreMeasurementScheduleRequest;
+use App\Models\FlagReview;
 use App\Models\User;
+use App\Models\VitalSignsRecord;
 use App\Services\ConsentService;
+use App\Services\FlagReviewService;
+use App\Services\MeasurementScheduleService;
 use App\Services\VitalSignsService;
 use Illuminate\Http\JsonResponse;
 use Illuminate\Http\Request;
 use Illuminate\Support\Facades\Auth;
+use Illuminate\Validation\Rule;
 
 class MedicalController extends Controller
 {
     public function __construct(
         protected ConsentService $consentService,
-        protected VitalSignsService $vitalSignsService
+        protected VitalSignsService $vitalSignsService,
+        protected MeasurementScheduleService $measurementScheduleService,
+        protected FlagReviewService $flagReviewService
     ) {}
 
     /**
@@ -151,4 +159,186 @@ public function patientVitalSigns(Request $request, User $patient): JsonResponse
             ],
         ]);
     }
+
+    /**
+     * Get a patient's measurement schedules and adherence (with consent validation).
+     */
+    public function patientSchedules(Request $request, User $patient): JsonResponse
+    {
+        $request->validate([
+            'days' => 'nullable|integer|min:7|max:365',
+        ]);
+
+        $medicalProfessional = Auth::user();
+
+        if (! $this->consentService->hasActiveConsent(patient: $patient, medicalProfessional: $medicalProfessional)) {
+            return response()->json([
+                'message' => 'Access denied. Patient has not granted consent or consent has been revoked.',
+            ], 403);
+        }
+
+        $schedules = $this->measurementScheduleService->getSchedules($patient);
+        $adherence = $this->measurementScheduleService->getAdherence($patient, $request->integer('days', 30));
+
+        $this->consentService->logAccess(
+            medicalProfessional: $medicalProfessional,
+            action: 'patient_schedules_accessed',
+            patientId: $patient->id,
+            details: [
+                'result_count' => $schedules->count(),
+            ]
+        );
+
+        return response()->json([
+            'data' => $schedules,
+            'meta' => [
+                'patient_id' => $patient->id,
+                'patient_name' => $patient->name,
+                'adherence' => $adherence,
+            ],
+        ]);
+    }
+
+    /**
+     * Set up a measurement schedule for a patient (with consent validation).
+     */
+    public function storePatientSchedule(StoreMeasurementScheduleRequest $request, User $patient): JsonResponse
+    {
+        $medicalProfessional = Auth::user();
+        $consent = $this->consentService->getActiveConsent(patient: $patient, medicalProfessional: $medicalProfessional);
+
+        if (! $consent) {
+            return response()->json([
+                'message' => 'Access denied. Patient has not granted consent or consent has been revoked.',
+            ], 403);
+        }
+
+        if (! $consent->hasFullAccess()) {
+            return response()->json([
+                'message' => 'Access denied. Setting up measurement schedules requires full access consent.',
+            ], 403);
+        }
+
+        $schedule = $this->measurementScheduleService->create($patient, $request->validated(), $medicalProfessional);
+
+        $this->consentService->logAccess(
+            medicalProfessional: $medicalProfessional,
+            action: 'patient_schedule_created',
+            patientId: $patient->id,
+            details: [
+                'schedule_id' => $schedule->id,
+                'vital_sign_type_id' => $schedule->vital_sign_type_id,
+            ]
+        );
+
+        return response()->json([
+            'message' => 'Measurement schedule created successfully.',
+            'data' => $schedule,
+        ], 201);
+    }
+
+    /**
+     * Get a patient's flagged readings for review (with consent validation).
+     */
+    public function patientFlagged(Request $request, User $patient): JsonResponse
+    {
+        $request->validate([
+            'status' => 'nullable|in:unreviewed,reviewed,all',
+            'per_page' => 'nullable|integer|min:1|max:100',
+        ]);
+
+        $medicalProfessional = Auth::user();
+
+        if (! $this->consentService->hasActiveConsent(patient: $patient, medicalProfessional: $medicalProfessional)) {
+            return response()->json([
+                'message' => 'Access denied. Patient has not granted consent or consent has been revoked.',
+            ], 403);
+        }
+
+        $status = $request->string('status', 'unreviewed')->toString();
+        $records = $this->flagReviewService->getQueue($patient, $status, $request->integer('per_page', 15));
+
+        $this->consentService->logAccess(
+            medicalProfessional: $medicalProfessional,
+            action: 'patient_flagged_readings_accessed',
+            patientId: $patient->id,
+            details: [
+                'status' => $status,
+                'result_count' => $records->total(),
+            ]
+        );
+
+        return response()->json([
+            'data' => $records->items(),
+            'meta' => [
+                'patient_id' => $patient->id,
+                'patient_name' => $patient->name,
+                'current_page' => $records->currentPage(),
+                'last_page' => $records->lastPage(),
+                'per_page' => $records->perPage(),
+                'total' => $records->total(),
+                'unreviewed_count' => $this->flagReviewService->getUnreviewedCount($patient),
+            ],
+        ]);
+    }
+
+    /**
+     * Acknowledge a patient's flagged reading (with consent validation).
+     */
+    public function reviewPatientReading(Request $request, User $patient, VitalSignsRecord $vitalSignsRecord): JsonResponse
+    {
+        $medicalProfessional = Auth::user();
+        $consent = $this->consentService->getActiveConsent(patient: $patient, medicalProfessional: $medicalProfessional);
+
+        if (! $consent) {
+            return response()->json([
+                'message' => 'Access denied. Patient has not granted consent or consent has been revoked.',
+            ], 403);
+        }
+
+        if (! $consent->hasFullAccess()) {
+            return response()->json([
+                'message' => 'Access denied. Reviewing flagged readings requires full access consent.',
+            ], 403);
+        }
+
+        if ($vitalSignsRecord->user_id !== $patient->id) {
+            return response()->json([
+                'message' => 'Unauthorized access to vital signs record.',
+            ], 403);
+        }
+
+        $validated = $request->validate([
+            'outcome' => ['required', Rule::in(array_keys(FlagReview::OUTCOMES))],
+            'notes' => 'nullable|string|max:500',
+        ]);
+
+        if (! $vitalSignsRecord->is_flagged) {
+            return response()->json([
+                'message' => 'Only flagged readings can be reviewed.',
+            ], 422);
+        }
+
+        $review = $this->flagReviewService->acknowledge(
+            $vitalSignsRecord,
+            $medicalProfessional,
+            $validated['outcome'],
+            $validated['notes'] ?? null
+        );
+
+        $this->consentService->logAccess(
+            medicalProfessional: $medicalProfessional,
+            action: 'patient_flagged_reading_reviewed',
+            patientId: $patient->id,
+            details: [
+                'vital_signs_record_id' => $vitalSignsRecord->id,
+                'outcome' => $review->outcome,
+            ]
+        );
+
+        return response()->json([
+            'message' => 'Flagged reading reviewed successfully.',
+            'data' => $review,
+        ], 201);
+    }
 }
@@ -0,0 +1,51 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Http\Requests\UpdatePreferencesRequest;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Support\Facades\Auth;
+
+class PreferencesController extends Controller
+{
+    /**
+     * Get the authenticated user's display preferences.
+     */
+    public function show(): JsonResponse
+    {
+        $user = Auth::user();
+
+        return response()->json([
+            'data' => [
+                'unit_preferences' => $user->unit_preferences ?? [],
+                'timezone' => $user->timezone,
+            ],
+        ]);
+    }
+
+    /**
+     * Update the authenticated user's display preferences.
+     */
+    public function update(UpdatePreferencesRequest $request): JsonResponse
+    {
+        $user = Auth::user();
+
+        if ($request->has('unit_preferences')) {
+            $user->unit_preferences = array_merge($user->unit_preferences ?? [], $request->validated('unit_preferences'));
+        }
+
+        if ($request->has('timezone')) {
+            $user->timezone = $request->validated('timezone');
+        }
+
+        $user->save();
+
+        return response()->json([
+            'message' => 'Preferences updated successfully.',
+            'data' => [
+                'unit_preferences' => $user->unit_preferences ?? [],
+                'timezone' => $user->timezone,
+            ],
+        ]);
+    }
+}
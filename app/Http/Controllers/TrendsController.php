@@ -18,9 +18,12 @@ public function __construct(
      */
     public function index(Request $request): JsonResponse
     {
+        // "Today" is the user's local calendar day
+        $today = now(Auth::user()->preferredTimezone())->toDateString();
+
         $request->validate([
-            'start_date' => 'nullable|date|before_or_equal:today',
-            'end_date' => 'nullable|date|after_or_equal:start_date|before_or_equal:today',
+            'start_date' => 'nullable|date|before_or_equal:'.$today,
+            'end_date' => 'nullable|date|after_or_equal:start_date|before_or_equal:'.$today,
             'period' => 'nullable|in:weekly,monthly,quarterly,yearly',
             'comparison_period' => 'nullable|in:previous_period,previous_year,none',
             'group_by' => 'nullable|in:day,week,month',
@@ -55,9 +58,11 @@ public function index(Request $request): JsonResponse
      */
     public function show(Request $request, int $vitalSignTypeId): JsonResponse
     {
+        $today = now(Auth::user()->preferredTimezone())->toDateString();
+
         $request->validate([
-            'start_date' => 'nullable|date|before_or_equal:today',
-            'end_date' => 'nullable|date|after_or_equal:start_date|before_or_equal:today',
+            'start_date' => 'nullable|date|before_or_equal:'.$today,
+            'end_date' => 'nullable|date|after_or_equal:start_date|before_or_equal:'.$today,
             'period' => 'nullable|in:weekly,monthly,quarterly,yearly',
             'comparison_period' => 'nullable|in:previous_period,previous_year,none',
             'group_by' => 'nullable|in:day,week,month',
@@ -2,13 +2,18 @@
 
 namespace App\Http\Controllers;
 
+use App\Http\Requests\BulkImportVitalSignsRequest;
 use App\Http\Requests\CreateVitalSignsRequest;
 use App\Http\Requests\UpdateVitalSignsRequest;
 use App\Models\VitalSignsRecord;
+use App\Services\MeasurementContextService;
+use App\Services\VitalSignsExportService;
 use App\Services\VitalSignsService;
 use Illuminate\Http\JsonResponse;
 use Illuminate\Http\Request;
+use Illuminate\Support\Arr;
 use Illuminate\Support\Facades\Auth;
+use Symfony\Component\HttpFoundation\StreamedResponse;
 
 class VitalSignsController extends Controller
 {
@@ -21,11 +26,18 @@ public function __construct(
      */
     public function index(Request $request): JsonResponse
     {
+        // "Today" is the user's local calendar day
+        $today = now(Auth::user()->preferredTimezone())->toDateString();
+
         $request->validate([
             'vital_sign_type_id' => 'nullable|integer|exists:vital_sign_types,id',
-            'start_date' => 'nullable|date|before_or_equal:today',
-            'end_date' => 'nullable|date|after_or_equal:start_date|before_or_equal:today',
+            'start_date' => 'nullable|date|before_or_equal:'.$today,
+            'end_date' => 'nullable|date|after_or_equal:start_date|before_or_equal:'.$today,
             'per_page' => 'nullable|integer|min:1|max:100',
+            'context' => 'nullable|array',
+            'context.*' => 'string|max:50',
+            'sort' => 'nullable|in:measured_at,value,type,flagged',
+            'direction' => 'nullable|in:asc,desc',
         ]);
 
         $user = Auth::user();
@@ -35,9 +47,18 @@ public function index(Request $request): JsonResponse
             vitalSignTypeId: $request->integer('vital_sign_type_id'),
             startDate: $request->string('start_date'),
             endDate: $request->string('end_date'),
-            perPage: $request->integer('per_page', 15)
+            perPage: $request->integer('per_page', 15),
+            context: array_intersect_key(
+                $request->input('context', []),
+                app(MeasurementContextService::class)->definitions()
+            ),
+            sort: $request->input('sort', 'measured_at'),
+            direction: $request->input('direction', 'desc')
         );
 
+        // Keep the filters and sort in the page links
+        $vitalSigns->withQueryString();
+
         return response()->json([
             'data' => $vitalSigns->items(),
             'meta' => [
@@ -61,8 +82,32 @@ public function index(Request $request): JsonResponse
     public function store(CreateVitalSignsRequest $request): JsonResponse
     {
         $user = Auth::user();
+        $data = $request->validated();
+
+        // Readings replayed from the offline queue carry a client id
+        if (! empty($data['client_id'])) {
+            $synced = $this->vitalSignsService->findSyncedRecord($user, $data['client_id']);
+
+            if ($synced) {
+                return response()->json([
+                    'message' => 'Vital signs record was already synced.',
+                    'data' => $synced,
+                ]);
+            }
+
+            $conflict = empty($data['allow_duplicate'])
+                ? $this->vitalSignsService->findConflictingRecord($user, $data)
+                : null;
+
+            if ($conflict) {
+                return response()->json([
+                    'message' => 'A reading of this type was already recorded at this time.',
+                    'data' => $conflict,
+                ], 409);
+            }
+        }
 
-        $vitalSign = $this->vitalSignsService->create($user, $request->validated());
+        $vitalSign = $this->vitalSignsService->create($user, $data);
 
         return response()->json([
             'message' => 'Vital signs record created successfully.',
@@ -169,15 +214,23 @@ public function flagged(): JsonResponse
      */
     public function summary(Request $request): JsonResponse
     {
+        $request->validate([
+            'days' => 'nullable|integer|min:1|max:366',
+            'vital_sign_type_id' => 'nullable|integer|exists:vital_sign_types,id',
+        ]);
+
         $user = Auth::user();
         $days = $request->integer('days', 30);
+        $vitalSignTypeId = $request->integer('vital_sign_type_id') ?: null;
 
-        $summary = $this->vitalSignsService->getUserSummary($user, $days);
+        $summary = $this->vitalSignsService->getUserSummary($user, $days, $vitalSignTypeId);
 
         return response()->json([
             'data' => $summary,
             'meta' => [
                 'days' => $days,
+                'vital_sign_type_id' => $vitalSignTypeId,
+                'timezone' => $user->preferredTimezone(),
                 'generated_at' => now()->toISOString(),
             ],
         ]);
@@ -206,22 +259,10 @@ public function byType(Request $request, int $vitalSignTypeId): JsonResponse
     /**
      * Bulk import vital signs records.
      */
-    public function bulkImport(Request $request): JsonResponse
+    public function bulkImport(BulkImportVitalSignsRequest $request): JsonResponse
     {
-        $request->validate([
-            'records' => 'required|array|min:1|max:100',
-            'records.*.vital_sign_type_id' => 'required|integer|exists:vital_sign_types,id',
-            'records.*.value_primary' => 'required|numeric|min:0',
-            'records.*.value_secondary' => 'nullable|numeric|min:0',
-            'records.*.unit' => 'required|string|max:20',
-            'records.*.measured_at' => 'required|date|before_or_equal:now',
-            'records.*.measurement_method' => 'required|in:manual,device,estimated',
-            'records.*.device_name' => 'nullable|string|max:100',
-            'records.*.notes' => 'nullable|string|max:1000',
-        ]);
-
         $user = Auth::user();
-        $results = $this->vitalSignsService->bulkImport($user, $request->input('records'));
+        $results = $this->vitalSignsService->bulkImport($user, $request->validated('records'));
 
         $status = $results['failed'] > 0 ? 207 : 201; // 207 Multi-Status if there are failures
 
@@ -230,4 +271,105 @@ public function bulkImport(Request $request): JsonResponse
             'data' => $results,
         ], $status);
     }
+
+    /**
+     * Delete a selection of the user's vital signs records.
+     */
+    public function bulkDestroy(Request $request): JsonResponse
+    {
+        $selection = $request->validate($this->selectionRules());
+
+        $deleted = $this->vitalSignsService->bulkDelete(Auth::user(), $selection);
+
+        return response()->json([
+            'message' => "{$deleted} vital signs records deleted.",
+            'data' => [
+                'deleted' => $deleted,
+            ],
+        ]);
+    }
+
+    /**
+     * Change the measurement method or device of a selection of records, or add a note to each.
+     */
+    public function bulkUpdate(Request $request): JsonResponse
+    {
+        $validated = $request->validate([
+            ...$this->selectionRules(),
+            'measurement_method' => 'nullable|in:manual,device,estimated',
+            'device_name' => 'required_if:measurement_method,device|nullable|string|max:100',
+            'note' => 'required_without_all:measurement_method,device_name|nullable|string|max:500',
+        ], [
+            'device_name.required_if' => 'Device name is required when measurement method is "device".',
+            'note.required_without_all' => 'Choose a measurement method, device or note to apply.',
+        ]);
+
+        $changes = array_filter(
+            Arr::only($validated, ['measurement_method', 'device_name', 'note']),
+            fn ($value) => $value !== null && $value !== ''
+        );
+
+        $results = $this->vitalSignsService->bulkUpdate(Auth::user(), $validated, $changes);
+
+        return response()->json([
+            'message' => "{$results['updated']} vital signs records updated.",
+            'data' => $results,
+        ]);
+    }
+
+    /**
+     * Download a selection of records as CSV or JSON.
+     */
+    public function bulkExport(Request $request, VitalSignsExportService $exportService): StreamedResponse|JsonResponse
+    {
+        $validated = $request->validate([
+            ...$this->selectionRules(),
+            'format' => 'required|in:csv,json',
+        ]);
+
+        $user = Auth::user();
+        $query = $this->vitalSignsService->selectRecords($user, $validated);
+        $filename = $exportService->filename($user, $validated['format']);
+
+        if ($validated['format'] === 'json') {
+            $records = $exportService->toArray($user, $query);
+
+            return response()->json([
+                'data' => $records,
+                'meta' => [
+                    'count' => count($records),
+                    'timezone' => $user->preferredTimezone(),
+                    'exported_at' => now()->toISOString(),
+                ],
+            ], 200, [
+                'Content-Disposition' => "attachment; filename=\"{$filename}\"",
+            ]);
+        }
+
+        return response()->streamDownload(
+            fn () => $exportService->streamCsv($user, $query),
+            $filename,
+            ['Content-Type' => 'text/csv; charset=UTF-8']
+        );
+    }
+
+    /**
+     * Validation rules for a bulk selection: record ids, or every record matching the list filters.
+     */
+    protected function selectionRules(): array
+    {
+        return [
+            'ids' => 'required_unless:all,true|array|max:1000',
+            'ids.*' => 'uuid',
+            'all' => 'sometimes|boolean',
+            'except' => 'nullable|array',
+            'except.*' => 'uuid',
+            'filters' => 'nullable|array',
+            'filters.vital_sign_type_id' => 'nullable|integer|exists:vital_sign_types,id',
+            'filters.start_date' => 'nullable|date',
+            'filters.end_date' => 'nullable|date|after_or_equal:filters.start_date',
+            'filters.context' => 'nullable|array',
+            'filters.context.*' => 'string|max:50',
+        ];
+    }
 }
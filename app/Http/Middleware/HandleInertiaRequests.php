@@ -2,6 +2,8 @@
 
 namespace App\Http\Middleware;
 
+use App\Models\VitalSignType;
+use App\Services\FlagReviewService;
 use Illuminate\Http\Request;
 use Inertia\Middleware;
 
@@ -37,7 +39,17 @@ public function share(Request $request): array
     {
         return [
             ...parent::share($request),
-            //
+            'userId' => fn () => $request->user()?->id,
+            'unitPreferences' => fn () => $request->user()?->unit_preferences ?? [],
+            'timezone' => fn () => $request->user()?->timezone,
+            'unreviewedFlagCount' => fn () => $request->user()
+                ? app(FlagReviewService::class)->getUnreviewedCount($request->user())
+                : 0,
+            'quickEntryTypes' => fn () => $request->user()
+                ? VitalSignType::where('is_active', true)
+                    ->orderBy('display_name')
+                    ->get(['id', 'name', 'display_name', 'unit_primary', 'unit_secondary', 'has_secondary_value', 'input_type', 'input_options', 'min_value', 'max_value'])
+                : [],
         ];
     }
 }
@@ -0,0 +1,89 @@
+<?php
+
+namespace App\Http\Requests;
+
+use App\Models\VitalSignType;
+use App\Services\VitalSignsValidationService;
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Validation\Rule;
+
+class BulkImportVitalSignsRequest extends FormRequest
+{
+    /**
+     * Determine if the user is authorized to make this request.
+     */
+    public function authorize(): bool
+    {
+        return true;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        return [
+            'records' => 'required|array|min:1|max:100',
+            'records.*.vital_sign_type_id' => [
+                'required',
+                'integer',
+                Rule::exists('vital_sign_types', 'id')->where('is_active', true),
+            ],
+            'records.*.value_primary' => 'required|numeric|min:0|max:999999.99',
+            'records.*.value_secondary' => 'nullable|numeric|min:0|max:999999.99',
+            'records.*.unit' => 'required|string|max:20',
+            'records.*.measured_at' => 'required|date|before_or_equal:now',
+            'records.*.measurement_method' => ['required', Rule::in(['manual', 'device', 'estimated'])],
+            'records.*.device_name' => 'nullable|string|max:100|required_if:records.*.measurement_method,device',
+            'records.*.notes' => 'nullable|string|max:1000',
+            'records.*.context' => 'nullable|array',
+        ];
+    }
+
+    /**
+     * Get custom error messages for validation rules.
+     *
+     * @return array<string, string>
+     */
+    public function messages(): array
+    {
+        return [
+            'records.*.vital_sign_type_id.exists' => 'The selected vital sign type is invalid or inactive.',
+            'records.*.value_primary.min' => 'The measurement value cannot be negative.',
+            'records.*.value_secondary.min' => 'The secondary value cannot be negative.',
+            'records.*.measured_at.before_or_equal' => 'The measurement date cannot be in the future.',
+            'records.*.device_name.required_if' => 'Device name is required when measurement method is "device".',
+        ];
+    }
+
+    /**
+     * Configure the validator instance.
+     */
+    public function withValidator($validator): void
+    {
+        // Every row gets the same checks against its type as a single reading
+        $validator->after(function ($validator) {
+            $records = is_array($this->records) ? $this->records : [];
+            $vitalSignTypes = VitalSignType::whereIn('id', array_filter(array_column($records, 'vital_sign_type_id'), 'is_numeric'))
+                ->get()
+                ->keyBy('id');
+            $validation = app(VitalSignsValidationService::class);
+
+            foreach ($records as $index => $record) {
+                $vitalSignType = is_array($record) ? $vitalSignTypes->get($record['vital_sign_type_id'] ?? null) : null;
+
+                if (! $vitalSignType) {
+                    continue;
+                }
+
+                foreach ($validation->checkReadingInput($vitalSignType, $record) as $field => $messages) {
+                    foreach ($messages as $message) {
+                        $validator->errors()->add("records.{$index}.{$field}", $message);
+                    }
+                }
+            }
+        });
+    }
+}
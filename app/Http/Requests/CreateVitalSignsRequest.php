@@ -3,6 +3,7 @@
 namespace App\Http\Requests;
 
 use App\Models\VitalSignType;
+use App\Services\VitalSignsValidationService;
 use Illuminate\Foundation\Http\FormRequest;
 use Illuminate\Validation\Rule;
 
@@ -67,6 +68,18 @@ public function rules(): array
                 'max:100',
                 'required_if:measurement_method,device',
             ],
+            'context' => [
+                'nullable',
+                'array',
+            ],
+            'client_id' => [
+                'nullable',
+                'uuid',
+            ],
+            'allow_duplicate' => [
+                'sometimes',
+                'boolean',
+            ],
         ];
     }
 
@@ -93,6 +106,8 @@ public function messages(): array
             'measurement_method.in' => 'Invalid measurement method selected.',
             'device_name.required_if' => 'Device name is required when measurement method is "device".',
             'notes.max' => 'Notes cannot exceed 1000 characters.',
+            'client_id.uuid' => 'The offline reading reference is invalid.',
+            'context.array' => 'Context tags must be grouped by name.',
         ];
     }
 
@@ -119,49 +134,14 @@ public function attributes(): array
     public function withValidator($validator): void
     {
         $validator->after(function ($validator) {
-            if ($this->vital_sign_type_id) {
-                $vitalSignType = VitalSignType::find($this->vital_sign_type_id);
-
-                if ($vitalSignType) {
-                    // Validate primary value against type limits
-                    if ($this->value_primary !== null) {
-                        if ($vitalSignType->min_value !== null && $this->value_primary < $vitalSignType->min_value) {
-                            $validator->errors()->add(
-                                'value_primary',
-                                "The measurement value must be at least {$vitalSignType->min_value} {$vitalSignType->unit_primary}."
-                            );
-                        }
+            $vitalSignType = $this->vital_sign_type_id ? VitalSignType::find($this->vital_sign_type_id) : null;
 
-                        if ($vitalSignType->max_value !== null && $this->value_primary > $vitalSignType->max_value) {
-                            $validator->errors()->add(
-                                'value_primary',
-                                "The measurement value cannot exceed {$vitalSignType->max_value} {$vitalSignType->unit_primary}."
-                            );
-                        }
-                    }
-
-                    // Validate secondary value requirements
-                    if ($vitalSignType->has_secondary_value && $this->value_secondary === null) {
-                        $validator->errors()->add(
-                            'value_secondary',
-                            'A secondary value is required for this type of measurement.'
-                        );
-                    }
-
-                    if (! $vitalSignType->has_secondary_value && $this->value_secondary !== null) {
-                        $validator->errors()->add(
-                            'value_secondary',
-                            'Secondary value is not applicable for this type of measurement.'
-                        );
-                    }
+            if ($vitalSignType) {
+                $errors = app(VitalSignsValidationService::class)->checkReadingInput($vitalSignType, $this->all());
 
-                    // Validate unit matches expected unit
-                    if ($this->unit && $this->unit !== $vitalSignType->unit_primary && $this->unit !== $vitalSignType->unit_secondary) {
-                        $expectedUnits = array_filter([$vitalSignType->unit_primary, $vitalSignType->unit_secondary]);
-                        $validator->errors()->add(
-                            'unit',
-                            'Unit must be one of: '.implode(', ', $expectedUnits)
-                        );
+                foreach ($errors as $field => $messages) {
+                    foreach ($messages as $message) {
+                        $validator->errors()->add($field, $message);
                     }
                 }
             }
@@ -0,0 +1,131 @@
+<?php
+
+namespace App\Http\Requests;
+
+use App\Models\User;
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Validation\Rule;
+
+class StoreMeasurementScheduleRequest extends FormRequest
+{
+    /**
+     * Determine if the user is authorized to make this request.
+     */
+    public function authorize(): bool
+    {
+        return true;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        return [
+            'vital_sign_type_id' => [
+                'required',
+                'integer',
+                Rule::exists('vital_sign_types', 'id')->where('is_active', true),
+                Rule::unique('measurement_schedules', 'vital_sign_type_id')->where('user_id', $this->patient()->id),
+            ],
+            'frequency' => [
+                'required',
+                Rule::in(['daily', 'weekly']),
+            ],
+            'target_count' => [
+                'required',
+                'integer',
+                'min:1',
+                'max:12',
+            ],
+            'reminder_times' => [
+                'nullable',
+                'array',
+            ],
+            'reminder_times.*' => [
+                'date_format:H:i',
+                'distinct',
+            ],
+            'reminders_enabled' => [
+                'sometimes',
+                'boolean',
+            ],
+            'is_active' => [
+                'sometimes',
+                'boolean',
+            ],
+            'starts_on' => [
+                'nullable',
+                'date',
+            ],
+            'notes' => [
+                'nullable',
+                'string',
+                'max:500',
+            ],
+        ];
+    }
+
+    /**
+     * Get custom error messages for validation rules.
+     *
+     * @return array<string, string>
+     */
+    public function messages(): array
+    {
+        return [
+            'vital_sign_type_id.exists' => 'The selected vital sign type is invalid or inactive.',
+            'vital_sign_type_id.unique' => 'There is already a measurement plan for this vital sign.',
+            'frequency.in' => 'Frequency must be daily or weekly.',
+            'target_count.min' => 'At least one reading must be planned.',
+            'target_count.max' => 'No more than 12 readings can be planned per period.',
+            'reminder_times.*.date_format' => 'Reminder times must use the HH:MM format.',
+            'reminder_times.*.distinct' => 'Reminder times must be different from each other.',
+            'notes.max' => 'Notes cannot exceed 500 characters.',
+        ];
+    }
+
+    /**
+     * Get custom attribute names for validation errors.
+     *
+     * @return array<string, string>
+     */
+    public function attributes(): array
+    {
+        return [
+            'vital_sign_type_id' => 'vital sign type',
+            'target_count' => 'number of readings',
+            'starts_on' => 'start date',
+        ];
+    }
+
+    /**
+     * Configure the validator instance.
+     */
+    public function withValidator($validator): void
+    {
+        $validator->after(function ($validator) {
+            $times = $this->reminder_times;
+
+            if (! is_array($times) || $times === []) {
+                return;
+            }
+
+            if ($this->frequency !== 'daily') {
+                $validator->errors()->add('reminder_times', 'Reminder times can only be set for daily plans.');
+            } elseif (count($times) !== (int) $this->target_count) {
+                $validator->errors()->add('reminder_times', 'Set one reminder time for each daily reading.');
+            }
+        });
+    }
+
+    /**
+     * The user the schedule is for: the patient in clinician routes, otherwise the current user.
+     */
+    public function patient(): User
+    {
+        return $this->route('patient') ?? $this->user();
+    }
+}
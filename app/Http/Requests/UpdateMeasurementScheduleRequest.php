@@ -0,0 +1,122 @@
+<?php
+
+namespace App\Http\Requests;
+
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Validation\Rule;
+
+class UpdateMeasurementScheduleRequest extends FormRequest
+{
+    /**
+     * Determine if the user is authorized to make this request.
+     */
+    public function authorize(): bool
+    {
+        return true;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        return [
+            'frequency' => [
+                'sometimes',
+                Rule::in(['daily', 'weekly']),
+            ],
+            'target_count' => [
+                'sometimes',
+                'integer',
+                'min:1',
+                'max:12',
+            ],
+            'reminder_times' => [
+                'nullable',
+                'array',
+            ],
+            'reminder_times.*' => [
+                'date_format:H:i',
+                'distinct',
+            ],
+            'reminders_enabled' => [
+                'sometimes',
+                'boolean',
+            ],
+            'is_active' => [
+                'sometimes',
+                'boolean',
+            ],
+            'starts_on' => [
+                'sometimes',
+                'date',
+            ],
+            'notes' => [
+                'nullable',
+                'string',
+                'max:500',
+            ],
+        ];
+    }
+
+    /**
+     * Get custom error messages for validation rules.
+     *
+     * @return array<string, string>
+     */
+    public function messages(): array
+    {
+        return [
+            'frequency.in' => 'Frequency must be daily or weekly.',
+            'target_count.min' => 'At least one reading must be planned.',
+            'target_count.max' => 'No more than 12 readings can be planned per period.',
+            'reminder_times.*.date_format' => 'Reminder times must use the HH:MM format.',
+            'reminder_times.*.distinct' => 'Reminder times must be different from each other.',
+            'notes.max' => 'Notes cannot exceed 500 characters.',
+        ];
+    }
+
+    /**
+     * Get custom attribute names for validation errors.
+     *
+     * @return array<string, string>
+     */
+    public function attributes(): array
+    {
+        return [
+            'target_count' => 'number of readings',
+            'starts_on' => 'start date',
+        ];
+    }
+
+    /**
+     * Configure the validator instance.
+     */
+    public function withValidator($validator): void
+    {
+        $validator->after(function ($validator) {
+            // Check the times against the plan as it will be after the update
+            $schedule = $this->route('measurement_schedule');
+            $frequency = $this->frequency ?? $schedule?->frequency;
+            $targetCount = $this->target_count ?? $schedule?->target_count;
+            $times = $this->has('reminder_times') ? $this->reminder_times : $schedule?->reminder_times;
+
+            // Switching to a weekly plan drops the saved times
+            if ($frequency === 'weekly' && ! $this->has('reminder_times')) {
+                return;
+            }
+
+            if (! is_array($times) || $times === []) {
+                return;
+            }
+
+            if ($frequency !== 'daily') {
+                $validator->errors()->add('reminder_times', 'Reminder times can only be set for daily plans.');
+            } elseif (count($times) !== (int) $targetCount) {
+                $validator->errors()->add('reminder_times', 'Set one reminder time for each daily reading.');
+            }
+        });
+    }
+}
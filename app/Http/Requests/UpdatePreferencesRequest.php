@@ -0,0 +1,93 @@
+<?php
+
+namespace App\Http\Requests;
+
+use App\Models\VitalSignType;
+use App\Services\UnitConversionService;
+use Illuminate\Foundation\Http\FormRequest;
+
+class UpdatePreferencesRequest extends FormRequest
+{
+    /**
+     * Determine if the user is authorized to make this request.
+     */
+    public function authorize(): bool
+    {
+        return true;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        return [
+            'unit_preferences' => [
+                'sometimes',
+                'array',
+            ],
+            'unit_preferences.*' => [
+                'string',
+                'max:20',
+            ],
+            'timezone' => [
+                'sometimes',
+                'nullable',
+                'string',
+                'timezone:all',
+            ],
+        ];
+    }
+
+    /**
+     * Get custom error messages for validation rules.
+     *
+     * @return array<string, string>
+     */
+    public function messages(): array
+    {
+        return [
+            'unit_preferences.array' => 'Unit preferences must be a list of units keyed by vital sign type.',
+            'unit_preferences.*.string' => 'Each preferred unit must be a valid text value.',
+            'unit_preferences.*.max' => 'A preferred unit cannot exceed 20 characters.',
+            'timezone.timezone' => 'Timezone must be a valid IANA timezone, e.g. Europe/London.',
+        ];
+    }
+
+    /**
+     * Configure the validator instance.
+     */
+    public function withValidator($validator): void
+    {
+        $validator->after(function ($validator) {
+            if (! is_array($this->unit_preferences)) {
+                return;
+            }
+
+            $unitConversion = app(UnitConversionService::class);
+            $vitalSignTypes = VitalSignType::whereIn('name', array_keys($this->unit_preferences))->get()->keyBy('name');
+
+            foreach ($this->unit_preferences as $typeName => $unit) {
+                $vitalSignType = $vitalSignTypes->get($typeName);
+
+                if (! $vitalSignType) {
+                    $validator->errors()->add(
+                        "unit_preferences.{$typeName}",
+                        "Unknown vital sign type: {$typeName}."
+                    );
+
+                    continue;
+                }
+
+                if (! in_array($unit, $unitConversion->supportedUnits($vitalSignType), true)) {
+                    $validator->errors()->add(
+                        "unit_preferences.{$typeName}",
+                        'Unit must be one of: '.implode(', ', $unitConversion->supportedUnits($vitalSignType))
+                    );
+                }
+            }
+        });
+    }
+}
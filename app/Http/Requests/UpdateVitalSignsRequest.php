@@ -3,6 +3,9 @@
 namespace App\Http\Requests;
 
 use App\Models\VitalSignType;
+use App\Services\MeasurementContextService;
+use App\Services\UnitConversionService;
+use App\Services\VitalSignsValidationService;
 use Illuminate\Foundation\Http\FormRequest;
 use Illuminate\Validation\Rule;
 
@@ -67,6 +70,10 @@ public function rules(): array
                 'max:100',
                 'required_if:measurement_method,device',
             ],
+            'context' => [
+                'nullable',
+                'array',
+            ],
         ];
     }
 
@@ -92,6 +99,7 @@ public function messages(): array
             'device_name.required_if' => 'Device name is required when measurement method is "device".',
             'device_name.max' => 'Device name cannot exceed 100 characters.',
             'notes.max' => 'Notes cannot exceed 1000 characters.',
+            'context.array' => 'Context tags must be grouped by name.',
         ];
     }
 
@@ -125,21 +133,33 @@ public function withValidator($validator): void
                 $vitalSignType = VitalSignType::find($vitalSignTypeId);
 
                 if ($vitalSignType) {
+                    $unitConversion = app(UnitConversionService::class);
+
                     // Validate primary value against type limits (only if value_primary is being updated)
-                    if ($this->has('value_primary') && $this->value_primary !== null) {
-                        if ($vitalSignType->min_value !== null && $this->value_primary < $vitalSignType->min_value) {
+                    if ($this->has('value_primary') && is_numeric($this->value_primary)) {
+                        // Limits are defined in the type's primary unit
+                        $primaryValue = $unitConversion->toCanonical($vitalSignType, (float) $this->value_primary, $this->unit);
+
+                        if ($vitalSignType->min_value !== null && $primaryValue < $vitalSignType->min_value) {
                             $validator->errors()->add(
                                 'value_primary',
                                 "The measurement value must be at least {$vitalSignType->min_value} {$vitalSignType->unit_primary}."
                             );
                         }
 
-                        if ($vitalSignType->max_value !== null && $this->value_primary > $vitalSignType->max_value) {
+                        if ($vitalSignType->max_value !== null && $primaryValue > $vitalSignType->max_value) {
                             $validator->errors()->add(
                                 'value_primary',
                                 "The measurement value cannot exceed {$vitalSignType->max_value} {$vitalSignType->unit_primary}."
                             );
                         }
+
+                        // Scales, steppers and selects only accept the values they offer
+                        $inputError = app(VitalSignsValidationService::class)->checkInputOptions($vitalSignType, $primaryValue);
+
+                        if ($inputError) {
+                            $validator->errors()->add('value_primary', $inputError);
+                        }
                     }
 
                     // Validate secondary value requirements (only if value_secondary is being updated)
@@ -161,14 +181,23 @@ public function withValidator($validator): void
 
                     // Validate unit matches expected unit (only if unit is being updated)
                     if ($this->has('unit') && $this->unit) {
-                        if ($this->unit !== $vitalSignType->unit_primary && $this->unit !== $vitalSignType->unit_secondary) {
-                            $expectedUnits = array_filter([$vitalSignType->unit_primary, $vitalSignType->unit_secondary]);
+                        if (! in_array($this->unit, $unitConversion->supportedUnits($vitalSignType), true)) {
+                            $expectedUnits = $unitConversion->supportedUnits($vitalSignType);
                             $validator->errors()->add(
                                 'unit',
                                 'Unit must be one of: '.implode(', ', $expectedUnits)
                             );
                         }
                     }
+
+                    // Validate context tags against the groups for this type
+                    if ($this->has('context') && is_array($this->context)) {
+                        $contextErrors = app(MeasurementContextService::class)->validate($vitalSignType, $this->context);
+
+                        foreach ($contextErrors as $group => $message) {
+                            $validator->errors()->add("context.{$group}", $message);
+                        }
+                    }
                 }
             }
         });
@@ -0,0 +1,63 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Factories\HasFactory;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Support\Str;
+
+class FlagReview extends Model
+{
+    use HasFactory;
+
+    /**
+     * What was done about a flagged reading, with the wording shown to users.
+     */
+    public const OUTCOMES = [
+        'remeasured' => 'Re-measured',
+        'symptoms' => 'Noted symptoms',
+        'contacted_provider' => 'Contacted provider',
+        'no_action' => 'No action needed',
+    ];
+
+    protected $table = 'flag_reviews';
+
+    protected $keyType = 'string';
+
+    public $incrementing = false;
+
+    protected $fillable = [
+        'vital_signs_record_id',
+        'reviewed_by',
+        'outcome',
+        'notes',
+    ];
+
+    protected static function boot(): void
+    {
+        parent::boot();
+
+        static::creating(function ($model) {
+            if (empty($model->{$model->getKeyName()})) {
+                $model->{$model->getKeyName()} = Str::uuid()->toString();
+            }
+        });
+    }
+
+    /**
+     * Get the flagged reading this review is for.
+     */
+    public function vitalSignsRecord(): BelongsTo
+    {
+        return $this->belongsTo(VitalSignsRecord::class);
+    }
+
+    /**
+     * Get the user (patient or clinician) who reviewed the reading.
+     */
+    public function reviewer(): BelongsTo
+    {
+        return $this->belongsTo(User::class, 'reviewed_by');
+    }
+}
@@ -0,0 +1,78 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Factories\HasFactory;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Support\Str;
+
+class MeasurementSchedule extends Model
+{
+    use HasFactory;
+
+    protected $table = 'measurement_schedules';
+
+    protected $keyType = 'string';
+
+    public $incrementing = false;
+
+    protected $fillable = [
+        'user_id',
+        'vital_sign_type_id',
+        'created_by',
+        'frequency',
+        'target_count',
+        'reminder_times',
+        'reminders_enabled',
+        'is_active',
+        'starts_on',
+        'notes',
+    ];
+
+    protected function casts(): array
+    {
+        return [
+            'target_count' => 'integer',
+            'reminder_times' => 'array',
+            'reminders_enabled' => 'boolean',
+            'is_active' => 'boolean',
+            'starts_on' => 'date:Y-m-d',
+        ];
+    }
+
+    protected static function boot(): void
+    {
+        parent::boot();
+
+        static::creating(function ($model) {
+            if (empty($model->{$model->getKeyName()})) {
+                $model->{$model->getKeyName()} = Str::uuid()->toString();
+            }
+        });
+    }
+
+    /**
+     * Get the user this schedule belongs to.
+     */
+    public function user(): BelongsTo
+    {
+        return $this->belongsTo(User::class);
+    }
+
+    /**
+     * Get the vital sign type to be measured.
+     */
+    public function vitalSignType(): BelongsTo
+    {
+        return $this->belongsTo(VitalSignType::class);
+    }
+
+    /**
+     * Get the user (patient or clinician) who set up the schedule.
+     */
+    public function creator(): BelongsTo
+    {
+        return $this->belongsTo(User::class, 'created_by');
+    }
+}
@@ -32,6 +32,8 @@ class User extends Authenticatable
         'height',
         'medical_conditions',
         'role',
+        'unit_preferences',
+        'timezone',
     ];
 
     /**
@@ -57,6 +59,7 @@ protected function casts(): array
             'date_of_birth' => 'date',
             'medical_conditions' => 'array',
             'height' => 'decimal:2',
+            'unit_preferences' => 'array',
         ];
     }
 
@@ -72,6 +75,14 @@ public function initials(): string
             ->implode('');
     }
 
+    /**
+     * Get the user's timezone, falling back to the application timezone.
+     */
+    public function preferredTimezone(): string
+    {
+        return $this->timezone ?: config('app.timezone');
+    }
+
     /**
      * Get the user's vital signs records.
      */
@@ -80,6 +91,14 @@ public function vitalSignsRecords(): HasMany
         return $this->hasMany(VitalSignsRecord::class);
     }
 
+    /**
+     * Get the user's measurement schedules.
+     */
+    public function measurementSchedules(): HasMany
+    {
+        return $this->hasMany(MeasurementSchedule::class);
+    }
+
     /**
      * Get the user's recommendations.
      */
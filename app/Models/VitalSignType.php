@@ -25,6 +25,7 @@ class VitalSignType extends Model
         'warning_range_max',
         'has_secondary_value',
         'input_type',
+        'input_options',
         'is_active',
     ];
 
@@ -38,6 +39,7 @@ protected function casts(): array
             'warning_range_min' => 'decimal:2',
             'warning_range_max' => 'decimal:2',
             'has_secondary_value' => 'boolean',
+            'input_options' => 'array',
             'is_active' => 'boolean',
         ];
     }
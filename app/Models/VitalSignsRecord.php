@@ -20,6 +20,7 @@ class VitalSignsRecord extends Model
 
     protected $fillable = [
         'user_id',
+        'client_id',
         'vital_sign_type_id',
         'value_primary',
         'value_secondary',
@@ -28,6 +29,7 @@ class VitalSignsRecord extends Model
         'notes',
         'measurement_method',
         'device_name',
+        'context',
         'is_flagged',
         'flag_reason',
     ];
@@ -38,6 +40,7 @@ protected function casts(): array
             'value_primary' => 'decimal:2',
             'value_secondary' => 'decimal:2',
             'measured_at' => 'datetime',
+            'context' => 'array',
             'is_flagged' => 'boolean',
         ];
     }
@@ -77,6 +80,14 @@ public function recommendations(): HasMany
         return $this->hasMany(Recommendation::class);
     }
 
+    /**
+     * Get the reviews of this reading's flag, oldest first.
+     */
+    public function flagReviews(): HasMany
+    {
+        return $this->hasMany(FlagReview::class)->oldest();
+    }
+
     /**
      * Check if the vital signs reading is within normal range.
      */
@@ -509,6 +509,18 @@ public function getUserConsents(User $user, ?string $status = null, ?int $medica
      * @return bool True if active consent exists
      */
     public function hasActiveConsent(User $patient, User $medicalProfessional): bool
+    {
+        return $this->getActiveConsent($patient, $medicalProfessional) !== null;
+    }
+
+    /**
+     * Get the active consent a patient has granted a medical professional.
+     *
+     * @param  User  $patient  The patient
+     * @param  User  $medicalProfessional  The medical professional (User with medical role)
+     * @return PatientProviderConsent|null The consent, or null when none is active
+     */
+    public function getActiveConsent(User $patient, User $medicalProfessional): ?PatientProviderConsent
     {
         return $patient->patientProviderConsents()
             ->where('medical_professional_id', $medicalProfessional->id)
@@ -518,7 +530,7 @@ public function hasActiveConsent(User $patient, User $medicalProfessional): bool
                 $query->whereNull('consent_expires_at')
                     ->orWhere('consent_expires_at', '>', now());
             })
-            ->exists();
+            ->first();
     }
 
     /**
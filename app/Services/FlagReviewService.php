@@ -0,0 +1,71 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\FlagReview;
+use App\Models\User;
+use App\Models\VitalSignsRecord;
+use Illuminate\Pagination\LengthAwarePaginator;
+
+class FlagReviewService
+{
+    /**
+     * Relations loaded with every reading in the review queue.
+     */
+    protected const QUEUE_RELATIONS = [
+        'vitalSignType',
+        'flagReviews.reviewer:id,name,role',
+    ];
+
+    /**
+     * Get a user's flagged readings: those still waiting for review, those
+     * already reviewed, or all of them. Newest first.
+     */
+    public function getQueue(User $user, string $status = 'unreviewed', int $perPage = 15): LengthAwarePaginator
+    {
+        $query = $user->vitalSignsRecords()
+            ->with(self::QUEUE_RELATIONS)
+            ->where('is_flagged', true);
+
+        match ($status) {
+            'reviewed' => $query->whereHas('flagReviews'),
+            'all' => $query,
+            default => $query->whereDoesntHave('flagReviews'),
+        };
+
+        return $query->orderBy('measured_at', 'desc')->orderBy('id')->paginate($perPage);
+    }
+
+    /**
+     * Count a user's flagged readings that nobody has reviewed yet.
+     */
+    public function getUnreviewedCount(User $user): int
+    {
+        return $user->vitalSignsRecords()
+            ->where('is_flagged', true)
+            ->whereDoesntHave('flagReviews')
+            ->count();
+    }
+
+    /**
+     * Record what was done about a flagged reading, by the patient or their clinician.
+     */
+    public function acknowledge(VitalSignsRecord $record, User $reviewer, string $outcome, ?string $notes = null): FlagReview
+    {
+        $review = $record->flagReviews()->create([
+            'reviewed_by' => $reviewer->id,
+            'outcome' => $outcome,
+            'notes' => $notes,
+        ]);
+
+        return $review->load('reviewer:id,name,role');
+    }
+
+    /**
+     * Get a reading with its review history.
+     */
+    public function getHistory(VitalSignsRecord $record): VitalSignsRecord
+    {
+        return $record->load(self::QUEUE_RELATIONS);
+    }
+}
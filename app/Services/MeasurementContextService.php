@@ -0,0 +1,175 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\VitalSignType;
+
+class MeasurementContextService
+{
+    /**
+     * Get the context tag groups keyed by group name, with the vital sign types they apply to.
+     *
+     * @return array<string, array{label: string, multiple: bool, types: list<string>|null, options: array<string, string>}>
+     */
+    public function definitions(): array
+    {
+        return [
+            'posture' => [
+                'label' => 'Posture',
+                'multiple' => false,
+                'types' => ['blood_pressure', 'heart_rate'],
+                'options' => [
+                    'sitting' => 'Sitting',
+                    'standing' => 'Standing',
+                    'lying' => 'Lying down',
+                ],
+            ],
+            'limb' => [
+                'label' => 'Arm',
+                'multiple' => false,
+                'types' => ['blood_pressure'],
+                'options' => [
+                    'left_arm' => 'Left arm',
+                    'right_arm' => 'Right arm',
+                ],
+            ],
+            'meal' => [
+                'label' => 'Meal',
+                'multiple' => false,
+                'types' => ['blood_glucose', 'weight'],
+                'options' => [
+                    'fasting' => 'Fasting',
+                    'before_meal' => 'Before meal',
+                    'after_meal' => 'After meal',
+                ],
+            ],
+            'activity' => [
+                'label' => 'Activity',
+                'multiple' => false,
+                'types' => ['blood_pressure', 'heart_rate', 'oxygen_saturation', 'body_temperature', 'blood_glucose'],
+                'options' => [
+                    'resting' => 'Resting',
+                    'after_exercise' => 'After exercise',
+                    'after_waking' => 'Just woke up',
+                ],
+            ],
+            'symptoms' => [
+                'label' => 'Symptoms',
+                'multiple' => true,
+                'types' => null,
+                'options' => [
+                    'dizziness' => 'Dizziness',
+                    'headache' => 'Headache',
+                    'palpitations' => 'Palpitations',
+                    'shortness_of_breath' => 'Shortness of breath',
+                    'fever_chills' => 'Fever or chills',
+                    'fatigue' => 'Fatigue',
+                ],
+            ],
+        ];
+    }
+
+    /**
+     * Get the context tag groups that apply to a vital sign type.
+     *
+     * @return array<string, array{label: string, multiple: bool, types: list<string>|null, options: array<string, string>}>
+     */
+    public function groupsFor(VitalSignType $vitalSignType): array
+    {
+        return array_filter(
+            $this->definitions(),
+            fn (array $group) => $group['types'] === null || in_array($vitalSignType->name, $group['types'], true)
+        );
+    }
+
+    /**
+     * Check a reading's context against its type, returning error messages keyed by group.
+     *
+     * @return array<string, string>
+     */
+    public function validate(VitalSignType $vitalSignType, array $context): array
+    {
+        $groups = $this->groupsFor($vitalSignType);
+        $errors = [];
+
+        foreach ($context as $name => $value) {
+            $group = $groups[$name] ?? null;
+
+            if (! $group) {
+                $errors[$name] = "{$name} is not a context tag for {$vitalSignType->display_name}.";
+
+                continue;
+            }
+
+            $values = $group['multiple'] ? $value : [$value];
+
+            if (($group['multiple'] && ! is_array($value)) || (! $group['multiple'] && ! is_string($value))) {
+                $errors[$name] = $group['multiple']
+                    ? "{$group['label']} must be a list of tags."
+                    : "{$group['label']} must be a single tag.";
+
+                continue;
+            }
+
+            $unknown = array_diff($values, array_keys($group['options']));
+
+            if ($unknown !== []) {
+                $errors[$name] = "{$group['label']} must be one of: ".implode(', ', array_keys($group['options'])).'.';
+            }
+        }
+
+        return $errors;
+    }
+
+    /**
+     * Keep only the known tags for the type, dropping empty groups.
+     */
+    public function normalize(VitalSignType $vitalSignType, ?array $context): ?array
+    {
+        if (! $context) {
+            return null;
+        }
+
+        $normalized = [];
+
+        foreach ($this->groupsFor($vitalSignType) as $name => $group) {
+            $value = $context[$name] ?? null;
+
+            if ($group['multiple'] && is_array($value)) {
+                $values = array_values(array_intersect(array_keys($group['options']), $value));
+
+                if ($values !== []) {
+                    $normalized[$name] = $values;
+                }
+            } elseif (! $group['multiple'] && is_string($value) && isset($group['options'][$value])) {
+                $normalized[$name] = $value;
+            }
+        }
+
+        return $normalized === [] ? null : $normalized;
+    }
+
+    /**
+     * Readable labels for a record's tags, e.g. ["Sitting", "Left arm"].
+     *
+     * @return list<string>
+     */
+    public function labels(?array $context): array
+    {
+        if (! $context) {
+            return [];
+        }
+
+        $labels = [];
+
+        foreach ($this->definitions() as $name => $group) {
+            foreach ((array) ($context[$name] ?? []) as $tag) {
+                if (isset($group['options'][$tag])) {
+                    $labels[] = $group['options'][$tag];
+                }
+            }
+        }
+
+        return $labels;
+    }
+}
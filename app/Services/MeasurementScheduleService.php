@@ -0,0 +1,291 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\MeasurementSchedule;
+use App\Models\User;
+use Illuminate\Database\Eloquent\Collection;
+use Illuminate\Support\Carbon;
+use Illuminate\Support\Collection as SupportCollection;
+use Illuminate\Support\Facades\DB;
+
+class MeasurementScheduleService
+{
+    /**
+     * Minutes after a reminder time before a missing reading counts as overdue.
+     */
+    public const GRACE_MINUTES = 60;
+
+    public function __construct(
+        protected VitalSignsService $vitalSignsService = new VitalSignsService
+    ) {}
+
+    /**
+     * Get a user's measurement schedules, active ones first.
+     */
+    public function getSchedules(User $user): Collection
+    {
+        return $user->measurementSchedules()
+            ->with(['vitalSignType', 'creator:id,name,role'])
+            ->orderByDesc('is_active')
+            ->orderBy('created_at')
+            ->get();
+    }
+
+    /**
+     * Create a measurement schedule for a user, set up by them or by their clinician.
+     */
+    public function create(User $user, array $data, ?User $createdBy = null): MeasurementSchedule
+    {
+        return DB::transaction(function () use ($user, $data, $createdBy) {
+            $schedule = $user->measurementSchedules()->create([
+                'vital_sign_type_id' => $data['vital_sign_type_id'],
+                'created_by' => ($createdBy ?? $user)->id,
+                'frequency' => $data['frequency'],
+                'target_count' => $data['target_count'],
+                'reminder_times' => $this->normalizeReminderTimes($data['frequency'], $data['reminder_times'] ?? null),
+                'reminders_enabled' => $data['reminders_enabled'] ?? true,
+                'is_active' => $data['is_active'] ?? true,
+                'starts_on' => $data['starts_on'] ?? now($user->preferredTimezone())->toDateString(),
+                'notes' => $data['notes'] ?? null,
+            ]);
+
+            return $schedule->load(['vitalSignType', 'creator:id,name,role']);
+        });
+    }
+
+    /**
+     * Update a measurement schedule.
+     */
+    public function update(MeasurementSchedule $schedule, array $data): MeasurementSchedule
+    {
+        $schedule->fill($data);
+
+        // Fixed times only apply to daily plans
+        if (array_key_exists('reminder_times', $data) || $schedule->isDirty('frequency')) {
+            $schedule->reminder_times = $this->normalizeReminderTimes($schedule->frequency, $schedule->reminder_times);
+        }
+
+        $schedule->save();
+
+        return $schedule->fresh(['vitalSignType', 'creator:id,name,role']);
+    }
+
+    /**
+     * Delete a measurement schedule.
+     */
+    public function delete(MeasurementSchedule $schedule): bool
+    {
+        return $schedule->delete();
+    }
+
+    /**
+     * Get the current period's status for each active schedule: readings taken,
+     * readings due so far and when the next one is due.
+     */
+    public function getDueReadings(User $user): array
+    {
+        $timezone = $user->preferredTimezone();
+        $now = now($timezone);
+        $schedules = $this->getActiveSchedules($user, $now);
+
+        if ($schedules->isEmpty()) {
+            return [];
+        }
+
+        // A week back covers the current period of both daily and weekly plans
+        $readings = $this->vitalSignsService->getRecentVitalSigns($user, 7)->groupBy('vital_sign_type_id');
+
+        return $schedules
+            ->map(fn (MeasurementSchedule $schedule) => $this->dueStatus(
+                $schedule,
+                $readings->get($schedule->vital_sign_type_id, collect()),
+                $now
+            ))
+            ->sortBy(fn (array $status) => array_search($status['status'], ['overdue', 'due', 'complete'], true))
+            ->values()
+            ->all();
+    }
+
+    /**
+     * Get the share of expected readings taken for each active schedule over the
+     * last number of days, per completed day or week.
+     */
+    public function getAdherence(User $user, int $days = 30): array
+    {
+        $timezone = $user->preferredTimezone();
+        $now = now($timezone);
+        $rangeStart = $now->copy()->startOfDay()->subDays($days - 1);
+        $schedules = $this->getActiveSchedules($user, $now);
+
+        // Weekly periods can start up to six days before the range does
+        $readings = $schedules->isEmpty()
+            ? collect()
+            : $this->vitalSignsService->getRecentVitalSigns($user, $days + 7)->groupBy('vital_sign_type_id');
+
+        $results = $schedules->map(function (MeasurementSchedule $schedule) use ($readings, $rangeStart, $now, $timezone) {
+            $counts = $readings->get($schedule->vital_sign_type_id, collect())
+                ->countBy(fn ($record) => $this->periodStart($schedule->frequency, $record->measured_at->copy()->setTimezone($timezone))->toDateString());
+
+            $periods = [];
+            $startsOn = Carbon::parse($schedule->starts_on->toDateString(), $timezone);
+            $period = $this->periodStart($schedule->frequency, $startsOn->max($rangeStart));
+            $currentPeriod = $this->periodStart($schedule->frequency, $now);
+
+            // The current period is still in progress, so it doesn't count yet
+            while ($period->lt($currentPeriod)) {
+                $completed = min($counts->get($period->toDateString(), 0), $schedule->target_count);
+
+                $periods[] = [
+                    'start' => $period->toDateString(),
+                    'expected' => $schedule->target_count,
+                    'completed' => $completed,
+                    'adherence' => round($completed / $schedule->target_count * 100, 1),
+                ];
+
+                $period = $schedule->frequency === 'weekly' ? $period->copy()->addWeek() : $period->copy()->addDay();
+            }
+
+            $expected = array_sum(array_column($periods, 'expected'));
+            $completed = array_sum(array_column($periods, 'completed'));
+
+            return [
+                'schedule_id' => $schedule->id,
+                'vital_sign_type' => $schedule->vitalSignType,
+                'frequency' => $schedule->frequency,
+                'target_count' => $schedule->target_count,
+                'expected_count' => $expected,
+                'completed_count' => $completed,
+                'adherence' => $expected > 0 ? round($completed / $expected * 100, 1) : null,
+                'periods' => $periods,
+            ];
+        });
+
+        $expected = $results->sum('expected_count');
+
+        return [
+            'days' => $days,
+            'overall' => $expected > 0 ? round($results->sum('completed_count') / $expected * 100, 1) : null,
+            'schedules' => $results->values()->all(),
+        ];
+    }
+
+    /**
+     * Get the active schedules that have already started.
+     */
+    protected function getActiveSchedules(User $user, Carbon $now): Collection
+    {
+        return $user->measurementSchedules()
+            ->with('vitalSignType')
+            ->where('is_active', true)
+            ->whereDate('starts_on', '<=', $now->toDateString())
+            ->get();
+    }
+
+    /**
+     * Work out how a schedule stands in the period containing now.
+     */
+    protected function dueStatus(MeasurementSchedule $schedule, SupportCollection $readings, Carbon $now): array
+    {
+        $periodStart = $this->periodStart($schedule->frequency, $now);
+        $periodEnd = $schedule->frequency === 'weekly'
+            ? $periodStart->copy()->endOfWeek(Carbon::SUNDAY)
+            : $periodStart->copy()->endOfDay();
+
+        $periodReadings = $readings->filter(fn ($record) => $record->measured_at->between($periodStart, $periodEnd));
+        $completed = $periodReadings->count();
+        $target = $schedule->target_count;
+
+        $dueCount = min($this->dueSoFar($schedule, $now, $periodEnd), $target);
+        $nextDueAt = $this->nextDueAt($schedule, $now, $completed);
+
+        $status = match (true) {
+            $completed >= $target => 'complete',
+            $completed < $dueCount => 'overdue',
+            default => 'due',
+        };
+
+        return [
+            'schedule_id' => $schedule->id,
+            'vital_sign_type' => $schedule->vitalSignType,
+            'frequency' => $schedule->frequency,
+            'target_count' => $target,
+            'completed_count' => $completed,
+            'due_count' => $dueCount,
+            'remaining_count' => max($target - $completed, 0),
+            'status' => $status,
+            'period_start' => $periodStart->toDateString(),
+            'period_end' => $periodEnd->toDateString(),
+            'next_due_at' => $nextDueAt?->toIso8601String(),
+            'last_measured_at' => $periodReadings->max('measured_at')?->toIso8601String(),
+            'remind' => $schedule->reminders_enabled && $status !== 'complete'
+                && ($status === 'overdue' || ($nextDueAt !== null && $nextDueAt->lte($now))),
+        ];
+    }
+
+    /**
+     * How many readings should have been taken by now in the current period.
+     */
+    protected function dueSoFar(MeasurementSchedule $schedule, Carbon $now, Carbon $periodEnd): int
+    {
+        // Weekly plans fall behind once there are fewer days left than readings outstanding
+        if ($schedule->frequency === 'weekly') {
+            $daysLeft = (int) $now->copy()->startOfDay()->diffInDays($periodEnd->copy()->startOfDay()) + 1;
+
+            return max($schedule->target_count - $daysLeft, 0);
+        }
+
+        // Daily plans without fixed times can be done any time today
+        return collect($schedule->reminder_times ?? [])
+            ->filter(fn (string $time) => $this->timeToday($time, $now)->addMinutes(self::GRACE_MINUTES)->lte($now))
+            ->count();
+    }
+
+    /**
+     * The reminder time of the next reading still to be taken today, if the plan has fixed times.
+     */
+    protected function nextDueAt(MeasurementSchedule $schedule, Carbon $now, int $completed): ?Carbon
+    {
+        $times = $schedule->reminder_times ?? [];
+
+        if ($schedule->frequency !== 'daily' || ! isset($times[$completed])) {
+            return null;
+        }
+
+        return $this->timeToday($times[$completed], $now);
+    }
+
+    /**
+     * The start of the day or week containing the given moment.
+     */
+    protected function periodStart(string $frequency, Carbon $moment): Carbon
+    {
+        return $frequency === 'weekly'
+            ? $moment->copy()->startOfWeek(Carbon::MONDAY)
+            : $moment->copy()->startOfDay();
+    }
+
+    /**
+     * An "HH:MM" time on the same local day as now.
+     */
+    protected function timeToday(string $time, Carbon $now): Carbon
+    {
+        [$hour, $minute] = array_map('intval', explode(':', $time));
+
+        return $now->copy()->setTime($hour, $minute);
+    }
+
+    /**
+     * Sort reminder times, dropping them for weekly plans.
+     */
+    protected function normalizeReminderTimes(string $frequency, ?array $times): ?array
+    {
+        if ($frequency !== 'daily' || empty($times)) {
+            return null;
+        }
+
+        sort($times);
+
+        return array_values($times);
+    }
+}
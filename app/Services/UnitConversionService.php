@@ -0,0 +1,93 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\VitalSignType;
+use InvalidArgumentException;
+
+class UnitConversionService
+{
+    /**
+     * Pounds in one kilogram.
+     */
+    public const KG_TO_LBS = 2.20462;
+
+    /**
+     * Blood glucose mg/dL in one mmol/L (molar mass of glucose / 10).
+     */
+    public const GLUCOSE_MG_DL_PER_MMOL_L = 18.0182;
+
+    /**
+     * Get the supported unit conversions keyed by source and target unit.
+     *
+     * @return array<string, array<string, callable(float): float>>
+     */
+    protected function conversions(): array
+    {
+        return [
+            '°C' => ['°F' => fn (float $value) => $value * 9 / 5 + 32],
+            '°F' => ['°C' => fn (float $value) => ($value - 32) * 5 / 9],
+            'kg' => ['lbs' => fn (float $value) => $value * self::KG_TO_LBS],
+            'lbs' => ['kg' => fn (float $value) => $value / self::KG_TO_LBS],
+            'mg/dL' => ['mmol/L' => fn (float $value) => $value / self::GLUCOSE_MG_DL_PER_MMOL_L],
+            'mmol/L' => ['mg/dL' => fn (float $value) => $value * self::GLUCOSE_MG_DL_PER_MMOL_L],
+        ];
+    }
+
+    /**
+     * Check if a value can be converted between two units.
+     */
+    public function canConvert(string $from, string $to): bool
+    {
+        return $from === $to || isset($this->conversions()[$from][$to]);
+    }
+
+    /**
+     * Convert a value from one unit to another.
+     */
+    public function convert(float $value, string $from, string $to): float
+    {
+        if ($from === $to) {
+            return $value;
+        }
+
+        $converter = $this->conversions()[$from][$to] ?? null;
+
+        if (! $converter) {
+            throw new InvalidArgumentException("Cannot convert from {$from} to {$to}.");
+        }
+
+        return $converter($value);
+    }
+
+    /**
+     * Get every unit a vital sign type can be entered or displayed in.
+     *
+     * @return list<string>
+     */
+    public function supportedUnits(VitalSignType $vitalSignType): array
+    {
+        $units = [$vitalSignType->unit_primary];
+
+        // For dual-value types the secondary unit belongs to the second value, not an alternative
+        if ($vitalSignType->unit_secondary && ! $vitalSignType->has_secondary_value) {
+            $units[] = $vitalSignType->unit_secondary;
+        }
+
+        $units = array_merge($units, array_keys($this->conversions()[$vitalSignType->unit_primary] ?? []));
+
+        return array_values(array_unique($units));
+    }
+
+    /**
+     * Convert a value into the canonical (primary) unit of a vital sign type.
+     */
+    public function toCanonical(VitalSignType $vitalSignType, float $value, ?string $unit): float
+    {
+        if (! $unit || ! $this->canConvert($unit, $vitalSignType->unit_primary)) {
+            return $value;
+        }
+
+        return round($this->convert($value, $unit, $vitalSignType->unit_primary), 2);
+    }
+}
@@ -0,0 +1,122 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\User;
+use App\Models\VitalSignsRecord;
+use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Database\Eloquent\Relations\HasMany;
+
+class VitalSignsExportService
+{
+    /**
+     * Column headings, worded so an exported file can be imported again.
+     */
+    public const CSV_HEADINGS = [
+        'Measured At',
+        'Type',
+        'Value',
+        'Diastolic',
+        'Unit',
+        'Method',
+        'Device',
+        'Context',
+        'Notes',
+        'Flagged',
+        'Flag Reason',
+    ];
+
+    public function __construct(
+        protected MeasurementContextService $measurementContextService = new MeasurementContextService
+    ) {}
+
+    /**
+     * Write the records as CSV to the output stream, oldest first.
+     */
+    public function streamCsv(User $user, Builder|HasMany $query): void
+    {
+        $handle = fopen('php://output', 'w');
+        fputcsv($handle, self::CSV_HEADINGS);
+
+        $this->ordered($query)->lazy()->each(function (VitalSignsRecord $record) use ($handle, $user) {
+            fputcsv($handle, $this->toCsvRow($user, $record));
+        });
+
+        fclose($handle);
+    }
+
+    /**
+     * The records as plain arrays for a JSON export, oldest first.
+     */
+    public function toArray(User $user, Builder|HasMany $query): array
+    {
+        return $this->ordered($query)->get()
+            ->map(fn (VitalSignsRecord $record) => [
+                'id' => $record->id,
+                'measured_at' => $this->localTime($user, $record),
+                'type' => $record->vitalSignType?->name,
+                'type_name' => $record->vitalSignType?->display_name,
+                'value_primary' => (float) $record->value_primary,
+                'value_secondary' => $record->value_secondary !== null ? (float) $record->value_secondary : null,
+                'unit' => $record->unit,
+                'measurement_method' => $record->measurement_method,
+                'device_name' => $record->device_name,
+                'context' => $record->context,
+                'notes' => $record->notes,
+                'is_flagged' => (bool) $record->is_flagged,
+                'flag_reason' => $record->flag_reason,
+            ])
+            ->all();
+    }
+
+    /**
+     * A download filename like "vital-signs-2025-09-30.csv".
+     */
+    public function filename(User $user, string $extension): string
+    {
+        return 'vital-signs-'.now($user->preferredTimezone())->toDateString().'.'.$extension;
+    }
+
+    /**
+     * One CSV line for a record.
+     */
+    protected function toCsvRow(User $user, VitalSignsRecord $record): array
+    {
+        $labels = $this->measurementContextService->labels($record->context);
+
+        return [
+            $this->localTime($user, $record),
+            $record->vitalSignType?->display_name,
+            $record->value_primary,
+            $record->value_secondary,
+            $record->unit,
+            $record->measurement_method,
+            $this->spreadsheetSafe($record->device_name),
+            implode('; ', $labels),
+            $this->spreadsheetSafe($record->notes),
+            $record->is_flagged ? 'yes' : 'no',
+            $this->spreadsheetSafe($record->flag_reason),
+        ];
+    }
+
+    /**
+     * Prefix free text that a spreadsheet would run as a formula with an apostrophe.
+     */
+    protected function spreadsheetSafe(?string $text): ?string
+    {
+        return $text !== null && preg_match('/^[=+\-@]/', $text) ? "'".$text : $text;
+    }
+
+    /**
+     * Measurement time in the user's timezone, with its offset.
+     */
+    protected function localTime(User $user, VitalSignsRecord $record): string
+    {
+        return $record->measured_at->copy()->setTimezone($user->preferredTimezone())->toIso8601String();
+    }
+
+    protected function ordered(Builder|HasMany $query): Builder|HasMany
+    {
+        return $query->with('vitalSignType')->reorder()->orderBy('measured_at')->orderBy('id');
+    }
+}
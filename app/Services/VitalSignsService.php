@@ -6,12 +6,24 @@
 use App\Models\VitalSignsRecord;
 use App\Models\VitalSignType;
 use Illuminate\Database\Eloquent\Collection;
+use Illuminate\Database\Eloquent\Relations\HasMany;
 use Illuminate\Pagination\LengthAwarePaginator;
+use Illuminate\Support\Carbon;
 use Illuminate\Support\Facades\DB;
 use Illuminate\Support\Str;
 
 class VitalSignsService
 {
+    /**
+     * Longest notes a record can have, as CreateVitalSignsRequest allows.
+     */
+    public const MAX_NOTES_LENGTH = 1000;
+
+    public function __construct(
+        protected UnitConversionService $unitConversionService = new UnitConversionService,
+        protected MeasurementContextService $measurementContextService = new MeasurementContextService
+    ) {}
+
     /**
      * Create a new vital signs record.
      */
@@ -25,16 +37,21 @@ public function create(User $user, array $data): VitalSignsRecord
             $record = new VitalSignsRecord([
                 'id' => Str::uuid(),
                 'user_id' => $user->id,
+                'client_id' => $data['client_id'] ?? null,
                 'vital_sign_type_id' => $data['vital_sign_type_id'],
                 'value_primary' => $data['value_primary'],
                 'value_secondary' => $data['value_secondary'] ?? null,
                 'unit' => $data['unit'],
-                'measured_at' => $data['measured_at'],
+                'measured_at' => $this->toUtc($data['measured_at']),
                 'notes' => $data['notes'] ?? null,
                 'measurement_method' => $data['measurement_method'],
                 'device_name' => $data['device_name'] ?? null,
+                'context' => $this->measurementContextService->normalize($vitalSignType, $data['context'] ?? null),
             ]);
 
+            // Store readings in the type's primary unit
+            $this->convertToCanonicalUnit($record, $vitalSignType);
+
             // Check if the value should be flagged
             $this->evaluateAndFlagRecord($record, $vitalSignType);
 
@@ -44,6 +61,29 @@ public function create(User $user, array $data): VitalSignsRecord
         });
     }
 
+    /**
+     * Find a reading that was already synced from the given offline client id.
+     */
+    public function findSyncedRecord(User $user, string $clientId): ?VitalSignsRecord
+    {
+        return $user->vitalSignsRecords()
+            ->where('client_id', $clientId)
+            ->with(['vitalSignType', 'user'])
+            ->first();
+    }
+
+    /**
+     * Find an existing reading of the same type taken at the same time.
+     */
+    public function findConflictingRecord(User $user, array $data): ?VitalSignsRecord
+    {
+        return $user->vitalSignsRecords()
+            ->where('vital_sign_type_id', $data['vital_sign_type_id'])
+            ->where('measured_at', $this->toUtc($data['measured_at']))
+            ->with('vitalSignType')
+            ->first();
+    }
+
     /**
      * Update an existing vital signs record.
      */
@@ -53,11 +93,27 @@ public function update(VitalSignsRecord $record, array $data): VitalSignsRecord
             // Update the record with provided data
             $record->fill(array_filter($data, fn ($value) => $value !== null));
 
+            if (isset($data['measured_at'])) {
+                $record->measured_at = $this->toUtc($data['measured_at']);
+            }
+
             // Get the vital sign type (might have changed)
             $vitalSignType = VitalSignType::findOrFail($record->vital_sign_type_id);
 
+            // An empty context clears the tags, so it is applied even when null
+            if (array_key_exists('context', $data)) {
+                $record->context = $this->measurementContextService->normalize($vitalSignType, $data['context']);
+            }
+
+            // Stored values are canonical already; only those sent now are in the given unit
+            $sentValues = array_keys(array_filter(
+                array_intersect_key($data, array_flip(['value_primary', 'value_secondary'])),
+                fn ($value) => $value !== null
+            ));
+            $this->convertToCanonicalUnit($record, $vitalSignType, $sentValues);
+
             // Re-evaluate flagging if values changed
-            if (isset($data['value_primary']) || isset($data['value_secondary'])) {
+            if (isset($data['value_primary']) || isset($data['value_secondary']) || isset($data['unit'])) {
                 $this->evaluateAndFlagRecord($record, $vitalSignType);
             }
 
@@ -76,32 +132,163 @@ public function delete(VitalSignsRecord $record): bool
     }
 
     /**
-     * Get vital signs records for a user with filtering and pagination.
+     * Get vital signs records for a user with filtering, sorting and pagination.
      */
     public function getUserVitalSigns(
         User $user,
         ?int $vitalSignTypeId = null,
         ?string $startDate = null,
         ?string $endDate = null,
-        int $perPage = 15
+        int $perPage = 15,
+        array $context = [],
+        string $sort = 'measured_at',
+        string $direction = 'desc'
     ): LengthAwarePaginator {
-        $query = $user->vitalSignsRecords()
-            ->with(['vitalSignType'])
-            ->orderBy('measured_at', 'desc');
+        $query = $this->filteredQuery($user, $vitalSignTypeId, $startDate, $endDate, $context)
+            ->with(['vitalSignType']);
+
+        match ($sort) {
+            'value' => $query->orderBy('value_primary', $direction)->orderBy('value_secondary', $direction),
+            'type' => $query->orderBy(
+                VitalSignType::select('display_name')->whereColumn('vital_sign_types.id', 'vital_signs_records.vital_sign_type_id'),
+                $direction
+            ),
+            'flagged' => $query->orderBy('is_flagged', $direction),
+            default => $query->orderBy('measured_at', $direction),
+        };
+
+        // Newest first within equal values, and a stable order across pages
+        $query->orderBy('measured_at', 'desc')->orderBy('id');
+
+        return $query->paginate($perPage);
+    }
+
+    /**
+     * Resolve a bulk selection to a query: either a list of record ids, or every
+     * record matching the list filters apart from the ones deselected.
+     */
+    public function selectRecords(User $user, array $selection): HasMany
+    {
+        if (empty($selection['all'])) {
+            return $user->vitalSignsRecords()->whereIn('id', $selection['ids'] ?? []);
+        }
+
+        $filters = $selection['filters'] ?? [];
+
+        return $this->filteredQuery(
+            $user,
+            isset($filters['vital_sign_type_id']) ? (int) $filters['vital_sign_type_id'] : null,
+            $filters['start_date'] ?? null,
+            $filters['end_date'] ?? null,
+            array_intersect_key($filters['context'] ?? [], $this->measurementContextService->definitions())
+        )->whereNotIn('id', $selection['except'] ?? []);
+    }
+
+    /**
+     * Delete every record in a bulk selection.
+     */
+    public function bulkDelete(User $user, array $selection): int
+    {
+        return DB::transaction(function () use ($user, $selection) {
+            $deleted = 0;
+
+            // One at a time so model events (and their cleanup) still run
+            $this->selectRecords($user, $selection)->lazyById()->each(function (VitalSignsRecord $record) use (&$deleted) {
+                $deleted += $this->delete($record) ? 1 : 0;
+            });
+
+            return $deleted;
+        });
+    }
+
+    /**
+     * Change the measurement method or device of every record in a bulk
+     * selection, and/or add a note to each. Records whose notes would grow past
+     * the usual limit are skipped.
+     */
+    public function bulkUpdate(User $user, array $selection, array $changes): array
+    {
+        $results = [
+            'updated' => 0,
+            'skipped' => 0,
+        ];
+
+        DB::transaction(function () use ($user, $selection, $changes, &$results) {
+            $this->selectRecords($user, $selection)->lazyById()->each(function (VitalSignsRecord $record) use ($changes, &$results) {
+                if (array_key_exists('measurement_method', $changes)) {
+                    $record->measurement_method = $changes['measurement_method'];
+
+                    // A device name only applies to device readings
+                    if ($record->measurement_method !== 'device') {
+                        $record->device_name = null;
+                    }
+                }
+
+                if (array_key_exists('device_name', $changes) && $record->measurement_method === 'device') {
+                    $record->device_name = $changes['device_name'];
+                }
+
+                if (! empty($changes['note'])) {
+                    $notes = $record->notes ? $record->notes."\n".$changes['note'] : $changes['note'];
+
+                    if (mb_strlen($notes) > self::MAX_NOTES_LENGTH) {
+                        $results['skipped']++;
+
+                        return;
+                    }
+
+                    $record->notes = $notes;
+                }
+
+                if ($record->isDirty()) {
+                    $record->save();
+                    $results['updated']++;
+                }
+            });
+        });
+
+        return $results;
+    }
+
+    /**
+     * The user's records narrowed by the list filters. Date filters name
+     * calendar days in the user's timezone.
+     */
+    protected function filteredQuery(
+        User $user,
+        ?int $vitalSignTypeId = null,
+        ?string $startDate = null,
+        ?string $endDate = null,
+        array $context = []
+    ): HasMany {
+        $query = $user->vitalSignsRecords();
 
         if ($vitalSignTypeId) {
             $query->where('vital_sign_type_id', $vitalSignTypeId);
         }
 
+        $timezone = $user->preferredTimezone();
+
         if ($startDate) {
-            $query->whereDate('measured_at', '>=', $startDate);
+            $query->where('measured_at', '>=', Carbon::parse($startDate, $timezone)->startOfDay()->utc());
         }
 
         if ($endDate) {
-            $query->whereDate('measured_at', '<=', $endDate);
+            $query->where('measured_at', '<=', Carbon::parse($endDate, $timezone)->endOfDay()->utc());
         }
 
-        return $query->paginate($perPage);
+        // Tags within a group are single values, except for multi-tag groups like symptoms
+        $definitions = $this->measurementContextService->definitions();
+
+        foreach ($context as $group => $value) {
+            if (! empty($definitions[$group]['multiple'])) {
+                $query->whereJsonContains("context->{$group}", $value);
+            } else {
+                $query->where("context->{$group}", $value);
+            }
+        }
+
+        return $query;
     }
 
     /**
@@ -131,13 +318,15 @@ public function getFlaggedRecords(User $user): Collection
     /**
      * Get vital signs summary statistics for a user.
      */
-    public function getUserSummary(User $user, int $days = 30): array
+    public function getUserSummary(User $user, int $days = 30, ?int $vitalSignTypeId = null): array
     {
-        $startDate = now()->subDays($days);
+        // Whole calendar days in the user's timezone, matching the by_day buckets
+        $startDate = now($user->preferredTimezone())->subDays($days - 1)->startOfDay()->utc();
 
         $records = $user->vitalSignsRecords()
             ->with('vitalSignType')
             ->where('measured_at', '>=', $startDate)
+            ->when($vitalSignTypeId, fn ($query) => $query->where('vital_sign_type_id', $vitalSignTypeId))
             ->get();
 
         $summary = [
@@ -145,6 +334,7 @@ public function getUserSummary(User $user, int $days = 30): array
             'flagged_records' => $records->where('is_flagged', true)->count(),
             'by_type' => [],
             'recent_activity' => $records->take(5),
+            'by_day' => $this->countByDay($user, $records),
         ];
 
         // Group by vital sign type
@@ -161,6 +351,26 @@ public function getUserSummary(User $user, int $days = 30): array
         return $summary;
     }
 
+    /**
+     * Readings and flagged readings per calendar day in the user's timezone,
+     * oldest day first. Days without readings are left out.
+     */
+    protected function countByDay(User $user, Collection $records): array
+    {
+        $timezone = $user->preferredTimezone();
+
+        return $records
+            ->groupBy(fn (VitalSignsRecord $record) => $record->measured_at->copy()->setTimezone($timezone)->toDateString())
+            ->sortKeys()
+            ->map(fn ($dayRecords, string $date) => [
+                'date' => $date,
+                'count' => $dayRecords->count(),
+                'flagged' => $dayRecords->where('is_flagged', true)->count(),
+            ])
+            ->values()
+            ->all();
+    }
+
     /**
      * Get vital signs for a specific type over time.
      */
@@ -177,6 +387,39 @@ public function getVitalSignsByType(
             ->get();
     }
 
+    /**
+     * Convert a submitted timestamp, which may carry any offset, to UTC for storage.
+     */
+    protected function toUtc(mixed $measuredAt): Carbon
+    {
+        return Carbon::parse($measuredAt)->utc();
+    }
+
+    /**
+     * Convert a record's values into the primary unit of its vital sign type.
+     * Only `$fields` are taken to be in the record's unit.
+     */
+    protected function convertToCanonicalUnit(
+        VitalSignsRecord $record,
+        VitalSignType $vitalSignType,
+        array $fields = ['value_primary', 'value_secondary']
+    ): void {
+        $unit = $record->unit;
+
+        if (! $unit || $unit === $vitalSignType->unit_primary
+            || ! $this->unitConversionService->canConvert($unit, $vitalSignType->unit_primary)) {
+            return;
+        }
+
+        foreach ($fields as $field) {
+            if ($record->{$field} !== null) {
+                $record->{$field} = $this->unitConversionService->toCanonical($vitalSignType, (float) $record->{$field}, $unit);
+            }
+        }
+
+        $record->unit = $vitalSignType->unit_primary;
+    }
+
     /**
      * Evaluate if a record should be flagged based on vital sign type ranges.
      */
@@ -98,6 +98,97 @@ public function checkPhysiologicalLimits(VitalSignType $vitalSignType, string $p
         };
     }
 
+    /**
+     * Check a value against the type's entry widget: one of the listed choices for
+     * selects, on the step grid for scales and steppers. Returns an error message or null.
+     */
+    public function checkInputOptions(VitalSignType $vitalSignType, float $value): ?string
+    {
+        $options = $vitalSignType->input_options ?? [];
+
+        if ($vitalSignType->input_type === 'select') {
+            $choices = array_map(fn (array $choice) => (float) $choice['value'], $options['choices'] ?? []);
+
+            return $choices !== [] && ! in_array($value, $choices, true)
+                ? 'Please choose one of the listed options.'
+                : null;
+        }
+
+        if (in_array($vitalSignType->input_type, ['scale', 'stepper'], true)) {
+            $step = (float) ($options['step'] ?? 1);
+
+            // A type without a usable step has no grid to keep to
+            if ($step <= 0) {
+                return null;
+            }
+
+            $steps = ($value - (float) ($vitalSignType->min_value ?? 0)) / $step;
+
+            if (abs($steps - round($steps)) > 1e-6) {
+                return 'The measurement value must be in steps of '.(0 + $step).'.';
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check a submitted reading against its type: value limits (in the type's
+     * primary unit), entry widget options, the secondary value, the unit and
+     * context tags. Returns error messages keyed by field.
+     *
+     * @return array<string, array<int, string>>
+     */
+    public function checkReadingInput(VitalSignType $vitalSignType, array $data): array
+    {
+        $unitConversion = app(UnitConversionService::class);
+        $unit = $data['unit'] ?? null;
+        $errors = [];
+
+        if (isset($data['value_primary']) && is_numeric($data['value_primary'])) {
+            // Limits are defined in the type's primary unit
+            $primaryValue = $unitConversion->toCanonical($vitalSignType, (float) $data['value_primary'], $unit);
+
+            if ($vitalSignType->min_value !== null && $primaryValue < $vitalSignType->min_value) {
+                $errors['value_primary'][] = "The measurement value must be at least {$vitalSignType->min_value} {$vitalSignType->unit_primary}.";
+            }
+
+            if ($vitalSignType->max_value !== null && $primaryValue > $vitalSignType->max_value) {
+                $errors['value_primary'][] = "The measurement value cannot exceed {$vitalSignType->max_value} {$vitalSignType->unit_primary}.";
+            }
+
+            // Scales, steppers and selects only accept the values they offer
+            $inputError = $this->checkInputOptions($vitalSignType, $primaryValue);
+
+            if ($inputError) {
+                $errors['value_primary'][] = $inputError;
+            }
+        }
+
+        $secondary = $data['value_secondary'] ?? null;
+
+        if ($vitalSignType->has_secondary_value && $secondary === null) {
+            $errors['value_secondary'][] = 'A secondary value is required for this type of measurement.';
+        }
+
+        if (! $vitalSignType->has_secondary_value && $secondary !== null) {
+            $errors['value_secondary'][] = 'Secondary value is not applicable for this type of measurement.';
+        }
+
+        if ($unit && ! in_array($unit, $unitConversion->supportedUnits($vitalSignType), true)) {
+            $errors['unit'][] = 'Unit must be one of: '.implode(', ', $unitConversion->supportedUnits($vitalSignType));
+        }
+
+        // Context tags must belong to the groups for this type
+        if (isset($data['context']) && is_array($data['context'])) {
+            foreach (app(MeasurementContextService::class)->validate($vitalSignType, $data['context']) as $group => $message) {
+                $errors["context.{$group}"][] = $message;
+            }
+        }
+
+        return $errors;
+    }
+
     /**
      * Validate blood pressure physiological limits.
      */
@@ -0,0 +1,30 @@
+<?php
+
+namespace Database\Factories;
+
+use App\Models\FlagReview;
+use App\Models\VitalSignsRecord;
+use Illuminate\Database\Eloquent\Factories\Factory;
+use Illuminate\Support\Str;
+
+/**
+ * @extends \Illuminate\Database\Eloquent\Factories\Factory<\App\Models\FlagReview>
+ */
+class FlagReviewFactory extends Factory
+{
+    /**
+     * Define the model's default state.
+     *
+     * @return array<string, mixed>
+     */
+    public function definition(): array
+    {
+        return [
+            'id' => Str::uuid(),
+            'vital_signs_record_id' => VitalSignsRecord::factory()->flagged(),
+            'reviewed_by' => null,
+            'outcome' => fake()->randomElement(array_keys(FlagReview::OUTCOMES)),
+            'notes' => fake()->optional(0.5)->sentence(),
+        ];
+    }
+}
@@ -0,0 +1,60 @@
+<?php
+
+namespace Database\Factories;
+
+use App\Models\User;
+use App\Models\VitalSignType;
+use Illuminate\Database\Eloquent\Factories\Factory;
+use Illuminate\Support\Str;
+
+/**
+ * @extends \Illuminate\Database\Eloquent\Factories\Factory<\App\Models\MeasurementSchedule>
+ */
+class MeasurementScheduleFactory extends Factory
+{
+    /**
+     * Define the model's default state.
+     *
+     * @return array<string, mixed>
+     */
+    public function definition(): array
+    {
+        return [
+            'id' => Str::uuid(),
+            'user_id' => User::factory(),
+            'vital_sign_type_id' => VitalSignType::factory(),
+            'created_by' => null,
+            'frequency' => 'daily',
+            'target_count' => 1,
+            'reminder_times' => null,
+            'reminders_enabled' => true,
+            'is_active' => true,
+            'starts_on' => now()->subDays(30)->toDateString(),
+            'notes' => null,
+        ];
+    }
+
+    /**
+     * Readings due at fixed times each day, e.g. twice daily at 08:00 and 20:00.
+     */
+    public function dailyAt(string ...$times): static
+    {
+        return $this->state(fn (array $attributes) => [
+            'frequency' => 'daily',
+            'target_count' => count($times),
+            'reminder_times' => $times,
+        ]);
+    }
+
+    /**
+     * A number of readings due each week.
+     */
+    public function weekly(int $targetCount = 1): static
+    {
+        return $this->state(fn (array $attributes) => [
+            'frequency' => 'weekly',
+            'target_count' => $targetCount,
+            'reminder_times' => null,
+        ]);
+    }
+}
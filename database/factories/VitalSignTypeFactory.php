@@ -117,7 +117,8 @@ public function oxygenSaturation(): static
             'warning_range_min' => 90,
             'warning_range_max' => 100,
             'has_secondary_value' => false,
-            'input_type' => 'single',
+            'input_type' => 'stepper',
+            'input_options' => ['step' => 1],
             'is_active' => true,
         ]);
     }
@@ -144,6 +145,62 @@ public function bloodGlucose(): static
         ]);
     }
 
+    /**
+     * Create pain level type (0-10 scale).
+     */
+    public function painScale(): static
+    {
+        return $this->state(fn (array $attributes) => [
+            'name' => 'pain_level',
+            'display_name' => 'Pain Level',
+            'unit_primary' => 'score',
+            'unit_secondary' => null,
+            'min_value' => 0,
+            'max_value' => 10,
+            'normal_range_min' => 0,
+            'normal_range_max' => 3,
+            'warning_range_min' => 0,
+            'warning_range_max' => 7,
+            'has_secondary_value' => false,
+            'input_type' => 'scale',
+            'input_options' => [
+                'step' => 1,
+                'labels' => ['0' => 'No pain', '5' => 'Moderate', '10' => 'Worst possible'],
+            ],
+            'is_active' => true,
+        ]);
+    }
+
+    /**
+     * Create ankle swelling type (coded select).
+     */
+    public function swellingSelect(): static
+    {
+        return $this->state(fn (array $attributes) => [
+            'name' => 'ankle_swelling',
+            'display_name' => 'Ankle Swelling',
+            'unit_primary' => 'grade',
+            'unit_secondary' => null,
+            'min_value' => 0,
+            'max_value' => 3,
+            'normal_range_min' => 0,
+            'normal_range_max' => 0,
+            'warning_range_min' => 0,
+            'warning_range_max' => 2,
+            'has_secondary_value' => false,
+            'input_type' => 'select',
+            'input_options' => [
+                'choices' => [
+                    ['value' => 0, 'label' => 'None'],
+                    ['value' => 1, 'label' => 'Mild'],
+                    ['value' => 2, 'label' => 'Moderate'],
+                    ['value' => 3, 'label' => 'Severe'],
+                ],
+            ],
+            'is_active' => true,
+        ]);
+    }
+
     /**
      * Create inactive vital sign type.
      */
@@ -0,0 +1,32 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('vital_signs_records', function (Blueprint $table) {
+            $table->uuid('client_id')->nullable()->after('user_id')->comment('Client-generated id for readings recorded offline');
+
+            // Replayed offline readings must not be stored twice
+            $table->unique(['user_id', 'client_id'], 'idx_offline_client_id');
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('vital_signs_records', function (Blueprint $table) {
+            $table->dropUnique('idx_offline_client_id');
+            $table->dropColumn('client_id');
+        });
+    }
+};
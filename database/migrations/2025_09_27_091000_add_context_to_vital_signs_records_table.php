@@ -0,0 +1,28 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('vital_signs_records', function (Blueprint $table) {
+            $table->json('context')->nullable()->after('device_name')->comment('Context tags such as posture, arm or meal state');
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('vital_signs_records', function (Blueprint $table) {
+            $table->dropColumn('context');
+        });
+    }
+};
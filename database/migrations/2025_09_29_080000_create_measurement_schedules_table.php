@@ -0,0 +1,40 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('measurement_schedules', function (Blueprint $table) {
+            $table->uuid('id')->primary();
+            $table->foreignUuid('user_id')->constrained()->onDelete('cascade');
+            $table->foreignId('vital_sign_type_id')->constrained()->onDelete('cascade');
+            $table->foreignUuid('created_by')->nullable()->constrained('users')->onDelete('set null');
+            $table->enum('frequency', ['daily', 'weekly']);
+            $table->unsignedTinyInteger('target_count')->default(1)->comment('Readings expected per day or week');
+            $table->json('reminder_times')->nullable()->comment('Local "HH:MM" times each daily reading is due');
+            $table->boolean('reminders_enabled')->default(true);
+            $table->boolean('is_active')->default(true);
+            $table->date('starts_on');
+            $table->text('notes')->nullable();
+            $table->timestamps();
+
+            $table->unique(['user_id', 'vital_sign_type_id']);
+            $table->index(['user_id', 'is_active']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('measurement_schedules');
+    }
+};
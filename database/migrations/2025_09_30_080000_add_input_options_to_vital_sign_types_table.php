@@ -0,0 +1,31 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('vital_sign_types', function (Blueprint $table) {
+            // A plain string so new entry widgets don't need an enum change
+            $table->string('input_type', 20)->default('single')->comment('single, dual, text, scale, stepper or select')->change();
+            $table->json('input_options')->nullable()->after('input_type')->comment('Entry widget settings such as step, scale labels or choices');
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('vital_sign_types', function (Blueprint $table) {
+            $table->dropColumn('input_options');
+            $table->enum('input_type', ['single', 'dual', 'text'])->default('single')->change();
+        });
+    }
+};
@@ -0,0 +1,38 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Support\Facades\DB;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        // Types seeded before entry widgets existed still use the plain number input
+        DB::table('vital_sign_types')
+            ->where('name', 'oxygen_saturation')
+            ->where('input_type', 'single')
+            ->update([
+                'input_type' => 'stepper',
+                'input_options' => json_encode(['step' => 1]),
+                'updated_at' => now(),
+            ]);
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        DB::table('vital_sign_types')
+            ->where('name', 'oxygen_saturation')
+            ->where('input_type', 'stepper')
+            ->update([
+                'input_type' => 'single',
+                'input_options' => null,
+                'updated_at' => now(),
+            ]);
+    }
+};
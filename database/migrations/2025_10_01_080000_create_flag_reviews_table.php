@@ -0,0 +1,33 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('flag_reviews', function (Blueprint $table) {
+            $table->uuid('id')->primary();
+            $table->foreignUuid('vital_signs_record_id')->constrained('vital_signs_records')->onDelete('cascade');
+            $table->foreignUuid('reviewed_by')->nullable()->constrained('users')->onDelete('set null');
+            $table->string('outcome', 30)->comment('remeasured, symptoms, contacted_provider or no_action');
+            $table->text('notes')->nullable();
+            $table->timestamps();
+
+            $table->index(['vital_signs_record_id', 'created_at']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('flag_reviews');
+    }
+};
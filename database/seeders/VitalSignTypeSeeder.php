@@ -42,7 +42,8 @@ public function run(): void
                 'warning_range_min' => 90.00,
                 'warning_range_max' => 100.00,
                 'has_secondary_value' => false,
-                'input_type' => 'single',
+                'input_type' => 'stepper',
+                'input_options' => json_encode(['step' => 1]),
                 'is_active' => true,
                 'created_at' => now(),
                 'updated_at' => now(),
@@ -115,8 +116,78 @@ public function run(): void
                 'created_at' => now(),
                 'updated_at' => now(),
             ],
+            [
+                'name' => 'pain_level',
+                'display_name' => 'Pain Level',
+                'unit_primary' => 'score',
+                'unit_secondary' => null,
+                'min_value' => 0.00,
+                'max_value' => 10.00,
+                'normal_range_min' => 0.00,
+                'normal_range_max' => 3.00,
+                'warning_range_min' => 0.00,
+                'warning_range_max' => 7.00,
+                'has_secondary_value' => false,
+                'input_type' => 'scale',
+                'input_options' => json_encode([
+                    'step' => 1,
+                    'labels' => ['0' => 'No pain', '5' => 'Moderate', '10' => 'Worst possible'],
+                ]),
+                'is_active' => true,
+                'created_at' => now(),
+                'updated_at' => now(),
+            ],
+            [
+                'name' => 'mood',
+                'display_name' => 'Mood',
+                'unit_primary' => 'score',
+                'unit_secondary' => null,
+                'min_value' => 1.00,
+                'max_value' => 5.00,
+                'normal_range_min' => 3.00,
+                'normal_range_max' => 5.00,
+                'warning_range_min' => 2.00,
+                'warning_range_max' => 5.00,
+                'has_secondary_value' => false,
+                'input_type' => 'scale',
+                'input_options' => json_encode([
+                    'step' => 1,
+                    'labels' => ['1' => 'Very low', '2' => 'Low', '3' => 'Okay', '4' => 'Good', '5' => 'Very good'],
+                ]),
+                'is_active' => true,
+                'created_at' => now(),
+                'updated_at' => now(),
+            ],
+            [
+                'name' => 'ankle_swelling',
+                'display_name' => 'Ankle Swelling',
+                'unit_primary' => 'grade',
+                'unit_secondary' => null,
+                'min_value' => 0.00,
+                'max_value' => 3.00,
+                'normal_range_min' => 0.00,
+                'normal_range_max' => 0.00,
+                'warning_range_min' => 0.00,
+                'warning_range_max' => 2.00,
+                'has_secondary_value' => false,
+                'input_type' => 'select',
+                'input_options' => json_encode([
+                    'choices' => [
+                        ['value' => 0, 'label' => 'None'],
+                        ['value' => 1, 'label' => 'Mild'],
+                        ['value' => 2, 'label' => 'Moderate'],
+                        ['value' => 3, 'label' => 'Severe'],
+                    ],
+                ]),
+                'is_active' => true,
+                'created_at' => now(),
+                'updated_at' => now(),
+            ],
         ];
 
+        // Every row needs the same columns for a single insert
+        $vitalSignTypes = array_map(fn (array $type) => $type + ['input_options' => null], $vitalSignTypes);
+
         DB::table('vital_sign_types')->insert($vitalSignTypes);
     }
 }
@@ -0,0 +1,200 @@
+import React, { useState } from 'react';
+import { Button } from '@/Components/ui/button';
+import { Input } from '@/Components/ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/Components/ui/select';
+import { Sheet, SheetContent, SheetHeader, SheetTitle, SheetDescription } from '@/Components/ui/sheet';
+import { Download, Loader2, Pencil, Trash2, X } from 'lucide-react';
+import { MEASUREMENT_METHODS } from '@/lib/vitalSignsValidation';
+
+const KEEP = 'keep';
+
+const EMPTY_CHANGES = { measurement_method: KEEP, device_name: '', note: '' };
+
+// Method, device and note to apply to every selected reading; blank fields are left as they are
+const BulkEditSheet = ({ open, onOpenChange, count, busy, onApply }) => {
+  const [changes, setChanges] = useState(EMPTY_CHANGES);
+  const [error, setError] = useState(null);
+
+  const handleChange = (field, value) => {
+    setChanges(prev => ({ ...prev, [field]: value }));
+    setError(null);
+  };
+
+  const handleApply = async () => {
+    const payload = {};
+    if (changes.measurement_method !== KEEP) payload.measurement_method = changes.measurement_method;
+    if (changes.device_name.trim()) payload.device_name = changes.device_name.trim();
+    if (changes.note.trim()) payload.note = changes.note.trim();
+
+    if (Object.keys(payload).length === 0) {
+      setError('Choose a measurement method, device or note to apply.');
+      return;
+    }
+
+    if (payload.measurement_method === 'device' && !payload.device_name) {
+      setError('Device name is required when measurement method is "device".');
+      return;
+    }
+
+    if (await onApply(payload)) {
+      setChanges(EMPTY_CHANGES);
+      onOpenChange(false);
+    }
+  };
+
+  return (
+    <Sheet open={open} onOpenChange={onOpenChange}>
+      <SheetContent className="w-full sm:max-w-md">
+        <SheetHeader>
+          <SheetTitle>Edit {count} readings</SheetTitle>
+          <SheetDescription>
+            Changes apply to every selected reading. Fields left blank stay as they are.
+          </SheetDescription>
+        </SheetHeader>
+
+        <div className="space-y-4 mt-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Measurement method</label>
+            <Select value={changes.measurement_method} onValueChange={(value) => handleChange('measurement_method', value)}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={KEEP}>Keep current method</SelectItem>
+                {MEASUREMENT_METHODS.map((method) => (
+                  <SelectItem key={method} value={method}>
+                    {method.charAt(0).toUpperCase() + method.slice(1)}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Device name</label>
+            <Input
+              value={changes.device_name}
+              onChange={(e) => handleChange('device_name', e.target.value)}
+              maxLength={100}
+              placeholder="e.g., Omron BP Monitor"
+            />
+            <p className="mt-1 text-xs text-gray-500">Only set on readings taken with a device.</p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Add a note</label>
+            <textarea
+              value={changes.note}
+              onChange={(e) => handleChange('note', e.target.value)}
+              rows={3}
+              maxLength={500}
+              placeholder="Added below any existing notes"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+            />
+          </div>
+
+          {error && <p className="text-sm text-red-600">{error}</p>}
+
+          <div className="flex justify-end gap-2">
+            <Button variant="outline" onClick={() => onOpenChange(false)} disabled={busy}>
+              Cancel
+            </Button>
+            <Button onClick={handleApply} disabled={busy}>
+              {busy && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Apply to {count} readings
+            </Button>
+          </div>
+        </div>
+      </SheetContent>
+    </Sheet>
+  );
+};
+
+// Selection summary and the actions that apply to every selected reading
+const BulkActionsBar = ({
+  count = 0,
+  total = 0,
+  allMatching = false,
+  busy = false,
+  error = null,
+  onSelectAllMatching,
+  onClear,
+  onDelete,
+  onUpdate,
+  onExport,
+}) => {
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+  const [editOpen, setEditOpen] = useState(false);
+
+  if (count === 0) return null;
+
+  const handleDelete = async () => {
+    await onDelete();
+    setConfirmingDelete(false);
+  };
+
+  return (
+    <div className="sticky top-0 z-20 mb-4 rounded-md border bg-indigo-50 border-indigo-200 px-4 py-3" role="region" aria-label="Bulk actions">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex flex-wrap items-center gap-3 text-sm">
+          <span className="font-medium" aria-live="polite">
+            {allMatching ? `All ${count} matching readings selected` : `${count} selected`}
+          </span>
+          {!allMatching && count < total && (
+            <button type="button" className="text-indigo-700 underline-offset-4 hover:underline" onClick={onSelectAllMatching}>
+              Select all {total} matching readings
+            </button>
+          )}
+          <button type="button" className="inline-flex items-center text-muted-foreground hover:text-foreground" onClick={onClear}>
+            <X className="h-3 w-3 mr-1" />
+            Clear selection
+          </button>
+        </div>
+
+        {confirmingDelete ? (
+          <div className="flex items-center gap-2">
+            <span className="text-sm text-red-700">Delete {count} readings? This can't be undone.</span>
+            <Button size="sm" variant="outline" onClick={() => setConfirmingDelete(false)} disabled={busy}>
+              Cancel
+            </Button>
+            <Button size="sm" variant="destructive" onClick={handleDelete} disabled={busy}>
+              {busy && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Delete
+            </Button>
+          </div>
+        ) : (
+          <div className="flex flex-wrap items-center gap-2">
+            <Button size="sm" variant="outline" onClick={() => setEditOpen(true)} disabled={busy}>
+              <Pencil className="h-4 w-4 mr-2" />
+              Edit
+            </Button>
+            <Button size="sm" variant="outline" onClick={() => onExport('csv')} disabled={busy}>
+              <Download className="h-4 w-4 mr-2" />
+              CSV
+            </Button>
+            <Button size="sm" variant="outline" onClick={() => onExport('json')} disabled={busy}>
+              <Download className="h-4 w-4 mr-2" />
+              JSON
+            </Button>
+            <Button size="sm" variant="destructive" onClick={() => setConfirmingDelete(true)} disabled={busy}>
+              <Trash2 className="h-4 w-4 mr-2" />
+              Delete
+            </Button>
+          </div>
+        )}
+      </div>
+
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+
+      <BulkEditSheet
+        open={editOpen}
+        onOpenChange={setEditOpen}
+        count={count}
+        busy={busy}
+        onApply={onUpdate}
+      />
+    </div>
+  );
+};
+
+export default BulkActionsBar;
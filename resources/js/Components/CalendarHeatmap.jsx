@@ -0,0 +1,225 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { router } from '@inertiajs/react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/Components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/Components/ui/select';
+import { CalendarDays } from 'lucide-react';
+import useTimeZone from '@/hooks/useTimeZone';
+import { DEFAULT_LIST_QUERY, toQueryParams } from '@/lib/vitalSignsListQuery';
+import { formatDateTime } from '@/lib/dateTime';
+import {
+  HEATMAP_LEVELS,
+  WEEKDAY_LABELS,
+  buildCalendar,
+  intensityLevel,
+  monthLabels,
+  currentStreak,
+  moveFocus,
+} from '@/lib/calendarHeatmap';
+
+const ALL_TYPES = 'all';
+
+const LEVEL_CLASSES = ['bg-gray-100', 'bg-green-200', 'bg-green-400', 'bg-green-600', 'bg-green-800'];
+
+const CELL_SIZE = 12;
+const CELL_GAP = 3;
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Readings per day over the last months, with flagged days outlined; click a day to see its readings
+const CalendarHeatmap = ({
+  vitalSignTypes = [],
+  vitalSignTypeId = '',
+  days = 182,
+  title = 'Measurement Calendar',
+  description = 'Readings per day, with flagged days outlined in red',
+}) => {
+  const { dateKey, timeZone } = useTimeZone();
+  const [typeId, setTypeId] = useState(vitalSignTypeId || ALL_TYPES);
+  const [byDay, setByDay] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [focusedDate, setFocusedDate] = useState(null);
+  const cellRefs = useRef({});
+
+  // Follow the type picked elsewhere on the page
+  useEffect(() => {
+    setTypeId(vitalSignTypeId || ALL_TYPES);
+  }, [vitalSignTypeId]);
+
+  const today = dateKey(new Date());
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadSummary = async () => {
+      setLoading(true);
+
+      try {
+        const params = new URLSearchParams({ days: String(days) });
+        if (typeId !== ALL_TYPES) params.set('vital_sign_type_id', typeId);
+
+        const response = await fetch(`/api/vital-signs-summary?${params.toString()}`, {
+          headers: {
+            'Accept': 'application/json',
+            'X-CSRF-TOKEN': document.querySelector('meta[name="csrf-token"]').content,
+          },
+        });
+
+        if (!response.ok) {
+          throw new Error('Failed to load measurement calendar');
+        }
+
+        const data = await response.json();
+        if (!cancelled) setByDay(data.data?.by_day || []);
+      } catch (error) {
+        console.error('Error loading measurement calendar:', error);
+        if (!cancelled) setByDay([]);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadSummary();
+    return () => {
+      cancelled = true;
+    };
+  }, [typeId, days, timeZone]);
+
+  const calendar = useMemo(() => buildCalendar(byDay, { endDate: today, days }), [byDay, today, days]);
+  const months = useMemo(() => monthLabels(calendar.weeks), [calendar.weeks]);
+  const streak = useMemo(() => currentStreak(byDay, today), [byDay, today]);
+  const activeDate = focusedDate && focusedDate >= calendar.start && focusedDate <= calendar.end ? focusedDate : today;
+
+  const describeDay = (cell) => {
+    // Day keys are already local, so format them as calendar days
+    const label = formatDateTime(`${cell.date}T12:00:00Z`, 'UTC', { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' });
+    const readings = cell.count === 0 ? 'No readings' : plural(cell.count, 'reading');
+    return cell.flagged > 0 ? `${readings}, ${cell.flagged} flagged, on ${label}` : `${readings} on ${label}`;
+  };
+
+  // That day's readings in the list, for the chosen type
+  const openDay = (date) => {
+    router.get('/vital-signs', toQueryParams({
+      ...DEFAULT_LIST_QUERY,
+      start_date: date,
+      end_date: date,
+      vital_sign_type_id: typeId === ALL_TYPES ? '' : typeId,
+    }));
+  };
+
+  const handleKeyDown = (e, date) => {
+    const next = moveFocus(date, e.key, calendar);
+    if (!next) return;
+
+    e.preventDefault();
+    setFocusedDate(next);
+    cellRefs.current[next]?.focus();
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex flex-wrap items-start justify-between gap-3">
+          <div>
+            <CardTitle className="flex items-center gap-2">
+              <CalendarDays className="h-4 w-4" />
+              {title}
+            </CardTitle>
+            <CardDescription>{description}</CardDescription>
+          </div>
+          {vitalSignTypes.length > 0 && (
+            <Select value={typeId} onValueChange={setTypeId}>
+              <SelectTrigger className="h-9 w-48" aria-label="Measurement type">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ALL_TYPES}>All measurements</SelectItem>
+                {vitalSignTypes.map((type) => (
+                  <SelectItem key={type.id} value={type.id.toString()}>
+                    {type.display_name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent>
+        <div className={`overflow-x-auto ${loading ? 'opacity-50' : ''}`} aria-busy={loading}>
+          <div className="inline-flex gap-2">
+            {/* Weekday labels, every other row */}
+            <div className="flex flex-col text-[10px] text-muted-foreground" style={{ gap: CELL_GAP, paddingTop: CELL_SIZE + CELL_GAP }} aria-hidden="true">
+              {WEEKDAY_LABELS.map((label, index) => (
+                <div key={label} style={{ height: CELL_SIZE, lineHeight: `${CELL_SIZE}px` }}>
+                  {index % 2 === 1 ? label : ''}
+                </div>
+              ))}
+            </div>
+
+            <div>
+              <div className="relative text-[10px] text-muted-foreground" style={{ height: CELL_SIZE + CELL_GAP }} aria-hidden="true">
+                {months.map(({ index, label }) => (
+                  <span key={`${index}-${label}`} className="absolute" style={{ left: index * (CELL_SIZE + CELL_GAP) }}>
+                    {label}
+                  </span>
+                ))}
+              </div>
+
+              <div className="flex" style={{ gap: CELL_GAP }} role="grid" aria-label={`${title}, ${calendar.start} to ${calendar.end}`}>
+                {calendar.weeks.map((week) => (
+                  <div key={week[0].date} className="flex flex-col" style={{ gap: CELL_GAP }} role="row">
+                    {week.map((cell) => (
+                      cell.inRange ? (
+                        <button
+                          key={cell.date}
+                          ref={(element) => {
+                            cellRefs.current[cell.date] = element;
+                          }}
+                          type="button"
+                          role="gridcell"
+                          tabIndex={cell.date === activeDate ? 0 : -1}
+                          onClick={() => openDay(cell.date)}
+                          onKeyDown={(e) => handleKeyDown(e, cell.date)}
+                          onFocus={() => setFocusedDate(cell.date)}
+                          aria-label={describeDay(cell)}
+                          title={describeDay(cell)}
+                          className={`rounded-sm focus:outline-none focus-visible:ring-2 focus-visible:ring-indigo-500 ${
+                            LEVEL_CLASSES[intensityLevel(cell.count, calendar.max)]
+                          } ${cell.flagged > 0 ? 'outline outline-2 -outline-offset-1 outline-red-500' : ''}`}
+                          style={{ width: CELL_SIZE, height: CELL_SIZE }}
+                        />
+                      ) : (
+                        <div key={cell.date} role="presentation" style={{ width: CELL_SIZE, height: CELL_SIZE }} />
+                      )
+                    ))}
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <div className="mt-4 flex flex-wrap items-center justify-between gap-3 text-xs text-muted-foreground">
+          <p>
+            Readings on {calendar.totals.activeDays} of {days} days
+            {calendar.totals.flaggedDays > 0 && ` · ${plural(calendar.totals.flaggedDays, 'day')} with flagged readings`}
+            {streak > 1 && ` · ${streak}-day streak`}
+          </p>
+          <div className="flex items-center gap-1" aria-hidden="true">
+            <span className="mr-1">Less</span>
+            {Array.from({ length: HEATMAP_LEVELS }, (_, level) => (
+              <span key={level} className={`inline-block rounded-sm ${LEVEL_CLASSES[level]}`} style={{ width: CELL_SIZE, height: CELL_SIZE }} />
+            ))}
+            <span className="ml-1">More</span>
+            <span
+              className="ml-3 inline-block rounded-sm bg-gray-100 outline outline-2 -outline-offset-1 outline-red-500"
+              style={{ width: CELL_SIZE, height: CELL_SIZE }}
+            />
+            <span className="ml-1">Flagged</span>
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default CalendarHeatmap;
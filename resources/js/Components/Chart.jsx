@@ -0,0 +1,707 @@
+import React, { createContext, useContext, useEffect, useId, useMemo, useRef, useState } from 'react';
+import useElementSize from '@/hooks/useElementSize';
+import {
+  DEFAULT_MARGIN,
+  MIN_TICK_SPACING,
+  chartLayout,
+  linearScale,
+  linePath,
+  areaPath,
+  niceTicks,
+  tickCount,
+  tickPrecision,
+  timeTicks,
+  formatTimeTick,
+} from '@/lib/chart';
+import { DEFAULT_MIN_SPAN, dragBrush, isFullDomain, keyboardDomain, panDomain, wheelZoomFactor, zoomDomain } from '@/lib/chartZoom';
+
+// Composable SVG charts: <Chart> measures its container and sets up the
+// scales, and the layers inside it (grid, axes, bands, series) draw with them.
+//
+//   <Chart xDomain={[start, end]} yDomain={[min, max]} timeZone={timeZone}>
+//     <Grid />
+//     <Band from={60} to={100} />
+//     <LineSeries data={readings} x={d => d.time} y={d => d.value} />
+//     <YAxis />
+//     <TimeAxis />
+//   </Chart>
+//
+// Give it `onXDomainChange` to let the wheel, a pinch or the +/- keys zoom
+// the time axis and a drag or the arrow keys pan it, within `xBounds`. A
+// double-click asks for null, meaning all of it.
+
+const ChartContext = createContext(null);
+
+export const useChart = () => {
+  const chart = useContext(ChartContext);
+  if (!chart) throw new Error('Chart layers must be rendered inside <Chart>');
+  return chart;
+};
+
+const AXIS_COLOR = '#9ca3af';
+const GRID_COLOR = '#e5e7eb';
+const LABEL_COLOR = '#6b7280';
+
+const Chart = ({
+  xDomain,
+  yDomain,
+  height = 240,
+  margin = DEFAULT_MARGIN,
+  timeZone = 'UTC',
+  renderTooltip = null,
+  ariaLabel = 'Chart',
+  className = '',
+  onXDomainChange = null,
+  xBounds = null,
+  minXSpan = DEFAULT_MIN_SPAN,
+  children,
+  ...props
+}) => {
+  const [containerRef, { width }] = useElementSize();
+  const [active, setActive] = useState(null);
+  const svgRef = useRef(null);
+  const gesture = useRef({ pointers: new Map(), start: null });
+  const clipId = `chart-clip-${useId().replace(/[^a-zA-Z0-9-]/g, '')}`;
+
+  const chart = useMemo(() => {
+    if (!width || !xDomain || !yDomain) return null;
+
+    const { innerWidth, innerHeight } = chartLayout(width, height, margin);
+    const yTicks = niceTicks(yDomain[0], yDomain[1], tickCount(innerHeight, MIN_TICK_SPACING.y));
+
+    return {
+      width,
+      height,
+      margin,
+      innerWidth,
+      innerHeight,
+      timeZone,
+      clipId,
+      yTicks,
+      x: linearScale(xDomain, [0, innerWidth]),
+      y: linearScale([yTicks.min, yTicks.max], [innerHeight, 0]),
+    };
+  }, [width, height, margin, xDomain, yDomain, timeZone, clipId]);
+
+  const context = useMemo(() => (chart ? { ...chart, active, setActive } : null), [chart, active]);
+
+  const zoomOptions = { bounds: xBounds, minSpan: minXSpan };
+  const interactive = Boolean(onXDomainChange && chart);
+
+  // Time under a client x position, for zooming around the cursor
+  const timeAt = (clientX) => {
+    const left = svgRef.current.getBoundingClientRect().left + margin.left;
+    return chart.x.invert(clientX - left);
+  };
+
+  // React attaches wheel listeners as passive, so the page would scroll too
+  const wheel = useRef(null);
+  wheel.current = interactive ? (event) => {
+    event.preventDefault();
+    onXDomainChange(zoomDomain(xDomain, wheelZoomFactor(event.deltaY, event.deltaMode), timeAt(event.clientX), zoomOptions));
+  } : null;
+
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg || !interactive) return undefined;
+
+    const handleWheel = (event) => wheel.current?.(event);
+    svg.addEventListener('wheel', handleWheel, { passive: false });
+    return () => svg.removeEventListener('wheel', handleWheel);
+  }, [interactive]);
+
+  // One pointer pans and two pinch, both measured from where the gesture began
+  const beginGesture = () => {
+    const positions = [...gesture.current.pointers.values()];
+    gesture.current.start = {
+      domain: xDomain,
+      positions,
+      moved: false,
+      focus: positions.length > 1 ? timeAt((positions[0] + positions[1]) / 2) : null,
+    };
+  };
+
+  const handlePointerDown = (event) => {
+    if (event.pointerType === 'mouse' && event.button !== 0) return;
+    gesture.current.pointers.set(event.pointerId, event.clientX);
+    beginGesture();
+  };
+
+  const handlePointerMove = (event) => {
+    const { pointers, start } = gesture.current;
+    if (!start || !pointers.has(event.pointerId)) return;
+
+    pointers.set(event.pointerId, event.clientX);
+    const positions = [...pointers.values()];
+
+    if (positions.length > 1) {
+      const before = Math.abs(start.positions[1] - start.positions[0]);
+      const after = Math.abs(positions[1] - positions[0]);
+      if (before < 10 || after < 10) return;
+
+      start.moved = true;
+      onXDomainChange(zoomDomain(start.domain, before / after, start.focus, zoomOptions));
+      return;
+    }
+
+    const dx = positions[0] - start.positions[0];
+
+    // Leave taps and small wobbles to the points' tooltips
+    if (!start.moved && Math.abs(dx) < 4) return;
+    if (!start.moved) {
+      start.moved = true;
+      setActive(null);
+      svgRef.current.setPointerCapture?.(event.pointerId);
+    }
+
+    const span = start.domain[1] - start.domain[0];
+    onXDomainChange(panDomain(start.domain, (-dx / chart.innerWidth) * span, zoomOptions));
+  };
+
+  const handlePointerUp = (event) => {
+    gesture.current.pointers.delete(event.pointerId);
+    if (gesture.current.pointers.size > 0) beginGesture();
+    else gesture.current.start = null;
+  };
+
+  const handleKeyDown = (event) => {
+    const next = keyboardDomain(xDomain, event.key, zoomOptions);
+    if (!next) return;
+
+    event.preventDefault();
+    onXDomainChange(next);
+  };
+
+  const interactionProps = interactive ? {
+    ref: svgRef,
+    tabIndex: 0,
+    onPointerDown: handlePointerDown,
+    onPointerMove: handlePointerMove,
+    onPointerUp: handlePointerUp,
+    onPointerCancel: handlePointerUp,
+    onKeyDown: handleKeyDown,
+    onDoubleClick: () => onXDomainChange(null),
+    // Vertical swipes still scroll the page; sideways drags and pinches are ours
+    style: { touchAction: 'pan-y' },
+    className: 'block cursor-grab active:cursor-grabbing focus:outline-none focus-visible:ring-2 focus-visible:ring-ring rounded',
+    'aria-roledescription': 'zoomable chart',
+    'aria-label': `${ariaLabel}. Scroll or pinch to zoom, drag to pan, double-click to reset.`,
+  } : { ref: svgRef, className: 'block', 'aria-label': ariaLabel };
+
+  // Flip the tooltip to the left of the point near the right edge
+  const tooltipStyle = context && active ? {
+    left: margin.left + active.x,
+    top: margin.top + active.y,
+    transform: `translate(${active.x > context.innerWidth * 0.6 ? 'calc(-100% - 12px)' : '12px'}, -50%)`,
+  } : null;
+
+  return (
+    <div ref={containerRef} className={`relative w-full ${className}`} style={{ height }} {...props}>
+      {context && (
+        <ChartContext.Provider value={context}>
+          <svg width={context.width} height={height} role="img" {...interactionProps}>
+            <defs>
+              <clipPath id={clipId}>
+                <rect x={0} y={0} width={context.innerWidth} height={context.innerHeight} />
+              </clipPath>
+            </defs>
+            <g transform={`translate(${margin.left},${margin.top})`}>
+              {children}
+            </g>
+          </svg>
+
+          {active && renderTooltip && (
+            <div
+              className="absolute z-10 bg-white border border-gray-200 rounded-lg shadow-lg p-3 pointer-events-none"
+              style={tooltipStyle}
+            >
+              {renderTooltip(active)}
+            </div>
+          )}
+        </ChartContext.Provider>
+      )}
+    </div>
+  );
+};
+
+// Lines across at the value ticks, and up the left edge
+export const Grid = ({ stroke = GRID_COLOR }) => {
+  const { x, y, yTicks, innerWidth } = useChart();
+
+  return (
+    <g aria-hidden="true">
+      {yTicks.ticks.map(tick => (
+        <line key={tick} x1={0} x2={innerWidth} y1={y(tick)} y2={y(tick)} stroke={stroke} strokeWidth="1" />
+      ))}
+      <line x1={x.range[0]} x2={x.range[0]} y1={0} y2={y.range[0]} stroke={stroke} strokeWidth="1" />
+    </g>
+  );
+};
+
+/**
+ * Value labels up one side. Charts with a second scale (see YScale) put its
+ * axis on the right, in the colour of its series, stepping further out
+ * with `offset` for each one after that.
+ */
+export const YAxis = ({ format = null, side = 'left', offset = 0, color = null, label = null }) => {
+  const { y, yTicks, innerWidth, innerHeight } = useChart();
+  const precision = tickPrecision(yTicks.step);
+  const text = format || (value => value.toFixed(precision));
+  const right = side === 'right';
+  const edge = right ? innerWidth + offset : -offset;
+
+  return (
+    <g aria-hidden="true">
+      {(right || offset > 0 || color) && (
+        <line x1={edge} x2={edge} y1={0} y2={innerHeight} stroke={color || AXIS_COLOR} strokeWidth="1" />
+      )}
+      {yTicks.ticks.map(tick => (
+        <text
+          key={tick}
+          x={right ? edge + 6 : edge - 8}
+          y={y(tick)}
+          textAnchor={right ? 'start' : 'end'}
+          dominantBaseline="central"
+          fontSize="12"
+          fill={color || LABEL_COLOR}
+        >
+          {text(tick)}
+        </text>
+      ))}
+      {label && (
+        <text x={right ? edge + 6 : edge - 8} y={-4} textAnchor={right ? 'start' : 'end'} fontSize="11" fill={color || LABEL_COLOR}>
+          {label}
+        </text>
+      )}
+    </g>
+  );
+};
+
+/**
+ * A second value scale for the layers inside it, so series in different
+ * units can share the time axis, each with its own YAxis.
+ */
+export const YScale = ({ domain, children }) => {
+  const chart = useChart();
+
+  const scaled = useMemo(() => {
+    if (!domain) return null;
+
+    const yTicks = niceTicks(domain[0], domain[1], tickCount(chart.innerHeight, MIN_TICK_SPACING.y));
+    return { ...chart, yTicks, y: linearScale([yTicks.min, yTicks.max], [chart.innerHeight, 0]) };
+  }, [chart, domain]);
+
+  if (!scaled) return null;
+
+  return <ChartContext.Provider value={scaled}>{children}</ChartContext.Provider>;
+};
+
+// Value labels along the bottom, for charts with numbers rather than times across
+export const XAxis = ({ format = null, label = null }) => {
+  const { x, innerWidth, innerHeight } = useChart();
+  const { ticks, step } = useMemo(
+    () => niceTicks(x.domain[0], x.domain[1], tickCount(innerWidth, MIN_TICK_SPACING.x)),
+    [x, innerWidth]
+  );
+  const precision = tickPrecision(step);
+  const text = format || (value => value.toFixed(precision));
+  const [low, high] = x.domain;
+
+  return (
+    <g aria-hidden="true">
+      <line x1={0} x2={innerWidth} y1={innerHeight} y2={innerHeight} stroke={AXIS_COLOR} strokeWidth="1" />
+      {ticks.filter(tick => tick >= low && tick <= high).map(tick => (
+        <g key={tick} transform={`translate(${x(tick)},${innerHeight})`}>
+          <line y1={0} y2={5} stroke={AXIS_COLOR} strokeWidth="1" />
+          <text y={18} textAnchor="middle" fontSize="12" fill={LABEL_COLOR}>
+            {text(tick)}
+          </text>
+        </g>
+      ))}
+      {label && (
+        <text x={innerWidth} y={innerHeight - 6} textAnchor="end" fontSize="11" fill={LABEL_COLOR}>
+          {label}
+        </text>
+      )}
+    </g>
+  );
+};
+
+// Dates along the bottom at round times in the chart's timezone
+export const TimeAxis = () => {
+  const { x, innerWidth, innerHeight, timeZone } = useChart();
+  const { ticks, interval } = useMemo(
+    () => timeTicks(x.domain[0], x.domain[1], tickCount(innerWidth, MIN_TICK_SPACING.x), timeZone),
+    [x, innerWidth, timeZone]
+  );
+
+  return (
+    <g aria-hidden="true">
+      <line x1={0} x2={innerWidth} y1={innerHeight} y2={innerHeight} stroke={AXIS_COLOR} strokeWidth="1" />
+      {ticks.map(tick => (
+        <g key={tick} transform={`translate(${x(tick)},${innerHeight})`}>
+          <line y1={0} y2={5} stroke={AXIS_COLOR} strokeWidth="1" />
+          <text y={18} textAnchor="middle" fontSize="12" fill={LABEL_COLOR}>
+            {formatTimeTick(tick, interval, timeZone)}
+          </text>
+        </g>
+      ))}
+    </g>
+  );
+};
+
+// A shaded range of values across the chart, such as the normal range
+export const Band = ({ from, to, fill = '#dcfce7', opacity = 0.6, stroke = null, ...props }) => {
+  const { y, innerWidth } = useChart();
+  const [low, high] = y.domain;
+
+  if (!Number.isFinite(from) || !Number.isFinite(to) || to < low || from > high) return null;
+
+  const top = y(Math.min(to, high));
+  const bottom = y(Math.max(from, low));
+
+  return (
+    <g aria-hidden="true" {...props}>
+      <rect x={0} y={top} width={innerWidth} height={Math.max(0, bottom - top)} fill={fill} opacity={opacity} />
+      {stroke && [from, to].filter(value => value >= low && value <= high).map(value => (
+        <line
+          key={value}
+          x1={0}
+          x2={innerWidth}
+          y1={y(value)}
+          y2={y(value)}
+          stroke={stroke}
+          strokeWidth="1"
+          strokeDasharray="4,4"
+          opacity="0.6"
+        />
+      ))}
+    </g>
+  );
+};
+
+// A shaded area between two values per datum, such as a prediction interval
+export const Area = ({ data = [], x: getX, low: getLow, high: getHigh, fill = '#3b82f6', opacity = 0.15, ...props }) => {
+  const { x, y, clipId } = useChart();
+
+  const path = useMemo(() => areaPath(data.map(datum => ({
+    x: x(getX(datum)),
+    y0: y(getLow(datum)),
+    y1: y(getHigh(datum)),
+  }))), [data, x, y, getX, getLow, getHigh]);
+
+  if (!path) return null;
+
+  return <path clipPath={`url(#${clipId})`} d={path} fill={fill} opacity={opacity} aria-hidden="true" {...props} />;
+};
+
+/**
+ * A line through the data with a dot per point. Hovering or tapping a dot
+ * shows the chart's tooltip for it; the radius and colour can depend on
+ * the datum, e.g. to pick out flagged readings.
+ */
+export const LineSeries = ({
+  data = [],
+  x: getX,
+  y: getY,
+  color = '#3b82f6',
+  strokeWidth = 2,
+  dashed = false,
+  label = '',
+  showLine = true,
+  showPoints = true,
+  pointRadius = 4,
+  pointColor = null,
+  pointProps = null,
+  ...props
+}) => {
+  const { x, y, innerWidth, clipId, setActive } = useChart();
+
+  const points = useMemo(() => data.map(datum => ({
+    datum,
+    x: x(getX(datum)),
+    y: y(getY(datum)),
+  })), [data, x, y, getX, getY]);
+
+  const radiusOf = (datum) => (typeof pointRadius === 'function' ? pointRadius(datum) : pointRadius);
+  const colorOf = (datum) => (pointColor ? pointColor(datum) : null) || color;
+
+  const show = (point) => setActive({ ...point, color: colorOf(point.datum), label });
+
+  return (
+    <g {...props}>
+      {showLine && (
+        <path
+          clipPath={`url(#${clipId})`}
+          d={linePath(points)}
+          fill="none"
+          stroke={color}
+          strokeWidth={strokeWidth}
+          strokeDasharray={dashed ? '6,4' : undefined}
+          strokeLinecap="round"
+          strokeLinejoin="round"
+          data-testid="trend-line"
+        />
+      )}
+
+      {/* Dots are left unclipped so the first and last aren't cut in half */}
+      {showPoints && points.filter(point => Number.isFinite(point.y) && point.x >= -1 && point.x <= innerWidth + 1).map((point, index) => (
+        <g
+          key={point.datum.id ?? index}
+          className="cursor-pointer"
+          onPointerEnter={() => show(point)}
+          onPointerDown={() => show(point)}
+          onPointerLeave={() => setActive(null)}
+          {...(pointProps ? pointProps(point.datum) : {})}
+        >
+          {/* A wider target than the dot, for fingers */}
+          <circle cx={point.x} cy={point.y} r={Math.max(radiusOf(point.datum) + 6, 10)} fill="transparent" />
+          <circle
+            cx={point.x}
+            cy={point.y}
+            r={radiusOf(point.datum)}
+            fill={colorOf(point.datum)}
+            stroke="white"
+            strokeWidth="2"
+            pointerEvents="none"
+          />
+        </g>
+      ))}
+    </g>
+  );
+};
+
+/**
+ * A vertical bar per datum from its low to its high value, such as
+ * systolic down to diastolic, with a dot at each end. The tooltip opens
+ * from the top of the bar.
+ */
+export const RangeBars = ({
+  data = [],
+  x: getX,
+  low: getLow,
+  high: getHigh,
+  color = '#3b82f6',
+  barColor = null,
+  barWidth = null,
+  label = '',
+  barProps = null,
+  ...props
+}) => {
+  const { x, y, innerWidth, setActive } = useChart();
+
+  const bars = useMemo(() => data.map(datum => ({
+    datum,
+    x: x(getX(datum)),
+    top: y(getHigh(datum)),
+    bottom: y(getLow(datum)),
+  })).filter(bar => (
+    Number.isFinite(bar.top) && Number.isFinite(bar.bottom) && bar.x >= -1 && bar.x <= innerWidth + 1
+  )), [data, x, y, innerWidth, getX, getLow, getHigh]);
+
+  // Thinner bars as they crowd together
+  const width = barWidth || Math.max(2, Math.min(8, (innerWidth / Math.max(bars.length, 1)) * 0.5));
+  const colorOf = (datum) => (barColor ? barColor(datum) : null) || color;
+
+  const show = (bar) => setActive({ datum: bar.datum, x: bar.x, y: bar.top, color: colorOf(bar.datum), label });
+
+  return (
+    <g {...props}>
+      {bars.map((bar, index) => (
+        <g
+          key={index}
+          className="cursor-pointer"
+          onPointerEnter={() => show(bar)}
+          onPointerDown={() => show(bar)}
+          onPointerLeave={() => setActive(null)}
+          {...(barProps ? barProps(bar.datum) : {})}
+        >
+          <rect
+            x={bar.x - Math.max(width / 2 + 4, 8)}
+            y={bar.top - 6}
+            width={Math.max(width + 8, 16)}
+            height={bar.bottom - bar.top + 12}
+            fill="transparent"
+          />
+          <rect
+            x={bar.x - width / 2}
+            y={bar.top}
+            width={width}
+            height={Math.max(bar.bottom - bar.top, 1)}
+            rx={width / 2}
+            fill={colorOf(bar.datum)}
+            opacity="0.35"
+            pointerEvents="none"
+          />
+          <circle cx={bar.x} cy={bar.top} r={width / 2 + 1.5} fill={colorOf(bar.datum)} stroke="white" strokeWidth="1.5" pointerEvents="none" />
+          <circle cx={bar.x} cy={bar.bottom} r={width / 2 + 1.5} fill="white" stroke={colorOf(bar.datum)} strokeWidth="2" pointerEvents="none" />
+        </g>
+      ))}
+    </g>
+  );
+};
+
+// Hollow rings around data points to pick them out, drawn over a series
+export const Rings = ({ data = [], x: getX, y: getY, color = '#f59e0b', radius = 9, ...props }) => {
+  const { x, y, innerWidth } = useChart();
+
+  const rings = data
+    .map(datum => ({ x: x(getX(datum)), y: y(getY(datum)) }))
+    .filter(ring => Number.isFinite(ring.y) && ring.x >= -1 && ring.x <= innerWidth + 1);
+
+  return (
+    <g aria-hidden="true" pointerEvents="none" {...props}>
+      {rings.map((ring, index) => (
+        <circle key={index} cx={ring.x} cy={ring.y} r={radius} fill="none" stroke={color} strokeWidth="2" />
+      ))}
+    </g>
+  );
+};
+
+/**
+ * A dashed line down the chart at each datum's time, such as where a
+ * baseline shifted, with a handle at the top that opens the tooltip.
+ */
+export const TimeMarkers = ({ data = [], x: getX, color = '#6b7280', label = '', markerProps = null, ...props }) => {
+  const { x, innerWidth, innerHeight, setActive } = useChart();
+
+  const markers = data
+    .map(datum => ({ datum, x: x(getX(datum)) }))
+    .filter(marker => marker.x >= 0 && marker.x <= innerWidth);
+
+  const show = (marker) => setActive({ datum: marker.datum, x: marker.x, y: 6, color, label });
+
+  return (
+    <g {...props}>
+      {markers.map((marker, index) => (
+        <g
+          key={index}
+          className="cursor-pointer"
+          onPointerEnter={() => show(marker)}
+          onPointerDown={() => show(marker)}
+          onPointerLeave={() => setActive(null)}
+          {...(markerProps ? markerProps(marker.datum) : {})}
+        >
+          <rect x={marker.x - 8} y={0} width={16} height={innerHeight} fill="transparent" />
+          <line
+            x1={marker.x}
+            x2={marker.x}
+            y1={0}
+            y2={innerHeight}
+            stroke={color}
+            strokeWidth="1.5"
+            strokeDasharray="4,3"
+            pointerEvents="none"
+          />
+          <path d={`M ${marker.x - 5},0 L ${marker.x + 5},0 L ${marker.x},7 Z`} fill={color} pointerEvents="none" />
+        </g>
+      ))}
+    </g>
+  );
+};
+
+/**
+ * A draggable window over the whole time range, for an overview strip
+ * under a zoomable chart. Drag the window to move it, its edges to resize
+ * it, or across the rest of the strip to draw a new one. `selection` null
+ * means everything is shown, and so does the window reported on release
+ * when it covers the whole range.
+ */
+export const Brush = ({ selection = null, onChange, minSpan = DEFAULT_MIN_SPAN, color = '#3b82f6', ariaLabel = 'Visible range' }) => {
+  const { x, margin, innerWidth, innerHeight, timeZone } = useChart();
+  const bounds = x.domain;
+  const groupRef = useRef(null);
+  const drag = useRef(null);
+  const [draft, setDraft] = useState(null);
+
+  const [start, end] = draft || selection || bounds;
+  const left = Math.max(0, x(start));
+  const right = Math.min(innerWidth, x(end));
+  const options = { bounds, minSpan };
+
+  const report = (domain) => onChange(isFullDomain(domain, bounds) ? null : domain);
+
+  const begin = (mode) => (event) => {
+    if (event.pointerType === 'mouse' && event.button !== 0) return;
+    groupRef.current.setPointerCapture?.(event.pointerId);
+
+    const plotLeft = groupRef.current.ownerSVGElement.getBoundingClientRect().left + margin.left;
+    drag.current = { mode, clientX: event.clientX, domain: [start, end], origin: x.invert(event.clientX - plotLeft) };
+  };
+
+  const handlePointerMove = (event) => {
+    if (!drag.current) return;
+
+    const { mode, clientX, domain, origin } = drag.current;
+    const delta = x.invert(event.clientX - clientX) - x.invert(0);
+
+    // A click is left alone until it turns into a drag
+    if (!draft && Math.abs(event.clientX - clientX) < 3) return;
+
+    setDraft(mode === 'draw' ? dragBrush('end', [origin, origin], delta, options) : dragBrush(mode, domain, delta, options));
+  };
+
+  const handlePointerUp = () => {
+    if (!drag.current) return;
+
+    const { mode, domain, origin } = drag.current;
+    drag.current = null;
+
+    // Clicking outside the window moves it there
+    if (draft) report(draft);
+    else if (mode === 'draw') report(panDomain(domain, origin - (domain[0] + domain[1]) / 2, options));
+    setDraft(null);
+  };
+
+  const handleKeyDown = (event) => {
+    const next = keyboardDomain([start, end], event.key, options);
+    if (!next) return;
+
+    event.preventDefault();
+    report(next);
+  };
+
+  return (
+    <g
+      ref={groupRef}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+      style={{ touchAction: 'none' }}
+    >
+      <rect x={0} y={0} width={innerWidth} height={innerHeight} fill="transparent" className="cursor-crosshair" onPointerDown={begin('draw')} />
+      <rect x={0} y={0} width={left} height={innerHeight} fill="#f3f4f6" opacity="0.7" pointerEvents="none" />
+      <rect x={right} y={0} width={Math.max(0, innerWidth - right)} height={innerHeight} fill="#f3f4f6" opacity="0.7" pointerEvents="none" />
+      <rect
+        x={left}
+        y={0}
+        width={Math.max(1, right - left)}
+        height={innerHeight}
+        fill={color}
+        fillOpacity="0.08"
+        stroke={color}
+        strokeOpacity="0.6"
+        className="cursor-move focus:outline-none"
+        tabIndex={0}
+        role="slider"
+        aria-label={ariaLabel}
+        aria-valuemin={bounds[0]}
+        aria-valuemax={bounds[1]}
+        aria-valuenow={start}
+        aria-valuetext={`${formatTimeTick(start, { unit: 'day' }, timeZone)} to ${formatTimeTick(end, { unit: 'day' }, timeZone)}`}
+        onPointerDown={begin('move')}
+        onKeyDown={handleKeyDown}
+        data-testid="chart-brush-selection"
+      />
+      {[['start', left], ['end', right]].map(([edge, position]) => (
+        <g key={edge} className="cursor-ew-resize" onPointerDown={begin(edge)}>
+          {/* Wider than it looks, for fingers */}
+          <rect x={position - 8} y={0} width={16} height={innerHeight} fill="transparent" />
+          <rect x={position - 3} y={innerHeight / 2 - 10} width={6} height={20} rx={2} fill="white" stroke={color} strokeWidth="1.5" pointerEvents="none" />
+        </g>
+      ))}
+    </g>
+  );
+};
+
+export default Chart;
@@ -0,0 +1,27 @@
+import React from 'react';
+import { Button } from '@/Components/ui/button';
+import { DUAL_CHART_STYLES } from '@/lib/dualSeries';
+
+// Lines or range bars, for types with two values per reading
+const ChartStyleToggle = ({ value, onChange }) => {
+  const styles = Object.entries(DUAL_CHART_STYLES);
+
+  return (
+    <div className="flex rounded-md shadow-sm" role="group" aria-label="Chart style">
+      {styles.map(([style, label], index) => (
+        <Button
+          key={style}
+          variant={value === style ? "default" : "outline"}
+          size="sm"
+          className={index === 0 ? 'rounded-r-none' : index === styles.length - 1 ? 'rounded-l-none border-l-0' : 'rounded-none border-l-0'}
+          aria-pressed={value === style}
+          onClick={() => onChange(style)}
+        >
+          {label}
+        </Button>
+      ))}
+    </div>
+  );
+};
+
+export default ChartStyleToggle;
@@ -0,0 +1,224 @@
+import React, { useMemo, useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/Components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/Components/ui/select';
+import { Info } from 'lucide-react';
+import Chart, { Grid, YAxis, XAxis, LineSeries } from '@/Components/Chart';
+import { overlayLabel } from '@/Components/OverlayChart';
+import { valueExtent } from '@/lib/chart';
+import { formatDateTime, parseDateTime } from '@/lib/dateTime';
+import { linearFit } from '@/lib/statistics';
+import {
+  ALIGNMENT_WINDOWS,
+  DEFAULT_ALIGNMENT_WINDOW,
+  MIN_PAIRS,
+  alignReadings,
+  correlate,
+  lagAnalysis,
+  strongestLag,
+  describeCorrelation,
+  formatLag,
+} from '@/lib/correlation';
+
+const formatCoefficient = (r) => (r === null ? '–' : r.toFixed(2));
+
+const toPoints = (readings, timeZone) => readings.map(record => ({
+  record,
+  time: parseDateTime(record.measured_at, timeZone)?.getTime(),
+  value: parseFloat(record.value_primary),
+}));
+
+/**
+ * How two types move together: their readings paired up by time, Pearson
+ * and Spearman coefficients, a scatter plot of the pairs with a fitted
+ * line, and the correlation with one type shifted earlier or later.
+ * Readings should already be in the unit to show.
+ */
+const CorrelationAnalysis = ({
+  xType,
+  yType,
+  xReadings = [],
+  yReadings = [],
+  timeZone = 'UTC',
+  xColor = '#3b82f6',
+  yColor = '#f59e0b',
+  className = '',
+}) => {
+  const [windowKey, setWindowKey] = useState(DEFAULT_ALIGNMENT_WINDOW);
+  const windowMs = ALIGNMENT_WINDOWS[windowKey].ms;
+
+  const xPoints = useMemo(() => toPoints(xReadings, timeZone), [xReadings, timeZone]);
+  const yPoints = useMemo(() => toPoints(yReadings, timeZone), [yReadings, timeZone]);
+
+  const pairs = useMemo(() => alignReadings(xPoints, yPoints, windowMs), [xPoints, yPoints, windowMs]);
+  const result = useMemo(() => correlate(pairs), [pairs]);
+  const lags = useMemo(() => lagAnalysis(xPoints, yPoints, windowMs), [xPoints, yPoints, windowMs]);
+  const bestLag = useMemo(() => strongestLag(lags), [lags]);
+
+  // Scatter plot scales, and the fitted line drawn across the plotted range
+  const scatter = useMemo(() => {
+    const xs = pairs.map(pair => pair.a.value);
+    const ys = pairs.map(pair => pair.b.value);
+    const xDomain = valueExtent(xs);
+    const fit = pairs.length >= MIN_PAIRS ? linearFit(xs, ys) : null;
+
+    return {
+      xDomain,
+      yDomain: valueExtent(ys),
+      fitLine: fit && xDomain ? xDomain.map(value => ({ x: value, y: fit.intercept + fit.slope * value })) : [],
+    };
+  }, [pairs]);
+
+  const xName = overlayLabel(xType);
+  const yName = overlayLabel(yType);
+  const xUnit = xReadings[0]?.unit || xType.unit_primary;
+  const yUnit = yReadings[0]?.unit || yType.unit_primary;
+
+  const describeLag = (lag) => (
+    lag === 0 ? 'at the same time' : `${yName} ${formatLag(lag)} ${lag > 0 ? 'after' : 'before'} ${xName}`
+  );
+
+  const renderTooltip = ({ datum }) => (
+    <>
+      <div className="text-sm font-medium">
+        {datum.a.value} {xUnit} · {datum.b.value} {yUnit}
+      </div>
+      <div className="text-xs text-gray-500">
+        {formatDateTime(datum.a.time, timeZone, 'shortDateTime')}
+        {datum.gap > 0 && ` · ${formatLag(datum.gap)} apart`}
+      </div>
+    </>
+  );
+
+  return (
+    <div className={`space-y-4 ${className}`} data-testid="correlation-analysis">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <p className="text-sm text-gray-600">
+          {result.n} pair{result.n === 1 ? '' : 's'} of {xName} and {yName} readings taken within {ALIGNMENT_WINDOWS[windowKey].label} of each other
+        </p>
+        <Select value={windowKey} onValueChange={setWindowKey}>
+          <SelectTrigger className="w-40" aria-label="Pair readings within">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {Object.entries(ALIGNMENT_WINDOWS).map(([key, option]) => (
+              <SelectItem key={key} value={key}>Within {option.label}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      {result.n < MIN_PAIRS ? (
+        <div className="flex items-start gap-3 p-4 border rounded-lg bg-blue-50 border-blue-200">
+          <Info className="h-4 w-4 text-blue-500 mt-0.5" />
+          <p className="text-sm text-gray-700">
+            At least {MIN_PAIRS} pairs are needed to measure a correlation. Try a wider window, a longer period,
+            or recording both readings at the same sitting.
+          </p>
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="text-center p-4 bg-blue-50 rounded-lg">
+              <div className="text-2xl font-bold text-blue-600" data-testid="pearson">{formatCoefficient(result.pearson)}</div>
+              <div className="text-xs text-gray-500">Pearson r · {describeCorrelation(result.pearson)}</div>
+            </div>
+            <div className="text-center p-4 bg-purple-50 rounded-lg">
+              <div className="text-2xl font-bold text-purple-600" data-testid="spearman">{formatCoefficient(result.spearman)}</div>
+              <div className="text-xs text-gray-500">Spearman ρ · {describeCorrelation(result.spearman)}</div>
+            </div>
+            <div className="text-center p-4 bg-gray-50 rounded-lg">
+              <div className="text-2xl font-bold text-gray-900">
+                {bestLag ? formatCoefficient(bestLag.r) : '–'}
+              </div>
+              <div className="text-xs text-gray-500">
+                Strongest {bestLag ? describeLag(bestLag.lag) : 'lag'}
+              </div>
+            </div>
+          </div>
+
+          <Card>
+            <CardHeader className="pb-3">
+              <CardTitle className="text-base">{yName} against {xName}</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <Chart
+                xDomain={scatter.xDomain}
+                yDomain={scatter.yDomain}
+                height={260}
+                timeZone={timeZone}
+                renderTooltip={renderTooltip}
+                ariaLabel={`Scatter plot of ${yName} against ${xName}`}
+                data-testid="correlation-scatter"
+              >
+                <Grid />
+                {scatter.fitLine.length > 0 && (
+                  <LineSeries data={scatter.fitLine} x={point => point.x} y={point => point.y} color="#9ca3af" dashed showPoints={false} />
+                )}
+                <LineSeries
+                  data={pairs}
+                  x={pair => pair.a.value}
+                  y={pair => pair.b.value}
+                  color={yColor}
+                  showLine={false}
+                  pointRadius={4}
+                />
+                <YAxis label={yUnit} />
+                <XAxis label={xUnit} />
+              </Chart>
+            </CardContent>
+          </Card>
+        </>
+      )}
+
+      {/* Correlation with one type shifted, to see whether it follows the other */}
+      <Card>
+        <CardHeader className="pb-3">
+          <CardTitle className="text-base">Lag analysis</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <div className="flex items-end gap-1 h-32" role="list" aria-label="Correlation by lag">
+            {lags.map(({ lag, n, r }) => (
+              <div
+                key={lag}
+                role="listitem"
+                className="flex-1 flex flex-col justify-center h-full"
+                title={`${describeLag(lag)}: r ${formatCoefficient(r)} from ${n} pairs`}
+                aria-label={`${describeLag(lag)}: r ${formatCoefficient(r)} from ${n} pairs`}
+              >
+                {/* Positive correlations rise from the middle line, negative ones hang below it */}
+                <div className="h-1/2 flex items-end">
+                  {r > 0 && (
+                    <div
+                      className="w-full rounded-t"
+                      style={{ height: `${r * 100}%`, backgroundColor: lag === bestLag?.lag ? xColor : '#cbd5e1' }}
+                    />
+                  )}
+                </div>
+                <div className="h-1/2 flex items-start border-t border-gray-300">
+                  {r < 0 && (
+                    <div
+                      className="w-full rounded-b"
+                      style={{ height: `${-r * 100}%`, backgroundColor: lag === bestLag?.lag ? xColor : '#cbd5e1' }}
+                    />
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+          <div className="mt-2 flex justify-between text-xs text-gray-500">
+            <span>{yName} earlier</span>
+            <span>Same time</span>
+            <span>{yName} later</span>
+          </div>
+          <p className="mt-3 text-sm text-gray-600">
+            {bestLag
+              ? `The readings line up most closely with ${describeLag(bestLag.lag)} (r ${formatCoefficient(bestLag.r)}, ${bestLag.n} pairs). Each step is ${ALIGNMENT_WINDOWS[windowKey].label}.`
+              : `Not enough pairs at any lag to compare. Each step is ${ALIGNMENT_WINDOWS[windowKey].label}.`}
+          </p>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default CorrelationAnalysis;
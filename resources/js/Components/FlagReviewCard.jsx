@@ -0,0 +1,173 @@
+import React, { useState } from 'react';
+import { Button } from '@/Components/ui/button';
+import { Badge } from '@/Components/ui/badge';
+import { AlertTriangle, CheckCircle, Loader2 } from 'lucide-react';
+import useTimeZone from '@/hooks/useTimeZone';
+import { formatContext } from '@/lib/measurementContext';
+import {
+  REVIEW_OUTCOMES,
+  MAX_REVIEW_NOTES_LENGTH,
+  getOutcomeLabel,
+  getReviews,
+  describeReviewer,
+} from '@/lib/flagReview';
+
+// What was done about a reading so far, oldest first
+const ReviewHistory = ({ reviews }) => {
+  const { formatDate } = useTimeZone();
+
+  return (
+    <ol className="space-y-2 border-l-2 border-gray-200 pl-4" aria-label="Review history">
+      {reviews.map((review) => (
+        <li key={review.id} className="text-sm">
+          <div className="flex flex-wrap items-center gap-2">
+            <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${REVIEW_OUTCOMES[review.outcome]?.className || 'bg-gray-100 text-gray-800'}`}>
+              {getOutcomeLabel(review.outcome)}
+            </span>
+            <span className="text-muted-foreground">
+              {describeReviewer(review)} · {formatDate(review.created_at)}
+            </span>
+          </div>
+          {review.notes && <p className="mt-1 text-gray-700">{review.notes}</p>}
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+// A flagged reading with its review history and a form to acknowledge it
+const FlagReviewCard = ({ record, onAcknowledge }) => {
+  const { formatDate } = useTimeZone();
+  const [outcome, setOutcome] = useState(null);
+  const [notes, setNotes] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [formOpen, setFormOpen] = useState(false);
+
+  const reviews = getReviews(record);
+  const showForm = reviews.length === 0 || formOpen;
+  const context = formatContext(record.context);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!outcome) {
+      setError('Choose what you did about this reading.');
+      return;
+    }
+
+    setSaving(true);
+    const message = await onAcknowledge(record, outcome, notes);
+    setSaving(false);
+
+    if (message) {
+      setError(message);
+      return;
+    }
+
+    setOutcome(null);
+    setNotes('');
+    setError(null);
+    setFormOpen(false);
+  };
+
+  return (
+    <div className="border rounded-lg p-4 space-y-4">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <div className="flex items-center gap-2">
+            <h3 className="font-semibold">{record.vital_sign_type?.display_name}</h3>
+            {reviews.length > 0 ? (
+              <Badge variant="secondary" className="text-xs">
+                <CheckCircle className="h-3 w-3 mr-1" />
+                Reviewed
+              </Badge>
+            ) : (
+              <Badge variant="destructive" className="text-xs">
+                <AlertTriangle className="h-3 w-3 mr-1" />
+                Needs review
+              </Badge>
+            )}
+          </div>
+          <p className="text-sm text-muted-foreground">{formatDate(record.measured_at)}</p>
+        </div>
+        <div className="text-right">
+          <p className="text-lg font-semibold">
+            {record.value_primary}
+            {record.value_secondary && `/${record.value_secondary}`}
+            <span className="text-sm text-muted-foreground ml-1">{record.unit}</span>
+          </p>
+        </div>
+      </div>
+
+      {record.flag_reason && (
+        <div className="p-2 bg-red-50 border border-red-200 rounded text-sm text-red-700">
+          {record.flag_reason}
+        </div>
+      )}
+
+      {(context.length > 0 || record.notes) && (
+        <div className="text-sm text-muted-foreground space-y-1">
+          {context.length > 0 && <p>Context: {context.join(', ')}</p>}
+          {record.notes && <p>Notes: {record.notes}</p>}
+        </div>
+      )}
+
+      {reviews.length > 0 && <ReviewHistory reviews={reviews} />}
+
+      {showForm ? (
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <div className="flex flex-wrap gap-2" role="group" aria-label="What did you do?">
+            {Object.entries(REVIEW_OUTCOMES).map(([value, { label }]) => (
+              <button
+                key={value}
+                type="button"
+                onClick={() => {
+                  setOutcome(value);
+                  setError(null);
+                }}
+                aria-pressed={outcome === value}
+                className={`px-3 py-1 rounded-full border text-sm transition-colors ${
+                  outcome === value
+                    ? 'bg-indigo-600 border-indigo-600 text-white'
+                    : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <textarea
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            rows={2}
+            maxLength={MAX_REVIEW_NOTES_LENGTH}
+            placeholder="Optional: the repeat reading, how you felt, what your provider said"
+            aria-label="Review notes"
+            className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+          />
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          <div className="flex justify-end gap-2">
+            {reviews.length > 0 && (
+              <Button type="button" variant="outline" size="sm" onClick={() => setFormOpen(false)} disabled={saving}>
+                Cancel
+              </Button>
+            )}
+            <Button type="submit" size="sm" disabled={saving}>
+              {saving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Acknowledge
+            </Button>
+          </div>
+        </form>
+      ) : (
+        <div className="flex justify-end">
+          <Button variant="outline" size="sm" onClick={() => setFormOpen(true)}>
+            Add a follow-up
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FlagReviewCard;
@@ -0,0 +1,75 @@
+import React from 'react';
+import { getContextGroups } from '@/lib/measurementContext';
+
+// Toggle chips for the context tag groups that apply to a type (or to all
+// types when `groups` is passed in, as in the session form)
+const MeasurementContextFields = ({
+  type = null,
+  groups = null,
+  value = null,
+  onChange,
+  errors = {},
+  className = ""
+}) => {
+  const contextGroups = groups || getContextGroups(type);
+
+  if (!type && !groups) return null;
+
+  const context = value || {};
+
+  const toggleTag = (name, group, tag) => {
+    const next = { ...context };
+
+    if (group.multiple) {
+      const current = Array.isArray(next[name]) ? next[name] : [];
+      next[name] = current.includes(tag) ? current.filter(item => item !== tag) : [...current, tag];
+      if (next[name].length === 0) delete next[name];
+    } else if (next[name] === tag) {
+      delete next[name];
+    } else {
+      next[name] = tag;
+    }
+
+    onChange(Object.keys(next).length > 0 ? next : null);
+  };
+
+  const isSelected = (name, tag) => {
+    const current = context[name];
+    return Array.isArray(current) ? current.includes(tag) : current === tag;
+  };
+
+  return (
+    <div className={`space-y-3 ${className}`}>
+      {Object.entries(contextGroups).map(([name, group]) => (
+        <div key={name}>
+          <div className="text-xs font-medium text-gray-600 mb-1">
+            {group.label}
+            {group.multiple && <span className="font-normal text-gray-400"> (any that apply)</span>}
+          </div>
+          <div className="flex flex-wrap gap-2" role="group" aria-label={group.label}>
+            {Object.entries(group.options).map(([tag, label]) => (
+              <button
+                key={tag}
+                type="button"
+                aria-pressed={isSelected(name, tag)}
+                onClick={() => toggleTag(name, group, tag)}
+                className={`px-2.5 py-1 rounded-full border text-xs transition-colors ${
+                  isSelected(name, tag)
+                    ? 'bg-indigo-600 border-indigo-600 text-white'
+                    : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          {errors[`context.${name}`] && (
+            <p className="mt-1 text-sm text-red-600">{errors[`context.${name}`]}</p>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default MeasurementContextFields;
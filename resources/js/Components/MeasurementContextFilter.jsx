@@ -0,0 +1,36 @@
+import React from 'react';
+import { Select, SelectContent, SelectGroup, SelectItem, SelectLabel, SelectTrigger, SelectValue } from '@/Components/ui/select';
+
+// Radix selects can't hold an empty value, so "any" stands in for no filter
+const ANY_CONTEXT = 'any';
+
+// Single-tag filter over the given context groups; values are "group:tag", or '' for any
+const MeasurementContextFilter = ({
+  groups = {},
+  value = '',
+  onChange,
+  className = ""
+}) => {
+  return (
+    <Select value={value || ANY_CONTEXT} onValueChange={tag => onChange(tag === ANY_CONTEXT ? '' : tag)}>
+      <SelectTrigger className={className} aria-label="Filter by context">
+        <SelectValue placeholder="Any context" />
+      </SelectTrigger>
+      <SelectContent>
+        <SelectItem value={ANY_CONTEXT}>Any context</SelectItem>
+        {Object.entries(groups).map(([name, group]) => (
+          <SelectGroup key={name}>
+            <SelectLabel>{group.label}</SelectLabel>
+            {Object.entries(group.options).map(([tag, label]) => (
+              <SelectItem key={tag} value={`${name}:${tag}`}>
+                {label}
+              </SelectItem>
+            ))}
+          </SelectGroup>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+};
+
+export default MeasurementContextFilter;
@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/Components/ui/card';
+import { Button } from '@/Components/ui/button';
+import { CalendarClock } from 'lucide-react';
+import MeasurementScheduleSheet from '@/Components/MeasurementScheduleSheet';
+import useTimeZone from '@/hooks/useTimeZone';
+import {
+  SCHEDULE_STATUSES,
+  describeProgress,
+  adherenceClassName,
+  formatAdherence,
+} from '@/lib/measurementSchedule';
+
+// Bars for the most recent days or weeks of a plan, full height when every reading was taken
+const AdherenceBars = ({ periods = [], limit = 14 }) => (
+  <div className="flex items-end gap-0.5 h-6" aria-hidden="true">
+    {periods.slice(-limit).map((period) => (
+      <div
+        key={period.start}
+        className={`w-1.5 rounded-sm ${period.adherence >= 100 ? 'bg-green-500' : period.adherence > 0 ? 'bg-yellow-400' : 'bg-red-300'}`}
+        style={{ height: `${Math.max(period.adherence, 15)}%` }}
+        title={`${period.start}: ${period.completed} of ${period.expected}`}
+      />
+    ))}
+  </div>
+);
+
+// Dashboard summary of what the measurement plan asks for today and how well it has been kept
+const MeasurementPlanCard = ({
+  dueReadings = [],
+  adherence = null,
+  vitalSignTypes = [],
+  onChanged,
+}) => {
+  const { formatDate } = useTimeZone();
+  const [sheetOpen, setSheetOpen] = useState(false);
+
+  const adherenceBySchedule = Object.fromEntries(
+    (adherence?.schedules || []).map((item) => [item.schedule_id, item])
+  );
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-start justify-between space-y-0">
+        <div className="space-y-1.5">
+          <CardTitle>Measurement Plan</CardTitle>
+          <CardDescription>
+            What is due today and how closely you have followed your plan
+          </CardDescription>
+        </div>
+        <Button variant="outline" size="sm" onClick={() => setSheetOpen(true)}>
+          <CalendarClock className="h-4 w-4 mr-2" />
+          Manage
+        </Button>
+      </CardHeader>
+      <CardContent>
+        {dueReadings.length > 0 ? (
+          <div className="space-y-4">
+            {adherence?.overall !== null && adherence?.overall !== undefined && (
+              <div className="flex items-baseline gap-2">
+                <span className={`text-2xl font-bold ${adherenceClassName(adherence.overall)}`}>
+                  {formatAdherence(adherence.overall)}
+                </span>
+                <span className="text-xs text-muted-foreground">
+                  of planned readings taken in the last {adherence.days} days
+                </span>
+              </div>
+            )}
+
+            <div className="space-y-3">
+              {dueReadings.map((status) => {
+                const statusStyle = SCHEDULE_STATUSES[status.status];
+                const history = adherenceBySchedule[status.schedule_id];
+
+                return (
+                  <div key={status.schedule_id} className="flex items-center justify-between gap-4 p-3 rounded-lg border">
+                    <div className="min-w-0">
+                      <p className="font-medium text-sm">{status.vital_sign_type?.display_name}</p>
+                      <p className="text-xs text-muted-foreground">
+                        {describeProgress(status)}
+                        {status.status !== 'complete' && status.next_due_at && ` · next at ${formatDate(status.next_due_at, 'time')}`}
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-3 shrink-0">
+                      {history?.periods.length > 0 && (
+                        <div className="hidden sm:flex items-center gap-2">
+                          <AdherenceBars periods={history.periods} />
+                          <span className={`text-xs font-medium ${adherenceClassName(history.adherence)}`}>
+                            {formatAdherence(history.adherence)}
+                          </span>
+                        </div>
+                      )}
+                      <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${statusStyle.className}`}>
+                        {statusStyle.label}
+                      </span>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        ) : (
+          <div className="text-center py-6">
+            <p className="text-muted-foreground text-sm mb-4">
+              Plan regular readings, like blood pressure twice a day or weight once a week, and get reminded when they are due.
+            </p>
+            <Button variant="outline" onClick={() => setSheetOpen(true)}>
+              Set Up a Plan
+            </Button>
+          </div>
+        )}
+      </CardContent>
+
+      <MeasurementScheduleSheet
+        open={sheetOpen}
+        onOpenChange={setSheetOpen}
+        vitalSignTypes={vitalSignTypes}
+        onChanged={onChanged}
+      />
+    </Card>
+  );
+};
+
+export default MeasurementPlanCard;
@@ -0,0 +1,52 @@
+import React from 'react';
+import { Button } from '@/Components/ui/button';
+import { BellRing, X } from 'lucide-react';
+import useTimeZone from '@/hooks/useTimeZone';
+import { describeProgress } from '@/lib/measurementSchedule';
+
+// In-app banner for readings from the measurement plan that are due now or overdue
+const MeasurementReminders = ({ reminders = [], onRecord, onDismiss }) => {
+  const { formatDate } = useTimeZone();
+
+  if (reminders.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="border-b bg-amber-50" role="status" aria-live="polite">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2 space-y-1">
+        {reminders.map((reminder) => (
+          <div key={reminder.schedule_id} className="flex items-center justify-between gap-4 text-sm">
+            <div className="flex items-center gap-2 text-amber-900">
+              <BellRing className="h-4 w-4 shrink-0" />
+              <span>
+                <span className="font-medium">{reminder.vital_sign_type?.display_name}</span>
+                {reminder.status === 'overdue' ? ' is overdue' : ' is due now'}
+                {reminder.next_due_at && ` (${formatDate(reminder.next_due_at, 'time')})`}
+                <span className="text-amber-700"> · {describeProgress(reminder)}</span>
+              </span>
+            </div>
+            <div className="flex items-center gap-1">
+              {onRecord && (
+                <Button size="sm" variant="outline" className="h-7" onClick={() => onRecord(reminder)}>
+                  Record
+                </Button>
+              )}
+              <Button
+                size="sm"
+                variant="ghost"
+                className="h-7 w-7 p-0"
+                onClick={() => onDismiss(reminder)}
+                aria-label={`Dismiss reminder for ${reminder.vital_sign_type?.display_name}`}
+              >
+                <X className="h-4 w-4" />
+              </Button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default MeasurementReminders;
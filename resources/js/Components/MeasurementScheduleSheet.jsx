@@ -0,0 +1,420 @@
+import React, { useState, useEffect } from 'react';
+import { Sheet, SheetContent, SheetHeader, SheetTitle, SheetDescription } from '@/Components/ui/sheet';
+import { Button } from '@/Components/ui/button';
+import { Input } from '@/Components/ui/input';
+import { Badge } from '@/Components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/Components/ui/select';
+import { Bell, BellOff, Pause, Pencil, Play, Trash2, Loader2 } from 'lucide-react';
+import {
+  FREQUENCIES,
+  MAX_TARGET_COUNT,
+  describeSchedule,
+  resizeReminderTimes,
+} from '@/lib/measurementSchedule';
+
+const emptyForm = () => ({
+  vital_sign_type_id: '',
+  frequency: 'daily',
+  target_count: 1,
+  reminder_times: ['08:00'],
+  notes: '',
+});
+
+const requestHeaders = () => ({
+  'Content-Type': 'application/json',
+  'Accept': 'application/json',
+  'X-CSRF-TOKEN': document.querySelector('meta[name="csrf-token"]').content,
+});
+
+// Set up which readings to take and how often; one plan per vital sign type
+const MeasurementScheduleSheet = ({
+  open = false,
+  onOpenChange,
+  vitalSignTypes = [],
+  onChanged,
+}) => {
+  const [schedules, setSchedules] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [errors, setErrors] = useState({});
+
+  const fetchSchedules = async () => {
+    setLoading(true);
+
+    try {
+      const response = await fetch('/api/measurement-schedules', { headers: requestHeaders() });
+
+      if (!response.ok) {
+        throw new Error('Failed to fetch measurement schedules');
+      }
+
+      const result = await response.json();
+      setSchedules(result.data || []);
+    } catch (error) {
+      console.error('Error fetching measurement schedules:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!open) return;
+
+    resetForm();
+    fetchSchedules();
+  }, [open]);
+
+  const resetForm = () => {
+    setEditingId(null);
+    setFormData(emptyForm());
+    setErrors({});
+  };
+
+  const handleChange = (field, value) => {
+    setFormData((current) => {
+      const updated = { ...current, [field]: value };
+
+      // Daily plans get one reminder time per reading
+      if (field === 'target_count' || field === 'frequency') {
+        const count = Math.min(Math.max(parseInt(updated.target_count, 10) || 1, 1), MAX_TARGET_COUNT);
+        updated.reminder_times = updated.frequency === 'daily' ? resizeReminderTimes(current.reminder_times, count) : [];
+      }
+
+      return updated;
+    });
+
+    if (errors[field]) {
+      setErrors((current) => ({ ...current, [field]: null }));
+    }
+  };
+
+  const handleReminderTimeChange = (index, value) => {
+    setFormData((current) => ({
+      ...current,
+      reminder_times: current.reminder_times.map((time, position) => (position === index ? value : time)),
+    }));
+  };
+
+  const startEditing = (schedule) => {
+    setEditingId(schedule.id);
+    setErrors({});
+    setFormData({
+      vital_sign_type_id: schedule.vital_sign_type_id.toString(),
+      frequency: schedule.frequency,
+      target_count: schedule.target_count,
+      reminder_times: schedule.frequency === 'daily'
+        ? resizeReminderTimes(schedule.reminder_times || [], schedule.target_count)
+        : [],
+      notes: schedule.notes || '',
+    });
+  };
+
+  const saveSchedule = async (url, method, data) => {
+    const response = await fetch(url, {
+      method,
+      headers: requestHeaders(),
+      body: JSON.stringify(data),
+    });
+
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw Object.assign(new Error(result.message || 'Failed to save measurement schedule'), { errors: result.errors });
+    }
+
+    return result.data;
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+
+    if (!editingId && !formData.vital_sign_type_id) {
+      setErrors({ vital_sign_type_id: 'Please choose what to measure' });
+      return;
+    }
+
+    const payload = {
+      frequency: formData.frequency,
+      target_count: parseInt(formData.target_count, 10),
+      reminder_times: formData.frequency === 'daily' ? formData.reminder_times : null,
+      notes: formData.notes || null,
+    };
+
+    setSaving(true);
+
+    try {
+      if (editingId) {
+        await saveSchedule(`/api/measurement-schedules/${editingId}`, 'PUT', payload);
+      } else {
+        await saveSchedule('/api/measurement-schedules', 'POST', {
+          ...payload,
+          vital_sign_type_id: parseInt(formData.vital_sign_type_id, 10),
+        });
+      }
+
+      resetForm();
+      await fetchSchedules();
+      onChanged?.();
+    } catch (error) {
+      console.error('Error saving measurement schedule:', error);
+
+      const fieldErrors = Object.fromEntries(
+        Object.entries(error.errors || {}).map(([field, messages]) => [field.split('.')[0], messages[0]])
+      );
+      setErrors(Object.keys(fieldErrors).length > 0 ? fieldErrors : { general: error.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleSchedule = async (schedule, field) => {
+    try {
+      await saveSchedule(`/api/measurement-schedules/${schedule.id}`, 'PUT', { [field]: !schedule[field] });
+      await fetchSchedules();
+      onChanged?.();
+    } catch (error) {
+      console.error('Error updating measurement schedule:', error);
+    }
+  };
+
+  const deleteSchedule = async (schedule) => {
+    try {
+      const response = await fetch(`/api/measurement-schedules/${schedule.id}`, {
+        method: 'DELETE',
+        headers: requestHeaders(),
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to delete measurement schedule');
+      }
+
+      if (editingId === schedule.id) {
+        resetForm();
+      }
+
+      setSchedules((current) => current.filter((item) => item.id !== schedule.id));
+      onChanged?.();
+    } catch (error) {
+      console.error('Error deleting measurement schedule:', error);
+    }
+  };
+
+  // Only one plan per type, so offer the types without one
+  const plannedTypeIds = schedules.map((schedule) => schedule.vital_sign_type_id);
+  const availableTypes = vitalSignTypes.filter((type) => !plannedTypeIds.includes(type.id));
+  const editingSchedule = schedules.find((schedule) => schedule.id === editingId);
+
+  return (
+    <Sheet open={open} onOpenChange={onOpenChange}>
+      <SheetContent className="w-full sm:max-w-xl overflow-y-auto">
+        <div className="space-y-6">
+          <SheetHeader>
+            <SheetTitle>Measurement Plan</SheetTitle>
+            <SheetDescription>
+              Choose what to measure and how often. Readings due at a set time show a reminder once that time arrives.
+            </SheetDescription>
+          </SheetHeader>
+
+          {/* Current plans */}
+          <div className="space-y-3">
+            {loading && schedules.length === 0 ? (
+              <div className="flex justify-center py-6">
+                <Loader2 className="h-5 w-5 animate-spin text-muted-foreground" />
+              </div>
+            ) : schedules.length === 0 ? (
+              <p className="text-sm text-muted-foreground">No measurements planned yet.</p>
+            ) : (
+              schedules.map((schedule) => (
+                <div
+                  key={schedule.id}
+                  className={`flex items-start justify-between gap-3 p-3 rounded-lg border ${schedule.is_active ? '' : 'opacity-60'}`}
+                >
+                  <div className="space-y-1">
+                    <div className="flex items-center gap-2">
+                      <p className="font-medium text-sm">{schedule.vital_sign_type?.display_name}</p>
+                      {!schedule.is_active && <Badge variant="secondary">Paused</Badge>}
+                    </div>
+                    <p className="text-sm text-muted-foreground">{describeSchedule(schedule)}</p>
+                    {schedule.creator?.role === 'medical_professional' && (
+                      <p className="text-xs text-muted-foreground">Set by {schedule.creator.name}</p>
+                    )}
+                    {schedule.notes && <p className="text-xs text-muted-foreground">{schedule.notes}</p>}
+                  </div>
+                  <div className="flex items-center gap-1 shrink-0">
+                    <Button
+                      size="sm"
+                      variant="ghost"
+                      className="h-8 w-8 p-0"
+                      onClick={() => toggleSchedule(schedule, 'reminders_enabled')}
+                      aria-label={schedule.reminders_enabled ? 'Turn reminders off' : 'Turn reminders on'}
+                      title={schedule.reminders_enabled ? 'Reminders on' : 'Reminders off'}
+                    >
+                      {schedule.reminders_enabled ? <Bell className="h-4 w-4" /> : <BellOff className="h-4 w-4" />}
+                    </Button>
+                    <Button
+                      size="sm"
+                      variant="ghost"
+                      className="h-8 w-8 p-0"
+                      onClick={() => toggleSchedule(schedule, 'is_active')}
+                      aria-label={schedule.is_active ? 'Pause plan' : 'Resume plan'}
+                      title={schedule.is_active ? 'Pause' : 'Resume'}
+                    >
+                      {schedule.is_active ? <Pause className="h-4 w-4" /> : <Play className="h-4 w-4" />}
+                    </Button>
+                    <Button
+                      size="sm"
+                      variant="ghost"
+                      className="h-8 w-8 p-0"
+                      onClick={() => startEditing(schedule)}
+                      aria-label="Edit plan"
+                    >
+                      <Pencil className="h-4 w-4" />
+                    </Button>
+                    <Button
+                      size="sm"
+                      variant="ghost"
+                      className="h-8 w-8 p-0 text-red-600 hover:text-red-700"
+                      onClick={() => deleteSchedule(schedule)}
+                      aria-label="Delete plan"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </div>
+                </div>
+              ))
+            )}
+          </div>
+
+          {/* Add or edit a plan */}
+          {(editingId || availableTypes.length > 0) && (
+            <form onSubmit={handleSubmit} className="space-y-4 border-t pt-4">
+              <h3 className="text-sm font-semibold">
+                {editingSchedule ? `Edit ${editingSchedule.vital_sign_type?.display_name} plan` : 'Add to plan'}
+              </h3>
+
+              {!editingId && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Measurement Type *
+                  </label>
+                  <Select
+                    value={formData.vital_sign_type_id}
+                    onValueChange={(value) => handleChange('vital_sign_type_id', value)}
+                  >
+                    <SelectTrigger className={errors.vital_sign_type_id ? 'border-red-500' : ''}>
+                      <SelectValue placeholder="Select measurement type..." />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {availableTypes.map((type) => (
+                        <SelectItem key={type.id} value={type.id.toString()}>
+                          {type.display_name}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  {errors.vital_sign_type_id && (
+                    <p className="mt-1 text-sm text-red-600">{errors.vital_sign_type_id}</p>
+                  )}
+                </div>
+              )}
+
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Readings per {formData.frequency === 'weekly' ? 'Week' : 'Day'} *
+                  </label>
+                  <Input
+                    type="number"
+                    min="1"
+                    max={MAX_TARGET_COUNT}
+                    value={formData.target_count}
+                    onChange={(e) => handleChange('target_count', e.target.value)}
+                    className={errors.target_count ? 'border-red-500' : ''}
+                  />
+                  {errors.target_count && (
+                    <p className="mt-1 text-sm text-red-600">{errors.target_count}</p>
+                  )}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Frequency *
+                  </label>
+                  <Select
+                    value={formData.frequency}
+                    onValueChange={(value) => handleChange('frequency', value)}
+                  >
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {Object.entries(FREQUENCIES).map(([value, label]) => (
+                        <SelectItem key={value} value={value}>
+                          {label}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              </div>
+
+              {formData.frequency === 'daily' && formData.reminder_times.length > 0 && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Reminder Times
+                  </label>
+                  <div className="grid grid-cols-3 gap-2">
+                    {formData.reminder_times.map((time, index) => (
+                      <Input
+                        key={index}
+                        type="time"
+                        value={time}
+                        onChange={(e) => handleReminderTimeChange(index, e.target.value)}
+                        aria-label={`Reminder time ${index + 1}`}
+                      />
+                    ))}
+                  </div>
+                  {errors.reminder_times && (
+                    <p className="mt-1 text-sm text-red-600">{errors.reminder_times}</p>
+                  )}
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Notes
+                </label>
+                <Input
+                  type="text"
+                  value={formData.notes}
+                  onChange={(e) => handleChange('notes', e.target.value)}
+                  placeholder="e.g., Before medication, seated for 5 minutes"
+                  maxLength={500}
+                />
+              </div>
+
+              {errors.general && (
+                <p className="text-sm text-red-600">{errors.general}</p>
+              )}
+
+              <div className="flex gap-2">
+                <Button type="submit" disabled={saving}>
+                  {saving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                  {editingId ? 'Save Changes' : 'Add to Plan'}
+                </Button>
+                {editingId && (
+                  <Button type="button" variant="outline" onClick={resetForm}>
+                    Cancel
+                  </Button>
+                )}
+              </div>
+            </form>
+          )}
+        </div>
+      </SheetContent>
+    </Sheet>
+  );
+};
+
+export default MeasurementScheduleSheet;
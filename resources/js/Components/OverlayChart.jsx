@@ -0,0 +1,97 @@
+import React, { useMemo } from 'react';
+import Chart, { Grid, YAxis, YScale, TimeAxis, LineSeries } from '@/Components/Chart';
+import { DEFAULT_MARGIN, valueExtent, timeExtent } from '@/lib/chart';
+import { formatDateTime, parseDateTime } from '@/lib/dateTime';
+import { isDualType, getSeriesLabels } from '@/lib/dualSeries';
+
+// Room for each extra axis stacked up the right-hand side
+const AXIS_WIDTH = 48;
+
+// A type's name on the chart; for two-value types only the first value is drawn
+export const overlayLabel = (type) => (
+  isDualType(type) ? `${type.display_name} (${getSeriesLabels(type).primary.toLowerCase()})` : type?.display_name
+);
+
+/**
+ * Several vital sign types on one time axis, each on its own value scale:
+ * the first type's axis on the left and the others up the right in their
+ * series' colours. `series` is [{ key, type, readings, color }], with
+ * readings already in the unit to show.
+ */
+const OverlayChart = ({ series = [], timeZone = 'UTC', height = 280, className = '' }) => {
+  const lines = useMemo(() => series.map(item => {
+    const points = item.readings.map(record => ({
+      record,
+      time: parseDateTime(record.measured_at, timeZone)?.getTime(),
+      value: parseFloat(record.value_primary),
+    }));
+
+    return { ...item, points, domain: valueExtent(points.map(point => point.value)) };
+  }).filter(item => item.points.length > 0), [series, timeZone]);
+
+  const xDomain = useMemo(() => timeExtent(lines.flatMap(line => line.points.map(point => point.time))), [lines]);
+  const margin = useMemo(
+    () => ({ ...DEFAULT_MARGIN, top: 24, right: DEFAULT_MARGIN.right + Math.max(0, lines.length - 1) * AXIS_WIDTH }),
+    [lines.length]
+  );
+
+  if (lines.length === 0) return null;
+
+  const renderTooltip = ({ datum, label }) => (
+    <>
+      <div className="text-sm font-medium">
+        {datum.record.value_primary} {datum.record.unit}
+      </div>
+      <div className="text-xs text-gray-500">
+        {label} · {formatDateTime(datum.time, timeZone, 'shortDateTime')}
+      </div>
+    </>
+  );
+
+  return (
+    <div className={className}>
+      <Chart
+        xDomain={xDomain}
+        yDomain={lines[0].domain}
+        height={height}
+        margin={margin}
+        timeZone={timeZone}
+        renderTooltip={renderTooltip}
+        ariaLabel={`${lines.map(line => line.type.display_name).join(', ')} over time`}
+        data-testid="overlay-chart"
+      >
+        <Grid />
+        {lines.map((line, index) => (
+          <YScale key={line.key} domain={line.domain}>
+            <LineSeries
+              data={line.points}
+              x={point => point.time}
+              y={point => point.value}
+              color={line.color}
+              label={overlayLabel(line.type)}
+              pointRadius={3}
+            />
+            <YAxis
+              side={index === 0 ? 'left' : 'right'}
+              offset={index === 0 ? 0 : (index - 1) * AXIS_WIDTH}
+              color={line.color}
+              label={line.readings[0]?.unit || line.type.unit_primary}
+            />
+          </YScale>
+        ))}
+        <TimeAxis />
+      </Chart>
+
+      <div className="mt-4 flex flex-wrap items-center justify-center gap-4 text-sm" data-testid="chart-legend">
+        {lines.map(line => (
+          <div key={line.key} className="flex items-center">
+            <span className="inline-block w-3 h-3 mr-2 rounded-full" style={{ backgroundColor: line.color }} />
+            <span>{overlayLabel(line.type)}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default OverlayChart;
@@ -0,0 +1,225 @@
+import React, { useState } from 'react';
+import { Button } from '@/Components/ui/button';
+import { Badge } from '@/Components/ui/badge';
+import { Input } from '@/Components/ui/input';
+import { CloudOff, RefreshCw, AlertTriangle, Copy, Trash2 } from 'lucide-react';
+import { QUEUE_STATUS } from '@/lib/offlineQueue';
+import { validateReading } from '@/lib/vitalSignsValidation';
+import useTimeZone from '@/hooks/useTimeZone';
+
+
+const formatValue = (payload) => {
+  if (payload.value_secondary) {
+    return `${payload.value_primary}/${payload.value_secondary}`;
+  }
+  return payload.value_primary;
+};
+
+const getStatusBadge = (status) => {
+  switch (status) {
+    case QUEUE_STATUS.CONFLICT:
+      return <Badge variant="outline" className="text-xs border-yellow-400 text-yellow-700">Conflict</Badge>;
+    case QUEUE_STATUS.REJECTED:
+      return <Badge variant="destructive" className="text-xs">Needs attention</Badge>;
+    default:
+      return (
+        <Badge variant="secondary" className="text-xs">
+          <CloudOff className="h-3 w-3 mr-1" />
+          Pending sync
+        </Badge>
+      );
+  }
+};
+
+// Inline editor for a reading the server rejected
+const RejectedReadingEditor = ({ entry, onRetry, onCancel }) => {
+  const [values, setValues] = useState({
+    value_primary: entry.payload.value_primary ?? '',
+    value_secondary: entry.payload.value_secondary ?? '',
+    measured_at: entry.payload.measured_at ?? '',
+  });
+  const [errors, setErrors] = useState({});
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const payload = {
+      ...entry.payload,
+      value_primary: parseFloat(values.value_primary),
+      value_secondary: values.value_secondary === '' ? null : parseFloat(values.value_secondary),
+      measured_at: values.measured_at,
+    };
+
+    // Catch the same problems the server would before queueing it again
+    const validationErrors = entry.vital_sign_type ? validateReading(entry.vital_sign_type, { ...payload, ...values }) : {};
+    setErrors(validationErrors);
+
+    if (Object.keys(validationErrors).length === 0) {
+      onRetry(payload);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-3 grid grid-cols-1 md:grid-cols-4 gap-3">
+      <Input
+        type="number"
+        step="0.01"
+        value={values.value_primary}
+        onChange={(e) => setValues(prev => ({ ...prev, value_primary: e.target.value }))}
+        aria-label="Value"
+      />
+      {entry.payload.value_secondary !== null && entry.payload.value_secondary !== undefined ? (
+        <Input
+          type="number"
+          step="0.01"
+          value={values.value_secondary}
+          onChange={(e) => setValues(prev => ({ ...prev, value_secondary: e.target.value }))}
+          aria-label="Secondary value"
+        />
+      ) : <div className="hidden md:block" />}
+      <Input
+        type="datetime-local"
+        value={values.measured_at}
+        onChange={(e) => setValues(prev => ({ ...prev, measured_at: e.target.value }))}
+        aria-label="Measured at"
+      />
+      <div className="flex gap-2">
+        <Button type="submit" size="sm">Save</Button>
+        <Button type="button" size="sm" variant="outline" onClick={onCancel}>Cancel</Button>
+      </div>
+      {Object.keys(errors).length > 0 && (
+        <ul className="md:col-span-4 text-xs text-red-600 list-disc list-inside">
+          {Object.values(errors).map((message) => <li key={message}>{message}</li>)}
+        </ul>
+      )}
+    </form>
+  );
+};
+
+const PendingReadingsList = ({
+  pendingReadings = [],
+  isOnline = true,
+  isSyncing = false,
+  needsSignIn = false,
+  onSync,
+  onDiscard,
+  onKeepBoth,
+  onRetry,
+}) => {
+  const { formatDate } = useTimeZone();
+  const [editing, setEditing] = useState(null);
+
+  if (pendingReadings.length === 0) {
+    return null;
+  }
+
+  const needsAttention = pendingReadings.filter(entry => entry.status !== QUEUE_STATUS.PENDING).length;
+
+  return (
+    <div className="border border-yellow-200 bg-yellow-50 rounded-lg p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2 text-sm font-medium text-yellow-800">
+          <CloudOff className="h-4 w-4" />
+          {pendingReadings.length} reading{pendingReadings.length === 1 ? '' : 's'} saved on this device
+          {needsAttention > 0 && (
+            <span className="text-red-700">({needsAttention} need{needsAttention === 1 ? 's' : ''} attention)</span>
+          )}
+        </div>
+        <Button
+          size="sm"
+          variant="outline"
+          disabled={!isOnline || isSyncing}
+          onClick={onSync}
+        >
+          <RefreshCw className={`h-4 w-4 mr-2 ${isSyncing ? 'animate-spin' : ''}`} />
+          {isOnline ? (isSyncing ? 'Syncing...' : 'Sync now') : 'Offline'}
+        </Button>
+      </div>
+
+      {needsSignIn && (
+        <div className="flex items-center justify-between gap-3 text-sm text-red-700">
+          <span>
+            <AlertTriangle className="h-3 w-3 inline mr-1" />
+            Your session has expired. Reload the page and sign in again to sync these readings.
+          </span>
+          <Button size="sm" variant="outline" onClick={() => window.location.reload()}>
+            Reload
+          </Button>
+        </div>
+      )}
+
+      {pendingReadings.map((entry) => (
+        <div key={entry.client_id} className="bg-white border rounded-md p-3">
+          <div className="flex items-start justify-between gap-3">
+            <div className="flex-1 text-sm">
+              <div className="flex items-center gap-2 mb-1">
+                <span className="font-semibold">
+                  {entry.vital_sign_type?.display_name || 'Measurement'}
+                </span>
+                {getStatusBadge(entry.status)}
+              </div>
+              <div className="text-muted-foreground">
+                {formatValue(entry.payload)} {entry.payload.unit} · {formatDate(entry.payload.measured_at)}
+              </div>
+
+              {entry.status === QUEUE_STATUS.CONFLICT && (
+                <div className="mt-2 text-yellow-800">
+                  <AlertTriangle className="h-3 w-3 inline mr-1" />
+                  {entry.message}
+                  {entry.conflict && (
+                    <span className="ml-1">
+                      Existing value: {formatValue(entry.conflict)} {entry.conflict.unit}
+                    </span>
+                  )}
+                </div>
+              )}
+
+              {entry.status === QUEUE_STATUS.REJECTED && (
+                <ul className="mt-2 text-red-600 list-disc list-inside">
+                  {Object.values(entry.errors).flat().map((message, index) => (
+                    <li key={index}>{message}</li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            <div className="flex gap-2">
+              {entry.status === QUEUE_STATUS.CONFLICT && (
+                <Button size="sm" variant="outline" onClick={() => onKeepBoth(entry.client_id)}>
+                  <Copy className="h-4 w-4 mr-1" />
+                  Keep both
+                </Button>
+              )}
+              {entry.status === QUEUE_STATUS.REJECTED && editing !== entry.client_id && (
+                <Button size="sm" variant="outline" onClick={() => setEditing(entry.client_id)}>
+                  Edit
+                </Button>
+              )}
+              <Button
+                size="sm"
+                variant="outline"
+                onClick={() => onDiscard(entry.client_id)}
+                aria-label="Discard reading"
+              >
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </div>
+          </div>
+
+          {editing === entry.client_id && (
+            <RejectedReadingEditor
+              entry={entry}
+              onRetry={(payload) => {
+                setEditing(null);
+                onRetry(entry.client_id, payload);
+              }}
+              onCancel={() => setEditing(null)}
+            />
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default PendingReadingsList;
@@ -0,0 +1,240 @@
+import React, { useState, useMemo } from 'react';
+import { usePage } from '@inertiajs/react';
+import { Button } from '@/Components/ui/button';
+import { Input } from '@/Components/ui/input';
+import { Badge } from '@/Components/ui/badge';
+import { Zap, Save, Pencil, AlertTriangle, CheckCircle, Loader2, WifiOff } from 'lucide-react';
+import useUnitPreferences from '@/hooks/useUnitPreferences';
+import useTimeZone from '@/hooks/useTimeZone';
+import { parseQuickEntry } from '@/lib/quickEntry';
+import { validateReading } from '@/lib/vitalSignsValidation';
+import { queueReading, isNetworkError } from '@/lib/offlineQueue';
+
+const formatValue = (reading) => {
+  if (reading.value_secondary !== null) {
+    return `${reading.value_primary}/${reading.value_secondary}`;
+  }
+  return reading.value_primary;
+};
+
+// Type several readings as one line of text, check what was understood, then save
+const QuickEntry = ({
+  vitalSignTypes = [],
+  onSaved = null,
+  autoFocus = false,
+  className = ""
+}) => {
+  const { getPreferredUnit } = useUnitPreferences();
+  const { timeZone, formatDate, toApiValue } = useTimeZone();
+  const { userId } = usePage().props;
+  const [text, setText] = useState('');
+  const [parsed, setParsed] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  // Each parsed reading as it would be sent, with the shared validation errors
+  const records = useMemo(() => {
+    if (!parsed) return [];
+
+    return parsed.readings.map(reading => {
+      const record = {
+        vital_sign_type_id: reading.vital_sign_type_id,
+        value_primary: reading.value_primary,
+        value_secondary: reading.value_secondary,
+        unit: reading.unit,
+        measured_at: toApiValue(parsed.measuredAt),
+        measurement_method: 'manual',
+      };
+      const errors = Object.values(validateReading(reading.type, record));
+
+      return { reading, record, errors };
+    });
+  }, [parsed, toApiValue]);
+
+  const canSave = records.length > 0 && records.every(({ errors }) => errors.length === 0) && parsed.errors.length === 0;
+
+  const handleParse = (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+
+    setMessage(null);
+    setParsed(parseQuickEntry(text, vitalSignTypes, { defaultUnit: getPreferredUnit, timeZone }));
+  };
+
+  const handleTextChange = (value) => {
+    setText(value);
+    setParsed(null);
+  };
+
+  const finish = (result) => {
+    setText('');
+    setParsed(null);
+    setMessage(result);
+
+    if (onSaved) {
+      onSaved(result);
+    }
+  };
+
+  const saveOffline = async () => {
+    await Promise.all(records.map(({ reading, record }) => queueReading(userId, record, reading.type)));
+    finish({ type: 'offline', message: `${records.length} reading${records.length === 1 ? '' : 's'} saved on this device and will sync when you're back online.` });
+  };
+
+  const handleSave = async () => {
+    setIsSubmitting(true);
+    setMessage(null);
+
+    try {
+      if (!navigator.onLine) {
+        await saveOffline();
+        return;
+      }
+
+      const response = await fetch('/api/vital-signs-bulk-import', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json',
+          'X-CSRF-TOKEN': document.querySelector('meta[name="csrf-token"]').content,
+        },
+        body: JSON.stringify({ records: records.map(({ record }) => record) }),
+      });
+
+      const result = await response.json();
+
+      if (response.status === 422 && result.errors) {
+        setMessage({ type: 'error', message: Object.values(result.errors)[0][0] });
+        return;
+      }
+
+      if (!response.ok && response.status !== 207) {
+        throw new Error(result.message || 'Failed to save readings');
+      }
+
+      if (result.data.failed > 0) {
+        const failed = result.data.errors.map(error => records[error.index].reading.type.display_name);
+        setMessage({ type: 'error', message: `${result.data.success} saved, but ${failed.join(', ')} could not be saved.` });
+        return;
+      }
+
+      finish({ type: 'success', message: `${result.data.success} reading${result.data.success === 1 ? '' : 's'} saved.` });
+    } catch (error) {
+      if (isNetworkError(error)) {
+        await saveOffline();
+        return;
+      }
+
+      console.error('Error saving quick entry:', error);
+      setMessage({ type: 'error', message: 'An unexpected error occurred. Please try again.' });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const getMessageColors = (type) => {
+    switch (type) {
+      case 'success': return 'bg-green-50 border-green-200 text-green-800';
+      case 'error': return 'bg-red-50 border-red-200 text-red-800';
+      default: return 'bg-yellow-50 border-yellow-200 text-yellow-800';
+    }
+  };
+
+  const getMessageIcon = (type) => {
+    switch (type) {
+      case 'success': return <CheckCircle className="h-5 w-5 text-green-400 flex-shrink-0" />;
+      case 'offline': return <WifiOff className="h-5 w-5 text-yellow-400 flex-shrink-0" />;
+      default: return <AlertTriangle className="h-5 w-5 text-red-400 flex-shrink-0" />;
+    }
+  };
+
+  return (
+    <div className={`space-y-3 ${className}`}>
+      <form onSubmit={handleParse} className="flex gap-2">
+        <div className="relative flex-1">
+          <Zap className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-muted-foreground" />
+          <Input
+            value={text}
+            onChange={(e) => handleTextChange(e.target.value)}
+            placeholder='e.g. "bp 128/84 pulse 71 temp 37.2C this morning"'
+            aria-label="Quick entry"
+            autoFocus={autoFocus}
+            className="pl-9"
+          />
+        </div>
+        <Button type="submit" variant="outline" disabled={!text.trim()}>
+          Check
+        </Button>
+      </form>
+
+      {message && (
+        <div className={`p-3 border rounded-md ${getMessageColors(message.type)}`}>
+          <div className="flex">
+            {getMessageIcon(message.type)}
+            <p className="ml-3 text-sm font-medium">{message.message}</p>
+          </div>
+        </div>
+      )}
+
+      {parsed && (
+        <div className="border rounded-md p-3 space-y-3">
+          {records.length > 0 ? (
+            <>
+              <div className="text-sm text-muted-foreground">
+                Measured {formatDate(parsed.measuredAt, 'shortDateTime')}
+                {parsed.timeText && <span> ("{parsed.timeText}")</span>}
+              </div>
+              <div className="divide-y">
+                {records.map(({ reading, errors }) => (
+                  <div key={reading.vital_sign_type_id} className="py-2 text-sm">
+                    <div className="flex items-center justify-between">
+                      <span className="font-medium">{reading.type.display_name}</span>
+                      <span>
+                        {formatValue(reading)} <span className="text-muted-foreground">{reading.unit}</span>
+                      </span>
+                    </div>
+                    {errors.map((error) => (
+                      <p key={error} className="mt-1 text-xs text-red-600">{error}</p>
+                    ))}
+                  </div>
+                ))}
+              </div>
+            </>
+          ) : (
+            <p className="text-sm text-muted-foreground">No readings found in that text.</p>
+          )}
+
+          {parsed.errors.map((error) => (
+            <p key={error} className="text-xs text-red-600">{error}</p>
+          ))}
+
+          {parsed.unrecognized.length > 0 && (
+            <div className="flex flex-wrap items-center gap-1 text-xs text-muted-foreground">
+              Ignored:
+              {parsed.unrecognized.map((word, index) => (
+                <Badge key={index} variant="secondary" className="text-xs">{word}</Badge>
+              ))}
+            </div>
+          )}
+
+          <div className="flex gap-2">
+            <Button type="button" size="sm" onClick={handleSave} disabled={!canSave || isSubmitting}>
+              {isSubmitting ? (
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+              ) : (
+                <Save className="h-4 w-4 mr-2" />
+              )}
+              Save {records.length} reading{records.length === 1 ? '' : 's'}
+            </Button>
+            <Button type="button" size="sm" variant="outline" onClick={() => setParsed(null)} disabled={isSubmitting}>
+              <Pencil className="h-4 w-4 mr-2" />
+              Edit
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuickEntry;
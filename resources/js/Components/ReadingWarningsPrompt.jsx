@@ -0,0 +1,62 @@
+import React, { useState } from 'react';
+import { Button } from '@/Components/ui/button';
+import { Input } from '@/Components/ui/input';
+import { AlertTriangle, Copy, Pencil, Save, TrendingUp } from 'lucide-react';
+
+const getWarningIcon = (kind) => (
+  kind === 'duplicate'
+    ? <Copy className="h-4 w-4 mt-0.5 mr-2 flex-shrink-0" />
+    : <TrendingUp className="h-4 w-4 mt-0.5 mr-2 flex-shrink-0" />
+);
+
+// Ask the user to confirm a reading that looks like a duplicate or an unlikely jump
+const ReadingWarningsPrompt = ({
+  warnings = [],
+  onConfirm,
+  onEdit,
+  isSubmitting = false,
+}) => {
+  const [note, setNote] = useState('');
+
+  if (warnings.length === 0) return null;
+
+  return (
+    <div className="p-4 border rounded-md bg-yellow-50 border-yellow-200 text-yellow-800 space-y-3">
+      <div className="flex items-center text-sm font-medium">
+        <AlertTriangle className="h-5 w-5 text-yellow-400 mr-2" />
+        Please check this reading before saving
+      </div>
+
+      <ul className="space-y-1 text-sm">
+        {warnings.map((warning, index) => (
+          <li key={index} className="flex">
+            {getWarningIcon(warning.kind)}
+            {warning.message}
+          </li>
+        ))}
+      </ul>
+
+      <Input
+        type="text"
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        placeholder="Add a note, e.g. re-measured after resting (optional)"
+        maxLength={200}
+        className="bg-white"
+      />
+
+      <div className="flex flex-wrap gap-2">
+        <Button type="button" size="sm" onClick={() => onConfirm(note.trim())} disabled={isSubmitting}>
+          <Save className="h-4 w-4 mr-2" />
+          {note.trim() ? 'Add note & save' : 'Save anyway'}
+        </Button>
+        <Button type="button" size="sm" variant="outline" onClick={onEdit} disabled={isSubmitting}>
+          <Pencil className="h-4 w-4 mr-2" />
+          Edit reading
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default ReadingWarningsPrompt;
@@ -0,0 +1,567 @@
+import React, { useMemo } from 'react';
+import { AlertTriangle, Sparkles, ZoomOut } from 'lucide-react';
+import Chart, { Grid, YAxis, TimeAxis, Band, Area, LineSeries, RangeBars, Rings, TimeMarkers, Brush } from '@/Components/Chart';
+import { Button } from '@/Components/ui/button';
+import { DEFAULT_MARGIN, valueExtent, timeExtent } from '@/lib/chart';
+import { visibleWindow, withinDomain } from '@/lib/chartZoom';
+import { smooth, isSmoothing, describeSmoothing } from '@/lib/smoothing';
+import { detectAnomalies, detectChangePoints } from '@/lib/analytics';
+import { formatDateTime, parseDateTime } from '@/lib/dateTime';
+import {
+  isDualType,
+  hasSecondaryValues,
+  readSecondary,
+  getSeriesLabels,
+  getSeriesRanges,
+  describeDualValue,
+} from '@/lib/dualSeries';
+
+const formatValue = (record) => (
+  record.value_secondary ? `${record.value_primary}/${record.value_secondary}` : record.value_primary
+);
+
+const round = (value) => +value.toFixed(1);
+
+const OVERVIEW_MARGIN = { ...DEFAULT_MARGIN, top: 4, bottom: 4 };
+
+const Swatch = ({ color, shape = 'dot', opacity = 1 }) => {
+  if (shape === 'dashed' || shape === 'line') {
+    return (
+      <span
+        className={`inline-block w-4 mr-2 ${shape === 'dashed' ? 'border-t-2 border-dashed' : 'border-t-[3px]'}`}
+        style={{ borderColor: color }}
+      />
+    );
+  }
+
+  if (shape === 'ring') {
+    return <span className="inline-block w-3 h-3 mr-2 rounded-full border-2" style={{ borderColor: color }} />;
+  }
+
+  if (shape === 'marker') {
+    return <span className="inline-block h-4 mr-2 border-l-2 border-dashed" style={{ borderColor: color }} />;
+  }
+
+  const shapes = { dot: 'w-3 h-3 rounded-full', bar: 'w-1.5 h-4 rounded-sm', square: 'w-3 h-3' };
+
+  return <span className={`inline-block mr-2 ${shapes[shape]}`} style={{ backgroundColor: color, opacity }} />;
+};
+
+/**
+ * Readings of one type over time: a line with flagged readings picked out,
+ * the normal range shaded behind it and a tooltip per reading. Pass
+ * `series` ({ key, label, color, records }) to draw one line per group.
+ * Types with two values (blood pressure) get a line each, or with
+ * `chartStyle="range"` a bar from one value to the other per reading.
+ * Readings and ranges should already be in the unit to show.
+ *
+ * With `onVisibleDomainChange` the time axis zooms and pans, and a strip
+ * underneath shows every reading with a brush over the visible window.
+ * The window is `visibleDomain` ([start, end] in ms, or null for all of it).
+ *
+ * `smoothing` ({ method, window }, see lib/smoothing) adds a smoothed line
+ * over each series to show the trend through noisy readings, and
+ * `forecast` ([{ time, value, low, high }], see lib/analytics) carries the
+ * line on past the last reading with its prediction interval shaded.
+ *
+ * `showPatterns` rings readings that are unusual against the rest of their
+ * series and marks where its baseline shifted, stepping a dashed line
+ * between the levels either side (see lib/analytics). Their tooltips say
+ * why. This is on top of `is_flagged`, which compares with fixed ranges.
+ */
+const ReadingsChart = ({
+  readings = [],
+  type = null,
+  series = null,
+  timeZone = 'UTC',
+  height = 240,
+  chartStyle = 'lines',
+  showNormalRange = true,
+  showLegend = false,
+  color = '#3b82f6',
+  secondaryColor = '#8b5cf6',
+  flaggedColor = '#ef4444',
+  bandColor = '#dcfce7',
+  secondaryBandColor = '#ede9fe',
+  bandOpacity = 0.6,
+  bandStroke = null,
+  visibleDomain = null,
+  onVisibleDomainChange = null,
+  showOverview = true,
+  smoothing = null,
+  smoothingColor = '#f97316',
+  forecast = null,
+  showPatterns = false,
+  anomalyColor = '#f59e0b',
+  changeColor = '#6b7280',
+  className = '',
+}) => {
+  // Timestamps parsed once; API dates without a zone are read in the user's timezone
+  const points = useMemo(() => readings.map(record => ({
+    record,
+    time: parseDateTime(record.measured_at, timeZone)?.getTime(),
+    value: parseFloat(record.value_primary),
+    secondary: readSecondary(record),
+  })), [readings, timeZone]);
+
+  const dual = isDualType(type) && hasSecondaryValues(readings);
+  const asRange = dual && chartStyle === 'range';
+  const labels = getSeriesLabels(type);
+  const ranges = getSeriesRanges(type);
+
+  const smoothed = isSmoothing(smoothing);
+
+  const lines = useMemo(() => {
+    const byRecord = new Map(points.map(point => [point.record, point]));
+    const grouped = series
+      ? series.map(item => ({ ...item, points: item.records.map(record => byRecord.get(record)).filter(Boolean) }))
+      : [{ key: 'readings', label: '', color, points }];
+
+    if (!smoothed) return grouped;
+
+    // Smoothed within each series, so groups don't blur into each other
+    return grouped.map((line) => {
+      const primary = smooth(line.points, smoothing.method, smoothing.window);
+      const secondary = dual
+        ? smooth(line.points.map(point => ({ time: point.time, value: point.secondary })), smoothing.method, smoothing.window)
+        : [];
+
+      return {
+        ...line,
+        smoothedPoints: line.points.map((point, index) => ({ time: point.time, value: primary[index], secondary: secondary[index] })),
+      };
+    });
+  }, [series, points, color, smoothed, smoothing?.method, smoothing?.window, dual]);
+
+  // Unusual readings and baseline shifts, each judged within its own series and value
+  const patterns = useMemo(() => {
+    if (!showPatterns) return null;
+
+    const valueKeys = dual ? [['value', labels.primary], ['secondary', labels.secondary]] : [['value', '']];
+    const anomalies = [];
+    const changePoints = [];
+    const baselines = [];
+
+    lines.forEach((line) => {
+      valueKeys.forEach(([key, name]) => {
+        const values = line.points.map(point => ({ time: point.time, value: point[key], source: point }));
+        const seriesName = [line.label, name].filter(Boolean).join(' · ');
+        const changes = detectChangePoints(values);
+
+        detectAnomalies(values, { changePoints: changes }).forEach((anomaly) => {
+          anomalies.push({ ...anomaly, key, name: seriesName });
+        });
+
+        if (changes.length === 0) return;
+        changes.forEach(change => changePoints.push({ ...change, kind: 'change', name: seriesName }));
+
+        // A step from each level to the next, across the span of the readings
+        const times = values.map(point => point.time).filter(Number.isFinite);
+        const start = Math.min(...times);
+        const end = Math.max(...times);
+        baselines.push({
+          key: `${line.key}-${key}`,
+          points: [
+            { time: start, value: changes[0].before },
+            ...changes.flatMap(change => [{ time: change.time, value: change.before }, { time: change.time, value: change.after }]),
+            { time: end, value: changes[changes.length - 1].after },
+          ],
+        });
+      });
+    });
+
+    const anomaliesByPoint = new Map();
+    anomalies.forEach((anomaly) => {
+      anomaliesByPoint.set(anomaly.point.source, [...(anomaliesByPoint.get(anomaly.point.source) || []), anomaly]);
+    });
+
+    return { anomalies, anomaliesByPoint, changePoints, baselines };
+  }, [showPatterns, lines, dual, labels.primary, labels.secondary]);
+
+  const unit = readings[0]?.unit || type?.unit_primary || '';
+
+  const valuesOf = (point) => (dual ? [point.value, point.secondary] : [point.value]);
+
+  const forecastPoints = forecast || [];
+
+  const fullDomain = useMemo(
+    () => timeExtent([...points.map(point => point.time), ...forecastPoints.map(point => point.time)]),
+    [points, forecast]
+  );
+  const view = visibleWindow(visibleDomain, fullDomain);
+  const xDomain = view || fullDomain;
+
+  // Values are scaled to what is in view, so zooming in shows the detail
+  const fullYDomain = useMemo(
+    () => valueExtent([...points.flatMap(valuesOf), ...forecastPoints.flatMap(point => [point.low, point.high])]),
+    [points, dual, forecast]
+  );
+  const viewStart = view?.[0];
+  const viewEnd = view?.[1];
+  const yDomain = useMemo(() => {
+    if (!view) return fullYDomain;
+    const inView = [
+      ...withinDomain(points, view, point => point.time).flatMap(valuesOf),
+      ...withinDomain(forecastPoints, view, point => point.time).flatMap(point => [point.low, point.high]),
+    ];
+    return valueExtent(inView) || fullYDomain;
+  }, [points, dual, forecast, viewStart, viewEnd, fullYDomain]);
+
+  const zoomable = Boolean(onVisibleDomainChange);
+  const changeView = (domain) => onVisibleDomainChange(visibleWindow(domain, fullDomain));
+
+  const flaggedPoint = {
+    pointRadius: point => (point.record.is_flagged ? 6 : 4),
+    pointColor: point => (point.record.is_flagged ? flaggedColor : null),
+    pointProps: point => (point.record.is_flagged ? { 'data-testid': 'flagged-reading' } : null),
+  };
+
+  const renderAnomaly = (anomaly) => (
+    <div key={anomaly.key} className="mt-1 max-w-56" data-testid="anomaly-explanation">
+      <div className="flex items-center text-xs font-medium text-amber-700">
+        <Sparkles className="h-3 w-3 mr-1" />
+        {anomaly.name ? `${anomaly.name} unusually` : 'Unusually'} {anomaly.direction} for you
+      </div>
+      <div className="text-xs text-gray-600">
+        Your usual is about {round(anomaly.baseline)} {unit}, give or take {round(anomaly.spread)}.
+        This reading is {round(Math.abs(anomaly.score))} times that spread {anomaly.direction === 'high' ? 'above' : 'below'} it,
+        judged against {anomaly.n} readings.
+      </div>
+    </div>
+  );
+
+  const renderChangePoint = (change) => (
+    <div className="max-w-56" data-testid="change-point-explanation">
+      <div className="text-sm font-medium">
+        {change.name ? `${change.name} baseline shift` : 'Baseline shift'}
+      </div>
+      <div className="text-xs text-gray-700">
+        Average moved from {round(change.before)} to {round(change.after)} {unit} ({change.change > 0 ? '+' : ''}{round(change.change)})
+      </div>
+      <div className="text-xs text-gray-500">
+        Around {formatDateTime(change.time, timeZone, 'shortDate')}
+      </div>
+      <div className="text-xs text-gray-600 mt-1">
+        Readings settle at a different level from here, so later ones are judged against the new level.
+      </div>
+    </div>
+  );
+
+  const renderTooltip = ({ datum, label }) => (datum.kind === 'change' ? renderChangePoint(datum) : (
+    <>
+      <div className="text-sm font-medium">
+        {formatValue(datum.record)} {datum.record.unit || type?.unit_primary}
+      </div>
+      {dual && Number.isFinite(datum.secondary) && (
+        <div className="text-xs text-gray-700">
+          {describeDualValue(datum.record, type)}
+        </div>
+      )}
+      <div className="text-xs text-gray-500">
+        {formatDateTime(datum.time, timeZone, 'shortDateTime')}
+        {label && ` · ${label}`}
+      </div>
+      {datum.record.is_flagged && (
+        <div className="flex items-center text-xs text-red-600 mt-1">
+          <AlertTriangle className="h-3 w-3 mr-1" />
+          Flagged
+        </div>
+      )}
+      {patterns?.anomaliesByPoint.get(datum)?.map(renderAnomaly)}
+      {datum.record.notes && (
+        <div className="text-xs text-gray-600 mt-1 max-w-48">
+          {datum.record.notes}
+        </div>
+      )}
+    </>
+  ));
+
+  // Drawn over the readings, in one colour or, when split, a fainter line in each series' own
+  const renderSmoothed = (line) => {
+    const lineColor = series ? line.color : smoothingColor;
+    const smoothedProps = {
+      data: line.smoothedPoints,
+      x: point => point.time,
+      color: lineColor,
+      strokeWidth: 3,
+      showPoints: false,
+      opacity: series ? 0.6 : 0.9,
+    };
+
+    return (
+      <g key={`${line.key}-smoothed`} data-testid="smoothed-line">
+        <LineSeries {...smoothedProps} y={point => point.value} />
+        {dual && <LineSeries {...smoothedProps} y={point => point.secondary} dashed={asRange ? false : Boolean(series)} />}
+      </g>
+    );
+  };
+
+  const renderSeries = (line) => {
+    if (asRange) {
+      return (
+        <RangeBars
+          key={line.key}
+          data={line.points}
+          x={point => point.time}
+          low={point => (Number.isFinite(point.secondary) ? point.secondary : point.value)}
+          high={point => point.value}
+          color={line.color}
+          label={line.label}
+          barColor={point => (point.record.is_flagged ? flaggedColor : null)}
+          barProps={point => (point.record.is_flagged ? { 'data-testid': 'flagged-reading' } : null)}
+        />
+      );
+    }
+
+    // Split lines keep their colour for both values, with the second dashed
+    const secondaryLineColor = series ? line.color : secondaryColor;
+    const seriesLabel = (name) => (line.label ? `${line.label} · ${name}` : name);
+
+    return (
+      <g key={line.key}>
+        <LineSeries
+          data={line.points}
+          x={point => point.time}
+          y={point => point.value}
+          color={line.color}
+          label={dual ? seriesLabel(labels.primary) : line.label}
+          {...flaggedPoint}
+        />
+        {dual && (
+          <LineSeries
+            data={line.points}
+            x={point => point.time}
+            y={point => point.secondary}
+            color={secondaryLineColor}
+            dashed={Boolean(series)}
+            label={seriesLabel(labels.secondary)}
+            {...flaggedPoint}
+          />
+        )}
+      </g>
+    );
+  };
+
+  if (points.length === 0) return null;
+
+  return (
+    <div className={className}>
+      {zoomable && (
+        <div className="mb-2 flex min-h-8 items-center justify-end gap-2 text-xs text-gray-500">
+          {view ? (
+            <>
+              <span data-testid="chart-visible-range">
+                {formatDateTime(view[0], timeZone, 'shortDateTime')} – {formatDateTime(view[1], timeZone, 'shortDateTime')}
+              </span>
+              <Button variant="ghost" size="sm" onClick={() => onVisibleDomainChange(null)}>
+                <ZoomOut className="h-4 w-4 mr-1" />
+                Reset zoom
+              </Button>
+            </>
+          ) : (
+            <span>Scroll or pinch to zoom, drag to pan</span>
+          )}
+        </div>
+      )}
+
+      <Chart
+        xDomain={xDomain}
+        yDomain={yDomain}
+        height={height}
+        timeZone={timeZone}
+        renderTooltip={renderTooltip}
+        ariaLabel={`${type?.display_name || 'Readings'} over time`}
+        onXDomainChange={zoomable ? changeView : null}
+        xBounds={fullDomain}
+        data-testid="trend-chart"
+      >
+        <Grid />
+        {showNormalRange && (
+          <Band
+            from={ranges.primary.min}
+            to={ranges.primary.max}
+            fill={bandColor}
+            opacity={bandOpacity}
+            stroke={bandStroke}
+            data-testid="normal-range-indicator"
+          />
+        )}
+        {showNormalRange && dual && (
+          <Band
+            from={ranges.secondary.min}
+            to={ranges.secondary.max}
+            fill={secondaryBandColor}
+            opacity={bandOpacity}
+            stroke={bandStroke}
+          />
+        )}
+        {forecastPoints.length > 0 && (
+          <Area
+            data={forecastPoints}
+            x={point => point.time}
+            low={point => point.low}
+            high={point => point.high}
+            fill={color}
+            opacity={0.12}
+            data-testid="forecast-interval"
+          />
+        )}
+        {patterns?.baselines.map(baseline => (
+          <LineSeries
+            key={baseline.key}
+            data={baseline.points}
+            x={point => point.time}
+            y={point => point.value}
+            color={changeColor}
+            strokeWidth={1.5}
+            dashed
+            showPoints={false}
+            data-testid="baseline-level"
+          />
+        ))}
+        {lines.map(renderSeries)}
+        {smoothed && lines.map(renderSmoothed)}
+        {patterns && (
+          <Rings
+            data={patterns.anomalies}
+            x={anomaly => anomaly.point.time}
+            y={anomaly => anomaly.point.value}
+            color={anomalyColor}
+            data-testid="anomaly-markers"
+          />
+        )}
+        {patterns && (
+          <TimeMarkers
+            data={patterns.changePoints}
+            x={change => change.time}
+            color={changeColor}
+            markerProps={() => ({ 'data-testid': 'change-point' })}
+          />
+        )}
+        {forecastPoints.length > 0 && (
+          <LineSeries
+            data={forecastPoints}
+            x={point => point.time}
+            y={point => point.value}
+            color={color}
+            dashed
+            showPoints={false}
+            data-testid="forecast-line"
+          />
+        )}
+        <YAxis />
+        <TimeAxis />
+      </Chart>
+
+      {/* Every reading, with the visible window picked out; lined up with the chart above */}
+      {zoomable && showOverview && (
+        <Chart
+          xDomain={fullDomain}
+          yDomain={fullYDomain}
+          height={56}
+          margin={OVERVIEW_MARGIN}
+          timeZone={timeZone}
+          ariaLabel={`All ${type?.display_name || 'readings'} in the period`}
+          className="mt-2"
+          data-testid="chart-overview"
+        >
+          {lines.map(line => (
+            <LineSeries
+              key={line.key}
+              data={line.points}
+              x={point => point.time}
+              y={point => point.value}
+              color={line.color}
+              strokeWidth={1.5}
+              showPoints={false}
+            />
+          ))}
+          <Brush selection={view} onChange={onVisibleDomainChange} color={color} ariaLabel="Visible time range" />
+        </Chart>
+      )}
+
+      {showLegend && (
+        <div className="mt-4 flex flex-wrap items-center justify-center gap-4 text-sm" data-testid="chart-legend">
+          {series && series.map(item => (
+            <div key={item.key} className="flex items-center">
+              <Swatch color={item.color} />
+              <span>{item.label}</span>
+            </div>
+          ))}
+          {!series && !dual && (
+            <div className="flex items-center">
+              <Swatch color={color} />
+              <span>Normal Reading</span>
+            </div>
+          )}
+          {!series && dual && !asRange && (
+            <>
+              <div className="flex items-center">
+                <Swatch color={color} />
+                <span>{labels.primary}</span>
+              </div>
+              <div className="flex items-center">
+                <Swatch color={secondaryColor} />
+                <span>{labels.secondary}</span>
+              </div>
+            </>
+          )}
+          {series && dual && !asRange && (
+            <div className="flex items-center">
+              <Swatch color="#6b7280" shape="dashed" />
+              <span>{labels.secondary}</span>
+            </div>
+          )}
+          {!series && asRange && (
+            <div className="flex items-center">
+              <Swatch color={color} shape="bar" />
+              <span>{labels.primary} to {labels.secondary.toLowerCase()}</span>
+            </div>
+          )}
+          {forecastPoints.length > 0 && (
+            <div className="flex items-center">
+              <Swatch color={color} shape="dashed" />
+              <span>Forecast, shaded 95% range</span>
+            </div>
+          )}
+          {smoothed && (
+            <div className="flex items-center">
+              <Swatch color={series ? '#6b7280' : smoothingColor} shape="line" />
+              <span>{describeSmoothing(smoothing)}</span>
+            </div>
+          )}
+          <div className="flex items-center">
+            <Swatch color={flaggedColor} />
+            <span>Flagged Reading</span>
+          </div>
+          {patterns && (
+            <>
+              <div className="flex items-center">
+                <Swatch color={anomalyColor} shape="ring" />
+                <span>Unusual for you ({patterns.anomalies.length})</span>
+              </div>
+              <div className="flex items-center">
+                <Swatch color={changeColor} shape="marker" />
+                <span>Baseline shift ({patterns.changePoints.length})</span>
+              </div>
+            </>
+          )}
+          {showNormalRange && Number.isFinite(ranges.primary.min) && (
+            <div className="flex items-center">
+              <Swatch color={bandColor} shape="square" opacity={bandOpacity} />
+              <span>{dual ? `${labels.primary} normal range` : 'Normal Range'}</span>
+            </div>
+          )}
+          {showNormalRange && dual && Number.isFinite(ranges.secondary.min) && (
+            <div className="flex items-center">
+              <Swatch color={secondaryBandColor} shape="square" opacity={bandOpacity} />
+              <span>{labels.secondary} normal range</span>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReadingsChart;
@@ -23,6 +23,7 @@ import {
   ChevronDown,
   ChevronUp
 } from 'lucide-react';
+import useTimeZone from '@/hooks/useTimeZone';
 
 const RecommendationsList = ({
   recommendations = [],
@@ -36,6 +37,7 @@ const RecommendationsList = ({
   maxHeight = null,
   className = ""
 }) => {
+  const { formatDate } = useTimeZone();
   const [searchTerm, setSearchTerm] = useState('');
   const [typeFilter, setTypeFilter] = useState('all');
   const [statusFilter, setStatusFilter] = useState('all');
@@ -189,15 +191,6 @@ const RecommendationsList = ({
     });
   };
 
-  const formatDate = (dateString) => {
-    const date = new Date(dateString);
-    return date.toLocaleDateString('en-US', {
-      month: 'short',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
-  };
 
   const isExpired = (recommendation) => {
     return recommendation.expires_at && new Date(recommendation.expires_at) < new Date();
@@ -392,7 +385,7 @@ const RecommendationsList = ({
                                 {' '}{recommendation.vital_signs_record.unit}
                               </span>
                               <span className="ml-2 text-xs">
-                                {formatDate(recommendation.vital_signs_record.measured_at)}
+                                {formatDate(recommendation.vital_signs_record.measured_at, 'shortDateTime')}
                               </span>
                             </div>
                           </div>
@@ -433,13 +426,13 @@ const RecommendationsList = ({
                           <div className="flex items-center text-xs text-gray-500 space-x-4">
                             <div className="flex items-center">
                               <Calendar className="h-3 w-3 mr-1" />
-                              {formatDate(recommendation.created_at)}
+                              {formatDate(recommendation.created_at, 'shortDateTime')}
                             </div>
 
                             {recommendation.expires_at && (
                               <div className={`flex items-center ${isExpiredRec ? 'text-red-500' : ''}`}>
                                 <Clock className="h-3 w-3 mr-1" />
-                                {isExpiredRec ? 'Expired' : 'Expires'} {formatDate(recommendation.expires_at)}
+                                {isExpiredRec ? 'Expired' : 'Expires'} {formatDate(recommendation.expires_at, 'shortDateTime')}
                               </div>
                             )}
 
@@ -0,0 +1,34 @@
+import React from 'react';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/Components/ui/select';
+import { SMOOTHING_METHODS, SMOOTHING_WINDOWS } from '@/lib/smoothing';
+
+// Which smoothed line to draw over the readings, and over how many of them
+const SmoothingControls = ({ value, onChange, className = '' }) => (
+  <div className={`flex items-center gap-2 ${className}`}>
+    <Select value={value.method} onValueChange={method => onChange({ ...value, method })}>
+      <SelectTrigger className="w-44" aria-label="Smoothing">
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        {Object.entries(SMOOTHING_METHODS).map(([method, label]) => (
+          <SelectItem key={method} value={method}>{label}</SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+
+    {value.method !== 'none' && (
+      <Select value={String(value.window)} onValueChange={window => onChange({ ...value, window: parseInt(window, 10) })}>
+        <SelectTrigger className="w-32" aria-label="Smoothing window">
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          {SMOOTHING_WINDOWS.map(size => (
+            <SelectItem key={size} value={String(size)}>{size} readings</SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+    )}
+  </div>
+);
+
+export default SmoothingControls;
@@ -0,0 +1,33 @@
+import React, { useMemo } from 'react';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/Components/ui/select';
+import useTimeZone from '@/hooks/useTimeZone';
+import { listTimeZones } from '@/lib/dateTime';
+
+const formatZoneName = (zone) => zone.replace(/_/g, ' ');
+
+const TimeZoneSelect = ({ className = "w-56" }) => {
+  const { timeZone, setTimeZone } = useTimeZone();
+
+  // Keep the current zone selectable even if the browser doesn't list it
+  const zones = useMemo(() => {
+    const available = listTimeZones();
+    return available.includes(timeZone) ? available : [timeZone, ...available];
+  }, [timeZone]);
+
+  return (
+    <Select value={timeZone} onValueChange={setTimeZone}>
+      <SelectTrigger className={className} aria-label="Timezone">
+        <SelectValue>{formatZoneName(timeZone)}</SelectValue>
+      </SelectTrigger>
+      <SelectContent>
+        {zones.map((zone) => (
+          <SelectItem key={zone} value={zone}>
+            {formatZoneName(zone)}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+};
+
+export default TimeZoneSelect;
@@ -15,8 +15,34 @@ import {
   Zap,
   CheckCircle,
   XCircle,
-  Info
+  Info,
+  Sparkles
 } from 'lucide-react';
+import MeasurementContextFilter from '@/Components/MeasurementContextFilter';
+import OverlayChart from '@/Components/OverlayChart';
+import CorrelationAnalysis from '@/Components/CorrelationAnalysis';
+import SmoothingControls from '@/Components/SmoothingControls';
+import ReadingsChart from '@/Components/ReadingsChart';
+import useUnitPreferences from '@/hooks/useUnitPreferences';
+import useTimeZone from '@/hooks/useTimeZone';
+import { convertReading } from '@/lib/units';
+import { getContextGroups, matchesContextFilter, splitByContext } from '@/lib/measurementContext';
+import { formatDateTime, parseDateTime } from '@/lib/dateTime';
+import { DEFAULT_SMOOTHING, smooth, isSmoothing, describeSmoothing } from '@/lib/smoothing';
+import {
+  timeRegression,
+  trendDirection,
+  predict,
+  forecast,
+  detectChangePoints,
+  detectAnomalies,
+} from '@/lib/analytics';
+
+// Select value for no breakdown, since Radix selects can't hold an empty one
+const NO_BREAKDOWN = 'none';
+
+// Line colours for overlaid types, the selected type first
+const OVERLAY_COLORS = ['#3b82f6', '#f59e0b', '#10b981', '#ec4899', '#8b5cf6', '#6b7280'];
 
 const TrendAnalysis = ({
   data = [],
@@ -31,27 +57,122 @@ const TrendAnalysis = ({
   goals = {},
   className = ""
 }) => {
-  const [analysisType, setAnalysisType] = useState('trend'); // trend, variability, correlation
+  const [analysisType, setAnalysisType] = useState('trend'); // trend, variability, patterns, correlation
   const [compareMode, setCompareMode] = useState(false);
   const [comparisonPeriod, setComparisonPeriod] = useState(7);
+  const [contextFilter, setContextFilter] = useState('');
+  const [splitBy, setSplitBy] = useState('');
+  const [overlayTypeIds, setOverlayTypeIds] = useState([]);
+  const [correlateWithId, setCorrelateWithId] = useState('');
+  // Smoothing here changes the numbers analysed, not just what is drawn
+  const [smoothing, setSmoothing] = useState(DEFAULT_SMOOTHING);
+  const { getPreferredUnit, toDisplayType } = useUnitPreferences();
+  const { timeZone } = useTimeZone();
+
+  const baseType = useMemo(() => {
+    return vitalSignTypes.find(type => type.id === parseInt(selectedTypeId));
+  }, [vitalSignTypes, selectedTypeId]);
 
-  // Filter data for selected type and period
-  const filteredData = useMemo(() => {
-    if (!selectedTypeId) return [];
+  const contextGroups = useMemo(() => getContextGroups(baseType), [baseType]);
+
+  // Context options belong to the type, so start over when it changes
+  useEffect(() => {
+    setContextFilter('');
+    setSplitBy('');
+  }, [selectedTypeId]);
 
+  // Readings of one type in the period, oldest first, in the user's preferred unit
+  const readingsOfType = (type, contextTag = '') => {
     const cutoffDate = new Date();
     cutoffDate.setDate(cutoffDate.getDate() - period);
+    const unit = getPreferredUnit(type);
 
     return data
-      .filter(d => d.vital_sign_type_id === parseInt(selectedTypeId))
+      .filter(d => d.vital_sign_type_id === type.id)
       .filter(d => new Date(d.measured_at) >= cutoffDate)
-      .sort((a, b) => new Date(a.measured_at) - new Date(b.measured_at));
-  }, [data, selectedTypeId, period]);
+      .filter(d => matchesContextFilter(d, contextTag))
+      .sort((a, b) => new Date(a.measured_at) - new Date(b.measured_at))
+      .map(d => convertReading(d, unit));
+  };
 
-  // Get selected vital sign type
-  const selectedType = useMemo(() => {
-    return vitalSignTypes.find(type => type.id === parseInt(selectedTypeId));
-  }, [vitalSignTypes, selectedTypeId]);
+  // Filter data for selected type and period, in the user's preferred unit
+  const filteredData = useMemo(() => {
+    if (!selectedTypeId || !baseType) return [];
+    return readingsOfType(baseType, contextFilter);
+  }, [data, selectedTypeId, period, contextFilter, baseType, getPreferredUnit]);
+
+  // Types that can go alongside the selected one
+  const otherTypes = useMemo(
+    () => vitalSignTypes.filter(type => type.id !== parseInt(selectedTypeId)),
+    [vitalSignTypes, selectedTypeId]
+  );
+
+  const toggleOverlayType = (id) => {
+    setOverlayTypeIds(current => (current.includes(id) ? current.filter(other => other !== id) : [...current, id]));
+  };
+
+  // The selected type and any overlaid ones, each on its own scale
+  const overlaySeries = useMemo(() => {
+    if (!baseType) return [];
+
+    const overlaid = otherTypes.filter(type => overlayTypeIds.includes(type.id.toString()));
+    return [{ type: baseType, readings: filteredData }, ...overlaid.map(type => ({ type, readings: readingsOfType(type) }))]
+      .map(({ type, readings }, index) => ({
+        key: type.id,
+        type: toDisplayType(type),
+        readings,
+        color: OVERLAY_COLORS[index % OVERLAY_COLORS.length],
+      }));
+  }, [baseType, otherTypes, overlayTypeIds, filteredData, data, period, getPreferredUnit, toDisplayType]);
+
+  // Correlate with the chosen type, or the first overlaid one
+  const correlationType = otherTypes.find(type => type.id.toString() === (correlateWithId || overlayTypeIds[0]));
+  const correlationReadings = useMemo(
+    () => (correlationType ? readingsOfType(correlationType) : []),
+    [correlationType, data, period, getPreferredUnit]
+  );
+
+  // Get selected vital sign type, with ranges in the preferred unit
+  const selectedType = useMemo(() => toDisplayType(baseType), [baseType, toDisplayType]);
+
+  // Readings, average and range for each tag of the split group
+  const contextBreakdown = useMemo(() => {
+    if (!splitBy || filteredData.length === 0) return [];
+
+    return splitByContext(filteredData, splitBy).map(({ key, label, records }) => {
+      const values = records.map(d => parseFloat(d.value_primary));
+
+      return {
+        key,
+        label,
+        count: values.length,
+        mean: +(values.reduce((a, b) => a + b, 0) / values.length).toFixed(1),
+        min: Math.min(...values),
+        max: Math.max(...values),
+        flaggedCount: records.filter(d => d.is_flagged).length,
+      };
+    });
+  }, [filteredData, splitBy]);
+
+  const readingPoints = useMemo(() => filteredData.map(d => ({
+    record: d,
+    time: parseDateTime(d.measured_at, timeZone)?.getTime(),
+    value: parseFloat(d.value_primary),
+  })), [filteredData, timeZone]);
+
+  // Shifts in baseline, and readings unusual against the baseline they fall in
+  const patterns = useMemo(() => {
+    const changePoints = detectChangePoints(readingPoints);
+    return { changePoints, anomalies: detectAnomalies(readingPoints, { changePoints }) };
+  }, [readingPoints]);
+
+  // The values the statistics describe: the readings, or the smoothed series through them
+  const analysisPoints = useMemo(() => {
+    if (!isSmoothing(smoothing)) return readingPoints;
+
+    const smoothed = smooth(readingPoints, smoothing.method, smoothing.window);
+    return readingPoints.map((point, index) => ({ ...point, value: smoothed[index] }));
+  }, [readingPoints, smoothing]);
 
   // Calculate comprehensive statistics
   const statistics = useMemo(() => {
@@ -74,7 +195,7 @@ const TrendAnalysis = ({
       };
     }
 
-    const values = filteredData.map(d => parseFloat(d.value_primary));
+    const values = analysisPoints.map(point => point.value);
     const n = values.length;
 
     // Basic statistics
@@ -92,26 +213,12 @@ const TrendAnalysis = ({
     const max = Math.max(...values);
     const range = max - min;
 
-    // Trend analysis (linear regression)
-    let trend = 'stable';
-    let trendStrength = 0;
-
-    if (n > 1) {
-      const xValues = Array.from({length: n}, (_, i) => i + 1);
-      const xMean = xValues.reduce((a, b) => a + b, 0) / n;
-
-      const numerator = xValues.reduce((sum, x, i) => sum + (x - xMean) * (values[i] - mean), 0);
-      const denominator = xValues.reduce((sum, x) => sum + Math.pow(x - xMean, 2), 0);
-
-      if (denominator !== 0) {
-        const slope = numerator / denominator;
-        trendStrength = Math.abs(slope);
-
-        if (Math.abs(slope) > 0.1) {
-          trend = slope > 0 ? 'increasing' : 'decreasing';
-        }
-      }
-    }
+    // Trend analysis: linear regression on elapsed days, counting only a
+    // slope that can be told apart from none
+    const model = timeRegression(analysisPoints);
+    const trend = trendDirection(model);
+    const slope = model ? model.slope : 0;
+    const trendStrength = Math.abs(slope);
 
     // Variability assessment
     const coefficientOfVariation = mean !== 0 ? (stdDev / Math.abs(mean)) * 100 : 0;
@@ -143,18 +250,20 @@ const TrendAnalysis = ({
       mean: +mean.toFixed(2),
       median: +median.toFixed(2),
       stdDev: +stdDev.toFixed(2),
-      min,
-      max,
+      min: +min.toFixed(2),
+      max: +max.toFixed(2),
       range: +range.toFixed(2),
       trend,
       trendStrength: +trendStrength.toFixed(3),
+      slope: +slope.toFixed(3),
+      rSquared: model ? +model.rSquared.toFixed(2) : null,
       variability,
       consistency: +consistency.toFixed(1),
       improvement: +improvement.toFixed(1),
       flaggedCount,
       flaggedPercent: +flaggedPercent.toFixed(1)
     };
-  }, [filteredData, compareMode, comparisonPeriod]);
+  }, [filteredData, analysisPoints, compareMode, comparisonPeriod]);
 
   // Generate insights based on analysis
   const insights = useMemo(() => {
@@ -177,6 +286,24 @@ const TrendAnalysis = ({
       });
     }
 
+    // Against the user's own history rather than fixed ranges
+    const lastShift = patterns.changePoints[patterns.changePoints.length - 1];
+    if (lastShift) {
+      insights.push({
+        type: 'info',
+        title: 'Baseline Shift',
+        message: `Your ${selectedType.display_name} settled at a new level around ${formatDateTime(lastShift.time, timeZone, 'shortDate')}, moving from about ${lastShift.before.toFixed(1)} to ${lastShift.after.toFixed(1)} ${selectedType.unit_primary}.`
+      });
+    }
+
+    if (patterns.anomalies.length > 0) {
+      insights.push({
+        type: 'info',
+        title: 'Unusual Readings',
+        message: `${patterns.anomalies.length} of your ${selectedType.display_name} readings stand well apart from your usual values. See Patterns for when they were taken.`
+      });
+    }
+
     // Variability insights
     if (statistics.variability === 'high') {
       insights.push({
@@ -247,24 +374,31 @@ const TrendAnalysis = ({
     }
 
     return insights.slice(0, 4); // Limit to 4 insights
-  }, [statistics, selectedType, period, filteredData, showGoals, goals]);
+  }, [statistics, selectedType, period, filteredData, showGoals, goals, patterns, timeZone]);
 
-  // Generate simple projections
+  // Where the trend puts readings a week after the last one. Always fitted to
+  // the readings themselves: a smoothed series would understate the spread.
   const projection = useMemo(() => {
-    if (!showProjections || statistics.count < 5 || statistics.trend === 'stable') {
-      return null;
-    }
+    if (!showProjections) return null;
 
-    const projectedChange = statistics.trendStrength * 7; // 7 days ahead
-    const projectedValue = statistics.mean + (statistics.trend === 'increasing' ? projectedChange : -projectedChange);
+    const model = timeRegression(readingPoints);
+    const points = forecast(model, { days: 7 });
+    if (!points) return null;
+
+    const end = points[points.length - 1];
 
     return {
-      value: +projectedValue.toFixed(1),
-      change: +projectedChange.toFixed(1),
-      direction: statistics.trend,
-      confidence: statistics.count > 10 ? 'high' : statistics.count > 7 ? 'medium' : 'low'
+      value: +end.value.toFixed(1),
+      low: +end.low.toFixed(1),
+      high: +end.high.toFixed(1),
+      change: +(end.value - predict(model, model.lastTime)).toFixed(1),
+      rSquared: +model.rSquared.toFixed(2),
+      typicalError: +model.residualError.toFixed(1),
+      readings: model.n,
+      days: Math.max(1, Math.round(model.spanDays)),
+      forecast: points,
     };
-  }, [showProjections, statistics]);
+  }, [showProjections, readingPoints]);
 
   const getInsightIcon = (type) => {
     switch (type) {
@@ -319,6 +453,7 @@ const TrendAnalysis = ({
                 <SelectItem value="trend">Trend</SelectItem>
                 <SelectItem value="variability">Variability</SelectItem>
                 <SelectItem value="patterns">Patterns</SelectItem>
+                <SelectItem value="correlation">Correlation</SelectItem>
               </SelectContent>
             </Select>
 
@@ -350,6 +485,63 @@ const TrendAnalysis = ({
           </div>
         </div>
 
+        {/* Context filter and breakdown */}
+        {selectedType && Object.keys(contextGroups).length > 0 && (
+          <div className="pt-4 flex flex-wrap gap-3">
+            <MeasurementContextFilter
+              groups={contextGroups}
+              value={contextFilter}
+              onChange={setContextFilter}
+              className="w-48"
+            />
+
+            <Select value={splitBy || NO_BREAKDOWN} onValueChange={value => setSplitBy(value === NO_BREAKDOWN ? '' : value)}>
+              <SelectTrigger className="w-48" aria-label="Break down by">
+                <SelectValue placeholder="No breakdown" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={NO_BREAKDOWN}>No breakdown</SelectItem>
+                {Object.entries(contextGroups).map(([name, group]) => (
+                  <SelectItem key={name} value={name}>
+                    By {group.label.toLowerCase()}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        )}
+
+        {/* Smooth the readings before analysing them */}
+        {selectedType && (
+          <div className="pt-4 flex flex-wrap items-center gap-2">
+            <span className="text-sm text-gray-500 mr-1">Analyse:</span>
+            <SmoothingControls value={smoothing} onChange={setSmoothing} />
+          </div>
+        )}
+
+        {/* Other types to draw on the same time axis */}
+        {selectedType && otherTypes.length > 0 && (
+          <div className="pt-4 flex flex-wrap items-center gap-2" role="group" aria-label="Overlay other vital signs">
+            <span className="text-sm text-gray-500 mr-1">Overlay:</span>
+            {otherTypes.map((type) => {
+              const id = type.id.toString();
+              const active = overlayTypeIds.includes(id);
+
+              return (
+                <Button
+                  key={type.id}
+                  variant={active ? "default" : "outline"}
+                  size="sm"
+                  aria-pressed={active}
+                  onClick={() => toggleOverlayType(id)}
+                >
+                  {type.display_name}
+                </Button>
+              );
+            })}
+          </div>
+        )}
+
         {/* Type Selector */}
         {!selectedTypeId && onTypeChange && (
           <Select onValueChange={onTypeChange}>
@@ -375,7 +567,9 @@ const TrendAnalysis = ({
             <p className="text-sm text-gray-500">
               {!selectedTypeId
                 ? "Select a vital sign type to view analysis."
-                : `No ${selectedType?.display_name} readings found for the selected period.`
+                : contextFilter
+                  ? `No ${selectedType?.display_name} readings with this context in the selected period.`
+                  : `No ${selectedType?.display_name} readings found for the selected period.`
               }
             </p>
           </div>
@@ -406,6 +600,164 @@ const TrendAnalysis = ({
               </div>
             </div>
 
+            {isSmoothing(smoothing) && (
+              <p className="text-xs text-gray-500 -mt-3" data-testid="smoothing-note">
+                Statistics describe a {describeSmoothing(smoothing)} of your {statistics.count} readings
+                rather than the readings themselves.
+              </p>
+            )}
+
+            {/* Breakdown by context tag */}
+            {contextBreakdown.length > 0 && (
+              <Card>
+                <CardHeader className="pb-3">
+                  <CardTitle className="text-base">
+                    By {contextGroups[splitBy]?.label.toLowerCase()}
+                  </CardTitle>
+                </CardHeader>
+                <CardContent className="space-y-3">
+                  {contextBreakdown.map((item) => (
+                    <div key={item.key} className="flex items-center justify-between gap-4">
+                      <div>
+                        <span className="text-sm font-medium">{item.label}</span>
+                        <span className="ml-2 text-xs text-gray-500">
+                          {item.count} reading{item.count === 1 ? '' : 's'}
+                        </span>
+                      </div>
+                      <div className="flex items-center gap-3 text-sm">
+                        <span className="font-medium">{item.mean} {selectedType?.unit_primary}</span>
+                        <span className="text-gray-500">{item.min} - {item.max}</span>
+                        {item.flaggedCount > 0 && (
+                          <Badge variant="outline" className="border-red-300 text-red-700">
+                            {item.flaggedCount} flagged
+                          </Badge>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </CardContent>
+              </Card>
+            )}
+
+            {/* Overlaid types */}
+            {overlaySeries.length > 1 && (
+              <Card>
+                <CardHeader className="pb-3">
+                  <CardTitle className="text-base">
+                    {overlaySeries.map(item => item.type.display_name).join(' vs ')}
+                  </CardTitle>
+                </CardHeader>
+                <CardContent>
+                  <OverlayChart series={overlaySeries} timeZone={timeZone} />
+                </CardContent>
+              </Card>
+            )}
+
+            {/* How the selected type moves with another */}
+            {analysisType === 'correlation' && (
+              <div className="space-y-4">
+                <div className="flex flex-wrap items-center gap-3">
+                  <span className="text-sm text-gray-500">Correlate {selectedType?.display_name} with</span>
+                  <Select value={correlationType ? correlationType.id.toString() : ''} onValueChange={setCorrelateWithId}>
+                    <SelectTrigger className="w-56" aria-label="Correlate with">
+                      <SelectValue placeholder="Select a vital sign type..." />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {otherTypes.map((type) => (
+                        <SelectItem key={type.id} value={type.id.toString()}>
+                          {type.display_name}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+
+                {correlationType ? (
+                  <CorrelationAnalysis
+                    xType={selectedType}
+                    yType={toDisplayType(correlationType)}
+                    xReadings={filteredData}
+                    yReadings={correlationReadings}
+                    timeZone={timeZone}
+                    xColor={OVERLAY_COLORS[0]}
+                    yColor={OVERLAY_COLORS[1]}
+                  />
+                ) : (
+                  <p className="text-sm text-gray-500">
+                    Pick another vital sign to see how it moves with your {selectedType?.display_name}.
+                  </p>
+                )}
+              </div>
+            )}
+
+            {/* Readings unusual for this user, and where their baseline moved */}
+            {analysisType === 'patterns' && (
+              <Card>
+                <CardHeader className="pb-3">
+                  <CardTitle className="text-base flex items-center gap-2">
+                    <Sparkles className="h-4 w-4" />
+                    Unusual Readings and Baseline Shifts
+                  </CardTitle>
+                  <CardDescription>
+                    Compared with your own readings rather than the normal range: a reading is unusual
+                    when it sits far outside your usual spread, and a shift is where your readings settle
+                    at a new level.
+                  </CardDescription>
+                </CardHeader>
+                <CardContent className="space-y-4">
+                  <ReadingsChart
+                    readings={filteredData}
+                    type={selectedType}
+                    timeZone={timeZone}
+                    height={240}
+                    showPatterns
+                    showLegend
+                  />
+
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                    <div>
+                      <h4 className="text-sm font-medium mb-2">Unusual readings</h4>
+                      {patterns.anomalies.length > 0 ? (
+                        <ul className="space-y-2" data-testid="anomaly-list">
+                          {patterns.anomalies.map(anomaly => (
+                            <li key={anomaly.point.time} className="flex items-center justify-between gap-4 text-sm">
+                              <span className="text-gray-500">{formatDateTime(anomaly.point.time, timeZone, 'shortDateTime')}</span>
+                              <span>
+                                <span className="font-medium">{anomaly.point.value} {selectedType?.unit_primary}</span>
+                                <span className="ml-2 text-xs text-gray-500">
+                                  {Math.abs(anomaly.score).toFixed(1)}× your usual spread {anomaly.direction === 'high' ? 'above' : 'below'} {anomaly.baseline.toFixed(1)}
+                                </span>
+                              </span>
+                            </li>
+                          ))}
+                        </ul>
+                      ) : (
+                        <p className="text-sm text-gray-500">None of your readings stand out from the rest.</p>
+                      )}
+                    </div>
+
+                    <div>
+                      <h4 className="text-sm font-medium mb-2">Baseline shifts</h4>
+                      {patterns.changePoints.length > 0 ? (
+                        <ul className="space-y-2" data-testid="change-point-list">
+                          {patterns.changePoints.map(change => (
+                            <li key={change.time} className="flex items-center justify-between gap-4 text-sm">
+                              <span className="text-gray-500">Around {formatDateTime(change.time, timeZone, 'shortDate')}</span>
+                              <span className="font-medium">
+                                {change.before.toFixed(1)} → {change.after.toFixed(1)} {selectedType?.unit_primary}
+                              </span>
+                            </li>
+                          ))}
+                        </ul>
+                      ) : (
+                        <p className="text-sm text-gray-500">Your readings have held to one level over the period.</p>
+                      )}
+                    </div>
+                  </div>
+                </CardContent>
+              </Card>
+            )}
+
             {/* Detailed Analysis */}
             {analysisType === 'trend' && (
               <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
@@ -421,8 +773,14 @@ const TrendAnalysis = ({
                       </Badge>
                     </div>
                     <div className="flex justify-between">
-                      <span className="text-sm text-gray-500">Strength:</span>
-                      <span className="text-sm font-medium">{statistics.trendStrength.toFixed(3)}</span>
+                      <span className="text-sm text-gray-500">Change per day:</span>
+                      <span className="text-sm font-medium">
+                        {statistics.slope > 0 ? '+' : ''}{statistics.slope} {selectedType?.unit_primary}
+                      </span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-sm text-gray-500">Fit (R²):</span>
+                      <span className="text-sm font-medium">{statistics.rSquared ?? '–'}</span>
                     </div>
                     <div className="flex justify-between">
                       <span className="text-sm text-gray-500">Range:</span>
@@ -487,24 +845,34 @@ const TrendAnalysis = ({
                     7-Day Projection
                   </CardTitle>
                 </CardHeader>
-                <CardContent>
+                <CardContent className="space-y-4">
                   <div className="flex items-center justify-between">
                     <div>
                       <div className="text-lg font-semibold">
                         {projection.value} {selectedType?.unit_primary}
                       </div>
                       <div className="text-sm text-gray-500">
-                        {projection.direction === 'increasing' ? '+' : '-'}{projection.change} projected change
+                        95% range {projection.low} to {projection.high} · {projection.change > 0 ? '+' : ''}{projection.change} from today's trend
                       </div>
                     </div>
-                    <Badge variant="outline" className={
-                      projection.confidence === 'high' ? 'border-green-300 text-green-700' :
-                      projection.confidence === 'medium' ? 'border-yellow-300 text-yellow-700' :
-                      'border-red-300 text-red-700'
-                    }>
-                      {projection.confidence} confidence
+                    <Badge variant="outline" title="How much of the variation in your readings the trend line explains">
+                      R² {projection.rSquared}
                     </Badge>
                   </div>
+
+                  <ReadingsChart
+                    readings={filteredData}
+                    type={selectedType}
+                    timeZone={timeZone}
+                    height={200}
+                    forecast={projection.forecast}
+                  />
+
+                  <p className="text-xs text-gray-500">
+                    Fitted to {projection.readings} readings over {projection.days} day{projection.days === 1 ? '' : 's'}.
+                    Readings sit about ±{projection.typicalError} {selectedType?.unit_primary} from the trend line, and
+                    if the trend holds, 19 readings in 20 a week from now should fall in the shaded range.
+                  </p>
                 </CardContent>
               </Card>
             )}
@@ -0,0 +1,28 @@
+import React from 'react';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/Components/ui/select';
+import useUnitPreferences from '@/hooks/useUnitPreferences';
+import { getSupportedUnits } from '@/lib/units';
+
+const UnitPreferenceSelect = ({ type, className = "w-28" }) => {
+  const { getPreferredUnit, setPreferredUnit } = useUnitPreferences();
+
+  const units = getSupportedUnits(type);
+  if (units.length < 2) return null;
+
+  return (
+    <Select value={getPreferredUnit(type)} onValueChange={(unit) => setPreferredUnit(type, unit)}>
+      <SelectTrigger className={className} aria-label={`Display unit for ${type.display_name}`}>
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        {units.map((unit) => (
+          <SelectItem key={unit} value={unit}>
+            {unit}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+};
+
+export default UnitPreferenceSelect;
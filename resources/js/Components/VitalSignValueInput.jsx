@@ -0,0 +1,294 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from '@/Components/ui/button';
+import { Input } from '@/Components/ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/Components/ui/select';
+import { Minus, Plus } from 'lucide-react';
+import {
+  MAX_SCALE_BUTTONS,
+  getInputType,
+  getStep,
+  getBounds,
+  getChoices,
+  getChoiceLabel,
+  parseDualValue,
+  formatDualValue,
+  stepValue,
+} from '@/lib/inputWidgets';
+
+const invalidClass = (invalid) => (invalid ? 'border-red-500' : '');
+
+// Unit shown inside the right edge of a text box
+const UnitSuffix = ({ unit }) => (unit ? (
+  <div className="absolute inset-y-0 right-0 pr-3 flex items-center pointer-events-none">
+    <span className="text-gray-500 text-sm">{unit}</span>
+  </div>
+) : null);
+
+// Plain number box, used for single and text types
+const NumberWidget = ({ type, unit, valuePrimary, valueSecondary, onChange, onBlur, invalid, compact, placeholder, ...props }) => (
+  <div className="relative">
+    <Input
+      type="number"
+      step={getStep(type)}
+      value={valuePrimary}
+      onChange={(e) => onChange('value_primary', e.target.value)}
+      onBlur={onBlur}
+      placeholder={placeholder || 'Enter value'}
+      className={`${invalidClass(invalid)} ${unit ? 'pr-16' : ''}`}
+      {...props}
+    />
+    <UnitSuffix unit={unit} />
+  </div>
+);
+
+// Both values typed as "120/80" in one box
+const DualWidget = ({ type, unit, valuePrimary, valueSecondary, onChange, onBlur, invalid, compact, placeholder, ...props }) => {
+  const separator = type?.input_options?.separator || '/';
+  const [text, setText] = useState(formatDualValue(valuePrimary, valueSecondary, separator));
+
+  // Follow values set from outside (reset, edit, quick entry) without fighting the typing
+  useEffect(() => {
+    const parsed = parseDualValue(text);
+    if (!parsed.valid || parsed.value_primary !== String(valuePrimary ?? '') || parsed.value_secondary !== String(valueSecondary ?? '')) {
+      setText(formatDualValue(valuePrimary, valueSecondary, separator));
+    }
+  }, [valuePrimary, valueSecondary]);
+
+  const handleChange = (value) => {
+    setText(value);
+
+    const parsed = parseDualValue(value);
+    // Unreadable text goes through as is so validation can point at it
+    onChange('value_primary', parsed.valid ? parsed.value_primary : value);
+    onChange('value_secondary', parsed.valid ? parsed.value_secondary : '');
+  };
+
+  return (
+    <div className="relative">
+      <Input
+        type="text"
+        inputMode="decimal"
+        autoComplete="off"
+        value={text}
+        onChange={(e) => handleChange(e.target.value)}
+        onBlur={onBlur}
+        placeholder={placeholder || `120${separator}80`}
+        className={`${invalidClass(invalid)} ${unit ? 'pr-16' : ''}`}
+        {...props}
+      />
+      <UnitSuffix unit={unit} />
+    </div>
+  );
+};
+
+// Number with -/+ buttons; arrow keys step through the native number input
+const StepperWidget = ({ type, unit, valuePrimary, valueSecondary, onChange, onBlur, invalid, compact, disabled, placeholder, ...props }) => {
+  const { min, max } = getBounds(type);
+  const current = valuePrimary === '' || valuePrimary === null || valuePrimary === undefined ? null : parseFloat(valuePrimary);
+  const size = compact ? 'h-9 w-9' : 'h-10 w-10';
+
+  const step = (steps) => onChange('value_primary', String(stepValue(type, valuePrimary, steps)));
+
+  return (
+    <div className="flex items-center gap-2">
+      <Button
+        type="button"
+        variant="outline"
+        className={`${size} p-0 shrink-0`}
+        onClick={() => step(-1)}
+        disabled={disabled || (current !== null && min !== null && current <= min)}
+        aria-label={`Decrease by ${getStep(type)}`}
+      >
+        <Minus className="h-4 w-4" />
+      </Button>
+      <div className="relative flex-1">
+        <Input
+          type="number"
+          step={getStep(type)}
+          min={min ?? undefined}
+          max={max ?? undefined}
+          value={valuePrimary}
+          onChange={(e) => onChange('value_primary', e.target.value)}
+          onBlur={onBlur}
+          disabled={disabled}
+          className={`text-center ${invalidClass(invalid)} ${unit ? 'pr-12' : ''}`}
+          {...props}
+        />
+        <UnitSuffix unit={unit} />
+      </div>
+      <Button
+        type="button"
+        variant="outline"
+        className={`${size} p-0 shrink-0`}
+        onClick={() => step(1)}
+        disabled={disabled || (current !== null && max !== null && current >= max)}
+        aria-label={`Increase by ${getStep(type)}`}
+      >
+        <Plus className="h-4 w-4" />
+      </Button>
+    </div>
+  );
+};
+
+// Labelled points to tap for short scales, a slider for long ones
+const ScaleWidget = ({ type, unit, valuePrimary, valueSecondary, onChange, onBlur, invalid, compact, disabled, placeholder, ...props }) => {
+  const choices = getChoices(type);
+  const current = valuePrimary === '' || valuePrimary === null || valuePrimary === undefined ? null : parseFloat(valuePrimary);
+  const currentLabel = getChoiceLabel(type, current);
+  const { min, max } = getBounds(type);
+
+  const select = (value) => onChange('value_primary', String(value));
+
+  // Arrow keys move the selection (and focus) like a native radio group
+  const handleKeyDown = (e) => {
+    const moves = { ArrowRight: 1, ArrowUp: 1, ArrowLeft: -1, ArrowDown: -1 };
+    let next = null;
+
+    if (e.key === 'Home' && min !== null) next = min;
+    else if (e.key === 'End' && max !== null) next = max;
+    else if (moves[e.key]) next = current === null ? min ?? 0 : stepValue(type, current, moves[e.key]);
+
+    if (next === null) return;
+
+    e.preventDefault();
+    select(next);
+
+    const group = e.currentTarget;
+    requestAnimationFrame(() => group.querySelector(`[data-value="${next}"]`)?.focus());
+  };
+
+  if (choices.length > MAX_SCALE_BUTTONS) {
+    return (
+      <div className="space-y-1">
+        <input
+          type="range"
+          min={min ?? 0}
+          max={max ?? 100}
+          step={getStep(type)}
+          value={current ?? min ?? 0}
+          onChange={(e) => select(e.target.value)}
+          onBlur={onBlur}
+          disabled={disabled}
+          aria-valuetext={current === null ? 'Not set' : `${current}${currentLabel ? ` ${currentLabel}` : ''}`}
+          className="w-full accent-indigo-600"
+          {...props}
+        />
+        <div className="flex justify-between text-xs text-gray-500">
+          <span>{min}</span>
+          <span className="font-medium text-gray-700">
+            {current === null ? 'Not set' : `${current}${currentLabel ? ` · ${currentLabel}` : ''}`}
+          </span>
+          <span>{max}</span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-1">
+      <div
+        role="radiogroup"
+        onKeyDown={disabled ? undefined : handleKeyDown}
+        onBlur={onBlur}
+        className={`flex flex-wrap gap-1 rounded-md ${invalid ? 'ring-1 ring-red-500 p-0.5' : ''}`}
+        {...props}
+      >
+        {choices.map((choice, index) => {
+          const checked = current === choice.value;
+          // Only one point is tabbable: the selected one, or the first when none is
+          const tabbable = checked || (current === null && index === 0);
+
+          return (
+            <button
+              key={choice.value}
+              type="button"
+              role="radio"
+              data-value={choice.value}
+              aria-checked={checked}
+              aria-label={choice.label ? `${choice.value} ${choice.label}` : String(choice.value)}
+              tabIndex={tabbable ? 0 : -1}
+              disabled={disabled}
+              onClick={() => select(choice.value)}
+              className={`${compact ? 'h-8 min-w-8 text-xs' : 'h-10 min-w-10 text-sm'} px-2 rounded-md border font-medium transition-colors disabled:opacity-50 ${
+                checked
+                  ? 'bg-indigo-600 border-indigo-600 text-white'
+                  : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {choice.value}
+            </button>
+          );
+        })}
+      </div>
+      {!compact && (
+        <div className="flex justify-between text-xs text-gray-500">
+          <span>{choices[0]?.label}</span>
+          <span className="font-medium text-gray-700">{currentLabel}</span>
+          <span>{choices[choices.length - 1]?.label}</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Coded choices, stored as their numeric value
+const SelectWidget = ({ type, unit, valuePrimary, valueSecondary, onChange, onBlur, invalid, compact, disabled, placeholder, ...props }) => {
+  const choices = getChoices(type);
+  const current = valuePrimary === '' || valuePrimary === null || valuePrimary === undefined ? '' : String(parseFloat(valuePrimary));
+
+  return (
+    <Select value={current} onValueChange={(value) => onChange('value_primary', value)} disabled={disabled}>
+      <SelectTrigger className={invalidClass(invalid)} {...props}>
+        <SelectValue placeholder={placeholder || 'Choose...'} />
+      </SelectTrigger>
+      <SelectContent>
+        {choices.map((choice) => (
+          <SelectItem key={choice.value} value={String(choice.value)}>
+            {choice.label}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+};
+
+const WIDGETS = {
+  single: NumberWidget,
+  text: NumberWidget,
+  dual: DualWidget,
+  scale: ScaleWidget,
+  stepper: StepperWidget,
+  select: SelectWidget,
+};
+
+// Entry control for a reading's value(s), picked by the type's input_type.
+// onChange is called with (field, value) for value_primary and value_secondary.
+const VitalSignValueInput = ({
+  type,
+  unit = '',
+  valuePrimary = '',
+  valueSecondary = '',
+  onChange,
+  onBlur,
+  invalid = false,
+  compact = false,
+  ...props
+}) => {
+  const Widget = WIDGETS[getInputType(type)];
+
+  return (
+    <Widget
+      type={type}
+      unit={unit}
+      valuePrimary={valuePrimary ?? ''}
+      valueSecondary={valueSecondary ?? ''}
+      onChange={onChange}
+      onBlur={onBlur}
+      invalid={invalid}
+      compact={compact}
+      {...props}
+    />
+  );
+};
+
+export default VitalSignValueInput;
@@ -4,6 +4,26 @@ import { Button } from '@/Components/ui/button';
 import { Badge } from '@/Components/ui/badge';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/Components/ui/select';
 import { Calendar, TrendingUp, TrendingDown, Minus, AlertTriangle, Info } from 'lucide-react';
+import MeasurementContextFilter from '@/Components/MeasurementContextFilter';
+import ReadingsChart from '@/Components/ReadingsChart';
+import ChartStyleToggle from '@/Components/ChartStyleToggle';
+import SmoothingControls from '@/Components/SmoothingControls';
+import useUnitPreferences from '@/hooks/useUnitPreferences';
+import useTimeZone from '@/hooks/useTimeZone';
+import { convertReading } from '@/lib/units';
+import { getContextGroups, matchesContextFilter, splitByContext } from '@/lib/measurementContext';
+import { isDualType } from '@/lib/dualSeries';
+import { timeExtent } from '@/lib/chart';
+import { visibleWindow, withinDomain } from '@/lib/chartZoom';
+import { parseDateTime } from '@/lib/dateTime';
+import { DEFAULT_SMOOTHING } from '@/lib/smoothing';
+import { timeRegression, trendDirection, forecast } from '@/lib/analytics';
+
+// Line colours for series split by context tag
+const SERIES_COLORS = ['#3b82f6', '#8b5cf6', '#f59e0b', '#10b981', '#ec4899', '#6b7280'];
+
+// Select value for one unsplit series, since Radix selects can't hold an empty one
+const SINGLE_SERIES = 'none';
 
 const VitalSignsChart = ({
   data = [],
@@ -11,16 +31,46 @@ const VitalSignsChart = ({
   selectedTypeId = null,
   onTypeChange = null,
   height = 300,
-  width = '100%',
   showControls = true,
   showStats = true,
   showNormalRange = true,
   period = 7,
   onPeriodChange = null,
+  // The zoomed-in window; pass both to keep it somewhere else, such as the URL
+  visibleDomain: controlledDomain,
+  onVisibleDomainChange = null,
   className = ""
 }) => {
-  const [hoveredPoint, setHoveredPoint] = useState(null);
   const [showFlaggedOnly, setShowFlaggedOnly] = useState(false);
+  const [contextFilter, setContextFilter] = useState('');
+  const [splitBy, setSplitBy] = useState('');
+  const [chartStyle, setChartStyle] = useState('lines');
+  const [localDomain, setLocalDomain] = useState(null);
+  const [smoothing, setSmoothing] = useState(DEFAULT_SMOOTHING);
+  const [showForecast, setShowForecast] = useState(false);
+  const [showPatterns, setShowPatterns] = useState(true);
+  const { getPreferredUnit, toDisplayType } = useUnitPreferences();
+  const { timeZone } = useTimeZone();
+
+  const baseType = useMemo(() => {
+    return vitalSignTypes.find(type => type.id === parseInt(selectedTypeId));
+  }, [vitalSignTypes, selectedTypeId]);
+
+  const contextGroups = useMemo(() => getContextGroups(baseType), [baseType]);
+
+  // Context options belong to the type, so start over when it changes
+  useEffect(() => {
+    setContextFilter('');
+    setSplitBy('');
+  }, [selectedTypeId]);
+
+  const requestedDomain = controlledDomain !== undefined ? controlledDomain : localDomain;
+  const setVisibleDomain = onVisibleDomainChange || setLocalDomain;
+
+  // A window drawn over other readings means nothing, so zoom back out
+  useEffect(() => {
+    if (controlledDomain === undefined) setLocalDomain(null);
+  }, [selectedTypeId, period]);
 
   // Filter data based on selected type and flagged filter
   const filteredData = useMemo(() => {
@@ -34,43 +84,41 @@ const VitalSignsChart = ({
       filtered = filtered.filter(d => d.is_flagged);
     }
 
-    // Sort by measurement date
-    return filtered.sort((a, b) => new Date(a.measured_at) - new Date(b.measured_at));
-  }, [data, selectedTypeId, showFlaggedOnly]);
+    if (contextFilter) {
+      filtered = filtered.filter(d => matchesContextFilter(d, contextFilter));
+    }
 
-  // Get selected vital sign type
-  const selectedType = useMemo(() => {
-    return vitalSignTypes.find(type => type.id === parseInt(selectedTypeId));
-  }, [vitalSignTypes, selectedTypeId]);
+    // Sort by measurement date, in the user's preferred unit
+    const unit = getPreferredUnit(baseType);
+    return [...filtered]
+      .sort((a, b) => new Date(a.measured_at) - new Date(b.measured_at))
+      .map(d => convertReading(d, unit));
+  }, [data, selectedTypeId, showFlaggedOnly, contextFilter, baseType, getPreferredUnit]);
+
+  // Get selected vital sign type, with ranges in the preferred unit
+  const selectedType = useMemo(() => toDisplayType(baseType), [baseType, toDisplayType]);
+
+  const timeOf = (d) => parseDateTime(d.measured_at, timeZone)?.getTime();
+
+  // The readings in view, kept inside the data the same way the chart keeps it
+  const visibleData = useMemo(() => {
+    const shown = visibleWindow(requestedDomain, timeExtent(filteredData.map(timeOf)));
+    return withinDomain(filteredData, shown, timeOf);
+  }, [filteredData, requestedDomain, timeZone]);
 
-  // Calculate statistics
+  // Calculate statistics for what the chart shows
   const stats = useMemo(() => {
-    if (filteredData.length === 0) {
+    if (visibleData.length === 0) {
       return { count: 0, avg: 0, min: 0, max: 0, trend: 'stable', flagged: 0 };
     }
 
-    const values = filteredData.map(d => parseFloat(d.value_primary));
-    const flagged = filteredData.filter(d => d.is_flagged).length;
-
-    // Calculate trend using simple linear regression
+    const values = visibleData.map(d => parseFloat(d.value_primary));
+    const flagged = visibleData.filter(d => d.is_flagged).length;
     const n = values.length;
-    let trend = 'stable';
-
-    if (n > 1) {
-      const xValues = Array.from({length: n}, (_, i) => i + 1);
-      const xAvg = xValues.reduce((a, b) => a + b, 0) / n;
-      const yAvg = values.reduce((a, b) => a + b, 0) / n;
-
-      const numerator = xValues.reduce((sum, x, i) => sum + (x - xAvg) * (values[i] - yAvg), 0);
-      const denominator = xValues.reduce((sum, x) => sum + Math.pow(x - xAvg, 2), 0);
-
-      if (denominator !== 0) {
-        const slope = numerator / denominator;
-        if (Math.abs(slope) > 0.1) {
-          trend = slope > 0 ? 'increasing' : 'decreasing';
-        }
-      }
-    }
+
+    // Regressed on elapsed time, so a gap between readings isn't a step like any other
+    const model = timeRegression(visibleData.map((d, i) => ({ time: timeOf(d), value: values[i] })));
+    const trend = trendDirection(model);
 
     return {
       count: n,
@@ -80,106 +128,25 @@ const VitalSignsChart = ({
       trend,
       flagged
     };
-  }, [filteredData]);
-
-  // Chart calculations
-  const chartData = useMemo(() => {
-    if (filteredData.length === 0) return null;
-
-    const padding = 40;
-    const chartWidth = (typeof width === 'number' ? width : 600) - (2 * padding);
-    const chartHeight = height - (2 * padding);
-
-    const values = filteredData.map(d => parseFloat(d.value_primary));
-    const dates = filteredData.map(d => new Date(d.measured_at));
-
-    const minValue = Math.min(...values);
-    const maxValue = Math.max(...values);
-    const valueRange = maxValue - minValue || 1;
-
-    // Add padding to value range
-    const valuePadding = valueRange * 0.1;
-    const adjustedMin = minValue - valuePadding;
-    const adjustedMax = maxValue + valuePadding;
-    const adjustedRange = adjustedMax - adjustedMin;
-
-    const minDate = Math.min(...dates);
-    const maxDate = Math.max(...dates);
-    const dateRange = maxDate - minDate || 86400000; // 1 day fallback
-
-    // Generate points
-    const points = filteredData.map((d, i) => {
-      const x = padding + (chartWidth * (dates[i].getTime() - minDate)) / dateRange;
-      const y = padding + chartHeight - ((parseFloat(d.value_primary) - adjustedMin) / adjustedRange) * chartHeight;
-
-      return {
-        x,
-        y,
-        data: d,
-        value: parseFloat(d.value_primary),
-        date: dates[i]
-      };
-    });
-
-    // Generate path
-    const pathData = points.length > 0 ?
-      'M ' + points.map(p => `${p.x},${p.y}`).join(' L ') : '';
-
-    // Generate normal range path if available
-    let normalRangePath = null;
-    if (showNormalRange && selectedType && selectedType.normal_range_min && selectedType.normal_range_max) {
-      const normalMin = selectedType.normal_range_min;
-      const normalMax = selectedType.normal_range_max;
-
-      if (normalMin >= adjustedMin && normalMax <= adjustedMax) {
-        const yMin = padding + chartHeight - ((normalMin - adjustedMin) / adjustedRange) * chartHeight;
-        const yMax = padding + chartHeight - ((normalMax - adjustedMin) / adjustedRange) * chartHeight;
-
-        normalRangePath = `M ${padding},${yMax} L ${padding + chartWidth},${yMax} L ${padding + chartWidth},${yMin} L ${padding},${yMin} Z`;
-      }
-    }
-
-    // Generate axis labels
-    const yLabels = Array.from({length: 5}, (_, i) => {
-      const value = adjustedMin + (adjustedRange * i / 4);
-      const y = padding + chartHeight - ((value - adjustedMin) / adjustedRange) * chartHeight;
-      return { y, value: +value.toFixed(1) };
-    });
-
-    const xLabels = Array.from({length: 5}, (_, i) => {
-      const timestamp = minDate + (dateRange * i / 4);
-      const x = padding + (chartWidth * i / 4);
-      const date = new Date(timestamp);
-      return { x, date: date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }) };
-    });
-
-    return {
-      points,
-      pathData,
-      normalRangePath,
-      yLabels,
-      xLabels,
-      chartArea: { x: padding, y: padding, width: chartWidth, height: chartHeight },
-      svgWidth: typeof width === 'number' ? width : 600,
-      svgHeight: height
-    };
-  }, [filteredData, selectedType, showNormalRange, height, width]);
-
-  const formatValue = (record) => {
-    if (record.value_secondary) {
-      return `${record.value_primary}/${record.value_secondary}`;
-    }
-    return record.value_primary;
-  };
-
-  const formatDate = (date) => {
-    return date.toLocaleDateString('en-US', {
-      month: 'short',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
-  };
+  }, [visibleData, timeZone]);
+
+  // A week on from the last reading, fitted to all of them rather than just those in view
+  const forecastPoints = useMemo(() => {
+    if (!showForecast) return null;
+    return forecast(timeRegression(filteredData.map(d => ({ time: timeOf(d), value: parseFloat(d.value_primary) }))));
+  }, [showForecast, filteredData, timeZone]);
+
+  // One line per tag when split by a context group
+  const series = useMemo(() => {
+    if (!splitBy) return null;
+
+    return splitByContext(filteredData, splitBy).map((item, i) => ({
+      key: item.key,
+      label: item.label,
+      color: SERIES_COLORS[i % SERIES_COLORS.length],
+      records: item.records,
+    }));
+  }, [filteredData, splitBy]);
 
   const getTrendIcon = (trend) => {
     switch (trend) {
@@ -236,6 +203,9 @@ const VitalSignsChart = ({
               {/* Toggles */}
               {selectedType && (
                 <div className="flex gap-2">
+                  {isDualType(selectedType) && (
+                    <ChartStyleToggle value={chartStyle} onChange={setChartStyle} />
+                  )}
                   <Button
                     variant={showFlaggedOnly ? "default" : "outline"}
                     size="sm"
@@ -243,12 +213,62 @@ const VitalSignsChart = ({
                   >
                     Flagged Only
                   </Button>
+                  <Button
+                    variant={showForecast ? "default" : "outline"}
+                    size="sm"
+                    aria-pressed={showForecast}
+                    onClick={() => setShowForecast(!showForecast)}
+                  >
+                    Forecast
+                  </Button>
+                  <Button
+                    variant={showPatterns ? "default" : "outline"}
+                    size="sm"
+                    aria-pressed={showPatterns}
+                    title="Ring readings that are unusual for you and mark where your baseline shifted"
+                    onClick={() => setShowPatterns(!showPatterns)}
+                  >
+                    Patterns
+                  </Button>
                 </div>
               )}
             </div>
           )}
         </div>
 
+        {/* Context filter and series split */}
+        {showControls && selectedType && Object.keys(contextGroups).length > 0 && (
+          <div className="pt-4 flex flex-wrap gap-3">
+            <MeasurementContextFilter
+              groups={contextGroups}
+              value={contextFilter}
+              onChange={setContextFilter}
+              className="w-48"
+            />
+
+            <Select value={splitBy || SINGLE_SERIES} onValueChange={value => setSplitBy(value === SINGLE_SERIES ? '' : value)}>
+              <SelectTrigger className="w-48" aria-label="Split series by">
+                <SelectValue placeholder="Single series" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={SINGLE_SERIES}>Single series</SelectItem>
+                {Object.entries(contextGroups).map(([name, group]) => (
+                  <SelectItem key={name} value={name}>
+                    Split by {group.label.toLowerCase()}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        )}
+
+        {/* Smoothed line over the readings */}
+        {showControls && selectedType && (
+          <div className="pt-4">
+            <SmoothingControls value={smoothing} onChange={setSmoothing} />
+          </div>
+        )}
+
         {/* Type Selector */}
         {!selectedTypeId && onTypeChange && (
           <div className="pt-4">
@@ -298,135 +318,23 @@ const VitalSignsChart = ({
         )}
 
         {/* Chart */}
-        {chartData && filteredData.length > 0 ? (
-          <div className="relative bg-gray-50 rounded-lg p-4 overflow-x-auto">
-            <svg width={chartData.svgWidth} height={chartData.svgHeight} className="w-full">
-              {/* Grid */}
-              <defs>
-                <pattern id="grid" width="50" height="50" patternUnits="userSpaceOnUse">
-                  <path d="M 50 0 L 0 0 0 50" fill="none" stroke="#e5e7eb" strokeWidth="1"/>
-                </pattern>
-              </defs>
-              <rect
-                x={chartData.chartArea.x}
-                y={chartData.chartArea.y}
-                width={chartData.chartArea.width}
-                height={chartData.chartArea.height}
-                fill="url(#grid)"
-                opacity="0.5"
-              />
-
-              {/* Normal Range Band */}
-              {chartData.normalRangePath && (
-                <path d={chartData.normalRangePath} fill="#dcfce7" opacity="0.6" />
-              )}
-
-              {/* Trend Line */}
-              <path d={chartData.pathData} fill="none" stroke="#3b82f6" strokeWidth="3" />
-
-              {/* Data Points */}
-              {chartData.points.map((point, index) => (
-                <circle
-                  key={index}
-                  cx={point.x}
-                  cy={point.y}
-                  r={point.data.is_flagged ? 6 : 4}
-                  fill={point.data.is_flagged ? '#ef4444' : '#3b82f6'}
-                  stroke="white"
-                  strokeWidth="2"
-                  className="cursor-pointer hover:r-8 transition-all"
-                  onMouseEnter={() => setHoveredPoint(point)}
-                  onMouseLeave={() => setHoveredPoint(null)}
-                />
-              ))}
-
-              {/* Y-axis labels */}
-              {chartData.yLabels.map((label, i) => (
-                <g key={i}>
-                  <text x="35" y={label.y + 4} textAnchor="end" fontSize="12" fill="#6b7280">
-                    {label.value}
-                  </text>
-                  <line
-                    x1="38" y1={label.y}
-                    x2={chartData.chartArea.x} y2={label.y}
-                    stroke="#d1d5db" strokeWidth="1"
-                  />
-                </g>
-              ))}
-
-              {/* X-axis labels */}
-              {chartData.xLabels.map((label, i) => (
-                <g key={i}>
-                  <text x={label.x} y={chartData.svgHeight - 10} textAnchor="middle" fontSize="12" fill="#6b7280">
-                    {label.date}
-                  </text>
-                  <line
-                    x1={label.x} y1={chartData.chartArea.y + chartData.chartArea.height}
-                    x2={label.x} y2={chartData.chartArea.y + chartData.chartArea.height + 5}
-                    stroke="#d1d5db" strokeWidth="1"
-                  />
-                </g>
-              ))}
-
-              {/* Axis lines */}
-              <line
-                x1={chartData.chartArea.x} y1={chartData.chartArea.y}
-                x2={chartData.chartArea.x} y2={chartData.chartArea.y + chartData.chartArea.height}
-                stroke="#374151" strokeWidth="2"
-              />
-              <line
-                x1={chartData.chartArea.x} y1={chartData.chartArea.y + chartData.chartArea.height}
-                x2={chartData.chartArea.x + chartData.chartArea.width} y2={chartData.chartArea.y + chartData.chartArea.height}
-                stroke="#374151" strokeWidth="2"
-              />
-            </svg>
-
-            {/* Tooltip */}
-            {hoveredPoint && (
-              <div
-                className="absolute z-10 bg-white border border-gray-200 rounded-lg shadow-lg p-3 pointer-events-none"
-                style={{
-                  left: hoveredPoint.x + 10,
-                  top: hoveredPoint.y - 60
-                }}
-              >
-                <div className="text-sm font-medium">
-                  {formatValue(hoveredPoint.data)} {selectedType?.unit_primary}
-                </div>
-                <div className="text-xs text-gray-500">
-                  {formatDate(hoveredPoint.date)}
-                </div>
-                {hoveredPoint.data.is_flagged && (
-                  <div className="flex items-center text-xs text-red-600 mt-1">
-                    <AlertTriangle className="h-3 w-3 mr-1" />
-                    Flagged
-                  </div>
-                )}
-                {hoveredPoint.data.notes && (
-                  <div className="text-xs text-gray-600 mt-1 max-w-48">
-                    {hoveredPoint.data.notes}
-                  </div>
-                )}
-              </div>
-            )}
-
-            {/* Legend */}
-            <div className="mt-4 flex flex-wrap items-center justify-center gap-4 text-sm">
-              <div className="flex items-center">
-                <div className="w-3 h-3 bg-blue-500 rounded-full mr-2"></div>
-                <span>Normal Reading</span>
-              </div>
-              <div className="flex items-center">
-                <div className="w-3 h-3 bg-red-500 rounded-full mr-2"></div>
-                <span>Flagged Reading</span>
-              </div>
-              {showNormalRange && selectedType?.normal_range_min && (
-                <div className="flex items-center">
-                  <div className="w-3 h-3 bg-green-200 mr-2"></div>
-                  <span>Normal Range</span>
-                </div>
-              )}
-            </div>
+        {filteredData.length > 0 ? (
+          <div className="relative bg-gray-50 rounded-lg p-4">
+            <ReadingsChart
+              readings={filteredData}
+              type={selectedType}
+              series={series}
+              timeZone={timeZone}
+              height={height}
+              chartStyle={chartStyle}
+              showNormalRange={showNormalRange}
+              showLegend
+              visibleDomain={requestedDomain}
+              onVisibleDomainChange={setVisibleDomain}
+              smoothing={smoothing}
+              forecast={forecastPoints}
+              showPatterns={showPatterns}
+            />
           </div>
         ) : selectedTypeId ? (
           /* No Data State */
@@ -441,6 +349,11 @@ const VitalSignsChart = ({
                 Try turning off "Flagged Only" to see all readings.
               </p>
             )}
+            {contextFilter && (
+              <p className="text-sm text-gray-500 mb-4">
+                Try clearing the context filter to see all readings.
+              </p>
+            )}
           </div>
         ) : (
           /* Initial State */
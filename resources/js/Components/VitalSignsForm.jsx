@@ -6,6 +6,17 @@ import { Input } from '@/Components/ui/input';
 import { Badge } from '@/Components/ui/badge';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/Components/ui/select';
 import { Activity, Save, AlertTriangle, CheckCircle, Info, Loader2 } from 'lucide-react';
+import useUnitPreferences from '@/hooks/useUnitPreferences';
+import { getSupportedUnits, convertTypeRanges } from '@/lib/units';
+import { validateMeasurement, validateReading, getRangeFeedback, appendNote } from '@/lib/vitalSignsValidation';
+import useReadingSequenceCheck from '@/hooks/useReadingSequenceCheck';
+import useTimeZone from '@/hooks/useTimeZone';
+import ReadingWarningsPrompt from '@/Components/ReadingWarningsPrompt';
+import MeasurementContextFields from '@/Components/MeasurementContextFields';
+import { pickContext } from '@/lib/measurementContext';
+import VitalSignValueInput from '@/Components/VitalSignValueInput';
+import { getInputType } from '@/lib/inputWidgets';
+import { isNetworkError } from '@/lib/offlineQueue';
 
 const VitalSignsForm = ({
   vitalSignTypes = [],
@@ -14,21 +25,27 @@ const VitalSignsForm = ({
   isEditing = false,
   className = ""
 }) => {
+  const { timeZone, toInputValue, toApiValue } = useTimeZone();
+
   const [formData, setFormData] = useState({
     vital_sign_type_id: '',
     value_primary: '',
     value_secondary: '',
     unit: '',
-    measured_at: new Date().toISOString().slice(0, 16),
+    measured_at: toInputValue(),
     notes: '',
     measurement_method: 'manual',
     device_name: '',
+    context: null,
   });
 
   const [validationErrors, setValidationErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [submitMessage, setSubmitMessage] = useState(null);
   const [valueWarning, setValueWarning] = useState(null);
+  const [sequenceWarnings, setSequenceWarnings] = useState(null);
+  const { getPreferredUnit } = useUnitPreferences();
+  const { checkReading, forgetType } = useReadingSequenceCheck();
 
   // Initialize form data
   useEffect(() => {
@@ -38,10 +55,11 @@ const VitalSignsForm = ({
         value_primary: initialData.value_primary?.toString() || '',
         value_secondary: initialData.value_secondary?.toString() || '',
         unit: initialData.unit || '',
-        measured_at: initialData.measured_at ? new Date(initialData.measured_at).toISOString().slice(0, 16) : new Date().toISOString().slice(0, 16),
+        measured_at: toInputValue(initialData.measured_at || new Date()),
         notes: initialData.notes || '',
         measurement_method: initialData.measurement_method || 'manual',
         device_name: initialData.device_name || '',
+        context: initialData.context || null,
       });
     }
   }, [initialData]);
@@ -51,12 +69,12 @@ const VitalSignsForm = ({
     return vitalSignTypes.find(type => type.id === parseInt(formData.vital_sign_type_id));
   }, [vitalSignTypes, formData.vital_sign_type_id]);
 
-  // Update unit when type changes
+  // Default to the preferred unit when type changes, keeping a supported unit from initial data
   useEffect(() => {
     if (selectedType) {
       setFormData(prev => ({
         ...prev,
-        unit: selectedType.unit_primary
+        unit: getSupportedUnits(selectedType).includes(prev.unit) ? prev.unit : getPreferredUnit(selectedType)
       }));
 
       // Clear secondary value if not needed
@@ -75,56 +93,40 @@ const VitalSignsForm = ({
     }
   }, [formData.measurement_method]);
 
-  // Validate value against ranges
-  const validateValue = (value) => {
-    if (!selectedType || !value) {
-      setValueWarning(null);
-      return;
-    }
-
-    const numValue = parseFloat(value);
+  const isDualEntry = getInputType(selectedType) === 'dual';
 
-    if (selectedType.min_value && numValue < selectedType.min_value) {
-      setValueWarning({
-        type: 'error',
-        message: `Value is below minimum safe range (${selectedType.min_value} ${selectedType.unit_primary})`
-      });
-      return;
-    }
-
-    if (selectedType.max_value && numValue > selectedType.max_value) {
-      setValueWarning({
-        type: 'error',
-        message: `Value is above maximum safe range (${selectedType.max_value} ${selectedType.unit_primary})`
-      });
-      return;
-    }
+  // Ranges expressed in the unit currently being entered
+  const displayType = useMemo(() => {
+    return convertTypeRanges(selectedType, formData.unit);
+  }, [selectedType, formData.unit]);
 
-    if (selectedType.warning_range_min && selectedType.warning_range_max &&
-        numValue >= selectedType.warning_range_min && numValue <= selectedType.warning_range_max) {
-      setValueWarning({
-        type: 'warning',
-        message: 'Value is in the warning range'
-      });
+  // Show limit errors and range feedback while the value is typed
+  const validateValue = (value, unit = formData.unit) => {
+    if (!selectedType || !value) {
+      setValueWarning(null);
       return;
     }
 
-    if (selectedType.normal_range_min && selectedType.normal_range_max &&
-        (numValue < selectedType.normal_range_min || numValue > selectedType.normal_range_max)) {
-      setValueWarning({
-        type: 'info',
-        message: 'Value is outside the normal range'
-      });
+    const error = validateMeasurement(selectedType, { value_primary: value, unit }).value_primary;
+    if (error) {
+      setValueWarning({ type: 'error', message: error });
       return;
     }
 
-    setValueWarning(null);
+    const feedback = getRangeFeedback(selectedType, value, unit);
+    setValueWarning(feedback && {
+      type: feedback.level === 'critical' ? 'warning' : 'info',
+      message: feedback.message,
+    });
   };
 
   // Handle form field changes
   const handleChange = (field, value) => {
     setFormData(prev => ({ ...prev, [field]: value }));
 
+    // Warnings were about the reading as it was submitted
+    setSequenceWarnings(null);
+
     // Clear validation error for this field
     if (validationErrors[field]) {
       setValidationErrors(prev => ({ ...prev, [field]: null }));
@@ -134,84 +136,36 @@ const VitalSignsForm = ({
     if (field === 'value_primary') {
       validateValue(value);
     }
-  };
-
-  // Validate form
-  const validateForm = () => {
-    const errors = {};
-
-    if (!formData.vital_sign_type_id) {
-      errors.vital_sign_type_id = 'Please select a vital sign type';
-    }
-
-    if (!formData.value_primary) {
-      errors.value_primary = 'Please enter a measurement value';
-    } else if (isNaN(parseFloat(formData.value_primary))) {
-      errors.value_primary = 'Please enter a valid number';
-    } else if (parseFloat(formData.value_primary) < 0) {
-      errors.value_primary = 'Value cannot be negative';
-    }
-
-    if (selectedType?.has_secondary_value && !formData.value_secondary) {
-      errors.value_secondary = 'Secondary value is required for this measurement type';
-    }
-
-    if (formData.value_secondary && isNaN(parseFloat(formData.value_secondary))) {
-      errors.value_secondary = 'Please enter a valid number';
-    }
-
-    if (!formData.unit) {
-      errors.unit = 'Unit is required';
-    }
-
-    if (!formData.measured_at) {
-      errors.measured_at = 'Please specify when the measurement was taken';
-    } else {
-      const measurementDate = new Date(formData.measured_at);
-      const now = new Date();
-      if (measurementDate > now) {
-        errors.measured_at = 'Measurement date cannot be in the future';
-      }
-    }
-
-    if (!formData.measurement_method) {
-      errors.measurement_method = 'Please select a measurement method';
-    }
 
-    if (formData.measurement_method === 'device' && !formData.device_name.trim()) {
-      errors.device_name = 'Device name is required for device measurements';
+    // Re-check the entered value against ranges in the new unit
+    if (field === 'unit') {
+      validateValue(formData.value_primary, value);
     }
-
-    if (formData.notes && formData.notes.length > 1000) {
-      errors.notes = 'Notes cannot exceed 1000 characters';
-    }
-
-    return errors;
   };
 
-  // Handle form submission
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  // Validate form
+  const validateForm = () => validateReading(selectedType, formData, { timeZone });
 
-    const errors = validateForm();
-    if (Object.keys(errors).length > 0) {
-      setValidationErrors(errors);
-      return;
-    }
+  // Edits change a reading already on the server, so they can't wait in the offline queue
+  const offlineEditMessage = {
+    type: 'warning',
+    message: "You're offline. Changes to a saved reading can't be kept on this device, so save them again once you're back online.",
+  };
 
+  // Save a reading that passed validation (and any confirmation)
+  const saveReading = async (submitData) => {
     setIsSubmitting(true);
     setSubmitMessage(null);
 
     try {
-      const submitData = {
-        ...formData,
-        value_primary: parseFloat(formData.value_primary),
-        value_secondary: formData.value_secondary ? parseFloat(formData.value_secondary) : null,
-        vital_sign_type_id: parseInt(formData.vital_sign_type_id),
-      };
+      if (isEditing && !navigator.onLine) {
+        setSubmitMessage(offlineEditMessage);
+        return;
+      }
 
       if (onSubmit) {
         await onSubmit(submitData);
+        forgetType(submitData.vital_sign_type_id);
       } else {
         // Default Inertia submission
         const url = isEditing ? `/api/vital-signs/${initialData?.id}` : '/api/vital-signs';
@@ -219,6 +173,7 @@ const VitalSignsForm = ({
 
         router[method](url, submitData, {
           onSuccess: () => {
+            forgetType(submitData.vital_sign_type_id);
             setSubmitMessage({
               type: 'success',
               message: `Vital signs ${isEditing ? 'updated' : 'recorded'} successfully!`
@@ -230,10 +185,11 @@ const VitalSignsForm = ({
                 value_primary: '',
                 value_secondary: '',
                 unit: '',
-                measured_at: new Date().toISOString().slice(0, 16),
+                measured_at: toInputValue(),
                 notes: '',
                 measurement_method: 'manual',
                 device_name: '',
+                context: null,
               });
             }
           },
@@ -247,6 +203,23 @@ const VitalSignsForm = ({
         });
       }
     } catch (error) {
+      if (isEditing && isNetworkError(error)) {
+        setSubmitMessage(offlineEditMessage);
+        return;
+      }
+
+      // Custom handlers can reject with server validation errors
+      if (error.errors) {
+        setValidationErrors(Object.fromEntries(
+          Object.entries(error.errors).map(([field, messages]) => [field, Array.isArray(messages) ? messages[0] : messages])
+        ));
+        setSubmitMessage({
+          type: 'error',
+          message: 'Failed to save vital signs. Please check the form for errors.'
+        });
+        return;
+      }
+
       setSubmitMessage({
         type: 'error',
         message: 'An unexpected error occurred. Please try again.'
@@ -256,6 +229,47 @@ const VitalSignsForm = ({
     }
   };
 
+  // Handle form submission
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const errors = validateForm();
+    if (Object.keys(errors).length > 0) {
+      setValidationErrors(errors);
+      return;
+    }
+
+    const submitData = {
+      ...formData,
+      value_primary: parseFloat(formData.value_primary),
+      value_secondary: formData.value_secondary ? parseFloat(formData.value_secondary) : null,
+      vital_sign_type_id: parseInt(formData.vital_sign_type_id),
+      // Entered in the user's timezone, sent with its offset
+      measured_at: toApiValue(formData.measured_at),
+      // Drop tags left over from a previously selected type
+      context: pickContext(selectedType, formData.context),
+    };
+
+    // Compare with recent readings before saving, leaving out the one being edited
+    setIsSubmitting(true);
+    const warnings = await checkReading(selectedType, submitData, { excludeId: isEditing ? initialData?.id : null });
+    setIsSubmitting(false);
+
+    if (warnings.length > 0) {
+      setSequenceWarnings({ warnings, submitData });
+      return;
+    }
+
+    await saveReading(submitData);
+  };
+
+  // Save a reading the user confirmed despite the warnings
+  const handleConfirmWarnings = async (note) => {
+    const { submitData } = sequenceWarnings;
+    setSequenceWarnings(null);
+    await saveReading({ ...submitData, notes: appendNote(submitData.notes, note) });
+  };
+
   const getMessageIcon = (type) => {
     switch (type) {
       case 'success': return <CheckCircle className="h-5 w-5 text-green-400" />;
@@ -373,33 +387,54 @@ const VitalSignsForm = ({
               <label className="block text-sm font-medium text-gray-700 mb-1">
                 {selectedType ? `${selectedType.display_name} Value` : 'Measurement Value'} *
               </label>
-              <div className="relative">
-                <Input
-                  type="number"
-                  step="0.01"
-                  value={formData.value_primary}
-                  onChange={(e) => handleChange('value_primary', e.target.value)}
-                  onBlur={() => validateValue(formData.value_primary)}
-                  placeholder="Enter value"
-                  className={validationErrors.value_primary ? 'border-red-500 pr-16' : 'pr-16'}
-                />
-                {formData.unit && (
-                  <div className="absolute inset-y-0 right-0 pr-3 flex items-center pointer-events-none">
-                    <span className="text-gray-500 text-sm">{formData.unit}</span>
-                  </div>
-                )}
-              </div>
+              <VitalSignValueInput
+                type={selectedType}
+                unit={formData.unit}
+                valuePrimary={formData.value_primary}
+                valueSecondary={formData.value_secondary}
+                onChange={handleChange}
+                onBlur={() => validateValue(formData.value_primary)}
+                invalid={!!(validationErrors.value_primary || (isDualEntry && validationErrors.value_secondary))}
+                aria-label={selectedType ? `${selectedType.display_name} value` : 'Measurement value'}
+              />
               {validationErrors.value_primary && (
                 <p className="mt-1 text-sm text-red-600">{validationErrors.value_primary}</p>
               )}
+              {isDualEntry && validationErrors.value_secondary && (
+                <p className="mt-1 text-sm text-red-600">{validationErrors.value_secondary}</p>
+              )}
 
               {/* Range Info */}
               {selectedType && formData.value_primary && (
                 <div className="mt-1 text-xs text-gray-500">
-                  Normal range: {selectedType.normal_range_min ?? '?'} - {selectedType.normal_range_max ?? '?'} {formData.unit}
+                  Normal range: {displayType.normal_range_min ?? '?'} - {displayType.normal_range_max ?? '?'} {formData.unit}
                 </div>
               )}
 
+              {/* Unit */}
+              {getSupportedUnits(selectedType).length > 1 && (
+                <div className="mt-2">
+                  <Select
+                    value={formData.unit}
+                    onValueChange={(value) => handleChange('unit', value)}
+                  >
+                    <SelectTrigger className="h-8 w-28 text-xs" aria-label="Unit">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {getSupportedUnits(selectedType).map((unit) => (
+                        <SelectItem key={unit} value={unit}>
+                          {unit}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              )}
+              {validationErrors.unit && (
+                <p className="mt-1 text-sm text-red-600">{validationErrors.unit}</p>
+              )}
+
               {/* Value Warning */}
               {valueWarning && (
                 <div className={`mt-2 p-2 border rounded text-xs ${
@@ -419,8 +454,8 @@ const VitalSignsForm = ({
               )}
             </div>
 
-            {/* Secondary Value (conditional) */}
-            {selectedType?.has_secondary_value && (
+            {/* Secondary Value (conditional, dual types take both values in one box) */}
+            {selectedType?.has_secondary_value && !isDualEntry && (
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
                   Secondary Value *
@@ -455,7 +490,7 @@ const VitalSignsForm = ({
                 type="datetime-local"
                 value={formData.measured_at}
                 onChange={(e) => handleChange('measured_at', e.target.value)}
-                max={new Date().toISOString().slice(0, 16)}
+                max={toInputValue()}
                 className={validationErrors.measured_at ? 'border-red-500' : ''}
               />
               {validationErrors.measured_at && (
@@ -464,6 +499,21 @@ const VitalSignsForm = ({
             </div>
           </div>
 
+          {/* Context Tags */}
+          {selectedType && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Context
+              </label>
+              <MeasurementContextFields
+                type={selectedType}
+                value={formData.context}
+                onChange={(value) => handleChange('context', value)}
+                errors={validationErrors}
+              />
+            </div>
+          )}
+
           {/* Notes */}
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -486,11 +536,21 @@ const VitalSignsForm = ({
             </p>
           </div>
 
+          {/* Duplicate and jump warnings awaiting confirmation */}
+          {sequenceWarnings && (
+            <ReadingWarningsPrompt
+              warnings={sequenceWarnings.warnings}
+              onConfirm={handleConfirmWarnings}
+              onEdit={() => setSequenceWarnings(null)}
+              isSubmitting={isSubmitting}
+            />
+          )}
+
           {/* Submit Button */}
           <div className="flex justify-end">
             <Button
               type="submit"
-              disabled={isSubmitting}
+              disabled={isSubmitting || !!sequenceWarnings}
               className="min-w-32"
             >
               {isSubmitting ? (
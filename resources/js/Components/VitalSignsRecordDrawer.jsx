@@ -0,0 +1,259 @@
+import React, { useState, useEffect } from 'react';
+import { Sheet, SheetContent, SheetHeader, SheetTitle, SheetDescription } from '@/Components/ui/sheet';
+import { Button } from '@/Components/ui/button';
+import { Badge } from '@/Components/ui/badge';
+import { AlertTriangle, Pencil, Trash2, Lightbulb, Loader2 } from 'lucide-react';
+import VitalSignsForm from '@/Components/VitalSignsForm';
+import useUnitPreferences from '@/hooks/useUnitPreferences';
+import useTimeZone from '@/hooks/useTimeZone';
+import { formatContext } from '@/lib/measurementContext';
+
+
+const formatValue = (record) => {
+  if (record.value_secondary) {
+    return `${record.value_primary}/${record.value_secondary}`;
+  }
+  return record.value_primary;
+};
+
+const getSeverityVariant = (severity) => {
+  switch (severity) {
+    case 'critical':
+    case 'high': return 'destructive';
+    case 'medium': return 'default';
+    default: return 'secondary';
+  }
+};
+
+const DetailRow = ({ label, children }) => (
+  <div className="flex justify-between gap-4 py-2 border-b last:border-b-0 text-sm">
+    <span className="text-muted-foreground">{label}</span>
+    <span className="font-medium text-right">{children}</span>
+  </div>
+);
+
+const VitalSignsRecordDrawer = ({
+  record = null,
+  open = false,
+  onOpenChange,
+  vitalSignTypes = [],
+  onUpdated,
+  onDelete,
+}) => {
+  const { toDisplayReading } = useUnitPreferences();
+  const { formatDate } = useTimeZone();
+  const [details, setDetails] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [mode, setMode] = useState('view'); // 'view', 'edit' or 'confirm-delete'
+
+  // Load the full record with its recommendations whenever a new one is opened
+  useEffect(() => {
+    if (!open || !record) return;
+
+    setMode('view');
+    setDetails(record);
+    setLoading(true);
+
+    const controller = new AbortController();
+
+    fetch(`/api/vital-signs/${record.id}`, {
+      headers: {
+        'Accept': 'application/json',
+        'X-CSRF-TOKEN': document.querySelector('meta[name="csrf-token"]').content,
+      },
+      signal: controller.signal,
+    })
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error('Failed to fetch vital signs record');
+        }
+        return response.json();
+      })
+      .then((result) => setDetails(result.data))
+      .catch((error) => {
+        if (error.name !== 'AbortError') {
+          console.error('Error fetching vital signs record:', error);
+        }
+      })
+      .finally(() => setLoading(false));
+
+    return () => controller.abort();
+  }, [open, record?.id]);
+
+  const handleUpdate = async (data) => {
+    const response = await fetch(`/api/vital-signs/${record.id}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        'X-CSRF-TOKEN': document.querySelector('meta[name="csrf-token"]').content,
+      },
+      body: JSON.stringify(data),
+    });
+
+    const result = await response.json();
+
+    if (!response.ok) {
+      // Let VitalSignsForm show the server's field errors
+      throw Object.assign(new Error(result.message || 'Failed to update vital signs'), { errors: result.errors });
+    }
+
+    const updated = { ...details, ...result.data };
+    setDetails(updated);
+    setMode('view');
+
+    if (onUpdated) {
+      onUpdated(updated);
+    }
+  };
+
+  const handleDelete = () => {
+    onDelete(details);
+    onOpenChange(false);
+  };
+
+  const display = details ? toDisplayReading(details) : null;
+  const recommendations = details?.recommendations || [];
+
+  return (
+    <Sheet open={open} onOpenChange={onOpenChange}>
+      <SheetContent className="w-full sm:max-w-xl overflow-y-auto">
+        {display && (
+          <>
+            <SheetHeader>
+              <SheetTitle className="flex items-center gap-2">
+                {display.vital_sign_type?.display_name || 'Measurement'}
+                {display.is_flagged && (
+                  <Badge variant="destructive" className="text-xs">
+                    <AlertTriangle className="h-3 w-3 mr-1" />
+                    Flagged
+                  </Badge>
+                )}
+              </SheetTitle>
+              <SheetDescription>
+                Recorded {formatDate(display.measured_at)}
+              </SheetDescription>
+            </SheetHeader>
+
+            {mode === 'edit' ? (
+              <div className="mt-6 space-y-4">
+                <VitalSignsForm
+                  vitalSignTypes={vitalSignTypes}
+                  initialData={details}
+                  isEditing
+                  onSubmit={handleUpdate}
+                />
+                <Button variant="outline" className="w-full" onClick={() => setMode('view')}>
+                  Cancel
+                </Button>
+              </div>
+            ) : (
+              <div className="mt-6 space-y-6">
+                <div className="text-3xl font-bold">
+                  {formatValue(display)} <span className="text-lg font-normal text-muted-foreground">{display.unit}</span>
+                </div>
+
+                <div>
+                  <DetailRow label="Measured">{formatDate(display.measured_at)}</DetailRow>
+                  <DetailRow label="Method">
+                    <span className="capitalize">{display.measurement_method}</span>
+                  </DetailRow>
+                  {display.device_name && (
+                    <DetailRow label="Device">{display.device_name}</DetailRow>
+                  )}
+                  {formatContext(display.context).length > 0 && (
+                    <DetailRow label="Context">
+                      <span className="flex flex-wrap justify-end gap-1">
+                        {formatContext(display.context).map((label) => (
+                          <Badge key={label} variant="outline" className="text-xs">{label}</Badge>
+                        ))}
+                      </span>
+                    </DetailRow>
+                  )}
+                  <DetailRow label="Recorded at">{formatDate(display.created_at)}</DetailRow>
+                  {display.updated_at && display.updated_at !== display.created_at && (
+                    <DetailRow label="Last edited">{formatDate(display.updated_at)}</DetailRow>
+                  )}
+                </div>
+
+                {display.flag_reason && (
+                  <div className="p-3 border rounded-md bg-red-50 border-red-200 text-sm text-red-800">
+                    <span className="font-medium">Alert:</span>
+                    <span className="ml-2">{display.flag_reason}</span>
+                  </div>
+                )}
+
+                {display.notes && (
+                  <div className="text-sm">
+                    <div className="text-muted-foreground mb-1">Notes</div>
+                    <p className="whitespace-pre-wrap">{display.notes}</p>
+                  </div>
+                )}
+
+                {/* Recommendations generated from this reading */}
+                <div>
+                  <h3 className="text-sm font-semibold flex items-center gap-2 mb-2">
+                    <Lightbulb className="h-4 w-4" />
+                    Related Recommendations
+                  </h3>
+                  {loading ? (
+                    <div className="flex items-center text-sm text-muted-foreground">
+                      <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                      Loading...
+                    </div>
+                  ) : recommendations.length === 0 ? (
+                    <p className="text-sm text-muted-foreground">No recommendations for this reading.</p>
+                  ) : (
+                    <div className="space-y-2">
+                      {recommendations.map((recommendation) => (
+                        <div key={recommendation.id} className="border rounded-md p-3 text-sm">
+                          <div className="flex items-center justify-between mb-1">
+                            <span className="font-medium">{recommendation.title}</span>
+                            <Badge variant={getSeverityVariant(recommendation.severity)} className="text-xs">
+                              {recommendation.severity}
+                            </Badge>
+                          </div>
+                          <p className="text-muted-foreground">{recommendation.message}</p>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+
+                {mode === 'confirm-delete' ? (
+                  <div className="p-4 border rounded-md bg-red-50 border-red-200 space-y-3">
+                    <p className="text-sm font-medium text-red-800">
+                      Delete this measurement? You can undo this for a few seconds afterwards.
+                    </p>
+                    <div className="flex gap-2">
+                      <Button variant="destructive" onClick={handleDelete}>
+                        <Trash2 className="h-4 w-4 mr-2" />
+                        Delete
+                      </Button>
+                      <Button variant="outline" onClick={() => setMode('view')}>
+                        Keep
+                      </Button>
+                    </div>
+                  </div>
+                ) : (
+                  <div className="flex gap-2">
+                    <Button onClick={() => setMode('edit')} className="flex-1">
+                      <Pencil className="h-4 w-4 mr-2" />
+                      Edit
+                    </Button>
+                    <Button variant="outline" onClick={() => setMode('confirm-delete')}>
+                      <Trash2 className="h-4 w-4 mr-2" />
+                      Delete
+                    </Button>
+                  </div>
+                )}
+              </div>
+            )}
+          </>
+        )}
+      </SheetContent>
+    </Sheet>
+  );
+};
+
+export default VitalSignsRecordDrawer;
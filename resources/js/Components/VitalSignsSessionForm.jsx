@@ -0,0 +1,542 @@
+import React, { useState, useMemo } from 'react';
+import { usePage } from '@inertiajs/react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/Components/ui/card';
+import { Button } from '@/Components/ui/button';
+import { Input } from '@/Components/ui/input';
+import { Badge } from '@/Components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/Components/ui/select';
+import { ClipboardList, Save, AlertTriangle, CheckCircle, Loader2 } from 'lucide-react';
+import useUnitPreferences from '@/hooks/useUnitPreferences';
+import { getSupportedUnits } from '@/lib/units';
+import { validateReading, appendNote } from '@/lib/vitalSignsValidation';
+import useReadingSequenceCheck from '@/hooks/useReadingSequenceCheck';
+import useTimeZone from '@/hooks/useTimeZone';
+import ReadingWarningsPrompt from '@/Components/ReadingWarningsPrompt';
+import MeasurementContextFields from '@/Components/MeasurementContextFields';
+import { getContextGroupsForTypes, pickContext } from '@/lib/measurementContext';
+import VitalSignValueInput from '@/Components/VitalSignValueInput';
+import { getInputType } from '@/lib/inputWidgets';
+import { queueReading, isNetworkError } from '@/lib/offlineQueue';
+
+const SHARED_FIELDS = ['measured_at', 'measurement_method', 'device_name'];
+const ROW_FIELDS = ['value_primary', 'value_secondary', 'unit', 'notes'];
+
+const emptyRow = (type, unit) => ({
+  vital_sign_type_id: type.id,
+  value_primary: '',
+  value_secondary: '',
+  unit,
+  notes: '',
+  status: null, // null, 'saved', 'error'
+  offline: false,
+  message: null,
+});
+
+const VitalSignsSessionForm = ({
+  vitalSignTypes = [],
+  onComplete = null,
+  className = ""
+}) => {
+  const { getPreferredUnit } = useUnitPreferences();
+  const { timeZone, toInputValue, toApiValue } = useTimeZone();
+  const { userId } = usePage().props;
+
+  const [shared, setShared] = useState({
+    measured_at: toInputValue(),
+    measurement_method: 'manual',
+    device_name: '',
+    context: null,
+  });
+  const [rows, setRows] = useState(() => {
+    return Object.fromEntries(vitalSignTypes.map(type => [type.id, emptyRow(type, getPreferredUnit(type))]));
+  });
+  const [sharedErrors, setSharedErrors] = useState({});
+  const [rowErrors, setRowErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [summary, setSummary] = useState(null);
+  const [sequenceWarnings, setSequenceWarnings] = useState(null);
+  const { checkReading, forgetType } = useReadingSequenceCheck();
+
+  // Context is shared by the session; each reading keeps the tags for its own type
+  const contextGroups = useMemo(() => getContextGroupsForTypes(vitalSignTypes), [vitalSignTypes]);
+
+  // Rows the user has started filling in and not yet saved
+  const pendingTypes = useMemo(() => {
+    return vitalSignTypes.filter(type => {
+      const row = rows[type.id];
+      return row && row.status !== 'saved' && (row.value_primary !== '' || row.value_secondary !== '');
+    });
+  }, [vitalSignTypes, rows]);
+
+  const handleSharedChange = (field, value) => {
+    setSequenceWarnings(null);
+    setShared(prev => ({
+      ...prev,
+      [field]: value,
+      ...(field === 'measurement_method' && value !== 'device' ? { device_name: '' } : {}),
+    }));
+
+    if (sharedErrors[field]) {
+      setSharedErrors(prev => ({ ...prev, [field]: null }));
+    }
+  };
+
+  const handleRowChange = (typeId, field, value) => {
+    setSequenceWarnings(null);
+    setRows(prev => ({
+      ...prev,
+      [typeId]: { ...prev[typeId], [field]: value, status: null, message: null },
+    }));
+
+    if (rowErrors[typeId]?.[field]) {
+      setRowErrors(prev => ({ ...prev, [typeId]: { ...prev[typeId], [field]: null } }));
+    }
+  };
+
+  // Shared fields and row fields are checked with the same rules as single entry
+  const pickErrors = (errors, fields) => Object.fromEntries(
+    Object.entries(errors).filter(([field]) => fields.includes(field))
+  );
+
+  const validateShared = () => {
+    return pickErrors(validateReading(null, shared, { timeZone }), SHARED_FIELDS);
+  };
+
+  const validateRow = (type, row) => {
+    return pickErrors(validateReading(type, { ...shared, ...row }, { timeZone }), ROW_FIELDS);
+  };
+
+  const markRows = (results) => {
+    setRows(prev => {
+      const next = { ...prev };
+      Object.entries(results).forEach(([typeId, result]) => {
+        next[typeId] = { ...next[typeId], ...result };
+      });
+      return next;
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSummary(null);
+
+    const errors = validateShared();
+    const errorsByRow = {};
+    pendingTypes.forEach(type => {
+      const typeErrors = validateRow(type, rows[type.id]);
+      if (Object.keys(typeErrors).length > 0) {
+        errorsByRow[type.id] = typeErrors;
+      }
+    });
+
+    setSharedErrors(errors);
+    setRowErrors(errorsByRow);
+
+    if (pendingTypes.length === 0) {
+      setSummary({ type: 'error', message: 'Enter at least one measurement to save this session.' });
+      return;
+    }
+
+    if (Object.keys(errors).length > 0 || Object.keys(errorsByRow).length > 0) {
+      return;
+    }
+
+    const records = pendingTypes.map(type => {
+      const row = rows[type.id];
+      return {
+        vital_sign_type_id: type.id,
+        value_primary: parseFloat(row.value_primary),
+        value_secondary: type.has_secondary_value ? parseFloat(row.value_secondary) : null,
+        unit: row.unit,
+        measured_at: toApiValue(shared.measured_at),
+        measurement_method: shared.measurement_method,
+        device_name: shared.device_name || null,
+        notes: row.notes || null,
+        context: pickContext(type, shared.context),
+      };
+    });
+
+    // Compare each row with recent readings of its type before saving
+    setIsSubmitting(true);
+    const warningsByType = await Promise.all(
+      pendingTypes.map((type, index) => checkReading(type, records[index]))
+    );
+    setIsSubmitting(false);
+
+    const flagged = pendingTypes.flatMap((type, index) => warningsByType[index].length > 0 ? [type.id] : []);
+
+    if (flagged.length > 0) {
+      setSequenceWarnings({
+        records,
+        flagged,
+        warnings: pendingTypes.flatMap((type, index) => warningsByType[index].map(warning => ({
+          ...warning,
+          message: `${type.display_name}: ${warning.message}`,
+        }))),
+      });
+      return;
+    }
+
+    await saveRecords(records);
+  };
+
+  // Save the session, adding the confirmation note to the rows that were flagged
+  const handleConfirmWarnings = async (note) => {
+    const { records, flagged } = sequenceWarnings;
+    setSequenceWarnings(null);
+    await saveRecords(records.map(record => (
+      flagged.includes(record.vital_sign_type_id)
+        ? { ...record, notes: appendNote(record.notes, note) || null }
+        : record
+    )));
+  };
+
+  // Keep every reading on this device; each one syncs on its own once the connection is back
+  const saveOffline = async (records) => {
+    await Promise.all(records.map((record, index) => queueReading(userId, record, pendingTypes[index])));
+
+    markRows(Object.fromEntries(pendingTypes.map(type => [type.id, { status: 'saved', offline: true, message: null }])));
+    setSummary({
+      type: 'warning',
+      message: `You're offline. ${records.length} measurement${records.length === 1 ? ' was' : 's were'} saved on this device and will sync automatically when you're back online.`,
+    });
+  };
+
+  const saveRecords = async (records) => {
+    setIsSubmitting(true);
+
+    try {
+      if (!navigator.onLine) {
+        await saveOffline(records);
+        return;
+      }
+
+      const response = await fetch('/api/vital-signs-bulk-import', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json',
+          'X-CSRF-TOKEN': document.querySelector('meta[name="csrf-token"]').content,
+        },
+        body: JSON.stringify({ records }),
+      });
+
+      const result = await response.json();
+
+      // Request-level validation: errors are keyed "records.{index}.{field}"
+      if (response.status === 422 && result.errors) {
+        const serverErrors = {};
+        Object.entries(result.errors).forEach(([key, messages]) => {
+          const match = key.match(/^records\.(\d+)\.(\w+)$/);
+          if (!match) return;
+
+          const typeId = pendingTypes[parseInt(match[1])].id;
+          serverErrors[typeId] = { ...serverErrors[typeId], [match[2]]: messages[0] };
+        });
+        setRowErrors(serverErrors);
+        setSummary({ type: 'error', message: 'Some measurements were rejected. Please check the highlighted rows.' });
+        return;
+      }
+
+      if (!response.ok && response.status !== 207) {
+        throw new Error(result.message || 'Failed to save measurements');
+      }
+
+      // Per-row results: anything not listed in errors was saved
+      const failedByIndex = Object.fromEntries((result.data.errors || []).map(error => [error.index, error.error]));
+      const rowResults = {};
+      pendingTypes.forEach((type, index) => {
+        rowResults[type.id] = failedByIndex[index] !== undefined
+          ? { status: 'error', offline: false, message: failedByIndex[index] }
+          : { status: 'saved', offline: false, message: null };
+      });
+      markRows(rowResults);
+      pendingTypes.forEach(type => forgetType(type.id));
+
+      setSummary({
+        type: result.data.failed > 0 ? 'warning' : 'success',
+        message: result.data.failed > 0
+          ? `${result.data.success} of ${records.length} measurements saved. Fix the failed rows and save again.`
+          : `All ${result.data.success} measurements saved successfully!`,
+      });
+
+      if (result.data.failed === 0 && onComplete) {
+        onComplete(result.data);
+      }
+    } catch (error) {
+      if (isNetworkError(error)) {
+        await saveOffline(records);
+        return;
+      }
+
+      console.error('Error saving measurement session:', error);
+      setSummary({ type: 'error', message: 'An unexpected error occurred. Please try again.' });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const getSummaryColors = (type) => {
+    switch (type) {
+      case 'success': return 'bg-green-50 border-green-200 text-green-800';
+      case 'error': return 'bg-red-50 border-red-200 text-red-800';
+      default: return 'bg-yellow-50 border-yellow-200 text-yellow-800';
+    }
+  };
+
+  return (
+    <Card className={className}>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <ClipboardList className="h-5 w-5" />
+          Measurement Session
+        </CardTitle>
+        <CardDescription>
+          Record several vital signs taken at the same time. Leave a row empty to skip it.
+        </CardDescription>
+      </CardHeader>
+
+      <CardContent>
+        {summary && (
+          <div className={`mb-4 p-4 border rounded-md ${getSummaryColors(summary.type)}`}>
+            <div className="flex">
+              {summary.type === 'success' ? (
+                <CheckCircle className="h-5 w-5 text-green-400 flex-shrink-0" />
+              ) : (
+                <AlertTriangle className="h-5 w-5 text-yellow-400 flex-shrink-0" />
+              )}
+              <p className="ml-3 text-sm font-medium">{summary.message}</p>
+            </div>
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-6">
+          {/* Shared Fields */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                When measured? *
+              </label>
+              <Input
+                type="datetime-local"
+                value={shared.measured_at}
+                onChange={(e) => handleSharedChange('measured_at', e.target.value)}
+                max={toInputValue()}
+                className={sharedErrors.measured_at ? 'border-red-500' : ''}
+              />
+              {sharedErrors.measured_at && (
+                <p className="mt-1 text-sm text-red-600">{sharedErrors.measured_at}</p>
+              )}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Measurement Method *
+              </label>
+              <Select
+                value={shared.measurement_method}
+                onValueChange={(value) => handleSharedChange('measurement_method', value)}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="manual">Manual Entry</SelectItem>
+                  <SelectItem value="device">Medical Device</SelectItem>
+                  <SelectItem value="estimated">Estimated</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+
+            {shared.measurement_method === 'device' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Device Name *
+                </label>
+                <Input
+                  type="text"
+                  value={shared.device_name}
+                  onChange={(e) => handleSharedChange('device_name', e.target.value)}
+                  placeholder="e.g., Omron BP Monitor"
+                  className={sharedErrors.device_name ? 'border-red-500' : ''}
+                />
+                {sharedErrors.device_name && (
+                  <p className="mt-1 text-sm text-red-600">{sharedErrors.device_name}</p>
+                )}
+              </div>
+            )}
+          </div>
+
+          {Object.keys(contextGroups).length > 0 && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Context
+              </label>
+              <MeasurementContextFields
+                groups={contextGroups}
+                value={shared.context}
+                onChange={(value) => handleSharedChange('context', value)}
+              />
+              <p className="mt-2 text-xs text-gray-500">
+                Tags are saved only with the measurements they apply to.
+              </p>
+            </div>
+          )}
+
+          {/* One row per vital sign type */}
+          <div className="divide-y border rounded-lg">
+            {vitalSignTypes.map((type) => {
+              const row = rows[type.id];
+              const errors = rowErrors[type.id] || {};
+              const units = getSupportedUnits(type);
+              const isSaved = row.status === 'saved';
+              // Dual types take both values in one box
+              const hasSecondaryField = type.has_secondary_value && getInputType(type) !== 'dual';
+
+              return (
+                <div key={type.id} className={`p-4 ${isSaved ? 'bg-green-50' : ''}`}>
+                  <div className="grid grid-cols-1 md:grid-cols-12 gap-3 items-start">
+                    <div className="md:col-span-3">
+                      <div className="font-medium text-sm">{type.display_name}</div>
+                      {isSaved && (
+                        <Badge variant="secondary" className="mt-1 text-xs">
+                          <CheckCircle className="h-3 w-3 mr-1" />
+                          {row.offline ? 'Saved on this device' : 'Saved'}
+                        </Badge>
+                      )}
+                      {row.status === 'error' && (
+                        <Badge variant="destructive" className="mt-1 text-xs">
+                          <AlertTriangle className="h-3 w-3 mr-1" />
+                          Failed
+                        </Badge>
+                      )}
+                    </div>
+
+                    <div className={hasSecondaryField ? 'md:col-span-2' : 'md:col-span-4'}>
+                      <VitalSignValueInput
+                        type={type}
+                        valuePrimary={row.value_primary}
+                        valueSecondary={row.value_secondary}
+                        onChange={(field, value) => handleRowChange(type.id, field, value)}
+                        placeholder={hasSecondaryField ? 'Systolic' : undefined}
+                        disabled={isSaved}
+                        invalid={!!(errors.value_primary || (!hasSecondaryField && errors.value_secondary))}
+                        compact
+                        aria-label={`${type.display_name} value`}
+                      />
+                      {errors.value_primary && (
+                        <p className="mt-1 text-xs text-red-600">{errors.value_primary}</p>
+                      )}
+                      {!hasSecondaryField && errors.value_secondary && (
+                        <p className="mt-1 text-xs text-red-600">{errors.value_secondary}</p>
+                      )}
+                    </div>
+
+                    {hasSecondaryField && (
+                      <div className="md:col-span-2">
+                        <Input
+                          type="number"
+                          step="0.01"
+                          value={row.value_secondary}
+                          onChange={(e) => handleRowChange(type.id, 'value_secondary', e.target.value)}
+                          placeholder="Diastolic"
+                          disabled={isSaved}
+                          aria-label={`${type.display_name} secondary value`}
+                          className={errors.value_secondary ? 'border-red-500' : ''}
+                        />
+                        {errors.value_secondary && (
+                          <p className="mt-1 text-xs text-red-600">{errors.value_secondary}</p>
+                        )}
+                      </div>
+                    )}
+
+                    <div className="md:col-span-2">
+                      {units.length > 1 ? (
+                        <Select
+                          value={row.unit}
+                          onValueChange={(value) => handleRowChange(type.id, 'unit', value)}
+                          disabled={isSaved}
+                        >
+                          <SelectTrigger aria-label={`${type.display_name} unit`}>
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {units.map((unit) => (
+                              <SelectItem key={unit} value={unit}>
+                                {unit}
+                              </SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                      ) : (
+                        <div className="h-10 flex items-center text-sm text-gray-500">{row.unit}</div>
+                      )}
+                      {errors.unit && (
+                        <p className="mt-1 text-xs text-red-600">{errors.unit}</p>
+                      )}
+                    </div>
+
+                    <div className="md:col-span-3">
+                      <Input
+                        type="text"
+                        value={row.notes}
+                        onChange={(e) => handleRowChange(type.id, 'notes', e.target.value)}
+                        placeholder="Notes (optional)"
+                        disabled={isSaved}
+                        aria-label={`${type.display_name} notes`}
+                        className={errors.notes ? 'border-red-500' : ''}
+                      />
+                      {errors.notes && (
+                        <p className="mt-1 text-xs text-red-600">{errors.notes}</p>
+                      )}
+                    </div>
+                  </div>
+
+                  {row.status === 'error' && row.message && (
+                    <p className="mt-2 text-xs text-red-600">{row.message}</p>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+
+          {/* Duplicate and jump warnings awaiting confirmation */}
+          {sequenceWarnings && (
+            <ReadingWarningsPrompt
+              warnings={sequenceWarnings.warnings}
+              onConfirm={handleConfirmWarnings}
+              onEdit={() => setSequenceWarnings(null)}
+              isSubmitting={isSubmitting}
+            />
+          )}
+
+          {/* Submit Button */}
+          <div className="flex items-center justify-between">
+            <p className="text-sm text-gray-500">
+              {pendingTypes.length} measurement{pendingTypes.length === 1 ? '' : 's'} ready to save
+            </p>
+            <Button
+              type="submit"
+              disabled={isSubmitting || pendingTypes.length === 0 || !!sequenceWarnings}
+              className="min-w-32"
+            >
+              {isSubmitting ? (
+                <>
+                  <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                  Saving...
+                </>
+              ) : (
+                <>
+                  <Save className="h-4 w-4 mr-2" />
+                  Save Session
+                </>
+              )}
+            </Button>
+          </div>
+        </form>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default VitalSignsSessionForm;
@@ -0,0 +1,320 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { Button } from '@/Components/ui/button';
+import { AlertTriangle, ArrowDown, ArrowUp, Columns3, Loader2 } from 'lucide-react';
+import useUnitPreferences from '@/hooks/useUnitPreferences';
+import useTimeZone from '@/hooks/useTimeZone';
+import { formatContext } from '@/lib/measurementContext';
+import { getInputType, getChoiceLabel } from '@/lib/inputWidgets';
+import { getVirtualWindow, moveActiveRow, scrollToRow, shouldLoadMore } from '@/lib/virtualRows';
+import { isSelected } from '@/lib/bulkSelection';
+
+const ROW_HEIGHT = 36;
+const HEADER_HEIGHT = 40;
+const STORAGE_KEY = 'lyra.vitalSignsTableColumns';
+
+// Coded values (like a swelling grade) read better as their label
+const formatValue = (record) => {
+  if (getInputType(record.vital_sign_type) === 'select') {
+    return getChoiceLabel(record.vital_sign_type, record.value_primary) ?? record.value_primary;
+  }
+  return record.value_secondary ? `${record.value_primary}/${record.value_secondary}` : record.value_primary;
+};
+
+// `sort` names the list sort a header switches to; `required` columns can't be hidden
+const COLUMNS = [
+  { key: 'measured_at', label: 'Measured', width: '11rem', sort: 'measured_at', required: true, render: (record, { formatDate }) => formatDate(record.measured_at) },
+  { key: 'type', label: 'Type', width: 'minmax(8rem, 1fr)', sort: 'type', render: (record) => record.vital_sign_type?.display_name },
+  { key: 'value', label: 'Value', width: '7rem', sort: 'value', required: true, align: 'right', render: formatValue },
+  { key: 'unit', label: 'Unit', width: '5rem', render: (record) => record.unit },
+  { key: 'flagged', label: 'Flag', width: '4.5rem', sort: 'flagged', render: (record) => record.is_flagged && (
+    <AlertTriangle className="h-4 w-4 text-destructive" aria-label="Flagged" />
+  ) },
+  { key: 'method', label: 'Method', width: '6rem', render: (record) => record.measurement_method },
+  { key: 'device', label: 'Device', width: 'minmax(8rem, 1fr)', render: (record) => record.device_name },
+  { key: 'context', label: 'Context', width: 'minmax(10rem, 1.5fr)', render: (record) => formatContext(record.context).join(', ') },
+  { key: 'notes', label: 'Notes', width: 'minmax(10rem, 2fr)', render: (record) => record.notes },
+];
+
+const DEFAULT_COLUMNS = ['measured_at', 'type', 'value', 'unit', 'flagged', 'method'];
+
+const SELECT_COLUMN_WIDTH = '2.75rem';
+
+const readStoredColumns = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored : DEFAULT_COLUMNS;
+  } catch {
+    return DEFAULT_COLUMNS;
+  }
+};
+
+// Dense, windowed table of readings for long histories. Only the rows in view
+// are rendered; more are requested through onLoadMore as the end comes near.
+// Give it a new key when the query changes to start again from the top.
+const VitalSignsTable = ({
+  records = [],
+  total = 0,
+  loading = false,
+  hasMore = false,
+  onLoadMore,
+  onOpenRecord,
+  sort = 'measured_at',
+  direction = 'desc',
+  onSort,
+  selection = null,
+  allLoadedSelected = false,
+  onToggleRecord,
+  onToggleAllLoaded,
+}) => {
+  const { toDisplayReading } = useUnitPreferences();
+  const { formatDate } = useTimeZone();
+  const scrollRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(0);
+  const [activeIndex, setActiveIndex] = useState(null);
+  const [visibleKeys, setVisibleKeys] = useState(readStoredColumns);
+  const [showColumnPicker, setShowColumnPicker] = useState(false);
+
+  const columns = COLUMNS.filter(column => column.required || visibleKeys.includes(column.key));
+  const selectable = Boolean(onToggleRecord && selection);
+  const gridTemplateColumns = [...(selectable ? [SELECT_COLUMN_WIDTH] : []), ...columns.map(column => column.width)].join(' ');
+
+  const toggleColumn = (key) => {
+    const updated = visibleKeys.includes(key) ? visibleKeys.filter(item => item !== key) : [...visibleKeys, key];
+    setVisibleKeys(updated);
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(updated));
+  };
+
+  // Track the viewport so the window covers the visible rows
+  useEffect(() => {
+    const element = scrollRef.current;
+    if (!element) return;
+
+    setViewportHeight(element.clientHeight);
+    const observer = new ResizeObserver(() => setViewportHeight(element.clientHeight));
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, []);
+
+  const frame = useRef(null);
+  const handleScroll = (e) => {
+    const top = e.currentTarget.scrollTop;
+    cancelAnimationFrame(frame.current);
+    frame.current = requestAnimationFrame(() => setScrollTop(top));
+  };
+
+  const { start, end, offsetTop, offsetBottom } = getVirtualWindow({
+    scrollTop,
+    viewportHeight: viewportHeight - HEADER_HEIGHT,
+    rowHeight: ROW_HEIGHT,
+    rowCount: records.length,
+  });
+
+  useEffect(() => {
+    if (shouldLoadMore({ end, loadedCount: records.length, hasMore }) && !loading) {
+      onLoadMore?.();
+    }
+  }, [end, records.length, hasMore, loading]);
+
+  // Unit conversion only for the rows actually on screen
+  const visibleRows = useMemo(
+    () => records.slice(start, end).map((record, offset) => ({ index: start + offset, record, display: toDisplayReading(record) })),
+    [records, start, end, toDisplayReading]
+  );
+
+  const handleKeyDown = (e) => {
+    const activeRecord = activeIndex !== null ? records[activeIndex] : null;
+
+    // Enter opens the reading; Space ticks it (Shift+Space ticks the range from the last one)
+    if (e.key === 'Enter' && activeRecord) {
+      e.preventDefault();
+      onOpenRecord?.(activeRecord);
+      return;
+    }
+
+    if (e.key === ' ' && activeRecord) {
+      e.preventDefault();
+      if (selectable) {
+        onToggleRecord(activeRecord, e.shiftKey);
+      } else {
+        onOpenRecord?.(activeRecord);
+      }
+      return;
+    }
+
+    const pageRows = Math.max(Math.floor((viewportHeight - HEADER_HEIGHT) / ROW_HEIGHT) - 1, 1);
+    const next = moveActiveRow(e.key, activeIndex, records.length, pageRows);
+    if (next === null) return;
+
+    e.preventDefault();
+    setActiveIndex(next);
+
+    const target = scrollToRow({
+      index: next,
+      scrollTop: scrollRef.current.scrollTop,
+      viewportHeight: scrollRef.current.clientHeight,
+      rowHeight: ROW_HEIGHT,
+      headerHeight: HEADER_HEIGHT,
+    });
+    if (target !== null) scrollRef.current.scrollTop = target;
+  };
+
+  const sortIcon = (column) => {
+    if (column.sort !== sort) return null;
+    return direction === 'asc' ? <ArrowUp className="h-3 w-3" /> : <ArrowDown className="h-3 w-3" />;
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between gap-4">
+        <p className="text-sm text-muted-foreground" aria-live="polite">
+          {records.length === total ? `${total} readings` : `${records.length} of ${total} readings loaded`}
+        </p>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => setShowColumnPicker(!showColumnPicker)}
+          aria-expanded={showColumnPicker}
+        >
+          <Columns3 className="h-4 w-4 mr-2" />
+          Columns
+        </Button>
+      </div>
+
+      {showColumnPicker && (
+        <div className="flex flex-wrap gap-2" role="group" aria-label="Visible columns">
+          {COLUMNS.filter(column => !column.required).map((column) => (
+            <button
+              key={column.key}
+              type="button"
+              aria-pressed={visibleKeys.includes(column.key)}
+              onClick={() => toggleColumn(column.key)}
+              className={`px-2.5 py-1 rounded-full border text-xs transition-colors ${
+                visibleKeys.includes(column.key)
+                  ? 'bg-indigo-600 border-indigo-600 text-white'
+                  : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {column.label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div
+        ref={scrollRef}
+        role="grid"
+        aria-label="Vital signs readings"
+        aria-rowcount={total + 1}
+        aria-colcount={columns.length + (selectable ? 1 : 0)}
+        aria-activedescendant={activeIndex !== null ? `vital-signs-row-${activeIndex}` : undefined}
+        tabIndex={0}
+        onScroll={handleScroll}
+        onKeyDown={handleKeyDown}
+        onFocus={() => activeIndex === null && records.length > 0 && setActiveIndex(Math.min(Math.ceil(scrollTop / ROW_HEIGHT), records.length - 1))}
+        className="relative h-[70vh] overflow-auto rounded-md border text-sm focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring"
+      >
+        <div className="min-w-[48rem]">
+          <div role="rowgroup" className="sticky top-0 z-10 bg-muted border-b">
+            <div role="row" aria-rowindex={1} className="grid" style={{ gridTemplateColumns, height: HEADER_HEIGHT }}>
+              {selectable && (
+                <div role="columnheader" className="flex items-center justify-center">
+                  <input
+                    type="checkbox"
+                    tabIndex={-1}
+                    checked={allLoadedSelected}
+                    onChange={() => onToggleAllLoaded?.()}
+                    aria-label="Select all loaded readings"
+                    className="h-4 w-4"
+                  />
+                </div>
+              )}
+              {columns.map((column) => (
+                <div
+                  key={column.key}
+                  role="columnheader"
+                  aria-sort={column.sort === sort ? (direction === 'asc' ? 'ascending' : 'descending') : undefined}
+                  className={`flex items-center px-3 font-medium text-muted-foreground ${column.align === 'right' ? 'justify-end' : ''}`}
+                >
+                  {column.sort && onSort ? (
+                    <button
+                      type="button"
+                      tabIndex={-1}
+                      onClick={() => onSort(column.sort)}
+                      className="inline-flex items-center gap-1 hover:text-foreground"
+                    >
+                      {column.label}
+                      {sortIcon(column)}
+                    </button>
+                  ) : column.label}
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div role="rowgroup" style={{ paddingTop: offsetTop, paddingBottom: offsetBottom }}>
+            {visibleRows.map(({ index, record, display }) => (
+              <div
+                key={record.id}
+                id={`vital-signs-row-${index}`}
+                role="row"
+                aria-rowindex={index + 2}
+                aria-selected={selectable ? isSelected(selection, record.id) : index === activeIndex}
+                onClick={() => {
+                  setActiveIndex(index);
+                  onOpenRecord?.(record);
+                }}
+                className={`grid cursor-pointer border-b last:border-b-0 ${
+                  index === activeIndex
+                    ? 'bg-accent'
+                    : selectable && isSelected(selection, record.id)
+                      ? 'bg-indigo-50 hover:bg-indigo-100'
+                      : record.is_flagged ? 'bg-red-50 hover:bg-red-100' : 'hover:bg-muted/50'
+                }`}
+                style={{ gridTemplateColumns, height: ROW_HEIGHT }}
+              >
+                {selectable && (
+                  <div role="gridcell" className="flex items-center justify-center" onClick={(e) => e.stopPropagation()}>
+                    <input
+                      type="checkbox"
+                      tabIndex={-1}
+                      checked={isSelected(selection, record.id)}
+                      onChange={(e) => {
+                        setActiveIndex(index);
+                        onToggleRecord(record, e.nativeEvent.shiftKey);
+                      }}
+                      aria-label={`Select ${record.vital_sign_type?.display_name || 'reading'} from ${formatDate(record.measured_at)}`}
+                      className="h-4 w-4"
+                    />
+                  </div>
+                )}
+                {columns.map((column) => (
+                  <div
+                    key={column.key}
+                    role="gridcell"
+                    className={`flex items-center px-3 min-w-0 ${column.align === 'right' ? 'justify-end tabular-nums' : ''}`}
+                  >
+                    <span className="truncate">{column.render(display, { formatDate })}</span>
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {records.length === 0 && !loading && (
+          <div className="py-12 text-center text-muted-foreground">No measurements found</div>
+        )}
+      </div>
+
+      {loading && (
+        <div className="flex items-center gap-2 text-sm text-muted-foreground">
+          <Loader2 className="h-4 w-4 animate-spin" />
+          Loading readings...
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VitalSignsTable;
@@ -1,12 +1,36 @@
-import { Head, Link, router } from '@inertiajs/react';
+import { useState, useEffect } from 'react';
+import { Head, Link, router, usePage } from '@inertiajs/react';
 import { Button } from '@/Components/ui/button';
-import { Activity, Heart, TrendingUp, Shield, Plus } from 'lucide-react';
+import { Sheet, SheetContent, SheetHeader, SheetTitle, SheetDescription } from '@/Components/ui/sheet';
+import QuickEntry from '@/Components/QuickEntry';
+import TimeZoneSelect from '@/Components/TimeZoneSelect';
+import MeasurementReminders from '@/Components/MeasurementReminders';
+import useMeasurementReminders from '@/hooks/useMeasurementReminders';
+import { Activity, Heart, TrendingUp, Shield, Plus, Zap, ShieldAlert } from 'lucide-react';
 
 export default function AppLayout({ title, children }) {
+    const { quickEntryTypes = [], unreviewedFlagCount = 0 } = usePage().props;
+    const [quickEntryOpen, setQuickEntryOpen] = useState(false);
+    const measurementReminders = useMeasurementReminders();
+
+    // Ctrl+K / Cmd+K opens quick entry from anywhere
+    useEffect(() => {
+        const handleKeyDown = (event) => {
+            if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'k') {
+                event.preventDefault();
+                setQuickEntryOpen(true);
+            }
+        };
+
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, []);
+
     const navigation = [
         { name: 'Dashboard', href: '/dashboard', icon: Activity },
         { name: 'Record', href: '/vital-signs/create', icon: Plus },
         { name: 'Trends', href: '/vital-signs/trends', icon: TrendingUp },
+        { name: 'Review', href: '/vital-signs/review', icon: ShieldAlert, count: unreviewedFlagCount },
         { name: 'Health Tips', href: '/recommendations', icon: Heart },
         { name: 'Privacy', href: '/consent', icon: Shield },
     ];
@@ -43,6 +67,14 @@ export default function AppLayout({ title, children }) {
                                             >
                                                 <IconComponent className="h-4 w-4 mr-2" />
                                                 {item.name}
+                                                {item.count > 0 && (
+                                                    <span
+                                                        className="ml-2 inline-flex items-center justify-center min-w-5 h-5 px-1.5 rounded-full bg-red-600 text-white text-xs"
+                                                        aria-label={`${item.count} flagged readings to review`}
+                                                    >
+                                                        {item.count}
+                                                    </span>
+                                                )}
                                             </Link>
                                         );
                                     })}
@@ -50,6 +82,21 @@ export default function AppLayout({ title, children }) {
                             </div>
 
                             <div className="flex items-center space-x-4">
+                                {/* Dates across the app are shown in this timezone */}
+                                <div className="hidden lg:block">
+                                    <TimeZoneSelect className="w-48 h-9" />
+                                </div>
+                                {quickEntryTypes.length > 0 && (
+                                    <Button
+                                        variant="ghost"
+                                        size="sm"
+                                        onClick={() => setQuickEntryOpen(true)}
+                                        title="Quick entry (Ctrl+K)"
+                                    >
+                                        <Zap className="h-4 w-4 mr-2" />
+                                        Quick Entry
+                                    </Button>
+                                )}
                                 <Button
                                     variant="outline"
                                     size="sm"
@@ -62,6 +109,12 @@ export default function AppLayout({ title, children }) {
                     </div>
                 </nav>
 
+                <MeasurementReminders
+                    reminders={measurementReminders.reminders}
+                    onRecord={() => (quickEntryTypes.length > 0 ? setQuickEntryOpen(true) : router.visit('/vital-signs/create'))}
+                    onDismiss={measurementReminders.dismiss}
+                />
+
                 {/* Mobile Navigation */}
                 <div className="md:hidden border-b bg-background">
                     <div className="px-4 py-2">
@@ -78,7 +131,17 @@ export default function AppLayout({ title, children }) {
                                                 : 'text-muted-foreground hover:text-foreground hover:bg-accent'
                                         }`}
                                     >
-                                        <IconComponent className="h-4 w-4 mb-1" />
+                                        <span className="relative">
+                                            <IconComponent className="h-4 w-4 mb-1" />
+                                            {item.count > 0 && (
+                                                <span
+                                                    className="absolute -top-1.5 -right-2.5 inline-flex items-center justify-center min-w-4 h-4 px-1 rounded-full bg-red-600 text-white text-[10px]"
+                                                    aria-label={`${item.count} flagged readings to review`}
+                                                >
+                                                    {item.count}
+                                                </span>
+                                            )}
+                                        </span>
                                         {item.name}
                                     </Link>
                                 );
@@ -92,6 +155,27 @@ export default function AppLayout({ title, children }) {
                         {children}
                     </div>
                 </main>
+
+                <Sheet open={quickEntryOpen} onOpenChange={setQuickEntryOpen}>
+                    <SheetContent side="top">
+                        <div className="max-w-2xl mx-auto space-y-4">
+                            <SheetHeader>
+                                <SheetTitle>Quick Entry</SheetTitle>
+                                <SheetDescription>
+                                    Type your readings in one line, check what was understood, then save.
+                                </SheetDescription>
+                            </SheetHeader>
+                            <QuickEntry
+                                vitalSignTypes={quickEntryTypes}
+                                autoFocus
+                                onSaved={() => {
+                                    measurementReminders.refresh();
+                                    router.reload();
+                                }}
+                            />
+                        </div>
+                    </SheetContent>
+                </Sheet>
             </div>
         </>
     );
@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { Head, Link } from '@inertiajs/react';
 import AppLayout from '@/Layouts/AppLayout';
+import useTimeZone from '@/hooks/useTimeZone';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/Components/ui/card';
 import { Button } from '@/Components/ui/button';
 import { Badge } from '@/Components/ui/badge';
@@ -26,6 +27,7 @@ import {
 } from 'lucide-react';
 
 export default function ConsentIndex() {
+  const { formatDate } = useTimeZone();
   const [consents, setConsents] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
@@ -110,13 +112,6 @@ export default function ConsentIndex() {
     }
   };
 
-  const formatDate = (dateString) => {
-    return new Date(dateString).toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric',
-    });
-  };
 
   const getConsentStatus = (consent) => {
     if (consent.status === 'active') {
@@ -462,17 +457,17 @@ export default function ConsentIndex() {
                               <div className="grid grid-cols-2 gap-4 text-sm">
                                 <div>
                                   <span className="text-muted-foreground">Granted:</span>
-                                  <div>{formatDate(consent.granted_at)}</div>
+                                  <div>{formatDate(consent.granted_at, 'date')}</div>
                                 </div>
                                 <div>
                                   <span className="text-muted-foreground">Expires:</span>
                                   <div className={isExpired ? 'text-red-600' : ''}>
-                                    {formatDate(consent.expires_at)}
+                                    {formatDate(consent.expires_at, 'date')}
                                   </div>
                                 </div>
                                 <div>
                                   <span className="text-muted-foreground">Last Access:</span>
-                                  <div>{consent.last_accessed ? formatDate(consent.last_accessed) : 'Never'}</div>
+                                  <div>{consent.last_accessed ? formatDate(consent.last_accessed, 'date') : 'Never'}</div>
                                 </div>
                                 <div>
                                   <span className="text-muted-foreground">Total Access:</span>
@@ -1,14 +1,36 @@
-import { Head, Link } from '@inertiajs/react';
+import { useEffect } from 'react';
+import { Head, Link, router } from '@inertiajs/react';
 import AppLayout from '@/Layouts/AppLayout';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/Components/ui/card';
 import { Button } from '@/Components/ui/button';
+import PendingReadingsList from '@/Components/PendingReadingsList';
+import QuickEntry from '@/Components/QuickEntry';
+import MeasurementPlanCard from '@/Components/MeasurementPlanCard';
+import CalendarHeatmap from '@/Components/CalendarHeatmap';
+import useUnitPreferences from '@/hooks/useUnitPreferences';
+import useOfflineQueue from '@/hooks/useOfflineQueue';
+import useTimeZone from '@/hooks/useTimeZone';
 
 export default function Dashboard({
     summary = {},
     recentVitalSigns = [],
     flaggedRecords = [],
-    recommendations = []
+    recommendations = [],
+    dueReadings = [],
+    adherence = null,
+    quickEntryTypes = []
 }) {
+    const { toDisplayReading } = useUnitPreferences();
+    const offlineQueue = useOfflineQueue();
+    const { formatDate } = useTimeZone();
+
+    // Refresh the dashboard once offline readings reach the server
+    useEffect(() => {
+        if (offlineQueue.lastSync?.synced > 0) {
+            router.reload({ only: ['summary', 'recentVitalSigns', 'flaggedRecords', 'dueReadings', 'adherence'] });
+        }
+    }, [offlineQueue.lastSync]);
+
     return (
         <AppLayout title="Dashboard">
             <Head title="Dashboard" />
@@ -27,6 +49,36 @@ export default function Dashboard({
                     </Link>
                 </div>
 
+                {/* Readings waiting to sync */}
+                <PendingReadingsList
+                    pendingReadings={offlineQueue.pendingReadings}
+                    isOnline={offlineQueue.isOnline}
+                    isSyncing={offlineQueue.isSyncing}
+                    needsSignIn={offlineQueue.lastSync?.signedOut}
+                    onSync={offlineQueue.syncNow}
+                    onDiscard={offlineQueue.discardReading}
+                    onKeepBoth={offlineQueue.keepBoth}
+                    onRetry={offlineQueue.retryReading}
+                />
+
+                {/* Quick Entry */}
+                {quickEntryTypes.length > 0 && (
+                    <Card>
+                        <CardHeader className="pb-3">
+                            <CardTitle className="text-base">Quick Entry</CardTitle>
+                            <CardDescription>
+                                Type several readings at once, e.g. "bp 128/84 pulse 71 this morning"
+                            </CardDescription>
+                        </CardHeader>
+                        <CardContent>
+                            <QuickEntry
+                                vitalSignTypes={quickEntryTypes}
+                                onSaved={() => router.reload({ only: ['summary', 'recentVitalSigns', 'flaggedRecords', 'dueReadings', 'adherence'] })}
+                            />
+                        </CardContent>
+                    </Card>
+                )}
+
                 {/* Quick Stats */}
                 <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-4">
                     <Card>
@@ -80,7 +132,13 @@ export default function Dashboard({
                                 {summary.flagged_records || 0}
                             </div>
                             <p className="text-xs text-muted-foreground">
-                                Needs attention
+                                {summary.unreviewed_flags > 0 ? (
+                                    <Link href="/vital-signs/review" className="text-orange-700 hover:underline">
+                                        {summary.unreviewed_flags} need review
+                                    </Link>
+                                ) : (
+                                    'All reviewed'
+                                )}
                             </p>
                         </CardContent>
                     </Card>
@@ -141,6 +199,60 @@ export default function Dashboard({
                     </Card>
                 </div>
 
+                {/* Measurement Plan */}
+                <MeasurementPlanCard
+                    dueReadings={dueReadings}
+                    adherence={adherence}
+                    vitalSignTypes={quickEntryTypes}
+                    onChanged={() => router.reload({ only: ['dueReadings', 'adherence'] })}
+                />
+
+                {/* Readings per day */}
+                <CalendarHeatmap vitalSignTypes={quickEntryTypes} />
+
+                {/* Flagged readings waiting for review */}
+                {flaggedRecords.length > 0 && (
+                    <Card className="border-orange-200">
+                        <CardHeader>
+                            <CardTitle>Needs Review</CardTitle>
+                            <CardDescription>
+                                Readings outside their normal range that nobody has followed up yet
+                            </CardDescription>
+                        </CardHeader>
+                        <CardContent>
+                            <div className="space-y-3">
+                                {flaggedRecords.map((record) => toDisplayReading(record)).map((record) => (
+                                    <div key={record.id} className="flex items-center justify-between p-3 rounded-lg border bg-orange-50/50">
+                                        <div>
+                                            <p className="font-medium">
+                                                {record.vital_sign_type?.display_name || 'Unknown Type'}
+                                            </p>
+                                            <p className="text-sm text-muted-foreground">
+                                                {formatDate(record.measured_at)}
+                                                {record.flag_reason && ` · ${record.flag_reason}`}
+                                            </p>
+                                        </div>
+                                        <p className="font-semibold">
+                                            {record.value_primary}
+                                            {record.value_secondary && `/${record.value_secondary}`}
+                                            <span className="text-sm text-muted-foreground ml-1">
+                                                {record.unit}
+                                            </span>
+                                        </p>
+                                    </div>
+                                ))}
+                            </div>
+                            <div className="pt-4">
+                                <Link href="/vital-signs/review">
+                                    <Button variant="outline" className="w-full">
+                                        Review {summary.unreviewed_flags > flaggedRecords.length ? `all ${summary.unreviewed_flags}` : 'now'}
+                                    </Button>
+                                </Link>
+                            </div>
+                        </CardContent>
+                    </Card>
+                )}
+
                 {/* Main Content Grid */}
                 <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
                     {/* Recent Vital Signs */}
@@ -154,14 +266,14 @@ export default function Dashboard({
                         <CardContent>
                             {recentVitalSigns.length > 0 ? (
                                 <div className="space-y-4">
-                                    {recentVitalSigns.slice(0, 5).map((record, index) => (
+                                    {recentVitalSigns.slice(0, 5).map((record) => toDisplayReading(record)).map((record, index) => (
                                         <div key={index} className="flex items-center justify-between p-4 rounded-lg border">
                                             <div>
                                                 <p className="font-medium">
                                                     {record.vital_sign_type?.display_name || 'Unknown Type'}
                                                 </p>
                                                 <p className="text-sm text-muted-foreground">
-                                                    {new Date(record.measured_at).toLocaleDateString()}
+                                                    {formatDate(record.measured_at, 'date')}
                                                 </p>
                                             </div>
                                             <div className="text-right">
@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { Head, Link } from '@inertiajs/react';
 import AppLayout from '@/Layouts/AppLayout';
+import useTimeZone from '@/hooks/useTimeZone';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/Components/ui/card';
 import { Button } from '@/Components/ui/button';
 import { Badge } from '@/Components/ui/badge';
@@ -21,6 +22,7 @@ import {
 } from 'lucide-react';
 
 export default function MedicalPatients() {
+  const { formatDate } = useTimeZone();
   const [patients, setPatients] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
@@ -83,13 +85,6 @@ export default function MedicalPatients() {
     setStatusFilter(value);
   };
 
-  const formatDate = (dateString) => {
-    return new Date(dateString).toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric',
-    });
-  };
 
   const getConsentStatus = (patient) => {
     if (patient.consent_status === 'active') {
@@ -354,13 +349,13 @@ export default function MedicalPatients() {
                             <div>
                               <span className="text-muted-foreground">Last Reading:</span>
                               <span className="ml-2">
-                                {patient.last_vital_signs ? formatDate(patient.last_vital_signs) : 'Never'}
+                                {patient.last_vital_signs ? formatDate(patient.last_vital_signs, 'date') : 'Never'}
                               </span>
                             </div>
                             <div>
                               <span className="text-muted-foreground">Consent Expires:</span>
                               <span className="ml-2">
-                                {patient.consent_expires_at ? formatDate(patient.consent_expires_at) : 'N/A'}
+                                {patient.consent_expires_at ? formatDate(patient.consent_expires_at, 'date') : 'N/A'}
                               </span>
                             </div>
                           </div>
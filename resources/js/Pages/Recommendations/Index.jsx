@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { Head } from '@inertiajs/react';
 import AppLayout from '@/Layouts/AppLayout';
+import useTimeZone from '@/hooks/useTimeZone';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/Components/ui/card';
 import { Button } from '@/Components/ui/button';
 import { Badge } from '@/Components/ui/badge';
@@ -24,6 +25,7 @@ import {
 } from 'lucide-react';
 
 export default function RecommendationsIndex() {
+  const { formatDate } = useTimeZone();
   const [recommendations, setRecommendations] = useState([]);
   const [loading, setLoading] = useState(true);
   const [filterType, setFilterType] = useState('all');
@@ -280,7 +282,7 @@ export default function RecommendationsIndex() {
                     <div className="flex items-center space-x-2 text-sm text-muted-foreground">
                       <Clock className="h-4 w-4" />
                       <span>
-                        {new Date(recommendation.created_at).toLocaleDateString()}
+                        {formatDate(recommendation.created_at, 'date')}
                       </span>
                     </div>
                   </div>
@@ -292,7 +294,7 @@ export default function RecommendationsIndex() {
                   <div className="flex justify-between items-center">
                     <div className="text-sm text-muted-foreground">
                       {recommendation.is_read && recommendation.read_at && (
-                        <span>Read on {new Date(recommendation.read_at).toLocaleDateString()}</span>
+                        <span>Read on {formatDate(recommendation.read_at, 'date')}</span>
                       )}
                     </div>
                     <div className="flex space-x-2">
@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { Head, useForm, router } from '@inertiajs/react';
+import { Head, useForm, router, usePage } from '@inertiajs/react';
 import AppLayout from '@/Layouts/AppLayout';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/Components/ui/card';
 import { Button } from '@/Components/ui/button';
@@ -22,46 +22,82 @@ import {
   FormMessage,
 } from '@/Components/ui/form';
 import { useForm as useReactHookForm } from 'react-hook-form';
-import { zodResolver } from '@hookform/resolvers/zod';
-import { z } from 'zod';
-
-const formSchema = z.object({
-  vital_sign_type_id: z.string().min(1, "Please select a vital sign type"),
-  value_primary: z.string().min(1, "Please enter a measurement value").transform(val => parseFloat(val)),
-  value_secondary: z.string().optional().transform(val => val ? parseFloat(val) : null),
-  unit: z.string().min(1, "Please select a unit"),
-  measured_at: z.string().min(1, "Please enter measurement date and time"),
-  measurement_method: z.enum(['manual', 'device', 'estimated']),
-  device_name: z.string().optional(),
-  notes: z.string().optional(),
-});
+import useUnitPreferences from '@/hooks/useUnitPreferences';
+import { getSupportedUnits, convertTypeRanges } from '@/lib/units';
+import { validateReading, appendNote } from '@/lib/vitalSignsValidation';
+import useReadingSequenceCheck from '@/hooks/useReadingSequenceCheck';
+import useTimeZone from '@/hooks/useTimeZone';
+import { toOffsetISOString } from '@/lib/dateTime';
+import ReadingWarningsPrompt from '@/Components/ReadingWarningsPrompt';
+import MeasurementContextFields from '@/Components/MeasurementContextFields';
+import { pickContext } from '@/lib/measurementContext';
+import VitalSignsSessionForm from '@/Components/VitalSignsSessionForm';
+import { queueReading, isNetworkError } from '@/lib/offlineQueue';
+import { WifiOff } from 'lucide-react';
+import VitalSignValueInput from '@/Components/VitalSignValueInput';
+import { getInputType } from '@/lib/inputWidgets';
+
+// Validate with the shared vital signs rules and hand numbers (and an offset timestamp) to onSubmit
+const vitalSignsResolver = (vitalSignTypes, timeZone) => (values) => {
+  const type = vitalSignTypes.find(t => t.id.toString() === values.vital_sign_type_id);
+  const errors = validateReading(type, values, { timeZone });
+
+  if (Object.keys(errors).length > 0) {
+    return {
+      values: {},
+      errors: Object.fromEntries(
+        Object.entries(errors).map(([field, message]) => [field, { type: 'validation', message }])
+      ),
+    };
+  }
+
+  return {
+    values: {
+      ...values,
+      vital_sign_type_id: parseInt(values.vital_sign_type_id),
+      value_primary: parseFloat(values.value_primary),
+      value_secondary: values.value_secondary ? parseFloat(values.value_secondary) : null,
+      measured_at: toOffsetISOString(values.measured_at, timeZone),
+    },
+    errors: {},
+  };
+};
 
 export default function CreateVitalSigns({ vitalSignTypes = [] }) {
   const [selectedType, setSelectedType] = useState(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [mode, setMode] = useState('single'); // 'single' or 'session'
+  const [savedOffline, setSavedOffline] = useState(false);
+  const [sequenceWarnings, setSequenceWarnings] = useState(null);
+  const { getPreferredUnit } = useUnitPreferences();
+  const { checkReading } = useReadingSequenceCheck();
+  const { timeZone, toInputValue } = useTimeZone();
+  const { userId } = usePage().props;
 
   const form = useReactHookForm({
-    resolver: zodResolver(formSchema),
+    resolver: vitalSignsResolver(vitalSignTypes, timeZone),
     defaultValues: {
       vital_sign_type_id: '',
       value_primary: '',
       value_secondary: '',
       unit: '',
-      measured_at: new Date().toISOString().slice(0, 16), // Current datetime in YYYY-MM-DDTHH:MM format
+      measured_at: toInputValue(), // Current datetime in the user's timezone, YYYY-MM-DDTHH:MM format
       measurement_method: 'manual',
       device_name: '',
       notes: '',
+      context: null,
     },
   });
 
   const selectedVitalSignType = vitalSignTypes.find(
     type => type.id.toString() === form.watch('vital_sign_type_id')
   );
+  const isDualEntry = getInputType(selectedVitalSignType) === 'dual';
 
-  // Update unit when vital sign type changes
+  // Default to the user's preferred unit when vital sign type changes
   useEffect(() => {
     if (selectedVitalSignType) {
-      form.setValue('unit', selectedVitalSignType.unit_primary);
+      form.setValue('unit', getPreferredUnit(selectedVitalSignType));
 
       // Clear secondary value if not needed
       if (!selectedVitalSignType.has_secondary_value) {
@@ -78,10 +114,54 @@ export default function CreateVitalSigns({ vitalSignTypes = [] }) {
     }
   }, [form.watch('measurement_method'), form]);
 
-  const onSubmit = async (data) => {
+  // Warnings were about the reading as it was submitted
+  useEffect(() => {
+    const subscription = form.watch(() => setSequenceWarnings(null));
+    return () => subscription.unsubscribe();
+  }, [form]);
+
+  // Keep the reading on this device and send it once the connection is back
+  const saveOffline = async (data) => {
+    await queueReading(userId, data, selectedVitalSignType);
+
+    // Navigating away needs the server, so stay here ready for the next entry
+    form.reset({ ...form.getValues(), value_primary: '', value_secondary: '', notes: '' });
+    setSavedOffline(true);
+  };
+
+  // Compare with recent readings first and ask before saving anything suspicious
+  const onSubmit = async (values) => {
+    // Drop tags left over from a previously selected type
+    const data = { ...values, context: pickContext(selectedVitalSignType, values.context) };
+
+    setIsSubmitting(true);
+    setSavedOffline(false);
+    const warnings = await checkReading(selectedVitalSignType, data);
+    setIsSubmitting(false);
+
+    if (warnings.length > 0) {
+      setSequenceWarnings({ warnings, data });
+      return;
+    }
+
+    await saveReading(data);
+  };
+
+  const handleConfirmWarnings = async (note) => {
+    const { data } = sequenceWarnings;
+    setSequenceWarnings(null);
+    await saveReading({ ...data, notes: appendNote(data.notes, note) });
+  };
+
+  const saveReading = async (data) => {
     setIsSubmitting(true);
 
     try {
+      if (!navigator.onLine) {
+        await saveOffline(data);
+        return;
+      }
+
       const response = await fetch('/api/vital-signs', {
         method: 'POST',
         headers: {
@@ -119,6 +199,11 @@ export default function CreateVitalSigns({ vitalSignTypes = [] }) {
       });
 
     } catch (error) {
+      if (isNetworkError(error)) {
+        await saveOffline(data);
+        return;
+      }
+
       console.error('Error saving vital signs:', error);
       // You could show an error toast here
     } finally {
@@ -126,21 +211,16 @@ export default function CreateVitalSigns({ vitalSignTypes = [] }) {
     }
   };
 
-  const getAvailableUnits = () => {
-    if (!selectedVitalSignType) return [];
+  const getAvailableUnits = () => getSupportedUnits(selectedVitalSignType);
 
-    const units = [selectedVitalSignType.unit_primary];
-    if (selectedVitalSignType.unit_secondary) {
-      units.push(selectedVitalSignType.unit_secondary);
-    }
-    return units;
-  };
+  // Ranges expressed in the unit currently being entered
+  const displayType = convertTypeRanges(selectedVitalSignType, form.watch('unit'));
 
   return (
     <AppLayout title="Record Vital Signs">
       <Head title="Record Vital Signs" />
 
-      <div className="max-w-2xl mx-auto space-y-6">
+      <div className={`${mode === 'session' ? 'max-w-5xl' : 'max-w-2xl'} mx-auto space-y-6`}>
         {/* Header */}
         <div className="flex items-center justify-between">
           <div>
@@ -149,237 +229,318 @@ export default function CreateVitalSigns({ vitalSignTypes = [] }) {
               Enter your health measurements for tracking and monitoring
             </p>
           </div>
+          <div className="flex gap-2">
+            <Button
+              type="button"
+              variant={mode === 'single' ? 'default' : 'outline'}
+              size="sm"
+              onClick={() => setMode('single')}
+            >
+              Single
+            </Button>
+            <Button
+              type="button"
+              variant={mode === 'session' ? 'default' : 'outline'}
+              size="sm"
+              onClick={() => setMode('session')}
+            >
+              Session
+            </Button>
+          </div>
         </div>
 
+        {savedOffline && (
+          <div className="p-4 border rounded-md bg-yellow-50 border-yellow-200 text-yellow-800">
+            <div className="flex">
+              <WifiOff className="h-5 w-5 text-yellow-400 flex-shrink-0" />
+              <p className="ml-3 text-sm font-medium">
+                You're offline. The measurement was saved on this device and will sync automatically when you're back online.
+              </p>
+            </div>
+          </div>
+        )}
+
+        {/* Session: several measurements taken together */}
+        {mode === 'session' && (
+          <VitalSignsSessionForm
+            vitalSignTypes={vitalSignTypes}
+            onComplete={() => router.visit('/dashboard')}
+          />
+        )}
+
         {/* Form */}
-        <Card>
-          <CardHeader>
-            <CardTitle>New Measurement</CardTitle>
-            <CardDescription>
-              Please enter accurate measurements for the best health insights
-            </CardDescription>
-          </CardHeader>
-          <CardContent>
-            <Form {...form}>
-              <form onSubmit={form.handleSubmit(onSubmit)} className="space-y-6">
-                {/* Vital Sign Type */}
-                <FormField
-                  control={form.control}
-                  name="vital_sign_type_id"
-                  render={({ field }) => (
-                    <FormItem>
-                      <FormLabel>Measurement Type</FormLabel>
-                      <Select onValueChange={field.onChange} defaultValue={field.value}>
-                        <FormControl>
-                          <SelectTrigger>
-                            <SelectValue placeholder="Select what you want to measure" />
-                          </SelectTrigger>
-                        </FormControl>
-                        <SelectContent>
-                          {vitalSignTypes.map((type) => (
-                            <SelectItem key={type.id} value={type.id.toString()}>
-                              {type.display_name}
-                            </SelectItem>
-                          ))}
-                        </SelectContent>
-                      </Select>
-                      <FormDescription>
-                        Choose the type of measurement you want to record
-                      </FormDescription>
-                      <FormMessage />
-                    </FormItem>
-                  )}
-                />
-
-                {/* Primary Value */}
-                <FormField
-                  control={form.control}
-                  name="value_primary"
-                  render={({ field }) => (
-                    <FormItem>
-                      <FormLabel>
-                        {selectedVitalSignType?.input_type === 'dual' ? 'Systolic Pressure' : 'Measurement Value'}
-                      </FormLabel>
-                      <FormControl>
-                        <Input
-                          type="number"
-                          step="0.01"
-                          placeholder="Enter value"
-                          {...field}
-                        />
-                      </FormControl>
-                      {selectedVitalSignType && (
+        {mode === 'single' && (
+          <Card>
+            <CardHeader>
+              <CardTitle>New Measurement</CardTitle>
+              <CardDescription>
+                Please enter accurate measurements for the best health insights
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              <Form {...form}>
+                <form onSubmit={form.handleSubmit(onSubmit)} className="space-y-6">
+                  {/* Vital Sign Type */}
+                  <FormField
+                    control={form.control}
+                    name="vital_sign_type_id"
+                    render={({ field }) => (
+                      <FormItem>
+                        <FormLabel>Measurement Type</FormLabel>
+                        <Select onValueChange={field.onChange} defaultValue={field.value}>
+                          <FormControl>
+                            <SelectTrigger>
+                              <SelectValue placeholder="Select what you want to measure" />
+                            </SelectTrigger>
+                          </FormControl>
+                          <SelectContent>
+                            {vitalSignTypes.map((type) => (
+                              <SelectItem key={type.id} value={type.id.toString()}>
+                                {type.display_name}
+                              </SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
                         <FormDescription>
-                          Normal range: {selectedVitalSignType.normal_range_min} - {selectedVitalSignType.normal_range_max} {selectedVitalSignType.unit_primary}
+                          Choose the type of measurement you want to record
                         </FormDescription>
+                        <FormMessage />
+                      </FormItem>
+                    )}
+                  />
+
+                  {/* Primary Value */}
+                  <FormField
+                    control={form.control}
+                    name="value_primary"
+                    render={({ field }) => (
+                      <FormItem>
+                        <FormLabel>
+                          {isDualEntry ? 'Systolic / Diastolic' : 'Measurement Value'}
+                        </FormLabel>
+                        <FormControl>
+                          <VitalSignValueInput
+                            type={selectedVitalSignType}
+                            valuePrimary={field.value}
+                            valueSecondary={form.watch('value_secondary')}
+                            onChange={(name, value) => form.setValue(name, value, { shouldValidate: form.formState.isSubmitted })}
+                            onBlur={field.onBlur}
+                            invalid={!!(form.formState.errors.value_primary || (isDualEntry && form.formState.errors.value_secondary))}
+                          />
+                        </FormControl>
+                        {selectedVitalSignType && (
+                          <FormDescription>
+                            Normal range: {displayType.normal_range_min} - {displayType.normal_range_max} {displayType.unit_primary}
+                          </FormDescription>
+                        )}
+                        <FormMessage />
+                        {isDualEntry && form.formState.errors.value_secondary && (
+                          <p className="text-sm font-medium text-destructive">
+                            {form.formState.errors.value_secondary.message}
+                          </p>
+                        )}
+                      </FormItem>
+                    )}
+                  />
+
+                  {/* Secondary Value (types with a second value that aren't entered as "120/80") */}
+                  {selectedVitalSignType?.has_secondary_value && !isDualEntry && (
+                    <FormField
+                      control={form.control}
+                      name="value_secondary"
+                      render={({ field }) => (
+                        <FormItem>
+                          <FormLabel>Diastolic Pressure</FormLabel>
+                          <FormControl>
+                            <Input
+                              type="number"
+                              step="0.01"
+                              placeholder="Enter diastolic value"
+                              {...field}
+                            />
+                          </FormControl>
+                          <FormDescription>
+                            The bottom number in blood pressure reading
+                          </FormDescription>
+                          <FormMessage />
+                        </FormItem>
                       )}
-                      <FormMessage />
-                    </FormItem>
+                    />
                   )}
-                />
 
-                {/* Secondary Value (for blood pressure) */}
-                {selectedVitalSignType?.has_secondary_value && (
+                  {/* Unit */}
                   <FormField
                     control={form.control}
-                    name="value_secondary"
+                    name="unit"
                     render={({ field }) => (
                       <FormItem>
-                        <FormLabel>Diastolic Pressure</FormLabel>
+                        <FormLabel>Unit</FormLabel>
+                        <Select onValueChange={field.onChange} value={field.value}>
+                          <FormControl>
+                            <SelectTrigger>
+                              <SelectValue placeholder="Select unit" />
+                            </SelectTrigger>
+                          </FormControl>
+                          <SelectContent>
+                            {getAvailableUnits().map((unit) => (
+                              <SelectItem key={unit} value={unit}>
+                                {unit}
+                              </SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                        <FormMessage />
+                      </FormItem>
+                    )}
+                  />
+
+                  {/* Measurement Date & Time */}
+                  <FormField
+                    control={form.control}
+                    name="measured_at"
+                    render={({ field }) => (
+                      <FormItem>
+                        <FormLabel>Date & Time</FormLabel>
                         <FormControl>
                           <Input
-                            type="number"
-                            step="0.01"
-                            placeholder="Enter diastolic value"
+                            type="datetime-local"
+                            max={toInputValue()}
                             {...field}
                           />
                         </FormControl>
                         <FormDescription>
-                          The bottom number in blood pressure reading
+                          When was this measurement taken?
                         </FormDescription>
                         <FormMessage />
                       </FormItem>
                     )}
                   />
-                )}
-
-                {/* Unit */}
-                <FormField
-                  control={form.control}
-                  name="unit"
-                  render={({ field }) => (
-                    <FormItem>
-                      <FormLabel>Unit</FormLabel>
-                      <Select onValueChange={field.onChange} value={field.value}>
-                        <FormControl>
-                          <SelectTrigger>
-                            <SelectValue placeholder="Select unit" />
-                          </SelectTrigger>
-                        </FormControl>
-                        <SelectContent>
-                          {getAvailableUnits().map((unit) => (
-                            <SelectItem key={unit} value={unit}>
-                              {unit}
-                            </SelectItem>
-                          ))}
-                        </SelectContent>
-                      </Select>
-                      <FormMessage />
-                    </FormItem>
-                  )}
-                />
-
-                {/* Measurement Date & Time */}
-                <FormField
-                  control={form.control}
-                  name="measured_at"
-                  render={({ field }) => (
-                    <FormItem>
-                      <FormLabel>Date & Time</FormLabel>
-                      <FormControl>
-                        <Input
-                          type="datetime-local"
-                          {...field}
-                        />
-                      </FormControl>
-                      <FormDescription>
-                        When was this measurement taken?
-                      </FormDescription>
-                      <FormMessage />
-                    </FormItem>
+
+                  {/* Measurement Method */}
+                  <FormField
+                    control={form.control}
+                    name="measurement_method"
+                    render={({ field }) => (
+                      <FormItem>
+                        <FormLabel>How was this measured?</FormLabel>
+                        <Select onValueChange={field.onChange} defaultValue={field.value}>
+                          <FormControl>
+                            <SelectTrigger>
+                              <SelectValue />
+                            </SelectTrigger>
+                          </FormControl>
+                          <SelectContent>
+                            <SelectItem value="manual">Manual measurement</SelectItem>
+                            <SelectItem value="device">Medical device</SelectItem>
+                            <SelectItem value="estimated">Estimated</SelectItem>
+                          </SelectContent>
+                        </Select>
+                        <FormMessage />
+                      </FormItem>
+                    )}
+                  />
+
+                  {/* Device Name (conditional) */}
+                  {form.watch('measurement_method') === 'device' && (
+                    <FormField
+                      control={form.control}
+                      name="device_name"
+                      render={({ field }) => (
+                        <FormItem>
+                          <FormLabel>Device Name</FormLabel>
+                          <FormControl>
+                            <Input
+                              placeholder="e.g., Blood pressure monitor XYZ-123"
+                              {...field}
+                            />
+                          </FormControl>
+                          <FormDescription>
+                            What device was used for this measurement?
+                          </FormDescription>
+                          <FormMessage />
+                        </FormItem>
+                      )}
+                    />
                   )}
-                />
-
-                {/* Measurement Method */}
-                <FormField
-                  control={form.control}
-                  name="measurement_method"
-                  render={({ field }) => (
-                    <FormItem>
-                      <FormLabel>How was this measured?</FormLabel>
-                      <Select onValueChange={field.onChange} defaultValue={field.value}>
-                        <FormControl>
-                          <SelectTrigger>
-                            <SelectValue />
-                          </SelectTrigger>
-                        </FormControl>
-                        <SelectContent>
-                          <SelectItem value="manual">Manual measurement</SelectItem>
-                          <SelectItem value="device">Medical device</SelectItem>
-                          <SelectItem value="estimated">Estimated</SelectItem>
-                        </SelectContent>
-                      </Select>
-                      <FormMessage />
-                    </FormItem>
+
+                  {/* Context Tags */}
+                  {selectedVitalSignType && (
+                    <FormField
+                      control={form.control}
+                      name="context"
+                      render={({ field }) => (
+                        <FormItem>
+                          <FormLabel>Context (Optional)</FormLabel>
+                          <MeasurementContextFields
+                            type={selectedVitalSignType}
+                            value={field.value}
+                            onChange={field.onChange}
+                            errors={Object.fromEntries(
+                              Object.entries(form.formState.errors.context || {}).map(([name, error]) => [`context.${name}`, error?.message])
+                            )}
+                          />
+                          <FormDescription>
+                            How the reading was taken, so it can be compared with similar readings
+                          </FormDescription>
+                        </FormItem>
+                      )}
+                    />
                   )}
-                />
 
-                {/* Device Name (conditional) */}
-                {form.watch('measurement_method') === 'device' && (
+                  {/* Notes */}
                   <FormField
                     control={form.control}
-                    name="device_name"
+                    name="notes"
                     render={({ field }) => (
                       <FormItem>
-                        <FormLabel>Device Name</FormLabel>
+                        <FormLabel>Notes (Optional)</FormLabel>
                         <FormControl>
-                          <Input
-                            placeholder="e.g., Blood pressure monitor XYZ-123"
+                          <textarea
+                            className="flex min-h-[80px] w-full rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50"
+                            placeholder="Any additional notes about this measurement..."
                             {...field}
                           />
                         </FormControl>
                         <FormDescription>
-                          What device was used for this measurement?
+                          Add any relevant context or observations
                         </FormDescription>
                         <FormMessage />
                       </FormItem>
                     )}
                   />
-                )}
-
-                {/* Notes */}
-                <FormField
-                  control={form.control}
-                  name="notes"
-                  render={({ field }) => (
-                    <FormItem>
-                      <FormLabel>Notes (Optional)</FormLabel>
-                      <FormControl>
-                        <textarea
-                          className="flex min-h-[80px] w-full rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50"
-                          placeholder="Any additional notes about this measurement..."
-                          {...field}
-                        />
-                      </FormControl>
-                      <FormDescription>
-                        Add any relevant context or observations
-                      </FormDescription>
-                      <FormMessage />
-                    </FormItem>
+
+                  {/* Duplicate and jump warnings awaiting confirmation */}
+                  {sequenceWarnings && (
+                    <ReadingWarningsPrompt
+                      warnings={sequenceWarnings.warnings}
+                      onConfirm={handleConfirmWarnings}
+                      onEdit={() => setSequenceWarnings(null)}
+                      isSubmitting={isSubmitting}
+                    />
                   )}
-                />
-
-                {/* Submit Buttons */}
-                <div className="flex gap-4 pt-4">
-                  <Button
-                    type="submit"
-                    disabled={isSubmitting}
-                    className="flex-1"
-                  >
-                    {isSubmitting ? 'Saving...' : 'Save Measurement'}
-                  </Button>
-                  <Button
-                    type="button"
-                    variant="outline"
-                    onClick={() => router.visit('/dashboard')}
-                  >
-                    Cancel
-                  </Button>
-                </div>
-              </form>
-            </Form>
-          </CardContent>
-        </Card>
+
+                  {/* Submit Buttons */}
+                  <div className="flex gap-4 pt-4">
+                    <Button
+                      type="submit"
+                      disabled={isSubmitting || !!sequenceWarnings}
+                      className="flex-1"
+                    >
+                      {isSubmitting ? 'Saving...' : 'Save Measurement'}
+                    </Button>
+                    <Button
+                      type="button"
+                      variant="outline"
+                      onClick={() => router.visit('/dashboard')}
+                    >
+                      Cancel
+                    </Button>
+                  </div>
+                </form>
+              </Form>
+            </CardContent>
+          </Card>
+        )}
       </div>
     </AppLayout>
   );
@@ -0,0 +1,585 @@
+import { useState, useMemo } from 'react';
+import { Head, Link } from '@inertiajs/react';
+import AppLayout from '@/Layouts/AppLayout';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/Components/ui/card';
+import { Button } from '@/Components/ui/button';
+import { Badge } from '@/Components/ui/badge';
+import { Input } from '@/Components/ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/Components/ui/select';
+import { Upload, FileText, ArrowLeft, ArrowRight, CheckCircle, AlertTriangle, Download, Loader2 } from 'lucide-react';
+import { parseDelimited, toDelimited, downloadTextFile } from '@/lib/delimitedText';
+import { IMPORT_FIELDS, guessColumnMapping, buildImportRow, chunk } from '@/lib/vitalSignsImport';
+import useTimeZone from '@/hooks/useTimeZone';
+
+const STEPS = ['source', 'mapping', 'preview', 'results'];
+const STEP_LABELS = {
+  source: 'Data',
+  mapping: 'Columns',
+  preview: 'Preview',
+  results: 'Results',
+};
+
+// Rows shown in the preview table before "show all"
+const PREVIEW_LIMIT = 50;
+
+export default function ImportVitalSigns({ vitalSignTypes = [] }) {
+  const [step, setStep] = useState('source');
+  const [rawText, setRawText] = useState('');
+  const [fileName, setFileName] = useState(null);
+  const [hasHeaderRow, setHasHeaderRow] = useState(true);
+  const [mapping, setMapping] = useState({});
+  const [defaults, setDefaults] = useState({
+    vital_sign_type_id: '',
+    measurement_method: 'manual',
+    device_name: '',
+  });
+  const [showAllRows, setShowAllRows] = useState(false);
+  const [isUploading, setIsUploading] = useState(false);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [results, setResults] = useState([]);
+  const { timeZone, formatDate } = useTimeZone();
+
+  const parsedRows = useMemo(() => parseDelimited(rawText), [rawText]);
+
+  const headers = useMemo(() => {
+    if (parsedRows.length === 0) return [];
+
+    const columnCount = Math.max(...parsedRows.map(row => row.length));
+    return Array.from({ length: columnCount }, (_, index) => (
+      hasHeaderRow ? (parsedRows[0][index] || `Column ${index + 1}`) : `Column ${index + 1}`
+    ));
+  }, [parsedRows, hasHeaderRow]);
+
+  const dataRows = useMemo(() => (hasHeaderRow ? parsedRows.slice(1) : parsedRows), [parsedRows, hasHeaderRow]);
+
+  // Every row converted into a bulk import record and checked against its type
+  const preparedRows = useMemo(() => {
+    if (step !== 'preview' && step !== 'results') return [];
+
+    return dataRows.map((row, index) => ({
+      line: index + (hasHeaderRow ? 2 : 1),
+      source: row,
+      ...buildImportRow(row, mapping, vitalSignTypes, defaults, timeZone),
+    }));
+  }, [step, dataRows, mapping, vitalSignTypes, defaults, hasHeaderRow, timeZone]);
+
+  const validRows = preparedRows.filter(row => row.errors.length === 0);
+  const invalidRows = preparedRows.filter(row => row.errors.length > 0);
+
+  const mappingErrors = useMemo(() => {
+    const errors = [];
+    IMPORT_FIELDS.filter(field => field.required && mapping[field.key] === undefined).forEach((field) => {
+      errors.push(`Choose a column for ${field.label.toLowerCase()}`);
+    });
+    if (mapping.type === undefined && !defaults.vital_sign_type_id) {
+      errors.push('Choose a column for the measurement type, or a type for every row');
+    }
+    if (defaults.measurement_method === 'device' && !defaults.device_name.trim()) {
+      errors.push('Device name is required for device measurements');
+    }
+    return errors;
+  }, [mapping, defaults]);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    setFileName(file.name);
+    setRawText(await file.text());
+  };
+
+  const goToMapping = () => {
+    setMapping(hasHeaderRow ? guessColumnMapping(headers) : {});
+    setStep('mapping');
+  };
+
+  const handleMappingChange = (field, value) => {
+    setMapping(prev => {
+      const next = { ...prev };
+      if (value === 'none') {
+        delete next[field];
+      } else {
+        next[field] = parseInt(value);
+      }
+      return next;
+    });
+  };
+
+  const handleDefaultChange = (field, value) => {
+    setDefaults(prev => ({
+      ...prev,
+      [field]: value,
+      ...(field === 'measurement_method' && value !== 'device' ? { device_name: '' } : {}),
+    }));
+  };
+
+  const postChunk = async (records) => {
+    const response = await fetch('/api/vital-signs-bulk-import', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        'X-CSRF-TOKEN': document.querySelector('meta[name="csrf-token"]').content,
+      },
+      body: JSON.stringify({ records }),
+    });
+
+    return { status: response.status, body: await response.json().catch(() => ({})) };
+  };
+
+  // Upload valid rows in chunks the endpoint accepts and collect a result per row
+  const handleUpload = async () => {
+    const chunks = chunk(validRows);
+    const rowResults = invalidRows.map(row => ({ ...row, status: 'skipped', error: row.errors.join('; ') }));
+
+    setIsUploading(true);
+    setProgress({ done: 0, total: validRows.length });
+
+    for (const rows of chunks) {
+      try {
+        const { status, body } = await postChunk(rows.map(row => row.record));
+
+        if (status === 422 && body.errors) {
+          // Errors are keyed "records.{index}.{field}"
+          const failed = {};
+          Object.entries(body.errors).forEach(([key, messages]) => {
+            const match = key.match(/^records\.(\d+)\./);
+            const index = match ? parseInt(match[1]) : null;
+            if (index !== null) {
+              failed[index] = [...(failed[index] || []), messages[0]];
+            }
+          });
+
+          // The request is rejected as a whole, so rows without errors weren't saved either
+          rows.forEach((row, index) => rowResults.push({
+            ...row,
+            status: 'failed',
+            error: failed[index]?.join('; ') || 'Not imported because other rows in the batch were invalid',
+          }));
+        } else if (status === 201 || status === 207) {
+          const failed = Object.fromEntries((body.data?.errors || []).map(error => [error.index, error.error]));
+          rows.forEach((row, index) => rowResults.push(
+            failed[index] !== undefined
+              ? { ...row, status: 'failed', error: failed[index] }
+              : { ...row, status: 'imported', error: null }
+          ));
+        } else {
+          throw new Error(body.message || 'Failed to import measurements');
+        }
+      } catch (error) {
+        console.error('Error importing vital signs:', error);
+        rows.forEach(row => rowResults.push({ ...row, status: 'failed', error: error.message }));
+      }
+
+      setProgress(prev => ({ ...prev, done: prev.done + rows.length }));
+    }
+
+    setResults(rowResults.sort((a, b) => a.line - b.line));
+    setIsUploading(false);
+    setStep('results');
+  };
+
+  // Original columns plus the reason each row was not imported
+  const downloadErrorFile = () => {
+    const failedRows = results.filter(row => row.status !== 'imported');
+    const content = toDelimited([
+      ['line', ...headers, 'error'],
+      ...failedRows.map(row => [row.line, ...headers.map((_, index) => row.source[index] ?? ''), row.error]),
+    ]);
+
+    const baseName = fileName ? fileName.replace(/\.[^.]+$/, '') : 'vital-signs';
+    downloadTextFile(content, `${baseName}-import-errors.csv`);
+  };
+
+  const resetWizard = () => {
+    setStep('source');
+    setRawText('');
+    setFileName(null);
+    setMapping({});
+    setResults([]);
+    setShowAllRows(false);
+  };
+
+  const importedCount = results.filter(row => row.status === 'imported').length;
+  const notImportedCount = results.length - importedCount;
+  const previewRows = showAllRows ? preparedRows : preparedRows.slice(0, PREVIEW_LIMIT);
+
+  const formatValue = (record) => {
+    if (record.value_secondary !== null && !isNaN(record.value_secondary)) {
+      return `${record.value_primary}/${record.value_secondary}`;
+    }
+    return isNaN(record.value_primary) ? '—' : record.value_primary;
+  };
+
+  return (
+    <AppLayout title="Import Vital Signs">
+      <Head title="Import Vital Signs" />
+
+      <div className="max-w-5xl mx-auto space-y-6">
+        {/* Header */}
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-3xl font-bold tracking-tight">Import Vital Signs</h1>
+            <p className="text-muted-foreground">
+              Bring in measurements from a spreadsheet, CSV or TSV file
+            </p>
+          </div>
+          <Link href="/vital-signs">
+            <Button variant="outline">
+              <ArrowLeft className="h-4 w-4 mr-2" />
+              Back to Vital Signs
+            </Button>
+          </Link>
+        </div>
+
+        {/* Steps */}
+        <div className="flex items-center gap-2 text-sm">
+          {STEPS.map((name, index) => (
+            <div key={name} className="flex items-center gap-2">
+              <Badge variant={name === step ? 'default' : 'outline'}>
+                {index + 1}. {STEP_LABELS[name]}
+              </Badge>
+              {index < STEPS.length - 1 && <ArrowRight className="h-3 w-3 text-muted-foreground" />}
+            </div>
+          ))}
+        </div>
+
+        {/* Step 1: choose a file or paste data */}
+        {step === 'source' && (
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <Upload className="h-5 w-5" />
+                Choose Your Data
+              </CardTitle>
+              <CardDescription>
+                Upload a .csv or .tsv file, or copy rows from a spreadsheet and paste them below.
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">File</label>
+                <Input type="file" accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values" onChange={handleFileChange} />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Or paste data</label>
+                <textarea
+                  className="flex min-h-[160px] w-full rounded-md border border-input bg-background px-3 py-2 text-sm font-mono ring-offset-background placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2"
+                  placeholder={'Type,Value,Date\nHeart Rate,72,2025-09-20 08:30'}
+                  value={rawText}
+                  onChange={(e) => {
+                    setFileName(null);
+                    setRawText(e.target.value);
+                  }}
+                />
+              </div>
+
+              <label className="flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={hasHeaderRow}
+                  onChange={(e) => setHasHeaderRow(e.target.checked)}
+                />
+                First row contains column headers
+              </label>
+
+              <div className="flex items-center justify-between">
+                <p className="text-sm text-muted-foreground">
+                  {dataRows.length > 0
+                    ? `${dataRows.length} row${dataRows.length === 1 ? '' : 's'} with ${headers.length} column${headers.length === 1 ? '' : 's'} found${fileName ? ` in ${fileName}` : ''}`
+                    : 'No data yet'}
+                </p>
+                <Button onClick={goToMapping} disabled={dataRows.length === 0}>
+                  Next
+                  <ArrowRight className="h-4 w-4 ml-2" />
+                </Button>
+              </div>
+            </CardContent>
+          </Card>
+        )}
+
+        {/* Step 2: map columns to fields */}
+        {step === 'mapping' && (
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <FileText className="h-5 w-5" />
+                Match Columns
+              </CardTitle>
+              <CardDescription>
+                Tell us which column holds each piece of information. Blood pressure can be a single "120/80" column.
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-6">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {IMPORT_FIELDS.map((field) => (
+                  <div key={field.key}>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      {field.label}{field.required ? ' *' : ''}
+                    </label>
+                    <Select
+                      value={mapping[field.key] !== undefined ? mapping[field.key].toString() : 'none'}
+                      onValueChange={(value) => handleMappingChange(field.key, value)}
+                    >
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="none">Not in file</SelectItem>
+                        {headers.map((header, index) => (
+                          <SelectItem key={index} value={index.toString()}>
+                            {header}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                ))}
+              </div>
+
+              {/* Values applied to every row */}
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4 border-t pt-4">
+                {mapping.type === undefined && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Type for every row *</label>
+                    <Select
+                      value={defaults.vital_sign_type_id}
+                      onValueChange={(value) => handleDefaultChange('vital_sign_type_id', value)}
+                    >
+                      <SelectTrigger>
+                        <SelectValue placeholder="Select a type" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {vitalSignTypes.map((type) => (
+                          <SelectItem key={type.id} value={type.id.toString()}>
+                            {type.display_name}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                )}
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Measurement Method</label>
+                  <Select
+                    value={defaults.measurement_method}
+                    onValueChange={(value) => handleDefaultChange('measurement_method', value)}
+                  >
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="manual">Manual Entry</SelectItem>
+                      <SelectItem value="device">Medical Device</SelectItem>
+                      <SelectItem value="estimated">Estimated</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+
+                {defaults.measurement_method === 'device' && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Device Name *</label>
+                    <Input
+                      value={defaults.device_name}
+                      onChange={(e) => handleDefaultChange('device_name', e.target.value)}
+                      placeholder="e.g., Omron BP Monitor"
+                    />
+                  </div>
+                )}
+              </div>
+
+              {mappingErrors.length > 0 && (
+                <ul className="text-sm text-red-600 list-disc list-inside">
+                  {mappingErrors.map((error) => <li key={error}>{error}</li>)}
+                </ul>
+              )}
+
+              <div className="flex justify-between">
+                <Button variant="outline" onClick={() => setStep('source')}>
+                  <ArrowLeft className="h-4 w-4 mr-2" />
+                  Back
+                </Button>
+                <Button onClick={() => setStep('preview')} disabled={mappingErrors.length > 0}>
+                  Preview
+                  <ArrowRight className="h-4 w-4 ml-2" />
+                </Button>
+              </div>
+            </CardContent>
+          </Card>
+        )}
+
+        {/* Step 3: preview with client-side validation */}
+        {step === 'preview' && (
+          <Card>
+            <CardHeader>
+              <CardTitle>Check Your Measurements</CardTitle>
+              <CardDescription>
+                {validRows.length} of {preparedRows.length} rows are ready to import.
+                {invalidRows.length > 0 && ' Rows with problems will be skipped and listed in the error file.'}
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <div className="overflow-x-auto border rounded-md">
+                <table className="w-full text-sm">
+                  <thead className="bg-muted/50">
+                    <tr className="text-left">
+                      <th className="p-2">Line</th>
+                      <th className="p-2">Type</th>
+                      <th className="p-2">Value</th>
+                      <th className="p-2">Unit</th>
+                      <th className="p-2">Measured</th>
+                      <th className="p-2">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {previewRows.map((row) => (
+                      <tr key={row.line} className={`border-t ${row.errors.length > 0 ? 'bg-red-50' : ''}`}>
+                        <td className="p-2 text-muted-foreground">{row.line}</td>
+                        <td className="p-2">{row.type?.display_name || '—'}</td>
+                        <td className="p-2 font-medium">{formatValue(row.record)}</td>
+                        <td className="p-2">{row.record.unit}</td>
+                        <td className="p-2">
+                          {row.record.measured_at ? formatDate(row.record.measured_at) : '—'}
+                        </td>
+                        <td className="p-2">
+                          {row.errors.length === 0 ? (
+                            <span className="text-green-700 flex items-center gap-1">
+                              <CheckCircle className="h-3 w-3" /> Ready
+                            </span>
+                          ) : (
+                            <span className="text-red-600">{row.errors.join('; ')}</span>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {preparedRows.length > PREVIEW_LIMIT && !showAllRows && (
+                <Button variant="link" onClick={() => setShowAllRows(true)}>
+                  Show all {preparedRows.length} rows
+                </Button>
+              )}
+
+              {isUploading && (
+                <div>
+                  <div className="h-2 bg-muted rounded-full overflow-hidden">
+                    <div
+                      className="h-full bg-primary transition-all"
+                      style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%` }}
+                    />
+                  </div>
+                  <p className="mt-1 text-xs text-muted-foreground">
+                    Uploaded {progress.done} of {progress.total}
+                  </p>
+                </div>
+              )}
+
+              <div className="flex justify-between">
+                <Button variant="outline" onClick={() => setStep('mapping')} disabled={isUploading}>
+                  <ArrowLeft className="h-4 w-4 mr-2" />
+                  Back
+                </Button>
+                <Button onClick={handleUpload} disabled={isUploading || validRows.length === 0}>
+                  {isUploading ? (
+                    <>
+                      <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                      Importing...
+                    </>
+                  ) : (
+                    <>
+                      <Upload className="h-4 w-4 mr-2" />
+                      Import {validRows.length} Measurement{validRows.length === 1 ? '' : 's'}
+                    </>
+                  )}
+                </Button>
+              </div>
+            </CardContent>
+          </Card>
+        )}
+
+        {/* Step 4: per-row report */}
+        {step === 'results' && (
+          <Card>
+            <CardHeader>
+              <CardTitle>Import Complete</CardTitle>
+              <CardDescription>
+                {importedCount} imported, {notImportedCount} not imported
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <div className={`p-4 border rounded-md ${notImportedCount > 0 ? 'bg-yellow-50 border-yellow-200 text-yellow-800' : 'bg-green-50 border-green-200 text-green-800'}`}>
+                <div className="flex">
+                  {notImportedCount > 0 ? (
+                    <AlertTriangle className="h-5 w-5 text-yellow-400 flex-shrink-0" />
+                  ) : (
+                    <CheckCircle className="h-5 w-5 text-green-400 flex-shrink-0" />
+                  )}
+                  <p className="ml-3 text-sm font-medium">
+                    {notImportedCount > 0
+                      ? 'Some rows were not imported. Download the error file, fix the rows and import it again.'
+                      : 'All measurements were imported successfully!'}
+                  </p>
+                </div>
+              </div>
+
+              <div className="overflow-x-auto border rounded-md max-h-96">
+                <table className="w-full text-sm">
+                  <thead className="bg-muted/50 sticky top-0">
+                    <tr className="text-left">
+                      <th className="p-2">Line</th>
+                      <th className="p-2">Type</th>
+                      <th className="p-2">Value</th>
+                      <th className="p-2">Result</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {results.map((row) => (
+                      <tr key={row.line} className="border-t">
+                        <td className="p-2 text-muted-foreground">{row.line}</td>
+                        <td className="p-2">{row.type?.display_name || '—'}</td>
+                        <td className="p-2">{formatValue(row.record)} {row.record.unit}</td>
+                        <td className="p-2">
+                          {row.status === 'imported' ? (
+                            <Badge variant="secondary">Imported</Badge>
+                          ) : (
+                            <span className="text-red-600">
+                              <Badge variant="destructive" className="mr-2">
+                                {row.status === 'skipped' ? 'Skipped' : 'Failed'}
+                              </Badge>
+                              {row.error}
+                            </span>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="flex justify-between">
+                <Button variant="outline" onClick={resetWizard}>
+                  Import More
+                </Button>
+                <div className="flex gap-2">
+                  {notImportedCount > 0 && (
+                    <Button variant="outline" onClick={downloadErrorFile}>
+                      <Download className="h-4 w-4 mr-2" />
+                      Download Error File
+                    </Button>
+                  )}
+                  <Link href="/vital-signs">
+                    <Button>View Measurements</Button>
+                  </Link>
+                </div>
+              </div>
+            </CardContent>
+          </Card>
+        )}
+      </div>
+    </AppLayout>
+  );
+}
@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef, useMemo } from 'react';
 import { Head, Link, router } from '@inertiajs/react';
 import AppLayout from '@/Layouts/AppLayout';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/Components/ui/card';
@@ -6,38 +6,95 @@ import { Button } from '@/Components/ui/button';
 import { Badge } from '@/Components/ui/badge';
 import { Input } from '@/Components/ui/input';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/Components/ui/select';
-import { Activity, Plus, Filter, Search, Calendar, AlertTriangle, TrendingUp, Eye } from 'lucide-react';
+import { Activity, Plus, Filter, Search, Calendar, AlertTriangle, TrendingUp, Eye, Upload, Undo2, ArrowDown, ArrowUp, LayoutList, Table2, Download, Loader2 } from 'lucide-react';
+import UnitPreferenceSelect from '@/Components/UnitPreferenceSelect';
+import PendingReadingsList from '@/Components/PendingReadingsList';
+import VitalSignsRecordDrawer from '@/Components/VitalSignsRecordDrawer';
+import MeasurementContextFilter from '@/Components/MeasurementContextFilter';
+import VitalSignsTable from '@/Components/VitalSignsTable';
+import BulkActionsBar from '@/Components/BulkActionsBar';
+import useUnitPreferences from '@/hooks/useUnitPreferences';
+import useOfflineQueue from '@/hooks/useOfflineQueue';
+import useTimeZone from '@/hooks/useTimeZone';
+import useIncrementalVitalSigns from '@/hooks/useIncrementalVitalSigns';
+import useBulkVitalSignsActions from '@/hooks/useBulkVitalSignsActions';
+import useVitalSignsExport from '@/hooks/useVitalSignsExport';
+import { getContextGroups, formatContext, parseContextFilter } from '@/lib/measurementContext';
+import {
+  SORT_OPTIONS,
+  PER_PAGE_OPTIONS,
+  VIEW_OPTIONS,
+  parseListQuery,
+  toQueryParams,
+  toApiParams,
+  updateListQuery,
+  hasActiveFilters,
+  clearListFilters,
+} from '@/lib/vitalSignsListQuery';
+import {
+  EMPTY_SELECTION,
+  isSelected,
+  selectedCount,
+  toggleSelected,
+  selectRange,
+  selectIds,
+  deselectIds,
+  selectAllMatching,
+  toSelectionPayload,
+} from '@/lib/bulkSelection';
+import { EXPORT_FORMATS, describeFilters } from '@/lib/vitalSignsExport';
 
-export default function VitalSignsIndex({ vitalSignTypes = [] }) {
+// How long a deleted reading can be restored before it is removed on the server
+const UNDO_DELAY = 6000;
+
+// Select items can't have an empty value, so "All types" uses a sentinel
+const ALL_TYPES = 'all';
+
+const deleteRecordRequest = (record, options = {}) => {
+  return fetch(`/api/vital-signs/${record.id}`, {
+    method: 'DELETE',
+    headers: {
+      'Accept': 'application/json',
+      'X-CSRF-TOKEN': document.querySelector('meta[name="csrf-token"]').content,
+    },
+    ...options,
+  });
+};
+
+export default function VitalSignsIndex({ vitalSignTypes = [], filters: urlFilters = {} }) {
+  const { toDisplayReading } = useUnitPreferences();
+  const offlineQueue = useOfflineQueue();
+  const { timeZone, formatDate } = useTimeZone();
   const [vitalSigns, setVitalSigns] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [filters, setFilters] = useState({
-    vital_sign_type_id: '',
-    start_date: '',
-    end_date: '',
-    per_page: 15,
-  });
+  // Filters, sort and page live in the query string so reloads, shared links and Back keep the view
+  const filters = useMemo(() => parseListQuery(urlFilters), [urlFilters]);
+  const isTable = filters.view === 'table';
+
+  // The table loads everything matching the filters and sort, whatever the page
+  const tableKey = JSON.stringify(toApiParams(filters, { page: 1, perPage: 1 }));
+  const tableQuery = useMemo(() => filters, [tableKey]);
+  const table = useIncrementalVitalSigns(tableQuery, { enabled: isTable });
   const [pagination, setPagination] = useState({
     current_page: 1,
     last_page: 1,
     per_page: 15,
     total: 0,
   });
+  const [selectedRecord, setSelectedRecord] = useState(null);
+  const [pendingDelete, setPendingDelete] = useState(null);
+  const deleteTimer = useRef(null);
+  const pendingDeleteRef = useRef(null);
+  const [selection, setSelection] = useState(EMPTY_SELECTION);
+  // Last reading ticked, where a shift-click range starts
+  const selectionAnchor = useRef(null);
+  const bulk = useBulkVitalSignsActions();
+  const exporter = useVitalSignsExport();
 
-  const fetchVitalSigns = async (page = 1) => {
+  const fetchVitalSigns = async () => {
     setLoading(true);
     try {
-      const queryParams = new URLSearchParams({
-        ...filters,
-        page: page.toString(),
-      });
-
-      // Remove empty values
-      for (const [key, value] of [...queryParams.entries()]) {
-        if (!value) {
-          queryParams.delete(key);
-        }
-      }
+      const queryParams = new URLSearchParams(toApiParams(filters));
 
       const response = await fetch(`/api/vital-signs?${queryParams.toString()}`, {
         headers: {
@@ -51,6 +108,13 @@ export default function VitalSignsIndex({ vitalSignTypes = [] }) {
       }
 
       const data = await response.json();
+
+      // A page past the end (after deletes, or from an old link) goes to the last page
+      if (data.meta && data.meta.total > 0 && filters.page > data.meta.last_page) {
+        visitQuery({ page: data.meta.last_page }, { replace: true });
+        return;
+      }
+
       setVitalSigns(data.data || []);
       setPagination(data.meta || {});
     } catch (error) {
@@ -61,12 +125,147 @@ export default function VitalSignsIndex({ vitalSignTypes = [] }) {
     }
   };
 
+  // Changes the view by visiting the same page with a new query string
+  const visitList = (query, options = {}) => {
+    router.get('/vital-signs', toQueryParams(query), {
+      preserveState: true,
+      preserveScroll: true,
+      only: ['filters'],
+      ...options,
+    });
+  };
+
+  const visitQuery = (changes, options = {}) => visitList(updateListQuery(filters, changes), options);
+
+  const refreshList = () => (isTable ? table.reload() : fetchVitalSigns());
+
   useEffect(() => {
-    fetchVitalSigns();
+    if (!isTable) fetchVitalSigns();
   }, [filters]);
 
+  // Show readings that just synced from the offline queue
+  useEffect(() => {
+    if (offlineQueue.lastSync?.synced > 0) {
+      refreshList();
+    }
+  }, [offlineQueue.lastSync]);
+
+  const commitDelete = async (record) => {
+    clearTimeout(deleteTimer.current);
+    pendingDeleteRef.current = null;
+    setPendingDelete(null);
+
+    try {
+      const response = await deleteRecordRequest(record);
+
+      if (!response.ok) {
+        throw new Error('Failed to delete vital signs record');
+      }
+    } catch (error) {
+      console.error('Error deleting vital signs record:', error);
+      refreshList();
+    }
+  };
+
+  // Hide the reading straight away and only delete it once the undo window has passed
+  const handleDelete = (record) => {
+    if (pendingDeleteRef.current) {
+      commitDelete(pendingDeleteRef.current);
+    }
+
+    setVitalSigns(prev => prev.filter(item => item.id !== record.id));
+    setPagination(prev => ({ ...prev, total: Math.max(0, prev.total - 1) }));
+    table.removeRecord(record);
+    // "All matching" selections shrink with the total on their own
+    setSelection(prev => (prev.all ? prev : deselectIds(prev, [record.id])));
+
+    pendingDeleteRef.current = record;
+    setPendingDelete(record);
+    deleteTimer.current = setTimeout(() => commitDelete(record), UNDO_DELAY);
+  };
+
+  const undoDelete = () => {
+    clearTimeout(deleteTimer.current);
+    pendingDeleteRef.current = null;
+    setPendingDelete(null);
+    refreshList();
+  };
+
+  // Don't lose a pending delete when leaving the page
+  useEffect(() => {
+    return () => {
+      clearTimeout(deleteTimer.current);
+      if (pendingDeleteRef.current) {
+        deleteRecordRequest(pendingDeleteRef.current, { keepalive: true });
+      }
+    };
+  }, []);
+
+  const handleRecordUpdated = (updated) => {
+    setVitalSigns(prev => prev.map(item => (item.id === updated.id ? { ...item, ...updated } : item)));
+    table.updateRecord(updated);
+  };
+
+  // A selection only makes sense for the filters it was made under; paging keeps it
+  useEffect(() => {
+    setSelection(EMPTY_SELECTION);
+    selectionAnchor.current = null;
+  }, [tableKey]);
+
+  const listTotal = isTable ? table.total : pagination.total;
+  const shownIds = (isTable ? table.records : vitalSigns).map(record => record.id);
+  const allShownSelected = shownIds.length > 0 && shownIds.every(id => isSelected(selection, id));
+
+  const handleToggleRecord = (record, shiftKey = false) => {
+    const anchor = selectionAnchor.current;
+    setSelection(prev => (shiftKey && anchor ? selectRange(prev, shownIds, anchor, record.id) : toggleSelected(prev, record.id)));
+    selectionAnchor.current = record.id;
+  };
+
+  const handleToggleAllShown = () => {
+    setSelection(prev => (allShownSelected ? deselectIds(prev, shownIds) : selectIds(prev, shownIds)));
+  };
+
+  const clearSelection = () => {
+    setSelection(EMPTY_SELECTION);
+    selectionAnchor.current = null;
+  };
+
+  const handleBulkDelete = async () => {
+    const result = await bulk.deleteSelection(toSelectionPayload(selection, filters));
+    if (result) {
+      clearSelection();
+      refreshList();
+    }
+  };
+
+  const handleBulkUpdate = async (changes) => {
+    const result = await bulk.updateSelection(toSelectionPayload(selection, filters), changes);
+    if (!result) return false;
+
+    refreshList();
+    return true;
+  };
+
+  const handleBulkExport = (format) => bulk.exportSelection(toSelectionPayload(selection, filters), format);
+
+  // Clicking the sorted column's header flips its direction
+  const handleTableSort = (sort) => {
+    visitQuery(sort === filters.sort ? { direction: filters.direction === 'asc' ? 'desc' : 'asc' } : { sort });
+  };
+
   const handleFilterChange = (key, value) => {
-    setFilters(prev => ({ ...prev, [key]: value }));
+    const changes = { [key]: value };
+
+    // Drop a context filter that doesn't apply to the newly selected type
+    if (key === 'vital_sign_type_id' && filters.context) {
+      const type = vitalSignTypes.find(item => item.id.toString() === value);
+      if (!getContextGroups(type)[parseContextFilter(filters.context)?.name]) {
+        changes.context = '';
+      }
+    }
+
+    visitQuery(changes);
   };
 
   const formatValue = (record) => {
@@ -76,15 +275,14 @@ export default function VitalSignsIndex({ vitalSignTypes = [] }) {
     return record.value_primary;
   };
 
-  const formatDate = (dateString) => {
-    return new Date(dateString).toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit',
-    });
-  };
+  // Values converted into the user's preferred unit for each type
+  const displayedVitalSigns = vitalSigns.map((record) => toDisplayReading(record));
+
+  const filteredType = vitalSignTypes.find(type => type.id.toString() === filters.vital_sign_type_id);
+
+  // Tags that can be filtered on for the selected type, or for any type
+  const contextGroups = getContextGroups(filteredType);
+
 
   const getMethodBadgeVariant = (method) => {
     switch (method) {
@@ -95,12 +293,12 @@ export default function VitalSignsIndex({ vitalSignTypes = [] }) {
     }
   };
 
-  const clearFilters = () => {
-    setFilters({
-      vital_sign_type_id: '',
-      start_date: '',
-      end_date: '',
-      per_page: 15,
+  const clearFilters = () => visitList(clearListFilters(filters));
+
+  // Everything matching the filters, whatever page or view is showing
+  const handleExport = (format) => {
+    exporter.exportReadings(filters, format, {
+      subtitle: describeFilters(filters, vitalSignTypes, timeZone),
     });
   };
 
@@ -118,6 +316,12 @@ export default function VitalSignsIndex({ vitalSignTypes = [] }) {
             </p>
           </div>
           <div className="flex gap-3">
+            <Link href="/vital-signs/import">
+              <Button variant="outline">
+                <Upload className="h-4 w-4 mr-2" />
+                Import
+              </Button>
+            </Link>
             <Link href="/vital-signs/trends">
               <Button variant="outline">
                 <TrendingUp className="h-4 w-4 mr-2" />
@@ -142,18 +346,18 @@ export default function VitalSignsIndex({ vitalSignTypes = [] }) {
             </CardTitle>
           </CardHeader>
           <CardContent>
-            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
               <div>
                 <label className="text-sm font-medium mb-2 block">Measurement Type</label>
                 <Select
-                  value={filters.vital_sign_type_id}
-                  onValueChange={(value) => handleFilterChange('vital_sign_type_id', value)}
+                  value={filters.vital_sign_type_id || ALL_TYPES}
+                  onValueChange={(value) => handleFilterChange('vital_sign_type_id', value === ALL_TYPES ? '' : value)}
                 >
                   <SelectTrigger>
                     <SelectValue placeholder="All types" />
                   </SelectTrigger>
                   <SelectContent>
-                    <SelectItem value="">All types</SelectItem>
+                    <SelectItem value={ALL_TYPES}>All types</SelectItem>
                     {vitalSignTypes.map((type) => (
                       <SelectItem key={type.id} value={type.id.toString()}>
                         {type.display_name}
@@ -182,25 +386,57 @@ export default function VitalSignsIndex({ vitalSignTypes = [] }) {
               </div>
 
               <div>
-                <label className="text-sm font-medium mb-2 block">Per Page</label>
-                <Select
-                  value={filters.per_page.toString()}
-                  onValueChange={(value) => handleFilterChange('per_page', parseInt(value))}
-                >
-                  <SelectTrigger>
-                    <SelectValue />
-                  </SelectTrigger>
-                  <SelectContent>
-                    <SelectItem value="10">10</SelectItem>
-                    <SelectItem value="15">15</SelectItem>
-                    <SelectItem value="25">25</SelectItem>
-                    <SelectItem value="50">50</SelectItem>
-                  </SelectContent>
-                </Select>
+                <label className="text-sm font-medium mb-2 block">Context</label>
+                <MeasurementContextFilter
+                  groups={contextGroups}
+                  value={filters.context}
+                  onChange={(value) => handleFilterChange('context', value)}
+                />
               </div>
+
+              {!isTable && (
+                <div>
+                  <label className="text-sm font-medium mb-2 block">Per Page</label>
+                  <Select
+                    value={filters.per_page.toString()}
+                    onValueChange={(value) => handleFilterChange('per_page', parseInt(value))}
+                  >
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {PER_PAGE_OPTIONS.map((option) => (
+                        <SelectItem key={option} value={option.toString()}>{option}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              )}
             </div>
 
-            <div className="flex justify-end mt-4">
+            <div className="flex flex-wrap items-center justify-between gap-2 mt-4">
+              <div className="flex flex-wrap items-center gap-2" role="group" aria-label="Export">
+                {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+                  <Button
+                    key={format}
+                    variant="outline"
+                    size="sm"
+                    onClick={() => handleExport(format)}
+                    disabled={Boolean(exporter.exporting) || listTotal === 0}
+                  >
+                    {exporter.exporting === format
+                      ? <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                      : <Download className="h-4 w-4 mr-2" />}
+                    Export {label}
+                  </Button>
+                ))}
+                {exporter.progress && (
+                  <span className="text-sm text-muted-foreground" aria-live="polite">
+                    Loading {exporter.progress.loaded} of {exporter.progress.total} readings...
+                  </span>
+                )}
+                {exporter.error && <span className="text-sm text-red-600">{exporter.error}</span>}
+              </div>
               <Button variant="outline" onClick={clearFilters}>
                 Clear Filters
               </Button>
@@ -211,18 +447,103 @@ export default function VitalSignsIndex({ vitalSignTypes = [] }) {
         {/* Records List */}
         <Card>
           <CardHeader>
-            <CardTitle className="flex items-center gap-2">
-              <Activity className="h-4 w-4" />
-              Your Measurements
-              {pagination.total > 0 && (
-                <Badge variant="secondary">
-                  {pagination.total} total
-                </Badge>
-              )}
-            </CardTitle>
+            <div className="flex items-center justify-between">
+              <CardTitle className="flex items-center gap-2">
+                <Activity className="h-4 w-4" />
+                Your Measurements
+                {listTotal > 0 && (
+                  <Badge variant="secondary">
+                    {listTotal} total
+                  </Badge>
+                )}
+              </CardTitle>
+              <div className="flex items-center gap-2">
+                {filteredType && <UnitPreferenceSelect type={filteredType} />}
+                <Select value={filters.sort} onValueChange={(value) => visitQuery({ sort: value })}>
+                  <SelectTrigger className="h-9 w-36" aria-label="Sort by">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.entries(SORT_OPTIONS).map(([value, label]) => (
+                      <SelectItem key={value} value={value}>
+                        Sort by {label.toLowerCase()}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => visitQuery({ direction: filters.direction === 'asc' ? 'desc' : 'asc' })}
+                  aria-label={filters.direction === 'asc' ? 'Sorted ascending, switch to descending' : 'Sorted descending, switch to ascending'}
+                >
+                  {filters.direction === 'asc' ? <ArrowUp className="h-4 w-4" /> : <ArrowDown className="h-4 w-4" />}
+                </Button>
+                <div className="flex rounded-md border" role="group" aria-label="View">
+                  {Object.entries(VIEW_OPTIONS).map(([view, label]) => (
+                    <Button
+                      key={view}
+                      variant={filters.view === view ? 'secondary' : 'ghost'}
+                      size="sm"
+                      onClick={() => visitQuery({ view })}
+                      aria-pressed={filters.view === view}
+                      aria-label={`${label} view`}
+                    >
+                      {view === 'table' ? <Table2 className="h-4 w-4" /> : <LayoutList className="h-4 w-4" />}
+                    </Button>
+                  ))}
+                </div>
+              </div>
+            </div>
           </CardHeader>
           <CardContent>
-            {loading ? (
+            {/* Readings recorded offline that haven't reached the server yet */}
+            {offlineQueue.pendingReadings.length > 0 && (
+              <div className="mb-4">
+                <PendingReadingsList
+                  pendingReadings={offlineQueue.pendingReadings}
+                  isOnline={offlineQueue.isOnline}
+                  isSyncing={offlineQueue.isSyncing}
+                  needsSignIn={offlineQueue.lastSync?.signedOut}
+                  onSync={offlineQueue.syncNow}
+                  onDiscard={offlineQueue.discardReading}
+                  onKeepBoth={offlineQueue.keepBoth}
+                  onRetry={offlineQueue.retryReading}
+                />
+              </div>
+            )}
+
+            <BulkActionsBar
+              count={selectedCount(selection, listTotal)}
+              total={listTotal}
+              allMatching={selection.all}
+              busy={bulk.busy}
+              error={bulk.error}
+              onSelectAllMatching={() => setSelection(selectAllMatching())}
+              onClear={clearSelection}
+              onDelete={handleBulkDelete}
+              onUpdate={handleBulkUpdate}
+              onExport={handleBulkExport}
+            />
+
+            {isTable ? (
+              <VitalSignsTable
+                key={tableKey}
+                records={table.records}
+                total={table.total}
+                loading={table.loading}
+                hasMore={table.hasMore}
+                onLoadMore={table.loadMore}
+                onOpenRecord={setSelectedRecord}
+                sort={filters.sort}
+                direction={filters.direction}
+                onSort={handleTableSort}
+                selection={selection}
+                allLoadedSelected={allShownSelected}
+                onToggleRecord={handleToggleRecord}
+                onToggleAllLoaded={handleToggleAllShown}
+              />
+            ) : loading ? (
               <div className="text-center py-8">
                 <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary mx-auto mb-4"></div>
                 <p className="text-muted-foreground">Loading your vital signs...</p>
@@ -232,7 +553,7 @@ export default function VitalSignsIndex({ vitalSignTypes = [] }) {
                 <Activity className="h-12 w-12 text-muted-foreground mx-auto mb-4" />
                 <div className="text-lg font-medium mb-2">No measurements found</div>
                 <p className="text-muted-foreground mb-4">
-                  {Object.values(filters).some(Boolean)
+                  {hasActiveFilters(filters)
                     ? "No measurements match your current filters. Try adjusting your search criteria."
                     : "You haven't recorded any vital signs yet. Start tracking your health today!"
                   }
@@ -243,12 +564,30 @@ export default function VitalSignsIndex({ vitalSignTypes = [] }) {
               </div>
             ) : (
               <div className="space-y-4">
-                {vitalSigns.map((record) => (
+                <label className="flex items-center gap-2 text-sm text-muted-foreground">
+                  <input
+                    type="checkbox"
+                    checked={allShownSelected}
+                    onChange={handleToggleAllShown}
+                    className="h-4 w-4"
+                  />
+                  Select all on this page
+                </label>
+                {displayedVitalSigns.map((record) => (
                   <div
                     key={record.id}
-                    className="border rounded-lg p-4 hover:shadow-md transition-shadow"
+                    className={`border rounded-lg p-4 hover:shadow-md transition-shadow ${
+                      isSelected(selection, record.id) ? 'border-indigo-300 bg-indigo-50/50' : ''
+                    }`}
                   >
-                    <div className="flex items-start justify-between">
+                    <div className="flex items-start justify-between gap-3">
+                      <input
+                        type="checkbox"
+                        checked={isSelected(selection, record.id)}
+                        onChange={(e) => handleToggleRecord(record, e.nativeEvent.shiftKey)}
+                        aria-label={`Select ${record.vital_sign_type?.display_name || 'reading'} from ${formatDate(record.measured_at)}`}
+                        className="mt-1 h-4 w-4"
+                      />
                       <div className="flex-1">
                         <div className="flex items-center gap-3 mb-2">
                           <h3 className="font-semibold">
@@ -284,6 +623,16 @@ export default function VitalSignsIndex({ vitalSignTypes = [] }) {
                           )}
                         </div>
 
+                        {formatContext(record.context).length > 0 && (
+                          <div className="mt-3 flex flex-wrap gap-1">
+                            {formatContext(record.context).map((label) => (
+                              <Badge key={label} variant="outline" className="text-xs">
+                                {label}
+                              </Badge>
+                            ))}
+                          </div>
+                        )}
+
                         {record.notes && (
                           <div className="mt-3 text-sm">
                             <span className="text-muted-foreground">Notes:</span>
@@ -300,7 +649,12 @@ export default function VitalSignsIndex({ vitalSignTypes = [] }) {
                       </div>
 
                       <div className="flex gap-2">
-                        <Button size="sm" variant="outline">
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          onClick={() => setSelectedRecord(vitalSigns.find(item => item.id === record.id))}
+                          aria-label="View details"
+                        >
                           <Eye className="h-4 w-4" />
                         </Button>
                       </div>
@@ -321,7 +675,7 @@ export default function VitalSignsIndex({ vitalSignTypes = [] }) {
                         variant="outline"
                         size="sm"
                         disabled={pagination.current_page === 1}
-                        onClick={() => fetchVitalSigns(pagination.current_page - 1)}
+                        onClick={() => visitQuery({ page: pagination.current_page - 1 })}
                       >
                         Previous
                       </Button>
@@ -329,7 +683,7 @@ export default function VitalSignsIndex({ vitalSignTypes = [] }) {
                         variant="outline"
                         size="sm"
                         disabled={pagination.current_page === pagination.last_page}
-                        onClick={() => fetchVitalSigns(pagination.current_page + 1)}
+                        onClick={() => visitQuery({ page: pagination.current_page + 1 })}
                       >
                         Next
                       </Button>
@@ -341,6 +695,28 @@ export default function VitalSignsIndex({ vitalSignTypes = [] }) {
           </CardContent>
         </Card>
       </div>
+
+      <VitalSignsRecordDrawer
+        record={selectedRecord}
+        open={selectedRecord !== null}
+        onOpenChange={(open) => !open && setSelectedRecord(null)}
+        vitalSignTypes={vitalSignTypes}
+        onUpdated={handleRecordUpdated}
+        onDelete={handleDelete}
+      />
+
+      {/* Undo bar for the last deleted reading */}
+      {pendingDelete && (
+        <div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-50 flex items-center gap-4 rounded-md border bg-background px-4 py-3 shadow-lg">
+          <span className="text-sm">
+            {pendingDelete.vital_sign_type?.display_name || 'Measurement'} deleted
+          </span>
+          <Button size="sm" variant="outline" onClick={undoDelete}>
+            <Undo2 className="h-4 w-4 mr-2" />
+            Undo
+          </Button>
+        </div>
+      )}
     </AppLayout>
   );
 }
\ No newline at end of file
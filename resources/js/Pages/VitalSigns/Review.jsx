@@ -0,0 +1,123 @@
+import { useState, useEffect } from 'react';
+import { Head, Link } from '@inertiajs/react';
+import AppLayout from '@/Layouts/AppLayout';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/Components/ui/card';
+import { Button } from '@/Components/ui/button';
+import { Badge } from '@/Components/ui/badge';
+import { CheckCircle, ShieldAlert } from 'lucide-react';
+import FlagReviewCard from '@/Components/FlagReviewCard';
+import useFlagReviews from '@/hooks/useFlagReviews';
+import { REVIEW_STATUSES } from '@/lib/flagReview';
+
+export default function VitalSignsReview() {
+  const [status, setStatus] = useState('unreviewed');
+  const [page, setPage] = useState(1);
+  const { records, meta, loading, reload, acknowledge } = useFlagReviews(status, page);
+
+  // Reviewing the last reading on a page brings in the next ones
+  useEffect(() => {
+    if (!loading && records.length === 0 && meta.total > 0) {
+      if (page > 1) setPage(page - 1);
+      else reload();
+    }
+  }, [records.length]);
+
+  const changeStatus = (value) => {
+    setStatus(value);
+    setPage(1);
+  };
+
+  return (
+    <AppLayout title="Review Flagged Readings">
+      <Head title="Review Flagged Readings" />
+
+      <div className="space-y-6">
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-3xl font-bold tracking-tight">Flagged Readings</h1>
+            <p className="text-muted-foreground">
+              Record what you did about each reading outside its normal range
+            </p>
+          </div>
+          <Link href="/vital-signs">
+            <Button variant="outline">All Measurements</Button>
+          </Link>
+        </div>
+
+        <Card>
+          <CardHeader>
+            <div className="flex flex-wrap items-center justify-between gap-3">
+              <div>
+                <CardTitle className="flex items-center gap-2">
+                  <ShieldAlert className="h-4 w-4" />
+                  Review Queue
+                  {meta.unreviewed_count > 0 && (
+                    <Badge variant="destructive">{meta.unreviewed_count} to review</Badge>
+                  )}
+                </CardTitle>
+                <CardDescription>
+                  Your clinician can see and add to these reviews once you have shared your data with them.
+                </CardDescription>
+              </div>
+              <div className="flex rounded-md border" role="group" aria-label="Show">
+                {Object.entries(REVIEW_STATUSES).map(([value, label]) => (
+                  <Button
+                    key={value}
+                    variant={status === value ? 'secondary' : 'ghost'}
+                    size="sm"
+                    onClick={() => changeStatus(value)}
+                    aria-pressed={status === value}
+                  >
+                    {label}
+                  </Button>
+                ))}
+              </div>
+            </div>
+          </CardHeader>
+          <CardContent>
+            {loading ? (
+              <div className="text-center py-8">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary mx-auto mb-4"></div>
+                <p className="text-muted-foreground">Loading flagged readings...</p>
+              </div>
+            ) : records.length === 0 ? (
+              <div className="text-center py-12">
+                <CheckCircle className="h-12 w-12 text-green-500 mx-auto mb-4" />
+                <div className="text-lg font-medium mb-2">
+                  {status === 'unreviewed' ? 'All caught up' : 'No flagged readings'}
+                </div>
+                <p className="text-muted-foreground">
+                  {status === 'unreviewed'
+                    ? 'Every flagged reading has been reviewed.'
+                    : 'Readings outside their normal range will show up here.'}
+                </p>
+              </div>
+            ) : (
+              <div className="space-y-4">
+                {records.map((record) => (
+                  <FlagReviewCard key={record.id} record={record} onAcknowledge={acknowledge} />
+                ))}
+
+                {meta.last_page > 1 && (
+                  <div className="flex items-center justify-between pt-2">
+                    <p className="text-sm text-muted-foreground">
+                      Page {meta.current_page} of {meta.last_page}
+                    </p>
+                    <div className="flex gap-2">
+                      <Button variant="outline" size="sm" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+                        Previous
+                      </Button>
+                      <Button variant="outline" size="sm" disabled={page >= meta.last_page} onClick={() => setPage(page + 1)}>
+                        Next
+                      </Button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </AppLayout>
+  );
+}
@@ -1,5 +1,5 @@
-import { useState, useEffect } from 'react';
-import { Head } from '@inertiajs/react';
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { Head, router } from '@inertiajs/react';
 import AppLayout from '@/Layouts/AppLayout';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/Components/ui/card';
 import { Button } from '@/Components/ui/button';
@@ -11,155 +11,70 @@ import {
   SelectValue,
 } from '@/Components/ui/select';
 import { TrendingUp, TrendingDown, Activity, Calendar, BarChart3 } from 'lucide-react';
+import UnitPreferenceSelect from '@/Components/UnitPreferenceSelect';
+import CalendarHeatmap from '@/Components/CalendarHeatmap';
+import ReadingsChart from '@/Components/ReadingsChart';
+import ChartStyleToggle from '@/Components/ChartStyleToggle';
+import SmoothingControls from '@/Components/SmoothingControls';
+import useUnitPreferences from '@/hooks/useUnitPreferences';
+import useTimeZone from '@/hooks/useTimeZone';
+import { convertReading } from '@/lib/units';
+import { isDualType } from '@/lib/dualSeries';
+import { parseDateTime } from '@/lib/dateTime';
+import { timeExtent } from '@/lib/chart';
+import { visibleWindow, withinDomain } from '@/lib/chartZoom';
+import { DEFAULT_SMOOTHING } from '@/lib/smoothing';
+import {
+  PERIOD_OPTIONS,
+  parseTrendsQuery,
+  toTrendsParams,
+  updateTrendsQuery,
+  getTrendsWindow,
+} from '@/lib/trendsQuery';
+
+export default function VitalSignsTrends({ vitalSignTypes = [], filters: urlFilters = {} }) {
+  const query = useMemo(() => parseTrendsQuery(urlFilters), [urlFilters]);
+  const { vital_sign_type_id: selectedType, period: selectedPeriod } = query;
+  const [trendsData, setTrendsData] = useState([]);
+  // Follows the pointer while zooming; the URL catches up once it settles
+  const [draftWindow, setDraftWindow] = useState(null);
+  const windowTimer = useRef(null);
+  const [loading, setLoading] = useState(false);
+  const [chartStyle, setChartStyle] = useState('lines');
+  const [smoothing, setSmoothing] = useState(DEFAULT_SMOOTHING);
+  const [showPatterns, setShowPatterns] = useState(true);
+  const { getPreferredUnit, toDisplayType } = useUnitPreferences();
+  const { formatDate, dateKey, timeZone } = useTimeZone();
+
+  // Changes the view by visiting the same page with a new query string
+  const visitQuery = (changes, options = {}) => {
+    router.get('/vital-signs/trends', toTrendsParams(updateTrendsQuery(query, changes)), {
+      preserveState: true,
+      preserveScroll: true,
+      only: ['filters'],
+      ...options,
+    });
+  };
 
-// Simple Line Chart Component
-function SimpleLineChart({ data, selectedType, height = 240 }) {
-  if (!data || data.length === 0) {
-    return (
-      <div className="flex items-center justify-center h-full text-muted-foreground">
-        No data to display
-      </div>
-    );
-  }
-
-  const width = 800;
-  const padding = 40;
-  const chartWidth = width - 2 * padding;
-  const chartHeight = height - 2 * padding;
-
-  // Prepare data points
-  const values = data.map(d => parseFloat(d.value_primary));
-  const dates = data.map(d => new Date(d.measured_at));
-
-  // Calculate scales
-  const minValue = Math.min(...values);
-  const maxValue = Math.max(...values);
-  const valueRange = maxValue - minValue || 1;
-
-  const minDate = Math.min(...dates.map(d => d.getTime()));
-  const maxDate = Math.max(...dates.map(d => d.getTime()));
-  const dateRange = maxDate - minDate || 1;
-
-  // Create path points
-  const points = data.map((d, i) => {
-    const x = padding + (chartWidth * (dates[i].getTime() - minDate)) / dateRange;
-    const y = padding + chartHeight - ((parseFloat(d.value_primary) - minValue) / valueRange) * chartHeight;
-    return { x, y, value: d.value_primary, date: dates[i], flagged: d.is_flagged };
-  });
-
-  // Create path string
-  const pathData = points.map((p, i) => `${i === 0 ? 'M' : 'L'} ${p.x} ${p.y}`).join(' ');
-
-  // Normal range lines (if available)
-  const normalMin = selectedType?.normal_range_min;
-  const normalMax = selectedType?.normal_range_max;
-  const normalMinY = normalMin ? padding + chartHeight - ((normalMin - minValue) / valueRange) * chartHeight : null;
-  const normalMaxY = normalMax ? padding + chartHeight - ((normalMax - minValue) / valueRange) * chartHeight : null;
-
-  return (
-    <div className="w-full h-full">
-      <svg width="100%" height={height} viewBox={`0 0 ${width} ${height}`} className="overflow-visible">
-        {/* Background grid */}
-        <defs>
-          <pattern id="grid" width="40" height="40" patternUnits="userSpaceOnUse">
-            <path d="M 40 0 L 0 0 0 40" fill="none" stroke="hsl(var(--muted))" strokeWidth="0.5" opacity="0.5"/>
-          </pattern>
-        </defs>
-        <rect width={chartWidth} height={chartHeight} x={padding} y={padding} fill="url(#grid)" />
-
-        {/* Normal range bands */}
-        {normalMinY !== null && normalMaxY !== null && (
-          <rect
-            x={padding}
-            y={normalMaxY}
-            width={chartWidth}
-            height={normalMinY - normalMaxY}
-            fill="hsl(var(--primary))"
-            opacity="0.1"
-          />
-        )}
+  const setSelectedType = (value) => visitQuery({ vital_sign_type_id: value });
+  const setSelectedPeriod = (value) => visitQuery({ period: value });
 
-        {/* Normal range lines */}
-        {normalMinY !== null && (
-          <line
-            x1={padding}
-            y1={normalMinY}
-            x2={padding + chartWidth}
-            y2={normalMinY}
-            stroke="hsl(var(--primary))"
-            strokeWidth="1"
-            strokeDasharray="4,4"
-            opacity="0.6"
-          />
-        )}
-        {normalMaxY !== null && (
-          <line
-            x1={padding}
-            y1={normalMaxY}
-            x2={padding + chartWidth}
-            y2={normalMaxY}
-            stroke="hsl(var(--primary))"
-            strokeWidth="1"
-            strokeDasharray="4,4"
-            opacity="0.6"
-          />
-        )}
+  // Zooming fires many times a second, so only the settled window is written,
+  // replacing the history entry rather than adding one per step
+  const setVisibleWindow = (domain) => {
+    setDraftWindow({ domain });
+    clearTimeout(windowTimer.current);
+    windowTimer.current = setTimeout(() => visitQuery({ window: domain }, { replace: true }), 300);
+  };
 
-        {/* Data line */}
-        <path
-          d={pathData}
-          fill="none"
-          stroke="hsl(var(--primary))"
-          strokeWidth="2"
-          strokeLinecap="round"
-          strokeLinejoin="round"
-        />
+  useEffect(() => () => clearTimeout(windowTimer.current), []);
 
-        {/* Data points */}
-        {points.map((point, i) => (
-          <g key={i}>
-            <circle
-              cx={point.x}
-              cy={point.y}
-              r={point.flagged ? "6" : "4"}
-              fill={point.flagged ? "hsl(var(--destructive))" : "hsl(var(--primary))"}
-              stroke="white"
-              strokeWidth="2"
-            />
-            {/* Tooltip on hover */}
-            <title>
-              {point.date.toLocaleDateString()}: {point.value} {data[0].unit}
-              {point.flagged ? ' (Flagged)' : ''}
-            </title>
-          </g>
-        ))}
-
-        {/* Y-axis labels */}
-        <text x={padding - 10} y={padding} fill="hsl(var(--muted-foreground))" fontSize="12" textAnchor="end" dominantBaseline="central">
-          {maxValue.toFixed(1)}
-        </text>
-        <text x={padding - 10} y={padding + chartHeight} fill="hsl(var(--muted-foreground))" fontSize="12" textAnchor="end" dominantBaseline="central">
-          {minValue.toFixed(1)}
-        </text>
-
-        {/* X-axis labels */}
-        <text x={padding} y={height - 10} fill="hsl(var(--muted-foreground))" fontSize="12" textAnchor="start">
-          {dates[0].toLocaleDateString()}
-        </text>
-        <text x={padding + chartWidth} y={height - 10} fill="hsl(var(--muted-foreground))" fontSize="12" textAnchor="end">
-          {dates[dates.length - 1].toLocaleDateString()}
-        </text>
-      </svg>
-    </div>
-  );
-}
+  // The URL has caught up (or was changed some other way, e.g. going back)
+  useEffect(() => {
+    setDraftWindow(null);
+  }, [query.from, query.to]);
 
-export default function VitalSignsTrends({ vitalSignTypes = [] }) {
-  const [selectedType, setSelectedType] = useState('');
-  const [selectedPeriod, setSelectedPeriod] = useState('30');
-  const [trendsData, setTrendsData] = useState([]);
-  const [loading, setLoading] = useState(false);
-  const [statistics, setStatistics] = useState(null);
+  const requestedWindow = draftWindow ? draftWindow.domain : getTrendsWindow(query);
 
   // Load data when type or period changes
   useEffect(() => {
@@ -174,8 +89,9 @@ export default function VitalSignsTrends({ vitalSignTypes = [] }) {
     setLoading(true);
     try {
       // Use the new trends API endpoint
-      const endDate = new Date().toISOString().split('T')[0];
-      const startDate = new Date(Date.now() - parseInt(selectedPeriod) * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+      // Calendar days in the user's timezone
+      const endDate = dateKey(new Date());
+      const startDate = dateKey(Date.now() - parseInt(selectedPeriod) * 24 * 60 * 60 * 1000);
 
       const response = await fetch(`/api/trends/${selectedType}?start_date=${startDate}&end_date=${endDate}&period=daily&group_by=day&include_averages=true`, {
         headers: {
@@ -200,7 +116,6 @@ export default function VitalSignsTrends({ vitalSignTypes = [] }) {
           is_flagged: point.is_flagged || false,
         }));
         setTrendsData(transformedData);
-        calculateStatistics(transformedData);
       } else {
         // Fallback to fetching raw vital signs data
         const fallbackResponse = await fetch(`/api/vital-signs?vital_sign_type_id=${selectedType}&start_date=${startDate}&end_date=${endDate}&per_page=100`, {
@@ -213,16 +128,13 @@ export default function VitalSignsTrends({ vitalSignTypes = [] }) {
         if (fallbackResponse.ok) {
           const fallbackData = await fallbackResponse.json();
           setTrendsData(fallbackData.data || []);
-          calculateStatistics(fallbackData.data || []);
         } else {
           setTrendsData([]);
-          setStatistics(null);
         }
       }
     } catch (error) {
       console.error('Error loading trends data:', error);
       setTrendsData([]);
-      setStatistics(null);
     } finally {
       setLoading(false);
     }
@@ -230,8 +142,7 @@ export default function VitalSignsTrends({ vitalSignTypes = [] }) {
 
   const calculateStatistics = (data) => {
     if (!data.length) {
-      setStatistics(null);
-      return;
+      return null;
     }
 
     const values = data.map(item => parseFloat(item.value_primary));
@@ -245,7 +156,7 @@ export default function VitalSignsTrends({ vitalSignTypes = [] }) {
     const trend = latest > previous ? 'up' : latest < previous ? 'down' : 'stable';
     const changePercent = previous !== 0 ? ((latest - previous) / previous) * 100 : 0;
 
-    setStatistics({
+    return {
       latest,
       average: parseFloat(average.toFixed(2)),
       min,
@@ -253,7 +164,7 @@ export default function VitalSignsTrends({ vitalSignTypes = [] }) {
       trend,
       changePercent: parseFloat(changePercent.toFixed(1)),
       count: data.length,
-    });
+    };
   };
 
   const formatValue = (record) => {
@@ -284,6 +195,24 @@ export default function VitalSignsTrends({ vitalSignTypes = [] }) {
 
   const selectedVitalType = vitalSignTypes.find(t => t.id.toString() === selectedType);
 
+  // Readings and ranges in the user's preferred unit
+  const displayType = toDisplayType(selectedVitalType);
+  const displayData = useMemo(() => {
+    const unit = getPreferredUnit(selectedVitalType);
+    return trendsData.map((record) => convertReading(record, unit));
+  }, [trendsData, selectedVitalType, getPreferredUnit]);
+
+  // The stats describe whatever the chart is zoomed in on, kept inside the
+  // readings the same way the chart keeps it
+  const timeOf = (record) => parseDateTime(record.measured_at, timeZone)?.getTime();
+  const shownWindow = visibleWindow(requestedWindow, timeExtent(displayData.map(timeOf)));
+  const visibleData = useMemo(
+    () => withinDomain(displayData, shownWindow, timeOf),
+    [displayData, shownWindow?.[0], shownWindow?.[1], timeZone]
+  );
+
+  const statistics = useMemo(() => calculateStatistics(visibleData), [visibleData]);
+
   return (
     <AppLayout title="Health Trends">
       <Head title="Health Trends" />
@@ -335,11 +264,9 @@ export default function VitalSignsTrends({ vitalSignTypes = [] }) {
                     <SelectValue />
                   </SelectTrigger>
                   <SelectContent>
-                    <SelectItem value="7">Last 7 days</SelectItem>
-                    <SelectItem value="30">Last 30 days</SelectItem>
-                    <SelectItem value="90">Last 3 months</SelectItem>
-                    <SelectItem value="180">Last 6 months</SelectItem>
-                    <SelectItem value="365">Last year</SelectItem>
+                    {Object.entries(PERIOD_OPTIONS).map(([days, label]) => (
+                      <SelectItem key={days} value={days}>{label}</SelectItem>
+                    ))}
                   </SelectContent>
                 </Select>
               </div>
@@ -347,6 +274,14 @@ export default function VitalSignsTrends({ vitalSignTypes = [] }) {
           </CardContent>
         </Card>
 
+        {/* Readings per day over the last year, for the chosen type */}
+        <CalendarHeatmap
+          vitalSignTypes={vitalSignTypes}
+          vitalSignTypeId={selectedType}
+          days={365}
+          description="How often you measured over the last year, with flagged days outlined in red"
+        />
+
         {selectedType && (
           <>
             {/* Statistics */}
@@ -390,7 +325,7 @@ export default function VitalSignsTrends({ vitalSignTypes = [] }) {
                     <div className="mt-2">
                       <div className="text-2xl font-bold">{statistics.average}</div>
                       <div className="text-xs text-muted-foreground">
-                        {selectedVitalType?.unit_primary}
+                        {displayType?.unit_primary}
                       </div>
                     </div>
                   </CardContent>
@@ -420,7 +355,7 @@ export default function VitalSignsTrends({ vitalSignTypes = [] }) {
                     <div className="mt-2">
                       <div className="text-2xl font-bold">{statistics.count}</div>
                       <div className="text-xs text-muted-foreground">
-                        Total measurements
+                        {shownWindow ? 'Measurements in view' : 'Total measurements'}
                       </div>
                     </div>
                   </CardContent>
@@ -431,24 +366,56 @@ export default function VitalSignsTrends({ vitalSignTypes = [] }) {
             {/* Chart Placeholder & Data */}
             <Card>
               <CardHeader>
-                <CardTitle>{getSelectedTypeName()} Trends</CardTitle>
-                <CardDescription>
-                  Your measurements over the selected time period
-                </CardDescription>
+                <div className="flex items-center justify-between">
+                  <div>
+                    <CardTitle>{getSelectedTypeName()} Trends</CardTitle>
+                    <CardDescription>
+                      Your measurements over the selected time period
+                    </CardDescription>
+                  </div>
+                  <div className="flex flex-wrap items-center gap-2">
+                    <SmoothingControls value={smoothing} onChange={setSmoothing} />
+                    <Button
+                      variant={showPatterns ? 'default' : 'outline'}
+                      size="sm"
+                      aria-pressed={showPatterns}
+                      title="Ring readings that are unusual for you and mark where your baseline shifted"
+                      onClick={() => setShowPatterns(!showPatterns)}
+                    >
+                      Patterns
+                    </Button>
+                    {isDualType(selectedVitalType) && (
+                      <ChartStyleToggle value={chartStyle} onChange={setChartStyle} />
+                    )}
+                    {selectedVitalType && <UnitPreferenceSelect type={selectedVitalType} />}
+                  </div>
+                </div>
               </CardHeader>
               <CardContent>
                 {loading ? (
                   <div className="flex items-center justify-center h-64">
                     <div className="text-muted-foreground">Loading trends data...</div>
                   </div>
-                ) : trendsData.length > 0 ? (
+                ) : displayData.length > 0 ? (
                   <div className="space-y-4">
-                    {/* Simple Line Chart */}
-                    <div className="h-64 border rounded-lg p-4 bg-card">
-                      <SimpleLineChart
-                        data={trendsData}
-                        selectedType={selectedVitalType}
+                    {/* Readings over the period */}
+                    <div className="border rounded-lg p-4 bg-card">
+                      <ReadingsChart
+                        readings={displayData}
+                        type={displayType}
+                        timeZone={timeZone}
                         height={240}
+                        chartStyle={chartStyle}
+                        showLegend
+                        color="hsl(var(--primary))"
+                        flaggedColor="hsl(var(--destructive))"
+                        bandColor="hsl(var(--primary))"
+                        bandOpacity={0.1}
+                        bandStroke="hsl(var(--primary))"
+                        visibleDomain={requestedWindow}
+                        onVisibleDomainChange={setVisibleWindow}
+                        smoothing={smoothing}
+                        showPatterns={showPatterns}
                       />
                     </div>
 
@@ -458,18 +425,18 @@ export default function VitalSignsTrends({ vitalSignTypes = [] }) {
                         <h3 className="font-medium">Recent Measurements</h3>
                       </div>
                       <div className="max-h-96 overflow-y-auto">
-                        {trendsData.slice(0, 20).map((record, index) => (
+                        {displayData.slice(0, 20).map((record, index) => (
                           <div key={index} className="flex items-center justify-between p-4 border-b last:border-b-0">
                             <div>
                               <div className="font-medium">
-                                {new Date(record.measured_at).toLocaleDateString()}
+                                {formatDate(record.measured_at, 'date')}
                               </div>
                               <div className="text-sm text-muted-foreground">
-                                {new Date(record.measured_at).toLocaleTimeString()}
+                                {formatDate(record.measured_at, 'time')}
                               </div>
                             </div>
                             <div className="text-right">
-                              <div className={`font-semibold ${getStatusColor(record.value_primary, selectedVitalType)}`}>
+                              <div className={`font-semibold ${getStatusColor(record.value_primary, displayType)}`}>
                                 {formatValue(record)}
                               </div>
                               {record.is_flagged && (
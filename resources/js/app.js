@@ -0,0 +1,4 @@
+import { mountReadingsCharts } from './mountReadingsCharts';
+
+// Blade and Livewire pages share the chart components with the React app
+mountReadingsCharts(document);
@@ -0,0 +1,75 @@
+import { useState, useCallback } from 'react';
+import { downloadFile } from '@/lib/download';
+
+const postJson = (url, body, accept = 'application/json') => fetch(url, {
+  method: 'POST',
+  headers: {
+    'Content-Type': 'application/json',
+    'Accept': accept,
+    'X-CSRF-TOKEN': document.querySelector('meta[name="csrf-token"]').content,
+  },
+  body: JSON.stringify(body),
+});
+
+// The filename from a Content-Disposition header, if the server sent one
+const filenameFrom = (response, fallback) => {
+  const match = /filename="?([^";]+)"?/.exec(response.headers.get('Content-Disposition') || '');
+  return match ? match[1] : fallback;
+};
+
+// Calls to the vital-signs-bulk-* endpoints for a selection payload (see lib/bulkSelection)
+export default function useBulkVitalSignsActions() {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const run = useCallback(async (url, body) => {
+    setBusy(true);
+    setError(null);
+
+    try {
+      const response = await postJson(url, body);
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.message || 'Bulk action failed');
+      }
+
+      return result.data;
+    } catch (err) {
+      console.error('Error running bulk action:', err);
+      setError(err.message);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  }, []);
+
+  const deleteSelection = useCallback((payload) => run('/api/vital-signs-bulk-delete', payload), [run]);
+
+  const updateSelection = useCallback((payload, changes) => run('/api/vital-signs-bulk-update', { ...payload, ...changes }), [run]);
+
+  const exportSelection = useCallback(async (payload, format = 'csv') => {
+    setBusy(true);
+    setError(null);
+
+    try {
+      const response = await postJson('/api/vital-signs-bulk-export', { ...payload, format }, format === 'csv' ? 'text/csv' : 'application/json');
+
+      if (!response.ok) {
+        throw new Error('Failed to export vital signs');
+      }
+
+      downloadFile(await response.blob(), filenameFrom(response, `vital-signs.${format}`));
+
+      return true;
+    } catch (err) {
+      console.error('Error exporting vital signs:', err);
+      setError(err.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }, []);
+
+  return { busy, error, deleteSelection, updateSelection, exportSelection };
+}
@@ -0,0 +1,34 @@
+import { useState, useEffect, useRef } from 'react';
+
+// The rendered size of an element, kept up to date as its container resizes
+export default function useElementSize() {
+  const ref = useRef(null);
+  const [size, setSize] = useState({ width: 0, height: 0 });
+
+  useEffect(() => {
+    const element = ref.current;
+    if (!element) return undefined;
+
+    const measure = () => {
+      const { width, height } = element.getBoundingClientRect();
+      setSize(current => (
+        current.width === Math.round(width) && current.height === Math.round(height)
+          ? current
+          : { width: Math.round(width), height: Math.round(height) }
+      ));
+    };
+
+    measure();
+
+    if (typeof ResizeObserver === 'undefined') {
+      window.addEventListener('resize', measure);
+      return () => window.removeEventListener('resize', measure);
+    }
+
+    const observer = new ResizeObserver(measure);
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, []);
+
+  return [ref, size];
+}
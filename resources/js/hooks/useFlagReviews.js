@@ -0,0 +1,75 @@
+import { useState, useEffect, useCallback } from 'react';
+import { router } from '@inertiajs/react';
+import { applyReview } from '@/lib/flagReview';
+
+const headers = () => ({
+  'Content-Type': 'application/json',
+  'Accept': 'application/json',
+  'X-CSRF-TOKEN': document.querySelector('meta[name="csrf-token"]').content,
+});
+
+// The user's flagged readings with one status, a page at a time, and acknowledging them
+export default function useFlagReviews(status = 'unreviewed', page = 1) {
+  const [records, setRecords] = useState([]);
+  const [meta, setMeta] = useState({ current_page: 1, last_page: 1, total: 0, unreviewed_count: 0 });
+  const [loading, setLoading] = useState(true);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+
+    try {
+      const params = new URLSearchParams({ status, page: String(page) });
+      const response = await fetch(`/api/flag-reviews?${params.toString()}`, { headers: headers() });
+
+      if (!response.ok) {
+        throw new Error('Failed to load flagged readings');
+      }
+
+      const data = await response.json();
+      setRecords(data.data || []);
+      setMeta(data.meta || {});
+    } catch (error) {
+      console.error('Error loading flagged readings:', error);
+      setRecords([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [status, page]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // Returns an error message, or null once the review is saved
+  const acknowledge = useCallback(async (record, outcome, notes = '') => {
+    try {
+      const response = await fetch(`/api/vital-signs/${record.id}/reviews`, {
+        method: 'POST',
+        headers: headers(),
+        body: JSON.stringify({ outcome, notes: notes.trim() || null }),
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        return result.message || 'Failed to save the review';
+      }
+
+      setRecords(prev => applyReview(prev, record.id, result.data, status));
+      setMeta(prev => ({
+        ...prev,
+        unreviewed_count: result.meta?.unreviewed_count ?? prev.unreviewed_count,
+        total: status === 'unreviewed' ? Math.max(0, (prev.total || 0) - 1) : prev.total,
+      }));
+
+      // Keep the count in the navigation in step
+      router.reload({ only: ['unreviewedFlagCount'] });
+
+      return null;
+    } catch (error) {
+      console.error('Error reviewing flagged reading:', error);
+      return 'Failed to save the review';
+    }
+  }, [status]);
+
+  return { records, meta, loading, reload: load, acknowledge };
+}
@@ -0,0 +1,100 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { toApiParams } from '@/lib/vitalSignsListQuery';
+
+// The API's largest page
+const CHUNK_SIZE = 100;
+
+// Readings matching the list query, fetched a chunk at a time as they are needed
+export default function useIncrementalVitalSigns(query, { enabled = true } = {}) {
+  const [records, setRecords] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [hasMore, setHasMore] = useState(false);
+
+  // Which query the chunks belong to, so late responses are dropped
+  const requestId = useRef(0);
+  const inFlight = useRef(false);
+
+  // Readings loaded or removed so far. Removing one moves every later reading up on
+  // the server, so the next chunk starts from how many are still loaded and any
+  // overlap with what is already here is skipped.
+  const seenIds = useRef(new Set());
+  const loadedCount = useRef(0);
+  const minPage = useRef(1);
+
+  const fetchChunk = useCallback(async (page, id, replace = false) => {
+    inFlight.current = true;
+    setLoading(true);
+
+    try {
+      const params = new URLSearchParams(toApiParams(query, { page, perPage: CHUNK_SIZE }));
+      const response = await fetch(`/api/vital-signs?${params.toString()}`, {
+        headers: {
+          'Accept': 'application/json',
+          'X-CSRF-TOKEN': document.querySelector('meta[name="csrf-token"]').content,
+        },
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to fetch vital signs');
+      }
+
+      const data = await response.json();
+      if (id !== requestId.current) return;
+
+      const meta = data.meta || {};
+      // Readings added since the first chunk shift the pages too, so skip any already seen
+      const fresh = (data.data || []).filter(item => !seenIds.current.has(item.id));
+      fresh.forEach(item => seenIds.current.add(item.id));
+      loadedCount.current += fresh.length;
+      // A chunk with nothing new is behind the loaded readings; don't ask for it again
+      if (fresh.length === 0) minPage.current = page + 1;
+
+      setRecords(prev => (replace ? fresh : [...prev, ...fresh]));
+      setTotal(meta.total ?? 0);
+      setHasMore((meta.current_page ?? page) < (meta.last_page ?? page));
+    } catch (error) {
+      console.error('Error fetching vital signs:', error);
+      if (id === requestId.current) setHasMore(false);
+    } finally {
+      if (id === requestId.current) {
+        inFlight.current = false;
+        setLoading(false);
+      }
+    }
+  }, [query]);
+
+  // Start over whenever the filters or sort change
+  const reload = useCallback(() => {
+    requestId.current += 1;
+    seenIds.current = new Set();
+    loadedCount.current = 0;
+    minPage.current = 1;
+    setHasMore(false);
+    fetchChunk(1, requestId.current, true);
+  }, [fetchChunk]);
+
+  useEffect(() => {
+    if (enabled) reload();
+  }, [enabled, reload]);
+
+  const loadMore = useCallback(() => {
+    if (!enabled || inFlight.current || !hasMore) return;
+    const page = Math.max(Math.floor(loadedCount.current / CHUNK_SIZE) + 1, minPage.current);
+    fetchChunk(page, requestId.current);
+  }, [enabled, hasMore, fetchChunk]);
+
+  // Local edits and deletes, without refetching everything that is loaded
+  const updateRecord = useCallback((updated) => {
+    setRecords(prev => prev.map(item => (item.id === updated.id ? { ...item, ...updated } : item)));
+  }, []);
+
+  const removeRecord = useCallback((record) => {
+    // Stays in seenIds, so it isn't loaded again while its delete is pending
+    setRecords(prev => prev.filter(item => item.id !== record.id));
+    setTotal(prev => Math.max(0, prev - 1));
+    loadedCount.current = Math.max(0, loadedCount.current - 1);
+  }, []);
+
+  return { records, total, loading, hasMore, loadMore, reload, updateRecord, removeRecord };
+}
@@ -0,0 +1,67 @@
+import { useState, useEffect, useCallback } from 'react';
+import { reminderKey } from '@/lib/measurementSchedule';
+
+const STORAGE_KEY = 'lyra.dismissedReminders';
+const POLL_INTERVAL = 5 * 60 * 1000;
+
+const readDismissed = () => {
+  try {
+    return JSON.parse(window.sessionStorage.getItem(STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+// Due and overdue readings from the user's measurement plan, checked every few minutes
+export default function useMeasurementReminders({ enabled = true } = {}) {
+  const [dueReadings, setDueReadings] = useState([]);
+  const [dismissed, setDismissed] = useState(readDismissed);
+
+  const refresh = useCallback(async () => {
+    try {
+      const response = await fetch('/api/measurement-schedules-due', {
+        headers: {
+          'Accept': 'application/json',
+          'X-CSRF-TOKEN': document.querySelector('meta[name="csrf-token"]').content,
+        },
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to fetch due readings');
+      }
+
+      const result = await response.json();
+      setDueReadings(result.data || []);
+    } catch (error) {
+      console.error('Error fetching due readings:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    refresh();
+
+    const interval = window.setInterval(refresh, POLL_INTERVAL);
+    const handleFocus = () => refresh();
+    window.addEventListener('focus', handleFocus);
+
+    return () => {
+      window.clearInterval(interval);
+      window.removeEventListener('focus', handleFocus);
+    };
+  }, [enabled, refresh]);
+
+  // Hidden for the rest of the session, or until another reading falls due
+  const dismiss = useCallback((status) => {
+    setDismissed((current) => {
+      const updated = [...current, reminderKey(status)];
+      window.sessionStorage.setItem(STORAGE_KEY, JSON.stringify(updated));
+      return updated;
+    });
+  }, []);
+
+  const reminders = dueReadings.filter((status) => status.remind && !dismissed.includes(reminderKey(status)));
+
+  return { dueReadings, reminders, refresh, dismiss };
+}
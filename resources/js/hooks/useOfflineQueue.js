@@ -0,0 +1,83 @@
+import { useState, useEffect, useCallback } from 'react';
+import { usePage } from '@inertiajs/react';
+import {
+  QUEUE_CHANGED_EVENT,
+  getPendingReadings,
+  queueReading,
+  removeQueuedReading,
+  keepConflictingReading,
+  retryQueuedReading,
+  syncPendingReadings,
+} from '@/lib/offlineQueue';
+
+// The signed-in user's readings waiting in the offline queue, kept in sync across components
+export default function useOfflineQueue() {
+  const { userId } = usePage().props;
+  const [pendingReadings, setPendingReadings] = useState([]);
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [lastSync, setLastSync] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      setPendingReadings(await getPendingReadings(userId));
+    } catch (error) {
+      console.error('Error reading offline queue:', error);
+    }
+  }, [userId]);
+
+  const syncNow = useCallback(async () => {
+    if (!navigator.onLine) return null;
+
+    setIsSyncing(true);
+    try {
+      const results = await syncPendingReadings(userId);
+      setLastSync(results);
+      return results;
+    } catch (error) {
+      console.error('Error syncing offline readings:', error);
+      return null;
+    } finally {
+      setIsSyncing(false);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      syncNow();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener(QUEUE_CHANGED_EVENT, refresh);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    // Pick up anything left over from an earlier visit
+    refresh().then(() => navigator.onLine && syncNow());
+
+    return () => {
+      window.removeEventListener(QUEUE_CHANGED_EVENT, refresh);
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [refresh, syncNow]);
+
+  return {
+    pendingReadings,
+    isOnline,
+    isSyncing,
+    lastSync,
+    queueReading: (payload, vitalSignType = null) => queueReading(userId, payload, vitalSignType),
+    syncNow,
+    discardReading: removeQueuedReading,
+    keepBoth: async (clientId) => {
+      await keepConflictingReading(clientId);
+      return syncNow();
+    },
+    retryReading: async (clientId, payload) => {
+      await retryQueuedReading(clientId, payload);
+      return syncNow();
+    },
+  };
+}
@@ -0,0 +1,59 @@
+import { useRef, useCallback } from 'react';
+import { checkReadingSequence, MAX_READING_AGE_DAYS } from '@/lib/vitalSignsValidation';
+import useUnitPreferences from '@/hooks/useUnitPreferences';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Recent readings of one type, covering the day before the oldest reading we check
+const fetchRecentReadings = async (typeId, days) => {
+  const response = await fetch(`/api/vital-signs-by-type/${typeId}?days=${days}`, {
+    headers: {
+      'Accept': 'application/json',
+      'X-CSRF-TOKEN': document.querySelector('meta[name="csrf-token"]').content,
+    },
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to fetch recent vital signs');
+  }
+
+  const result = await response.json();
+  return result.data || [];
+};
+
+// Warn about likely duplicates and implausible jumps before a reading is saved.
+// The check is advisory: when offline or the request fails it finds nothing.
+export default function useReadingSequenceCheck() {
+  const cache = useRef({});
+  const { getPreferredUnit } = useUnitPreferences();
+
+  const checkReading = useCallback(async (type, reading, { excludeId = null } = {}) => {
+    if (!type || !reading.measured_at || !navigator.onLine) return [];
+
+    const age = Math.max(0, (Date.now() - new Date(reading.measured_at).getTime()) / DAY);
+    const days = Math.min(Math.ceil(age) + 1, MAX_READING_AGE_DAYS + 1);
+
+    try {
+      const cached = cache.current[type.id];
+      let readings = cached?.days >= days ? cached.readings : null;
+
+      if (!readings) {
+        readings = await fetchRecentReadings(type.id, days);
+        cache.current[type.id] = { days, readings };
+      }
+
+      const others = excludeId ? readings.filter(other => other.id !== excludeId) : readings;
+      return checkReadingSequence(type, reading, others, { displayUnit: getPreferredUnit(type) });
+    } catch (error) {
+      console.error('Error checking recent vital signs:', error);
+      return [];
+    }
+  }, [getPreferredUnit]);
+
+  // Saved readings change what counts as a duplicate, so drop the cached type
+  const forgetType = useCallback((typeId) => {
+    delete cache.current[typeId];
+  }, []);
+
+  return { checkReading, forgetType };
+}
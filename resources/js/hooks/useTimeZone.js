@@ -0,0 +1,84 @@
+import { useState, useEffect, useCallback } from 'react';
+import { usePage } from '@inertiajs/react';
+import {
+  isValidTimeZone,
+  resolveTimeZone,
+  formatDateTime,
+  toDateTimeLocal,
+  toOffsetISOString,
+  parseDateTime,
+  toDateKey,
+} from '@/lib/dateTime';
+
+const CHANGE_EVENT = 'timezone-changed';
+
+const saveTimeZone = async (zone) => {
+  try {
+    const response = await fetch('/api/preferences', {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        'X-CSRF-TOKEN': document.querySelector('meta[name="csrf-token"]').content,
+      },
+      body: JSON.stringify({ timezone: zone }),
+    });
+
+    if (!response.ok) {
+      throw new Error('Failed to save timezone');
+    }
+  } catch (error) {
+    console.error('Error saving timezone:', error);
+  }
+};
+
+// Set once the browser's zone is being saved, so it is sent once per page load
+let detectedZoneSave = null;
+
+// The user's timezone (saved preference, else the browser's) and helpers bound to it
+export default function useTimeZone() {
+  const { timezone: sharedTimeZone } = usePage().props;
+
+  const [timeZone, setTimeZoneState] = useState(() => resolveTimeZone(sharedTimeZone));
+
+  // Keep every component on the page in sync when the preference changes
+  useEffect(() => {
+    const handleChange = (event) => setTimeZoneState(event.detail);
+    window.addEventListener(CHANGE_EVENT, handleChange);
+    return () => window.removeEventListener(CHANGE_EVENT, handleChange);
+  }, []);
+
+  // Without a saved zone the server falls back to its own (UTC) while dates
+  // here are in the browser's, so "today" could differ between the two.
+  // Saving the browser's zone puts both on the same days.
+  useEffect(() => {
+    if (isValidTimeZone(sharedTimeZone) || detectedZoneSave) return;
+    detectedZoneSave = saveTimeZone(resolveTimeZone());
+  }, [sharedTimeZone]);
+
+  const setTimeZone = useCallback(async (zone) => {
+    window.dispatchEvent(new CustomEvent(CHANGE_EVENT, { detail: resolveTimeZone(zone) }));
+    await saveTimeZone(zone);
+  }, []);
+
+  // Format a timestamp with one of the DATE_FORMATS presets
+  const formatDate = useCallback((value, format = 'dateTime') => {
+    return formatDateTime(value, timeZone, format);
+  }, [timeZone]);
+
+  // "YYYY-MM-DDTHH:mm" for datetime-local inputs; now when no value is given
+  const toInputValue = useCallback((value = new Date()) => {
+    return toDateTimeLocal(value, timeZone);
+  }, [timeZone]);
+
+  // Input value as ISO 8601 with the timezone's offset, for the API
+  const toApiValue = useCallback((value) => {
+    return toOffsetISOString(value, timeZone);
+  }, [timeZone]);
+
+  const parse = useCallback((value) => parseDateTime(value, timeZone), [timeZone]);
+
+  const dateKey = useCallback((value) => toDateKey(value, timeZone), [timeZone]);
+
+  return { timeZone, setTimeZone, formatDate, toInputValue, toApiValue, parse, dateKey };
+}
@@ -0,0 +1,75 @@
+import { useState, useEffect, useCallback } from 'react';
+import { usePage } from '@inertiajs/react';
+import { canConvert, convertReading, convertTypeRanges } from '@/lib/units';
+
+const STORAGE_KEY = 'lyra.unitPreferences';
+const CHANGE_EVENT = 'unit-preferences-changed';
+
+const readStoredPreferences = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+// Preferred display unit per VitalSignType name, e.g. { body_temperature: '°F' }
+export default function useUnitPreferences() {
+  const { unitPreferences: sharedPreferences } = usePage().props;
+
+  const [preferences, setPreferences] = useState(() => ({
+    ...readStoredPreferences(),
+    ...(sharedPreferences && !Array.isArray(sharedPreferences) ? sharedPreferences : {}),
+  }));
+
+  // Keep every component on the page in sync when one of them changes a unit
+  useEffect(() => {
+    const handleChange = (event) => setPreferences(event.detail);
+    window.addEventListener(CHANGE_EVENT, handleChange);
+    return () => window.removeEventListener(CHANGE_EVENT, handleChange);
+  }, []);
+
+  const getPreferredUnit = useCallback((type) => {
+    if (!type) return null;
+
+    const preferred = preferences[type.name];
+    return preferred && canConvert(type.unit_primary, preferred) ? preferred : type.unit_primary;
+  }, [preferences]);
+
+  const setPreferredUnit = useCallback(async (type, unit) => {
+    const updated = { ...preferences, [type.name]: unit };
+
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(updated));
+    window.dispatchEvent(new CustomEvent(CHANGE_EVENT, { detail: updated }));
+
+    try {
+      const response = await fetch('/api/preferences', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json',
+          'X-CSRF-TOKEN': document.querySelector('meta[name="csrf-token"]').content,
+        },
+        body: JSON.stringify({ unit_preferences: { [type.name]: unit } }),
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to save unit preference');
+      }
+    } catch (error) {
+      console.error('Error saving unit preference:', error);
+    }
+  }, [preferences]);
+
+  // Record converted into the preferred unit for its type
+  const toDisplayReading = useCallback((record, type = record?.vital_sign_type) => {
+    return convertReading(record, getPreferredUnit(type));
+  }, [getPreferredUnit]);
+
+  // Type with its ranges converted into the preferred unit
+  const toDisplayType = useCallback((type) => {
+    return convertTypeRanges(type, getPreferredUnit(type));
+  }, [getPreferredUnit]);
+
+  return { preferences, getPreferredUnit, setPreferredUnit, toDisplayReading, toDisplayType };
+}
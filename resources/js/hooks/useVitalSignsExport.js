@@ -0,0 +1,77 @@
+import { useState, useCallback } from 'react';
+import useUnitPreferences from '@/hooks/useUnitPreferences';
+import useTimeZone from '@/hooks/useTimeZone';
+import { toApiParams } from '@/lib/vitalSignsListQuery';
+import { EXPORT_FORMATS, buildExport, exportFilename } from '@/lib/vitalSignsExport';
+import { downloadFile } from '@/lib/download';
+
+// The API's largest page
+const PAGE_SIZE = 100;
+
+// Every reading matching the list filters, oldest first, in the user's units
+export default function useVitalSignsExport() {
+  const { toDisplayReading } = useUnitPreferences();
+  const { timeZone } = useTimeZone();
+  const [exporting, setExporting] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchAll = useCallback(async (filters) => {
+    const records = [];
+    let page = 1;
+    let lastPage = 1;
+
+    do {
+      const params = new URLSearchParams(toApiParams(
+        { ...filters, sort: 'measured_at', direction: 'asc' },
+        { page, perPage: PAGE_SIZE }
+      ));
+      const response = await fetch(`/api/vital-signs?${params.toString()}`, {
+        headers: {
+          'Accept': 'application/json',
+          'X-CSRF-TOKEN': document.querySelector('meta[name="csrf-token"]').content,
+        },
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to fetch vital signs');
+      }
+
+      const data = await response.json();
+      records.push(...(data.data || []));
+      lastPage = data.meta?.last_page ?? page;
+      setProgress({ loaded: records.length, total: data.meta?.total ?? records.length });
+      page += 1;
+    } while (page <= lastPage);
+
+    return records;
+  }, []);
+
+  const exportReadings = useCallback(async (filters, format = 'csv', { subtitle = '' } = {}) => {
+    setExporting(format);
+    setProgress(null);
+    setError(null);
+
+    try {
+      const records = (await fetchAll(filters)).map(record => toDisplayReading(record));
+      const content = buildExport(format, records, {
+        timeZone,
+        title: 'Vital signs',
+        subtitle,
+        meta: { exported_at: new Date().toISOString() },
+      });
+
+      downloadFile(content, exportFilename(format, timeZone), EXPORT_FORMATS[format].type);
+      return true;
+    } catch (err) {
+      console.error('Error exporting vital signs:', err);
+      setError('Export failed. Please try again.');
+      return false;
+    } finally {
+      setExporting(null);
+      setProgress(null);
+    }
+  }, [fetchAll, toDisplayReading, timeZone]);
+
+  return { exporting, progress, error, exportReadings };
+}
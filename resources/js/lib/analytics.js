@@ -0,0 +1,300 @@
+// Trend analysis over readings taken at irregular times. Readings are
+// { time, value } with time in ms; slopes are per day of elapsed time, not
+// per reading, so a gap in measuring doesn't bend the trend. Unusual
+// readings and shifts in baseline are judged against the user's own
+// history rather than the type's fixed ranges.
+
+export const DAY = 24 * 60 * 60 * 1000;
+
+// Prediction intervals cover this share of future readings
+export const PREDICTION_LEVEL = 0.95;
+
+// Fewer readings, or readings over less time, and a forecast is mostly guesswork
+export const MIN_FORECAST_READINGS = 5;
+export const MIN_FORECAST_SPAN_DAYS = 1;
+
+// Two-sided 95% points of Student's t by degrees of freedom
+const T_975 = [
+  [1, 12.706], [2, 4.303], [3, 3.182], [4, 2.776], [5, 2.571], [6, 2.447], [7, 2.365],
+  [8, 2.306], [9, 2.262], [10, 2.228], [12, 2.179], [15, 2.131], [20, 2.086],
+  [25, 2.060], [30, 2.042], [40, 2.021], [60, 2.000], [120, 1.980], [Infinity, 1.960],
+];
+
+/**
+ * The t multiplier for a 95% interval with `df` degrees of freedom,
+ * interpolated between table rows in 1 / df.
+ */
+export function tCritical(df) {
+  if (!(df >= 1)) return NaN;
+
+  const upper = T_975.findIndex(([rowDf]) => rowDf >= df);
+  const [highDf, highT] = T_975[upper];
+  if (highDf === df || upper === 0) return highT;
+
+  const [lowDf, lowT] = T_975[upper - 1];
+  const position = (1 / lowDf - 1 / df) / (1 / lowDf - 1 / highDf);
+  return lowT + (highT - lowT) * position;
+}
+
+/**
+ * Least-squares line through the readings against elapsed days. Returns
+ * null with fewer than three usable readings, or when they were all taken
+ * at the same moment. Besides the line, the model keeps what intervals
+ * and goodness of fit need: residual standard error, R², and the slope's
+ * standard error.
+ */
+export function timeRegression(points) {
+  const usable = points.filter(point => Number.isFinite(point.time) && Number.isFinite(point.value));
+  const n = usable.length;
+  if (n < 3) return null;
+
+  const origin = Math.min(...usable.map(point => point.time));
+  const xs = usable.map(point => (point.time - origin) / DAY);
+  const ys = usable.map(point => point.value);
+
+  const xMean = xs.reduce((sum, x) => sum + x, 0) / n;
+  const yMean = ys.reduce((sum, y) => sum + y, 0) / n;
+
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxx += (xs[i] - xMean) ** 2;
+    sxy += (xs[i] - xMean) * (ys[i] - yMean);
+    syy += (ys[i] - yMean) ** 2;
+  }
+
+  if (sxx === 0) return null;
+
+  const slope = sxy / sxx;
+  const intercept = yMean - slope * xMean;
+  const sse = ys.reduce((sum, y, i) => sum + (y - (intercept + slope * xs[i])) ** 2, 0);
+  const residualError = Math.sqrt(sse / (n - 2));
+
+  return {
+    n,
+    slope,
+    intercept,
+    origin,
+    xMean,
+    sxx,
+    residualError,
+    slopeError: residualError / Math.sqrt(sxx),
+    // A flat line through flat readings fits them perfectly
+    rSquared: syy === 0 ? 1 : Math.max(0, 1 - sse / syy),
+    firstTime: origin,
+    lastTime: Math.max(...usable.map(point => point.time)),
+    spanDays: Math.max(...xs),
+  };
+}
+
+export function predict(model, time) {
+  return model.intercept + model.slope * ((time - model.origin) / DAY);
+}
+
+/**
+ * The fitted value at `time` and the range a new reading then would fall
+ * in 95% of the time, which widens the further `time` is from the readings.
+ */
+export function predictionInterval(model, time) {
+  const x = (time - model.origin) / DAY;
+  const value = predict(model, time);
+  const spread = model.residualError * Math.sqrt(1 + 1 / model.n + (x - model.xMean) ** 2 / model.sxx);
+  const margin = tCritical(model.n - 2) * spread;
+
+  return { time, value, low: value - margin, high: value + margin };
+}
+
+/**
+ * Whether the readings are rising or falling, or whether the slope could
+ * as well be zero: only a slope whose 95% interval leaves out zero counts.
+ */
+export function trendDirection(model) {
+  if (!model || model.slope === 0) return 'stable';
+
+  const margin = tCritical(model.n - 2) * model.slopeError;
+  if (Math.abs(model.slope) <= margin) return 'stable';
+  return model.slope > 0 ? 'increasing' : 'decreasing';
+}
+
+export function canForecast(model) {
+  return Boolean(model) && model.n >= MIN_FORECAST_READINGS && model.spanDays >= MIN_FORECAST_SPAN_DAYS;
+}
+
+/**
+ * Points from the last reading to `days` after it, `steps` of them after
+ * the first, each with its prediction interval; null when there is too
+ * little to go on.
+ */
+export function forecast(model, { days = 7, steps = days } = {}) {
+  if (!canForecast(model)) return null;
+
+  return Array.from({ length: steps + 1 }, (_, index) => (
+    predictionInterval(model, model.lastTime + (days * DAY * index) / steps)
+  ));
+}
+
+// Robust z-scores beyond this mark a reading as unusual (Iglewicz and Hoaglin)
+export const ANOMALY_THRESHOLD = 3.5;
+
+// Readings a baseline needs before anything can stand out from it
+export const MIN_BASELINE_READINGS = 7;
+
+// Readings either side of a shift, so one odd reading can't be a baseline of its own
+export const MIN_SEGMENT_READINGS = 5;
+
+// How much a split must explain to count as a shift, in noise variances per log reading
+export const CHANGE_POINT_PENALTY = 3;
+
+// Scale a median absolute deviation, or failing that a mean one, to a standard deviation
+const MAD_SCALE = 1.4826;
+const MEAN_AD_SCALE = 1.2533;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const usableInOrder = (points) => points
+  .filter(point => Number.isFinite(point.time) && Number.isFinite(point.value))
+  .sort((a, b) => a.time - b.time);
+
+/**
+ * The median of the values and a standard deviation estimated from how far
+ * they lie from it, which a few wild values hardly move. When most values
+ * are the same the median deviation is zero, so the mean one stands in.
+ */
+export function robustSpread(values) {
+  const numbers = values.filter(value => Number.isFinite(value));
+  if (numbers.length === 0) return { median: NaN, spread: NaN };
+
+  const middle = median(numbers);
+  const deviations = numbers.map(value => Math.abs(value - middle));
+  const mad = median(deviations);
+  const spread = mad > 0
+    ? MAD_SCALE * mad
+    : MEAN_AD_SCALE * (deviations.reduce((sum, deviation) => sum + deviation, 0) / numbers.length);
+
+  return { median: middle, spread };
+}
+
+/**
+ * Times where the baseline shifted, found by binary segmentation: split
+ * the readings where two separate means explain them best, keep the split
+ * if it explains more than noise would, and look again on either side.
+ * Noise is judged from the differences between consecutive readings, which
+ * a shift barely touches, and outliers are set aside first so a single
+ * wild reading doesn't pass for a shift.
+ *
+ * Each change point has the `time` halfway between the last reading before
+ * it and the first after, the mean `before` and `after`, and the `change`.
+ */
+export function detectChangePoints(points, { penalty = CHANGE_POINT_PENALTY, minSegment = MIN_SEGMENT_READINGS } = {}) {
+  const usable = usableInOrder(points);
+  const n = usable.length;
+  if (n < minSegment * 2) return [];
+
+  // A reading out of line with those both before and after it takes their
+  // median; one at a shift still fits in with the readings on its own side
+  const valuesBetween = (start, end) => usable.slice(Math.max(0, start), Math.max(0, end)).map(point => point.value);
+  const standsOut = (value, others) => {
+    if (others.length === 0) return true;
+    const { median: middle, spread } = robustSpread(others);
+    return Math.abs(value - middle) > ANOMALY_THRESHOLD * spread;
+  };
+  const values = usable.map(({ value }, index) => {
+    const before = valuesBetween(index - minSegment, index);
+    const after = valuesBetween(index + 1, index + minSegment + 1);
+    return standsOut(value, before) && standsOut(value, after) ? median([...before, ...after]) : value;
+  });
+
+  const differences = values.slice(1).map((value, index) => value - values[index]);
+  const noise = robustSpread(differences).spread / Math.SQRT2;
+  const threshold = penalty * noise ** 2 * Math.log(n);
+
+  // Running sums make each segment's squared error a constant-time lookup
+  const sums = [0];
+  const squares = [0];
+  values.forEach((value, index) => {
+    sums.push(sums[index] + value);
+    squares.push(squares[index] + value ** 2);
+  });
+  const meanOf = (start, end) => (sums[end] - sums[start]) / (end - start);
+  const errorOf = (start, end) => squares[end] - squares[start] - (sums[end] - sums[start]) ** 2 / (end - start);
+
+  const splits = [];
+  const split = (start, end) => {
+    let best = null;
+    for (let at = start + minSegment; at <= end - minSegment; at++) {
+      const gain = errorOf(start, end) - errorOf(start, at) - errorOf(at, end);
+      if (!best || gain > best.gain) best = { at, gain };
+    }
+
+    if (!best || !(best.gain > threshold)) return;
+    splits.push(best.at);
+    split(start, best.at);
+    split(best.at, end);
+  };
+  split(0, n);
+
+  splits.sort((a, b) => a - b);
+  const bounds = [0, ...splits, n];
+
+  return splits.map((at, index) => {
+    const before = meanOf(bounds[index], at);
+    const after = meanOf(at, bounds[index + 2]);
+    return { time: (usable[at - 1].time + usable[at].time) / 2, before, after, change: after - before };
+  });
+}
+
+/**
+ * The readings between change points, each with its first and last time,
+ * its size, and its median and robust spread. The points keep whatever
+ * else they carried.
+ */
+export function baselineSegments(points, changePoints = []) {
+  const usable = usableInOrder(points);
+  const cuts = changePoints.map(changePoint => changePoint.time).sort((a, b) => a - b);
+  const groups = Array.from({ length: cuts.length + 1 }, () => []);
+
+  usable.forEach((point) => {
+    const index = cuts.findIndex(cut => point.time < cut);
+    groups[index === -1 ? cuts.length : index].push(point);
+  });
+
+  return groups.filter(group => group.length > 0).map(group => ({
+    start: group[0].time,
+    end: group[group.length - 1].time,
+    n: group.length,
+    ...robustSpread(group.map(point => point.value)),
+    points: group,
+  }));
+}
+
+/**
+ * Readings unusually far from the user's typical value: a robust z-score,
+ * the distance from the median in robust standard deviations, beyond
+ * `threshold`. With `changePoints` each reading is judged against the
+ * baseline it belongs to, so a lasting shift isn't a run of anomalies.
+ *
+ * Each anomaly has the original `point`, its `score`, the `baseline`
+ * median and `spread` it was judged against, from `n` readings, and a
+ * `direction` of 'high' or 'low'.
+ */
+export function detectAnomalies(points, { threshold = ANOMALY_THRESHOLD, changePoints = [] } = {}) {
+  return baselineSegments(points, changePoints).flatMap((segment) => {
+    if (segment.n < MIN_BASELINE_READINGS || !(segment.spread > 0)) return [];
+
+    return segment.points
+      .map(point => ({ point, score: (point.value - segment.median) / segment.spread }))
+      .filter(({ score }) => Math.abs(score) > threshold)
+      .map(anomaly => ({
+        ...anomaly,
+        baseline: segment.median,
+        spread: segment.spread,
+        n: segment.n,
+        direction: anomaly.score > 0 ? 'high' : 'low',
+      }));
+  });
+}
@@ -0,0 +1,90 @@
+// Selection of readings for bulk actions. Either a list of picked ids, or
+// "every reading matching the filters" minus the ones unticked afterwards, so
+// selecting thousands of readings never needs them all loaded.
+//
+//   { all: false, ids: ['a', 'b'], except: [] }
+//   { all: true, ids: [], except: ['c'] }
+
+export const EMPTY_SELECTION = { all: false, ids: [], except: [] };
+
+export function isSelected(selection, id) {
+  return selection.all ? !selection.except.includes(id) : selection.ids.includes(id);
+}
+
+export function selectedCount(selection, total = 0) {
+  return selection.all ? Math.max(total - selection.except.length, 0) : selection.ids.length;
+}
+
+export function hasSelection(selection, total = 0) {
+  return selectedCount(selection, total) > 0;
+}
+
+// Tick or untick one reading
+export function setSelected(selection, id, selected) {
+  const key = selection.all ? 'except' : 'ids';
+  // In "all" mode the list holds the unticked readings
+  const include = selection.all ? !selected : selected;
+  const current = selection[key].filter(item => item !== id);
+
+  return { ...selection, [key]: include ? [...current, id] : current };
+}
+
+export function toggleSelected(selection, id) {
+  return setSelected(selection, id, !isSelected(selection, id));
+}
+
+/**
+ * Shift-click: give every reading between the anchor (the last one clicked)
+ * and this one the same state as this one ends up with. `orderedIds` is the
+ * list as shown; without an anchor in it, only the clicked reading changes.
+ */
+export function selectRange(selection, orderedIds, anchorId, id) {
+  const selected = !isSelected(selection, id);
+  const from = orderedIds.indexOf(anchorId);
+  const to = orderedIds.indexOf(id);
+
+  if (from === -1 || to === -1) {
+    return setSelected(selection, id, selected);
+  }
+
+  const [start, end] = from < to ? [from, to] : [to, from];
+
+  return orderedIds
+    .slice(start, end + 1)
+    .reduce((next, rangeId) => setSelected(next, rangeId, selected), selection);
+}
+
+// Tick every reading that is shown, keeping any already ticked elsewhere
+export function selectIds(selection, ids) {
+  return ids.reduce((next, id) => setSelected(next, id, true), selection);
+}
+
+export function deselectIds(selection, ids) {
+  return ids.reduce((next, id) => setSelected(next, id, false), selection);
+}
+
+export function selectAllMatching() {
+  return { all: true, ids: [], except: [] };
+}
+
+/**
+ * The selection as the bulk endpoints expect it. "All" selections carry the
+ * list filters so the server picks the same readings the list shows.
+ */
+export function toSelectionPayload(selection, filters = {}) {
+  if (!selection.all) {
+    return { ids: selection.ids };
+  }
+
+  const payload = { all: true, except: selection.except, filters: {} };
+
+  ['vital_sign_type_id', 'start_date', 'end_date'].forEach((field) => {
+    if (filters[field]) payload.filters[field] = filters[field];
+  });
+
+  // "group:tag" from the context filter
+  const [name, tag] = (filters.context || '').split(':');
+  if (name && tag) payload.filters.context = { [name]: tag };
+
+  return payload;
+}
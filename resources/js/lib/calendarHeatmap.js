@@ -0,0 +1,129 @@
+// The readings heatmap as a calendar grid: one column per week and one row
+// per weekday, like a contribution graph. Days are "YYYY-MM-DD" keys in the
+// user's timezone, as the summary endpoint's `by_day` counts them.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Shades from "no readings" to "the most readings on any day"
+export const HEATMAP_LEVELS = 5;
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const toTime = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return Date.UTC(year, month - 1, day);
+};
+
+const toKey = (time) => new Date(time).toISOString().slice(0, 10);
+
+export function addDays(key, days) {
+  return toKey(toTime(key) + days * DAY_MS);
+}
+
+export function weekdayOf(key) {
+  return new Date(toTime(key)).getUTCDay();
+}
+
+/**
+ * Lay out the `days` days ending on `endDate` as weeks of seven cells. The
+ * first week is padded back to `weekStartsOn`; padding cells and days after
+ * `endDate` have `inRange: false`.
+ */
+export function buildCalendar(byDay = [], { endDate, days = 182, weekStartsOn = 0 } = {}) {
+  const start = addDays(endDate, -(days - 1));
+  const gridStart = addDays(start, -((weekdayOf(start) - weekStartsOn + 7) % 7));
+  const counts = new Map(byDay.map(day => [day.date, day]));
+
+  const weeks = [];
+  let max = 0;
+  const totals = { readings: 0, activeDays: 0, flaggedDays: 0 };
+
+  for (let cursor = gridStart; cursor <= endDate;) {
+    const week = [];
+
+    for (let i = 0; i < 7; i += 1) {
+      const inRange = cursor >= start && cursor <= endDate;
+      const entry = inRange ? counts.get(cursor) : null;
+      const count = entry?.count ?? 0;
+      const flagged = entry?.flagged ?? 0;
+
+      if (count > 0) {
+        max = Math.max(max, count);
+        totals.readings += count;
+        totals.activeDays += 1;
+      }
+      if (flagged > 0) totals.flaggedDays += 1;
+
+      week.push({ date: cursor, count, flagged, inRange });
+      cursor = addDays(cursor, 1);
+    }
+
+    weeks.push(week);
+  }
+
+  return { weeks, max, start, end: endDate, days, totals };
+}
+
+// 0 for no readings, then 1-4 relative to the busiest day
+export function intensityLevel(count, max) {
+  if (!count || count <= 0) return 0;
+
+  return Math.min(HEATMAP_LEVELS - 1, Math.ceil((count / Math.max(max, 1)) * (HEATMAP_LEVELS - 1)));
+}
+
+/**
+ * Month names over the weeks where a month starts, plus the first week.
+ * Labels closer than `minGap` weeks to the previous one are dropped so they
+ * don't overlap.
+ */
+export function monthLabels(weeks, { locale = undefined, minGap = 3 } = {}) {
+  const format = new Intl.DateTimeFormat(locale, { month: 'short', timeZone: 'UTC' });
+  const labels = [];
+
+  weeks.forEach((week, index) => {
+    const firstInRange = week.find(cell => cell.inRange);
+    if (!firstInRange) return;
+
+    const monthStart = week.find(cell => cell.inRange && cell.date.endsWith('-01'));
+    if (index > 0 && !monthStart) return;
+
+    const label = format.format(new Date(toTime((monthStart || firstInRange).date)));
+    const previous = labels[labels.length - 1];
+
+    if (previous && index - previous.index < minGap) {
+      // A month starting right after the first column takes its place
+      if (previous.index === 0) labels.pop();
+      else return;
+    }
+
+    labels.push({ index, label });
+  });
+
+  return labels;
+}
+
+// Days with readings in a row, counting back from `endDate` (or the day before, if nothing yet today)
+export function currentStreak(byDay = [], endDate) {
+  const active = new Set(byDay.filter(day => day.count > 0).map(day => day.date));
+  let cursor = active.has(endDate) ? endDate : addDays(endDate, -1);
+  let streak = 0;
+
+  while (active.has(cursor)) {
+    streak += 1;
+    cursor = addDays(cursor, -1);
+  }
+
+  return streak;
+}
+
+// Move keyboard focus around the grid; null when it would leave the shown range
+export function moveFocus(date, key, { start, end }) {
+  const offsets = { ArrowUp: -1, ArrowDown: 1, ArrowLeft: -7, ArrowRight: 7 };
+  let next = null;
+
+  if (key in offsets) next = addDays(date, offsets[key]);
+  if (key === 'Home') next = start;
+  if (key === 'End') next = end;
+
+  return next && next >= start && next <= end ? next : null;
+}
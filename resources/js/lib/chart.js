@@ -0,0 +1,262 @@
+// Scales, ticks and paths for the SVG charts. Everything here works in plain
+// numbers (timestamps in ms for time axes) so the chart components only have
+// to lay out what these return.
+import { formatDateTime, fromDateTimeLocal, toDateTimeLocal } from './dateTime.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+export const DEFAULT_MARGIN = { top: 12, right: 16, bottom: 28, left: 44 };
+
+// Room each axis label needs, used to decide how many ticks fit
+export const MIN_TICK_SPACING = { x: 80, y: 36 };
+
+// Tick steps of 1, 2, 2.5 or 5 times a power of ten
+export function niceStep(span, count = 5) {
+  if (!(span > 0) || !(count > 0)) return 1;
+
+  const raw = span / count;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+  const fraction = raw / magnitude;
+  const nice = fraction <= 1 ? 1 : fraction <= 2 ? 2 : fraction <= 2.5 ? 2.5 : fraction <= 5 ? 5 : 10;
+
+  return nice * magnitude;
+}
+
+// Round numbers a step or two apart
+const roundTo = (value, step) => {
+  const decimals = Math.max(0, -Math.floor(Math.log10(step)) + 1);
+  return parseFloat(value.toFixed(decimals));
+};
+
+/**
+ * Widen [min, max] out to round numbers and list the ticks between them,
+ * e.g. niceTicks(87, 143) is { min: 80, max: 160, step: 20, ticks: [80, 100, ..., 160] }.
+ */
+export function niceTicks(min, max, count = 5) {
+  if (min === max) {
+    const half = Math.abs(min) * 0.05 || 1;
+    min -= half;
+    max += half;
+  }
+
+  const step = niceStep(max - min, count);
+  const niceMin = roundTo(Math.floor(min / step) * step, step);
+  const niceMax = roundTo(Math.ceil(max / step) * step, step);
+  const ticks = [];
+
+  for (let value = niceMin; value <= niceMax + step / 2; value += step) {
+    ticks.push(roundTo(value, step));
+  }
+
+  return { min: niceMin, max: niceMax, step, ticks };
+}
+
+// Decimals that tell ticks `step` apart, so 2.5 steps don't print as 2 and 3
+export function tickPrecision(step) {
+  let decimals = 0;
+  while (decimals < 6 && Math.abs(Math.round(step * 10 ** decimals) - step * 10 ** decimals) > 1e-9) decimals += 1;
+  return decimals;
+}
+
+/**
+ * Map a domain onto a range, e.g. values onto pixels. The function also
+ * carries the domain and range and can invert a pixel back to a value.
+ */
+export function linearScale([d0, d1], [r0, r1]) {
+  const span = d1 - d0 || 1;
+  const scale = (value) => r0 + ((value - d0) / span) * (r1 - r0);
+
+  scale.invert = (pixel) => d0 + ((pixel - r0) / ((r1 - r0) || 1)) * span;
+  scale.domain = [d0, d1];
+  scale.range = [r0, r1];
+
+  return scale;
+}
+
+/**
+ * Lowest and highest of the values with some headroom, widened to take in
+ * anything in `include` (such as a normal range) that should stay visible.
+ */
+export function valueExtent(values, { padding = 0.1, include = [] } = {}) {
+  const numbers = values.filter(value => Number.isFinite(value));
+  if (numbers.length === 0) return null;
+
+  let min = Math.min(...numbers);
+  let max = Math.max(...numbers);
+  const headroom = (max - min) * padding;
+  min -= headroom;
+  max += headroom;
+
+  include.filter(value => Number.isFinite(value)).forEach((value) => {
+    min = Math.min(min, value);
+    max = Math.max(max, value);
+  });
+
+  return [min, max];
+}
+
+// First and last timestamps; a single reading gets half a day either side
+export function timeExtent(times) {
+  const numbers = times.filter(time => Number.isFinite(time));
+  if (numbers.length === 0) return null;
+
+  const start = Math.min(...numbers);
+  const end = Math.max(...numbers);
+
+  return start === end ? [start - DAY / 2, end + DAY / 2] : [start, end];
+}
+
+// Tick intervals on time axes, finest first
+export const TIME_INTERVALS = [
+  { unit: 'hour', step: 1, ms: HOUR },
+  { unit: 'hour', step: 3, ms: 3 * HOUR },
+  { unit: 'hour', step: 6, ms: 6 * HOUR },
+  { unit: 'hour', step: 12, ms: 12 * HOUR },
+  { unit: 'day', step: 1, ms: DAY },
+  { unit: 'day', step: 2, ms: 2 * DAY },
+  { unit: 'day', step: 7, ms: 7 * DAY },
+  { unit: 'day', step: 14, ms: 14 * DAY },
+  { unit: 'month', step: 1, ms: 30 * DAY },
+  { unit: 'month', step: 3, ms: 91 * DAY },
+  { unit: 'month', step: 6, ms: 182 * DAY },
+  { unit: 'year', step: 1, ms: 365 * DAY },
+];
+
+// Wall-clock fields of an instant in the timezone
+const wallFields = (time, timeZone) => {
+  const [date, clock] = toDateTimeLocal(new Date(time), timeZone).split('T');
+  const [year, month, day] = date.split('-').map(Number);
+  return { year, month, day, hour: Number(clock.slice(0, 2)) };
+};
+
+const pad = (number) => String(number).padStart(2, '0');
+
+const wallToTime = ({ year, month, day, hour = 0 }, timeZone) => {
+  // Let Date roll over months and years, then read the instant in the timezone
+  const rolled = new Date(Date.UTC(year, month - 1, day, hour));
+  const local = `${rolled.getUTCFullYear()}-${pad(rolled.getUTCMonth() + 1)}-${pad(rolled.getUTCDate())}T${pad(rolled.getUTCHours())}:00`;
+  return fromDateTimeLocal(local, timeZone).getTime();
+};
+
+// The tick on or before `time`, aligned to the interval in the timezone
+const floorToInterval = (time, { unit, step }, timeZone) => {
+  const wall = wallFields(time, timeZone);
+
+  if (unit === 'hour') return { ...wall, hour: Math.floor(wall.hour / step) * step };
+  if (unit === 'day') {
+    // Count days from a Monday so weekly ticks fall on Mondays and stay put as the range moves
+    const daysSinceMonday = Math.floor(Date.UTC(wall.year, wall.month - 1, wall.day) / DAY) - 4;
+    return { ...wall, day: wall.day - (((daysSinceMonday % step) + step) % step), hour: 0 };
+  }
+  if (unit === 'month') return { ...wall, month: wall.month - ((wall.month - 1) % step), day: 1, hour: 0 };
+  return { year: wall.year - (wall.year % step), month: 1, day: 1, hour: 0 };
+};
+
+const advance = (wall, { unit, step }) => {
+  if (unit === 'hour') return { ...wall, hour: wall.hour + step };
+  if (unit === 'day') return { ...wall, day: wall.day + step };
+  if (unit === 'month') return { ...wall, month: wall.month + step };
+  return { ...wall, year: wall.year + step };
+};
+
+// The coarsest interval that still gives about `count` ticks
+export function pickTimeInterval(start, end, count = 5) {
+  const span = Math.max(end - start, 1);
+  return TIME_INTERVALS.find(interval => span / interval.ms <= count) || TIME_INTERVALS[TIME_INTERVALS.length - 1];
+}
+
+/**
+ * Ticks at round times between start and end: on the hour, at midnight, on
+ * the first of the month and so on, in the user's timezone.
+ */
+export function timeTicks(start, end, count = 5, timeZone = 'UTC') {
+  const interval = pickTimeInterval(start, end, count);
+  const ticks = [];
+  let wall = floorToInterval(start, interval, timeZone);
+
+  for (let guard = 0; guard < 500; guard += 1) {
+    const time = wallToTime(wall, timeZone);
+    if (time > end) break;
+    if (time >= start && ticks[ticks.length - 1] !== time) ticks.push(time);
+    wall = advance(wall, interval);
+  }
+
+  return { ticks, interval };
+}
+
+const TICK_FORMATS = {
+  hour: 'time',
+  day: 'shortDate',
+  month: { month: 'short', year: 'numeric' },
+  year: { year: 'numeric' },
+};
+
+export function formatTimeTick(time, interval, timeZone, locale = undefined) {
+  return formatDateTime(new Date(time), timeZone, TICK_FORMATS[interval.unit], locale);
+}
+
+/**
+ * An SVG path through the points, with a gap wherever a point has no y
+ * value so missing readings don't get joined up.
+ */
+export function linePath(points) {
+  let path = '';
+  let drawing = false;
+
+  points.forEach(({ x, y }) => {
+    if (!Number.isFinite(x) || !Number.isFinite(y)) {
+      drawing = false;
+      return;
+    }
+
+    path += `${drawing ? ' L' : path ? ' M' : 'M'} ${+x.toFixed(2)},${+y.toFixed(2)}`;
+    drawing = true;
+  });
+
+  return path;
+}
+
+/**
+ * A closed SVG path for the area between two lines, such as an interval
+ * around a forecast: along the top from left to right and back along the
+ * bottom. Points missing any coordinate are left out.
+ */
+export function areaPath(points) {
+  const usable = points.filter(({ x, y0, y1 }) => [x, y0, y1].every(Number.isFinite));
+  if (usable.length < 2) return '';
+
+  const top = usable.map(({ x, y1 }) => ({ x, y: y1 }));
+  const bottom = usable.map(({ x, y0 }) => ({ x, y: y0 })).reverse();
+  return `${linePath(top)} ${linePath(bottom).replace(/^M/, 'L')} Z`;
+}
+
+// Index of the point closest to `x`, for points sorted by x
+export function nearestIndex(points, x) {
+  if (points.length === 0) return -1;
+
+  let low = 0;
+  let high = points.length - 1;
+
+  while (high - low > 1) {
+    const middle = Math.floor((low + high) / 2);
+    if (points[middle].x < x) low = middle;
+    else high = middle;
+  }
+
+  return Math.abs(points[low].x - x) <= Math.abs(points[high].x - x) ? low : high;
+}
+
+// Plot area inside the margins
+export function chartLayout(width, height, margin = DEFAULT_MARGIN) {
+  return {
+    margin,
+    innerWidth: Math.max(0, width - margin.left - margin.right),
+    innerHeight: Math.max(0, height - margin.top - margin.bottom),
+  };
+}
+
+// As many ticks as fit the length without labels running into each other
+export function tickCount(length, spacing) {
+  return Math.max(2, Math.min(10, Math.floor(length / spacing)));
+}
@@ -0,0 +1,117 @@
+// Zooming and panning a chart's time axis. A domain is [start, end] in ms;
+// `bounds` is the full range of the data, which the view never leaves, and
+// `minSpan` the narrowest window allowed.
+
+export const HOUR = 60 * 60 * 1000;
+
+export const DEFAULT_MIN_SPAN = 6 * HOUR;
+
+// Zoom factor per wheel notch: scrolling down zooms out, up zooms in
+export function wheelZoomFactor(deltaY, deltaMode = 0) {
+  // Lines and pages scroll much further per event than pixels
+  const pixels = deltaMode === 1 ? deltaY * 16 : deltaMode === 2 ? deltaY * 400 : deltaY;
+  return Math.exp(Math.max(-100, Math.min(100, pixels)) * 0.002);
+}
+
+/**
+ * Keep a domain inside the bounds and at least `minSpan` wide, sliding it
+ * back in rather than cutting it short where possible.
+ */
+export function clampDomain([start, end], bounds, minSpan = DEFAULT_MIN_SPAN) {
+  if (!bounds) return [start, end];
+
+  const [low, high] = bounds;
+  const fullSpan = high - low;
+  const span = Math.min(Math.max(end - start, Math.min(minSpan, fullSpan)), fullSpan);
+
+  let from = Math.max(low, Math.min(start, high - span));
+  if (end - start < span) from = Math.max(low, Math.min((start + end) / 2 - span / 2, high - span));
+
+  return [from, from + span];
+}
+
+/**
+ * Zoom by `factor` around `focus`, so the time under the cursor stays put.
+ * Factors below 1 zoom in.
+ */
+export function zoomDomain([start, end], factor, focus, { bounds = null, minSpan = DEFAULT_MIN_SPAN } = {}) {
+  const at = Number.isFinite(focus) ? Math.max(start, Math.min(end, focus)) : (start + end) / 2;
+  const ratio = (at - start) / ((end - start) || 1);
+  const span = Math.max((end - start) * factor, Math.min(minSpan, bounds ? bounds[1] - bounds[0] : minSpan));
+  const from = at - span * ratio;
+
+  return clampDomain([from, from + span], bounds, minSpan);
+}
+
+// Move the window by `delta` ms, stopping at the ends of the data
+export function panDomain([start, end], delta, { bounds = null, minSpan = DEFAULT_MIN_SPAN } = {}) {
+  if (!bounds) return [start + delta, end + delta];
+
+  const span = end - start;
+  const from = Math.max(bounds[0], Math.min(start + delta, bounds[1] - span));
+  return clampDomain([from, from + span], bounds, minSpan);
+}
+
+/**
+ * Drag one part of a brush selection by `delta` ms: the whole selection
+ * ('move') or one edge ('start' or 'end'). Edges can be dragged past each
+ * other, in which case they swap.
+ */
+export function dragBrush(mode, [start, end], delta, { bounds = null, minSpan = DEFAULT_MIN_SPAN } = {}) {
+  if (mode === 'move') return panDomain([start, end], delta, { bounds, minSpan });
+
+  const fixed = mode === 'start' ? end : start;
+  const dragged = mode === 'start' ? start + delta : end + delta;
+  const ordered = [Math.min(fixed, dragged), Math.max(fixed, dragged)];
+
+  // Grow away from the edge that stayed put when the selection gets too narrow,
+  // on the side the dragged edge is on
+  if (ordered[1] - ordered[0] < minSpan) {
+    const right = dragged > fixed || (dragged === fixed && mode === 'end');
+    return clampDomain(right ? [fixed, fixed + minSpan] : [fixed - minSpan, fixed], bounds, minSpan);
+  }
+
+  return clampDomain([
+    bounds ? Math.max(bounds[0], ordered[0]) : ordered[0],
+    bounds ? Math.min(bounds[1], ordered[1]) : ordered[1],
+  ], bounds, minSpan);
+}
+
+// Whether the window shows all of the data, so it needn't be kept
+export function isFullDomain(domain, bounds, tolerance = 60 * 1000) {
+  if (!domain || !bounds) return true;
+  return domain[0] <= bounds[0] + tolerance && domain[1] >= bounds[1] - tolerance;
+}
+
+// Items whose time falls inside the window
+export function withinDomain(items, domain, getTime) {
+  if (!domain) return items;
+  return items.filter((item) => {
+    const time = getTime(item);
+    return time >= domain[0] && time <= domain[1];
+  });
+}
+
+// Step a window for arrow and +/- keys; null for other keys
+export function keyboardDomain(domain, key, options = {}) {
+  const span = domain[1] - domain[0];
+
+  if (key === 'ArrowLeft') return panDomain(domain, -span * 0.1, options);
+  if (key === 'ArrowRight') return panDomain(domain, span * 0.1, options);
+  if (key === '+' || key === '=') return zoomDomain(domain, 0.8, null, options);
+  if (key === '-' || key === '_') return zoomDomain(domain, 1.25, null, options);
+  if (key === 'Home' && options.bounds) return panDomain(domain, options.bounds[0] - domain[0], options);
+  if (key === 'End' && options.bounds) return panDomain(domain, options.bounds[1] - domain[1], options);
+  return null;
+}
+
+/**
+ * The window to show for a requested one, such as one read from the URL:
+ * moved inside the data, or null when it takes in all of it.
+ */
+export function visibleWindow(domain, bounds, minSpan = DEFAULT_MIN_SPAN) {
+  if (!domain || !bounds) return null;
+
+  const clamped = clampDomain(domain, bounds, minSpan);
+  return isFullDomain(clamped, bounds) ? null : clamped;
+}
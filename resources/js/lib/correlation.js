@@ -0,0 +1,142 @@
+// Correlating two vital sign types. Readings of different types are rarely
+// taken at the same instant, so they are paired up by time first: each
+// reading of the first type with the nearest unused reading of the second
+// within a window. Readings here are { time, value } with time in ms.
+
+import { pearson, spearman } from './statistics.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// How far apart two readings can be and still count as taken together
+export const ALIGNMENT_WINDOWS = {
+  '15m': { label: '15 minutes', ms: 15 * MINUTE },
+  '1h': { label: '1 hour', ms: HOUR },
+  '6h': { label: '6 hours', ms: 6 * HOUR },
+  '1d': { label: '1 day', ms: 24 * HOUR },
+};
+
+export const DEFAULT_ALIGNMENT_WINDOW = '1h';
+
+// Fewer pairs than this and a coefficient says more about chance than the readings
+export const MIN_PAIRS = 5;
+
+// Lags tried either side of zero, each one alignment window long
+export const LAG_STEPS = 7;
+
+/**
+ * Pair readings of `a` with readings of `b` taken within `window` ms of
+ * them, closest pairs first so each reading is used at most once. A `lag`
+ * compares `a` at time t with `b` at t + lag. Pairs come back in time order.
+ */
+export function alignReadings(a, b, window, lag = 0) {
+  const others = b
+    .map((reading, index) => ({ reading, index, time: reading.time - lag }))
+    .filter(item => Number.isFinite(item.time) && Number.isFinite(item.reading.value))
+    .sort((x, y) => x.time - y.time);
+
+  const candidates = [];
+
+  a.forEach((reading, index) => {
+    if (!Number.isFinite(reading.time) || !Number.isFinite(reading.value)) return;
+
+    // First reading of b not before the window opens
+    let low = 0;
+    let high = others.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (others[middle].time < reading.time - window) low = middle + 1;
+      else high = middle;
+    }
+
+    for (let j = low; j < others.length && others[j].time <= reading.time + window; j++) {
+      candidates.push({ aIndex: index, bIndex: others[j].index, gap: Math.abs(others[j].time - reading.time) });
+    }
+  });
+
+  candidates.sort((x, y) => x.gap - y.gap || x.aIndex - y.aIndex);
+
+  const usedA = new Set();
+  const usedB = new Set();
+  const pairs = [];
+
+  candidates.forEach(({ aIndex, bIndex, gap }) => {
+    if (usedA.has(aIndex) || usedB.has(bIndex)) return;
+
+    usedA.add(aIndex);
+    usedB.add(bIndex);
+    pairs.push({ a: a[aIndex], b: b[bIndex], gap });
+  });
+
+  return pairs.sort((x, y) => x.a.time - y.a.time);
+}
+
+// Both coefficients for aligned pairs; null ones when there are too few
+export function correlate(pairs) {
+  const enough = pairs.length >= MIN_PAIRS;
+  const xs = pairs.map(pair => pair.a.value);
+  const ys = pairs.map(pair => pair.b.value);
+
+  return {
+    n: pairs.length,
+    pearson: enough ? pearson(xs, ys) : null,
+    spearman: enough ? spearman(xs, ys) : null,
+  };
+}
+
+/**
+ * Pearson's r with `b` shifted by whole windows either side of zero, to see
+ * whether one type follows the other: a peak at a positive lag means `b`
+ * moves that long after `a`.
+ */
+export function lagAnalysis(a, b, window, steps = LAG_STEPS) {
+  const results = [];
+
+  for (let step = -steps; step <= steps; step++) {
+    const lag = step * window;
+    const { n, pearson: r } = correlate(alignReadings(a, b, window, lag));
+    results.push({ lag, n, r });
+  }
+
+  return results;
+}
+
+// The lag with the strongest correlation either way, the shortest on a tie;
+// null if none could be measured
+export function strongestLag(results) {
+  let best = null;
+
+  results.forEach((result) => {
+    if (result.r === null) return;
+
+    const size = Math.abs(result.r);
+    const bestSize = best ? Math.abs(best.r) : -1;
+    if (size > bestSize || (size === bestSize && Math.abs(result.lag) < Math.abs(best.lag))) best = result;
+  });
+
+  return best;
+}
+
+/**
+ * Words for a coefficient, e.g. "moderate positive". The cut-offs are the
+ * usual rules of thumb (0.1, 0.3, 0.5), not a test of significance.
+ */
+export function describeCorrelation(r) {
+  if (r === null || !Number.isFinite(r)) return 'not enough data';
+
+  const size = Math.abs(r);
+  if (size < 0.1) return 'no clear';
+
+  const strength = size < 0.3 ? 'weak' : size < 0.5 ? 'moderate' : 'strong';
+  return `${strength} ${r > 0 ? 'positive' : 'negative'}`;
+}
+
+// "2 hours", "1 day" for a lag, without the sign
+export function formatLag(ms) {
+  const size = Math.abs(ms);
+  if (size === 0) return 'no delay';
+
+  const [unit, length] = size % (24 * HOUR) === 0 ? ['day', 24 * HOUR] : size % HOUR === 0 ? ['hour', HOUR] : ['minute', MINUTE];
+  const count = Math.round(size / length);
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+}
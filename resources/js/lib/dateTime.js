@@ -0,0 +1,158 @@
+// Timezone-aware date helpers. Readings are stored in UTC; forms work with
+// "YYYY-MM-DDTHH:mm" wall-clock values in the user's timezone and post them
+// with an explicit offset, and every page renders in that same timezone.
+
+const MINUTE = 60 * 1000;
+
+// Wall-clock values without a zone, as used by datetime-local inputs
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+// Named presets so every list, tooltip and axis formats dates the same way
+export const DATE_FORMATS = {
+  date: { year: 'numeric', month: 'short', day: 'numeric' },
+  dateTime: { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' },
+  shortDateTime: { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' },
+  shortDate: { month: 'short', day: 'numeric' },
+  time: { hour: '2-digit', minute: '2-digit' },
+};
+
+const pad = (number) => String(number).padStart(2, '0');
+
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// The preferred timezone when it is valid, otherwise the browser's
+export function resolveTimeZone(preferred = null) {
+  if (isValidTimeZone(preferred)) return preferred;
+
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+// Every IANA timezone the browser knows, for the preference select
+export function listTimeZones() {
+  if (typeof Intl.supportedValuesOf === 'function') {
+    return Intl.supportedValuesOf('timeZone');
+  }
+
+  return [resolveTimeZone()];
+}
+
+// Calendar fields of an instant as seen in a timezone
+const getWallParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+
+  const value = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+
+  return {
+    year: value('year'),
+    month: value('month'),
+    day: value('day'),
+    hour: value('hour'),
+    minute: value('minute'),
+    second: value('second'),
+  };
+};
+
+// Minutes the timezone is ahead of UTC at the given instant, e.g. -420 for UTC-7
+export function getTimeZoneOffset(date, timeZone) {
+  const wall = getWallParts(date, timeZone);
+  const asUtc = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second);
+
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / MINUTE);
+}
+
+export function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+}
+
+// An instant as a "YYYY-MM-DDTHH:mm" wall-clock value in the timezone
+export function toDateTimeLocal(value, timeZone) {
+  const date = parseDateTime(value, timeZone);
+  if (!date) return '';
+
+  const wall = getWallParts(date, resolveTimeZone(timeZone));
+  return `${wall.year}-${pad(wall.month)}-${pad(wall.day)}T${pad(wall.hour)}:${pad(wall.minute)}`;
+}
+
+// The calendar day of an instant in the timezone, as "YYYY-MM-DD"
+export function toDateKey(value, timeZone) {
+  return toDateTimeLocal(value, timeZone).slice(0, 10);
+}
+
+/**
+ * The instant a wall-clock value names in the timezone. Times that don't
+ * exist because of a daylight saving change are shifted by the change.
+ */
+export function fromDateTimeLocal(value, timeZone) {
+  const match = LOCAL_DATE_TIME.exec(value || '');
+  if (!match) return null;
+
+  const zone = resolveTimeZone(timeZone);
+  const [, year, month, day, hour = 0, minute = 0, second = 0] = match.map(part => (part === undefined ? undefined : parseInt(part, 10)));
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // The offset depends on the instant, so check it again once we have a first guess
+  const firstOffset = getTimeZoneOffset(new Date(asUtc), zone);
+  const secondOffset = getTimeZoneOffset(new Date(asUtc - firstOffset * MINUTE), zone);
+
+  if (firstOffset === secondOffset) return new Date(asUtc - firstOffset * MINUTE);
+
+  const retried = new Date(asUtc - secondOffset * MINUTE);
+  if (getTimeZoneOffset(retried, zone) === secondOffset) return retried;
+
+  // Neither offset fits, so the time falls in a gap; read it with the offset from before the change
+  return new Date(asUtc - Math.min(firstOffset, secondOffset) * MINUTE);
+}
+
+// Dates, ISO strings with a zone, or wall-clock strings read in the timezone
+export function parseDateTime(value, timeZone) {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+
+  if (typeof value === 'string' && LOCAL_DATE_TIME.test(value.trim())) {
+    return fromDateTimeLocal(value.trim(), timeZone);
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// ISO 8601 with the timezone's offset, e.g. "2025-09-27T08:30:00-07:00", for posting to the API
+export function toOffsetISOString(value, timeZone) {
+  const date = parseDateTime(value, timeZone);
+  if (!date) return null;
+
+  const zone = resolveTimeZone(timeZone);
+  const wall = getWallParts(date, zone);
+
+  return `${wall.year}-${pad(wall.month)}-${pad(wall.day)}T${pad(wall.hour)}:${pad(wall.minute)}:${pad(wall.second)}`
+    + formatOffset(getTimeZoneOffset(date, zone));
+}
+
+// Format in the user's locale and timezone with one of DATE_FORMATS or Intl options
+export function formatDateTime(value, timeZone, format = 'dateTime', locale = undefined) {
+  const date = parseDateTime(value, timeZone);
+  if (!date) return '';
+
+  const options = typeof format === 'string' ? DATE_FORMATS[format] : format;
+  return new Intl.DateTimeFormat(locale, { ...options, timeZone: resolveTimeZone(timeZone) }).format(date);
+}
@@ -0,0 +1,95 @@
+// Parsing and writing of CSV/TSV text, including data pasted from spreadsheets.
+
+const CANDIDATE_DELIMITERS = ['\t', ',', ';'];
+
+// Pick the delimiter that splits the first line into the most columns
+export function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/).find(line => line.trim() !== '') || '';
+
+  let best = ',';
+  let bestCount = 0;
+  CANDIDATE_DELIMITERS.forEach((delimiter) => {
+    const count = firstLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+
+  return best;
+}
+
+// RFC 4180 style parsing: quoted fields may contain delimiters, newlines and "" escapes
+export function parseDelimited(input, delimiter = detectDelimiter(input)) {
+  // Spreadsheets often save CSV with a byte order mark, which would end up in the first header
+  const text = input.charCodeAt(0) === 0xFEFF ? input.slice(1) : input;
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows
+    .map(cells => cells.map(cell => cell.trim()))
+    .filter(cells => cells.some(cell => cell !== ''));
+}
+
+const escapeField = (value, delimiter) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /["\r\n]/.test(text) || text.includes(delimiter)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+};
+
+export function toDelimited(rows, delimiter = ',') {
+  return rows
+    .map(cells => cells.map(cell => escapeField(cell, delimiter)).join(delimiter))
+    .join('\r\n');
+}
+
+// Offer text content as a file download
+export function downloadTextFile(content, filename, mimeType = 'text/csv') {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,64 @@
+// Charting types that record two values per reading, such as blood pressure.
+// The second value's normal range mirrors the diastolic check in
+// VitalSignsValidationService; types not listed here get generic names.
+
+export const DUAL_SERIES = {
+  blood_pressure: {
+    primary: 'Systolic',
+    secondary: 'Diastolic',
+    secondaryRange: { min: 60, max: 100 },
+  },
+};
+
+// How paired values are drawn: a line each, or a bar from one to the other per reading
+export const DUAL_CHART_STYLES = {
+  lines: 'Lines',
+  range: 'Range bars',
+};
+
+const toNumber = (value) => (value === null || value === undefined || value === '' ? NaN : parseFloat(value));
+
+export function isDualType(type) {
+  return Boolean(type?.has_secondary_value);
+}
+
+// Names for the two values, e.g. { primary: 'Systolic', secondary: 'Diastolic' }
+export function getSeriesLabels(type) {
+  const known = DUAL_SERIES[type?.name];
+  return {
+    primary: known?.primary || 'First value',
+    secondary: known?.secondary || 'Second value',
+  };
+}
+
+// Normal ranges for each value: the type's own range, and the second value's from DUAL_SERIES
+export function getSeriesRanges(type) {
+  const secondary = DUAL_SERIES[type?.name]?.secondaryRange;
+
+  return {
+    primary: { min: toNumber(type?.normal_range_min), max: toNumber(type?.normal_range_max) },
+    secondary: { min: toNumber(secondary?.min), max: toNumber(secondary?.max) },
+  };
+}
+
+// Whether any reading has a second value to draw
+export function hasSecondaryValues(readings = []) {
+  return readings.some(record => Number.isFinite(toNumber(record.value_secondary)));
+}
+
+export function readSecondary(record) {
+  return toNumber(record.value_secondary);
+}
+
+/**
+ * "Systolic 128 · Diastolic 84" for a tooltip; just the value for readings
+ * without a second one.
+ */
+export function describeDualValue(record, type) {
+  const labels = getSeriesLabels(type);
+  const secondary = readSecondary(record);
+
+  return Number.isFinite(secondary)
+    ? `${labels.primary} ${record.value_primary} · ${labels.secondary} ${record.value_secondary}`
+    : `${record.value_primary}`;
+}
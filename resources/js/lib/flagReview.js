@@ -0,0 +1,58 @@
+// Reviewing flagged readings, mirroring FlagReview::OUTCOMES on the server.
+// A flagged reading waits in the review queue until someone records what was
+// done about it; later reviews add to its history.
+
+export const REVIEW_OUTCOMES = {
+  remeasured: { label: 'Re-measured', className: 'bg-blue-100 text-blue-800' },
+  symptoms: { label: 'Noted symptoms', className: 'bg-yellow-100 text-yellow-800' },
+  contacted_provider: { label: 'Contacted provider', className: 'bg-purple-100 text-purple-800' },
+  no_action: { label: 'No action needed', className: 'bg-gray-100 text-gray-800' },
+};
+
+export const REVIEW_STATUSES = {
+  unreviewed: 'Needs review',
+  reviewed: 'Reviewed',
+  all: 'All flagged',
+};
+
+export const MAX_REVIEW_NOTES_LENGTH = 500;
+
+export function getOutcomeLabel(outcome) {
+  return REVIEW_OUTCOMES[outcome]?.label ?? outcome;
+}
+
+// A reading's reviews, oldest first as the API sends them
+export function getReviews(record) {
+  return record?.flag_reviews || [];
+}
+
+export function isReviewed(record) {
+  return getReviews(record).length > 0;
+}
+
+export function getLatestReview(record) {
+  const reviews = getReviews(record);
+  return reviews.length > 0 ? reviews[reviews.length - 1] : null;
+}
+
+// "Dr Patel (clinician)" for reviews by a clinician
+export function describeReviewer(review) {
+  const reviewer = review?.reviewer;
+  if (!reviewer) return 'Someone';
+
+  return reviewer.role === 'medical_professional' ? `${reviewer.name} (clinician)` : reviewer.name;
+}
+
+/**
+ * Put a new review on a reading, for showing it straight away. In the
+ * "needs review" list the reading is done with, so it is dropped instead.
+ */
+export function applyReview(records, recordId, review, status = 'unreviewed') {
+  if (status === 'unreviewed') {
+    return records.filter(record => record.id !== recordId);
+  }
+
+  return records.map(record => (
+    record.id === recordId ? { ...record, flag_reviews: [...getReviews(record), review] } : record
+  ));
+}
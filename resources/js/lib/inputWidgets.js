@@ -0,0 +1,188 @@
+// Entry widgets are chosen by VitalSignType.input_type; `input_options` carries
+// per-type settings. The value rules mirror VitalSignsValidationService::checkInputOptions.
+//
+//   single / text  numeric box                   { step }
+//   dual           "120/80" in one box           { separator }
+//   scale          slider with labelled points  { step, labels: { "0": "No pain" } }
+//   stepper        -/+ buttons around a number  { step }
+//   select         list of coded choices         { choices: [{ value, label }] }
+
+export const INPUT_TYPES = ['single', 'dual', 'text', 'scale', 'stepper', 'select'];
+
+const DEFAULT_STEPS = {
+  single: 0.01,
+  text: 0.01,
+  dual: 1,
+  scale: 1,
+  stepper: 1,
+};
+
+// Scales with more points than this only show the slider
+export const MAX_SCALE_BUTTONS = 11;
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+const toNumber = (value) => (isBlank(value) ? null : parseFloat(value));
+
+// Count the decimals of a step so stepped values don't pick up float noise
+const decimalsOf = (step) => {
+  const [, decimals = ''] = String(step).split('.');
+  return decimals.length;
+};
+
+const roundToStep = (value, step, base = 0) => {
+  const decimals = decimalsOf(step);
+  const stepped = base + Math.round((value - base) / step) * step;
+  return parseFloat(stepped.toFixed(decimals));
+};
+
+export function getInputType(type) {
+  return INPUT_TYPES.includes(type?.input_type) ? type.input_type : 'single';
+}
+
+export function getInputOptions(type) {
+  const options = type?.input_options;
+  return options && typeof options === 'object' && !Array.isArray(options) ? options : {};
+}
+
+export function getStep(type) {
+  const step = toNumber(getInputOptions(type).step);
+  return step && step > 0 ? step : DEFAULT_STEPS[getInputType(type)] ?? 1;
+}
+
+// The type's min and max as numbers, null when open-ended
+export function getBounds(type) {
+  return {
+    min: toNumber(type?.min_value),
+    max: toNumber(type?.max_value),
+  };
+}
+
+/**
+ * The choices a select or scale offers, as [{ value, label }]. Scales list
+ * every step between the type's min and max, labelled where a label is set.
+ */
+export function getChoices(type) {
+  const inputType = getInputType(type);
+  const options = getInputOptions(type);
+
+  if (inputType === 'select') {
+    return (options.choices || [])
+      .filter(choice => !isBlank(choice?.value))
+      .map(choice => ({ value: parseFloat(choice.value), label: choice.label ?? String(choice.value) }));
+  }
+
+  if (inputType === 'scale') {
+    const { min, max } = getBounds(type);
+    if (min === null || max === null || max < min) return [];
+
+    const step = getStep(type);
+    const labels = options.labels || {};
+    const choices = [];
+
+    for (let value = min; value <= max + step / 2; value = roundToStep(value + step, step, min)) {
+      choices.push({ value, label: labels[String(value)] ?? null });
+    }
+
+    return choices;
+  }
+
+  return [];
+}
+
+// The label of a coded value, e.g. "Moderate" for 2 on a swelling select
+export function getChoiceLabel(type, value) {
+  const number = toNumber(value);
+  if (number === null) return null;
+
+  const choice = getChoices(type).find(option => option.value === number);
+  return choice?.label ?? null;
+}
+
+/**
+ * Read a combined "120/80" entry. Slashes, spaces and "over" all separate the
+ * two numbers; a lone number fills in the first value only.
+ */
+export function parseDualValue(text) {
+  const match = /^\s*(\d+(?:[.,]\d+)?)?\s*(?:(?:\/|\\|\s+over\s+|\s+)\s*(\d+(?:[.,]\d+)?)?)?\s*$/i.exec(text || '');
+
+  if (!match) {
+    return { value_primary: null, value_secondary: null, valid: false };
+  }
+
+  const normalize = (part) => (part === undefined ? '' : part.replace(',', '.'));
+
+  return {
+    value_primary: normalize(match[1]),
+    value_secondary: normalize(match[2]),
+    valid: true,
+  };
+}
+
+export function formatDualValue(primary, secondary, separator = '/') {
+  if (isBlank(primary) && isBlank(secondary)) return '';
+  if (isBlank(secondary)) return String(primary);
+  return `${isBlank(primary) ? '' : primary}${separator}${secondary}`;
+}
+
+/**
+ * Move a value a number of steps up or down, snapped to the step grid and
+ * kept within the type's bounds. Blank values start from the bottom of the
+ * normal range (or the min) so the first press lands on something sensible;
+ * off-grid values move to the next grid point in the direction pressed.
+ */
+export function stepValue(type, value, steps = 1) {
+  const step = getStep(type);
+  const { min, max } = getBounds(type);
+  const current = toNumber(value);
+  const start = current ?? toNumber(type?.normal_range_min) ?? min ?? 0;
+
+  const base = min ?? 0;
+  let next = start;
+
+  if (current !== null) {
+    const onGrid = roundToStep(current, step, base);
+    // An off-grid value moves to the nearest grid point in that direction first
+    const offset = (current - base) / step;
+    const snapped = Math.abs(onGrid - current) < 1e-9
+      ? current
+      : base + (steps > 0 ? Math.floor(offset) : Math.ceil(offset)) * step;
+
+    next = roundToStep(snapped + steps * step, step, base);
+  }
+
+  if (min !== null) next = Math.max(next, min);
+  if (max !== null) next = Math.min(next, max);
+
+  return parseFloat(next.toFixed(decimalsOf(step)));
+}
+
+/**
+ * Check a value against the widget's own rules: one of the listed choices for
+ * selects, on the step grid for scales and steppers. Returns a message or null.
+ */
+export function checkInputConstraints(type, value) {
+  const number = toNumber(value);
+  if (number === null || isNaN(number)) return null;
+
+  const inputType = getInputType(type);
+
+  if (inputType === 'select') {
+    const choices = getChoices(type);
+    if (choices.length > 0 && !choices.some(choice => choice.value === number)) {
+      return 'Please choose one of the listed options';
+    }
+    return null;
+  }
+
+  if (inputType === 'scale' || inputType === 'stepper') {
+    const step = getStep(type);
+    const base = getBounds(type).min ?? 0;
+
+    if (Math.abs(roundToStep(number, step, base) - number) > 1e-9) {
+      return `Value must be in steps of ${step}`;
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,152 @@
+// Context tag groups, mirroring MeasurementContextService on the server.
+// `types` lists the VitalSignType names a group applies to; null means all.
+export const CONTEXT_GROUPS = {
+  posture: {
+    label: 'Posture',
+    multiple: false,
+    types: ['blood_pressure', 'heart_rate'],
+    options: {
+      sitting: 'Sitting',
+      standing: 'Standing',
+      lying: 'Lying down',
+    },
+  },
+  limb: {
+    label: 'Arm',
+    multiple: false,
+    types: ['blood_pressure'],
+    options: {
+      left_arm: 'Left arm',
+      right_arm: 'Right arm',
+    },
+  },
+  meal: {
+    label: 'Meal',
+    multiple: false,
+    types: ['blood_glucose', 'weight'],
+    options: {
+      fasting: 'Fasting',
+      before_meal: 'Before meal',
+      after_meal: 'After meal',
+    },
+  },
+  activity: {
+    label: 'Activity',
+    multiple: false,
+    types: ['blood_pressure', 'heart_rate', 'oxygen_saturation', 'body_temperature', 'blood_glucose'],
+    options: {
+      resting: 'Resting',
+      after_exercise: 'After exercise',
+      after_waking: 'Just woke up',
+    },
+  },
+  symptoms: {
+    label: 'Symptoms',
+    multiple: true,
+    types: null,
+    options: {
+      dizziness: 'Dizziness',
+      headache: 'Headache',
+      palpitations: 'Palpitations',
+      shortness_of_breath: 'Shortness of breath',
+      fever_chills: 'Fever or chills',
+      fatigue: 'Fatigue',
+    },
+  },
+};
+
+// Tag value for readings without a tag in a group, used when splitting series
+export const UNTAGGED = 'untagged';
+
+const appliesTo = (group, type) => !group.types || (type && group.types.includes(type.name));
+
+// Groups for one type, or every group when no type is given
+export function getContextGroups(type = null) {
+  return Object.fromEntries(
+    Object.entries(CONTEXT_GROUPS).filter(([, group]) => !type || appliesTo(group, type))
+  );
+}
+
+// Groups that apply to at least one of the given types
+export function getContextGroupsForTypes(types = []) {
+  return Object.fromEntries(
+    Object.entries(CONTEXT_GROUPS).filter(([, group]) => types.some(type => appliesTo(group, type)))
+  );
+}
+
+// Keep only the tags that apply to the type, dropping empty groups; null when nothing is left
+export function pickContext(type, context) {
+  if (!context) return null;
+
+  const picked = {};
+
+  Object.entries(getContextGroups(type)).forEach(([name, group]) => {
+    const value = context[name];
+
+    if (group.multiple && Array.isArray(value)) {
+      const values = value.filter(tag => group.options[tag]);
+      if (values.length > 0) picked[name] = values;
+    } else if (!group.multiple && group.options[value]) {
+      picked[name] = value;
+    }
+  });
+
+  return Object.keys(picked).length > 0 ? picked : null;
+}
+
+// Human-readable labels for a reading's tags, e.g. ['Sitting', 'Left arm', 'Headache']
+export function formatContext(context) {
+  if (!context) return [];
+
+  return Object.entries(CONTEXT_GROUPS).flatMap(([name, group]) => {
+    const value = context[name];
+    const tags = Array.isArray(value) ? value : value ? [value] : [];
+    return tags.filter(tag => group.options[tag]).map(tag => group.options[tag]);
+  });
+}
+
+// Whether a reading has the tag `value` in group `name`
+export function hasContextTag(record, name, value) {
+  const tags = record.context?.[name];
+  return Array.isArray(tags) ? tags.includes(value) : tags === value;
+}
+
+// Filters are written as "group:tag", e.g. "posture:sitting"
+export function parseContextFilter(filter) {
+  if (!filter) return null;
+
+  const [name, value] = filter.split(':');
+  return CONTEXT_GROUPS[name]?.options[value] ? { name, value } : null;
+}
+
+export function matchesContextFilter(record, filter) {
+  const parsed = parseContextFilter(filter);
+  return !parsed || hasContextTag(record, parsed.name, parsed.value);
+}
+
+/**
+ * Split readings into one series per tag of a single-tag group (multi-tag
+ * groups put a reading in every series it is tagged with). Returns
+ * [{ key, label, records }] in option order, with untagged readings last.
+ */
+export function splitByContext(records, name) {
+  const group = CONTEXT_GROUPS[name];
+  if (!group) return [{ key: 'all', label: 'All readings', records }];
+
+  const series = Object.entries(group.options).map(([value, label]) => ({
+    key: value,
+    label,
+    records: records.filter(record => hasContextTag(record, name, value)),
+  }));
+
+  series.push({
+    key: UNTAGGED,
+    label: `No ${group.label.toLowerCase()} tag`,
+    records: records.filter(record => {
+      const tags = record.context?.[name];
+      return Array.isArray(tags) ? tags.length === 0 : !tags;
+    }),
+  });
+
+  return series.filter(item => item.records.length > 0);
+}
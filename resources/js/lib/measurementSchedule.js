@@ -0,0 +1,77 @@
+// Measurement plans, mirroring MeasurementScheduleService on the server.
+// A plan asks for `target_count` readings of one type per day or per week;
+// daily plans may pin each reading to a local "HH:MM" reminder time.
+
+export const FREQUENCIES = {
+  daily: 'Daily',
+  weekly: 'Weekly',
+};
+
+export const MAX_TARGET_COUNT = 12;
+
+export const SCHEDULE_STATUSES = {
+  overdue: { label: 'Overdue', className: 'bg-red-100 text-red-800' },
+  due: { label: 'Due', className: 'bg-yellow-100 text-yellow-800' },
+  complete: { label: 'Done', className: 'bg-green-100 text-green-800' },
+};
+
+const COUNT_WORDS = { 1: 'Once', 2: 'Twice', 3: 'Three times' };
+
+// "Twice daily at 08:00 and 20:00", "Once weekly"
+export function describeSchedule(schedule) {
+  const count = COUNT_WORDS[schedule.target_count] || `${schedule.target_count} times`;
+  const period = schedule.frequency === 'weekly' ? 'weekly' : 'daily';
+  const times = schedule.frequency === 'daily' ? schedule.reminder_times || [] : [];
+
+  if (times.length === 0) {
+    return `${count} ${period}`;
+  }
+
+  const listed = times.length > 1
+    ? `${times.slice(0, -1).join(', ')} and ${times[times.length - 1]}`
+    : times[0];
+
+  return `${count} ${period} at ${listed}`;
+}
+
+// Progress within the current day or week, e.g. "1 of 2 today"
+export function describeProgress(status) {
+  const period = status.frequency === 'weekly' ? 'this week' : 'today';
+  return `${status.completed_count} of ${status.target_count} ${period}`;
+}
+
+// Suggested reminder times spread over the waking day, for a new daily plan
+export function defaultReminderTimes(count) {
+  if (count <= 1) return ['08:00'];
+
+  const first = 8 * 60;
+  const last = 20 * 60;
+  const step = (last - first) / (count - 1);
+
+  return Array.from({ length: count }, (_, index) => {
+    const minutes = Math.round((first + step * index) / 15) * 15;
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  });
+}
+
+// Resize a list of reminder times to a new target count, keeping the ones already chosen
+export function resizeReminderTimes(times, count) {
+  const defaults = defaultReminderTimes(count);
+  return defaults.map((time, index) => times[index] || time);
+}
+
+export function adherenceClassName(adherence) {
+  if (adherence === null || adherence === undefined) return 'text-muted-foreground';
+  if (adherence >= 80) return 'text-green-600';
+  if (adherence >= 50) return 'text-yellow-600';
+  return 'text-red-600';
+}
+
+export function formatAdherence(adherence) {
+  return adherence === null || adherence === undefined ? '—' : `${Math.round(adherence)}%`;
+}
+
+// Identifies one reminder so it can be dismissed until the next reading falls due
+export function reminderKey(status) {
+  return `${status.schedule_id}:${status.period_start}:${status.completed_count}:${status.due_count}`;
+}
@@ -0,0 +1,222 @@
+// Readings recorded without a connection are kept in IndexedDB and replayed
+// against the API once the browser is back online. The database is shared by
+// everyone who signs in on this browser, so each entry records its user.
+
+const DB_NAME = 'lyra-offline';
+const DB_VERSION = 1;
+const STORE_NAME = 'pendingReadings';
+
+export const QUEUE_CHANGED_EVENT = 'offline-queue-changed';
+
+// pending: waiting to sync, conflict: server has a reading at the same time,
+// rejected: server validation failed and the reading needs editing
+export const QUEUE_STATUS = {
+  PENDING: 'pending',
+  CONFLICT: 'conflict',
+  REJECTED: 'rejected',
+};
+
+let dbPromise = null;
+const syncPromises = new Map();
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          const store = db.createObjectStore(STORE_NAME, { keyPath: 'client_id' });
+          store.createIndex('user_id', 'user_id');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return dbPromise;
+};
+
+const withStore = async (mode, callback) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = callback(transaction.objectStore(STORE_NAME));
+
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    // Quota errors abort the transaction without an error event on it
+    transaction.onabort = () => reject(transaction.error || new Error('Offline queue transaction was aborted'));
+  });
+};
+
+const notifyChanged = () => {
+  window.dispatchEvent(new CustomEvent(QUEUE_CHANGED_EVENT));
+};
+
+export const generateClientId = () => {
+  if (window.crypto?.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+
+  // RFC 4122 v4 fallback for browsers without randomUUID
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (char) => {
+    const random = Math.random() * 16 | 0;
+    return (char === 'x' ? random : (random & 0x3 | 0x8)).toString(16);
+  });
+};
+
+// True when a failed fetch means "no connection" rather than a server answer
+export const isNetworkError = (error) => {
+  return !navigator.onLine || error instanceof TypeError;
+};
+
+export async function getPendingReadings(userId) {
+  // A missing key would match every entry in the index
+  if (userId === null || userId === undefined) return [];
+
+  const entries = await withStore('readonly', (store) => store.index('user_id').getAll(userId));
+  return (entries || []).sort((a, b) => new Date(a.queued_at) - new Date(b.queued_at));
+}
+
+// Queue a reading payload for a user; vitalSignType is kept for display while offline
+export async function queueReading(userId, payload, vitalSignType = null) {
+  const clientId = payload.client_id || generateClientId();
+  const entry = {
+    client_id: clientId,
+    user_id: userId,
+    payload: { ...payload, client_id: clientId },
+    vital_sign_type: vitalSignType,
+    status: QUEUE_STATUS.PENDING,
+    message: null,
+    errors: {},
+    conflict: null,
+    queued_at: new Date().toISOString(),
+  };
+
+  await withStore('readwrite', (store) => store.put(entry));
+  notifyChanged();
+
+  return entry;
+}
+
+export async function updateQueuedReading(clientId, changes) {
+  const entry = await withStore('readonly', (store) => store.get(clientId));
+  if (!entry) return null;
+
+  const updated = { ...entry, ...changes };
+  await withStore('readwrite', (store) => store.put(updated));
+  notifyChanged();
+
+  return updated;
+}
+
+export async function removeQueuedReading(clientId) {
+  await withStore('readwrite', (store) => store.delete(clientId));
+  notifyChanged();
+}
+
+const postReading = (payload) => {
+  return fetch('/api/vital-signs', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+      'X-CSRF-TOKEN': document.querySelector('meta[name="csrf-token"]').content,
+    },
+    body: JSON.stringify(payload),
+  });
+};
+
+// Replay the user's pending readings in the order they were recorded. Stops at
+// the first network failure so the rest stay queued for the next attempt.
+export function syncPendingReadings(userId) {
+  // Several components may ask at once when the connection comes back
+  if (!syncPromises.has(userId)) {
+    syncPromises.set(userId, replayPendingReadings(userId).finally(() => {
+      syncPromises.delete(userId);
+    }));
+  }
+
+  return syncPromises.get(userId);
+}
+
+async function replayPendingReadings(userId) {
+  const results = { synced: 0, conflicts: 0, rejected: 0, remaining: 0, signedOut: false };
+  const entries = await getPendingReadings(userId);
+
+  for (const entry of entries) {
+    if (entry.status !== QUEUE_STATUS.PENDING) continue;
+
+    let response;
+    try {
+      response = await postReading(entry.payload);
+    } catch (error) {
+      if (isNetworkError(error)) break;
+      throw error;
+    }
+
+    const result = await response.json().catch(() => ({}));
+
+    if (response.ok) {
+      // 201 created, or 200 when an earlier attempt already reached the server
+      await removeQueuedReading(entry.client_id);
+      results.synced++;
+    } else if (response.status === 409) {
+      await updateQueuedReading(entry.client_id, {
+        status: QUEUE_STATUS.CONFLICT,
+        message: result.message,
+        conflict: result.data || null,
+      });
+      results.conflicts++;
+    } else if (response.status === 401 || response.status === 419) {
+      // Expired session or CSRF token: keep everything until the user signs in again
+      results.signedOut = true;
+      break;
+    } else if (response.status === 422) {
+      await updateQueuedReading(entry.client_id, {
+        status: QUEUE_STATUS.REJECTED,
+        message: result.message,
+        errors: result.errors || {},
+      });
+      results.rejected++;
+    } else {
+      // Server error: leave it queued and try again later
+      console.error('Error syncing offline reading:', result.message || response.status);
+      break;
+    }
+  }
+
+  results.remaining = (await getPendingReadings(userId)).length;
+
+  return results;
+}
+
+// Resolve a conflict by keeping both readings
+export async function keepConflictingReading(clientId) {
+  const entry = await withStore('readonly', (store) => store.get(clientId));
+  if (!entry) return null;
+
+  return updateQueuedReading(clientId, {
+    payload: { ...entry.payload, allow_duplicate: true },
+    status: QUEUE_STATUS.PENDING,
+    message: null,
+    conflict: null,
+  });
+}
+
+// Replace the payload of a rejected reading and queue it again
+export async function retryQueuedReading(clientId, payload) {
+  return updateQueuedReading(clientId, {
+    payload: { ...payload, client_id: clientId },
+    status: QUEUE_STATUS.PENDING,
+    message: null,
+    errors: {},
+  });
+}
@@ -0,0 +1,264 @@
+// A small PDF writer for printable tables: landscape A4 pages with a title,
+// a header row repeated on every page and page numbers. Uses the standard
+// Helvetica fonts, so nothing is embedded and the file stays small.
+
+export const PAGE_WIDTH = 842;
+export const PAGE_HEIGHT = 595;
+export const PAGE_MARGIN = 36;
+
+const FONT_SIZE = 8;
+const HEADER_FONT_SIZE = 8;
+const TITLE_FONT_SIZE = 14;
+const LINE_HEIGHT = 10;
+const CELL_PADDING = 4;
+const MAX_CELL_LINES = 4;
+
+// Helvetica advance widths (per 1000 units of font size) for printable ASCII
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+// Bold runs a little wider; close enough for fitting header labels
+const BOLD_FACTOR = 1.08;
+
+// Characters outside Latin-1 that WinAnsiEncoding still has
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92,
+  '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97,
+};
+
+const charCode = (char) => {
+  const code = char.codePointAt(0);
+  if (code < 0x80 || (code >= 0xA0 && code <= 0xFF)) return code;
+  return WIN_ANSI_EXTRAS[char] ?? 0x3F; // '?'
+};
+
+// Width of text in points at `size`
+export function textWidth(text, size = FONT_SIZE, bold = false) {
+  const units = [...String(text)].reduce((sum, char) => {
+    const code = char.codePointAt(0);
+    return sum + (code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556);
+  }, 0);
+
+  return (units * size / 1000) * (bold ? BOLD_FACTOR : 1);
+}
+
+// Text cut down so that it fits `width` with "..." on the end
+const ellipsize = (text, width, size, bold) => {
+  let end = text.length;
+  while (end > 0 && textWidth(`${text.slice(0, end)}...`, size, bold) > width) end -= 1;
+  return `${text.slice(0, end).trimEnd()}...`;
+};
+
+const truncate = (text, width, size, bold) => (
+  textWidth(text, size, bold) <= width ? text : ellipsize(text, width, size, bold)
+);
+
+/**
+ * Word-wrap text into lines no wider than `width`. Words too long for a
+ * line are broken; anything past `maxLines` is cut off with "...".
+ */
+export function wrapText(text, width, size = FONT_SIZE, maxLines = MAX_CELL_LINES) {
+  const words = String(text ?? '').replace(/\s+/g, ' ').trim().split(' ').filter(Boolean);
+  const lines = [];
+  let line = '';
+
+  words.forEach((word) => {
+    let rest = word;
+
+    while (rest) {
+      const candidate = line ? `${line} ${rest}` : rest;
+      if (textWidth(candidate, size) <= width) {
+        line = candidate;
+        rest = '';
+      } else if (line) {
+        lines.push(line);
+        line = '';
+      } else {
+        // A single word wider than the cell
+        let end = Math.max(rest.length - 1, 1);
+        while (end > 1 && textWidth(rest.slice(0, end), size) > width) end -= 1;
+        lines.push(rest.slice(0, end));
+        rest = rest.slice(end);
+      }
+    }
+  });
+
+  if (line) lines.push(line);
+  if (lines.length <= maxLines) return lines;
+
+  const kept = lines.slice(0, maxLines);
+  kept[maxLines - 1] = ellipsize(kept[maxLines - 1], width, size, false);
+  return kept;
+}
+
+// A PDF string literal; non-ASCII bytes are written as octal escapes
+const pdfString = (text) => {
+  const body = [...String(text)].map((char) => {
+    const code = charCode(char);
+    if (char === '(' || char === ')' || char === '\\') return `\\${char}`;
+    if (code < 32 || code > 126) return `\\${code.toString(8).padStart(3, '0')}`;
+    return char;
+  }).join('');
+
+  return `(${body})`;
+};
+
+const number = (value) => (Math.round(value * 100) / 100).toString();
+
+const textOp = (text, x, y, { size = FONT_SIZE, bold = false } = {}) => (
+  `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${number(x)} ${number(y)} Td ${pdfString(text)} Tj ET`
+);
+
+const fillRect = (x, y, width, height, [r, g, b]) => (
+  `${r} ${g} ${b} rg ${number(x)} ${number(y)} ${number(width)} ${number(height)} re f`
+);
+
+const HEADER_FILL = [0.93, 0.94, 0.96];
+const STRIPE_FILL = [0.98, 0.98, 0.99];
+const HIGHLIGHT_FILL = [1, 0.93, 0.93];
+const HIGHLIGHT_TEXT = [0.7, 0.1, 0.1];
+const MUTED_TEXT = [0.4, 0.4, 0.45];
+
+/**
+ * Lay out and write a table as a PDF document.
+ *
+ *   columns: [{ label, width, align: 'left' | 'right' }]
+ *   rows:    [{ cells: ['...'], highlight: true }]
+ *
+ * Column widths are in points and should add up to the page width less the
+ * margins. Returns the file contents as a (7-bit) string.
+ */
+export function createTablePdf({ title = '', subtitle = '', columns = [], rows = [], footer = '' } = {}) {
+  const left = PAGE_MARGIN;
+  const tableWidth = columns.reduce((sum, column) => sum + column.width, 0);
+  const bottom = PAGE_MARGIN + LINE_HEIGHT * 2;
+  const headerHeight = LINE_HEIGHT + CELL_PADDING * 2;
+
+  const pages = [];
+  let ops = [];
+  let y = 0;
+
+  const drawHeader = () => {
+    ops.push(fillRect(left, y - headerHeight, tableWidth, headerHeight, HEADER_FILL));
+    ops.push('0 0 0 rg');
+
+    let x = left;
+    columns.forEach((column) => {
+      const label = truncate(column.label, column.width - CELL_PADDING * 2, HEADER_FONT_SIZE, true);
+      const labelX = column.align === 'right'
+        ? x + column.width - CELL_PADDING - textWidth(label, HEADER_FONT_SIZE, true)
+        : x + CELL_PADDING;
+      ops.push(textOp(label, labelX, y - CELL_PADDING - LINE_HEIGHT + 2, { size: HEADER_FONT_SIZE, bold: true }));
+      x += column.width;
+    });
+
+    y -= headerHeight;
+  };
+
+  const startPage = () => {
+    if (ops.length) pages.push(ops);
+    ops = [];
+    y = PAGE_HEIGHT - PAGE_MARGIN;
+
+    // Title and subtitle on the first page only
+    if (pages.length === 0) {
+      if (title) {
+        ops.push('0 0 0 rg', textOp(title, left, y - TITLE_FONT_SIZE, { size: TITLE_FONT_SIZE, bold: true }));
+        y -= TITLE_FONT_SIZE + 6;
+      }
+      if (subtitle) {
+        ops.push(`${MUTED_TEXT.join(' ')} rg`, textOp(subtitle, left, y - 9, { size: 9 }));
+        y -= 9 + 6;
+      }
+      y -= 6;
+    }
+
+    drawHeader();
+  };
+
+  startPage();
+
+  rows.forEach((row, index) => {
+    const cellLines = columns.map((column, i) => wrapText(row.cells[i] ?? '', column.width - CELL_PADDING * 2));
+    const lineCount = Math.max(1, ...cellLines.map(lines => lines.length));
+    const rowHeight = lineCount * LINE_HEIGHT + CELL_PADDING * 2;
+
+    if (y - rowHeight < bottom) startPage();
+
+    if (row.highlight) {
+      ops.push(fillRect(left, y - rowHeight, tableWidth, rowHeight, HIGHLIGHT_FILL));
+    } else if (index % 2 === 1) {
+      ops.push(fillRect(left, y - rowHeight, tableWidth, rowHeight, STRIPE_FILL));
+    }
+
+    ops.push(row.highlight ? `${HIGHLIGHT_TEXT.join(' ')} rg` : '0 0 0 rg');
+
+    let x = left;
+    columns.forEach((column, i) => {
+      cellLines[i].forEach((line, lineIndex) => {
+        const lineX = column.align === 'right'
+          ? x + column.width - CELL_PADDING - textWidth(line)
+          : x + CELL_PADDING;
+        ops.push(textOp(line, lineX, y - CELL_PADDING - LINE_HEIGHT * (lineIndex + 1) + 2));
+      });
+      x += column.width;
+    });
+
+    // Rule under the row
+    ops.push(`0.85 0.85 0.88 RG 0.5 w ${left} ${number(y - rowHeight)} m ${left + tableWidth} ${number(y - rowHeight)} l S`);
+    y -= rowHeight;
+  });
+
+  pages.push(ops);
+
+  // Page numbers, now that the count is known
+  pages.forEach((pageOps, index) => {
+    const label = `Page ${index + 1} of ${pages.length}`;
+    pageOps.push(`${MUTED_TEXT.join(' ')} rg`);
+    pageOps.push(textOp(label, PAGE_WIDTH - PAGE_MARGIN - textWidth(label, 8), PAGE_MARGIN - 8, { size: 8 }));
+    if (footer) pageOps.push(textOp(truncate(footer, tableWidth / 2, 8, false), left, PAGE_MARGIN - 8, { size: 8 }));
+  });
+
+  return writeDocument(pages.map(pageOps => pageOps.join('\n')));
+}
+
+// Objects 1-4 are the catalog, page tree and fonts; each page adds a page and a content stream
+const writeDocument = (contents) => {
+  const pageIds = contents.map((_, index) => 5 + index * 2);
+  const font = (name) => `<< /Type /Font /Subtype /Type1 /BaseFont /${name} /Encoding /WinAnsiEncoding >>`;
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`,
+    font('Helvetica'),
+    font('Helvetica-Bold'),
+  ];
+
+  contents.forEach((content, index) => {
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+        + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`,
+      `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+    );
+  });
+
+  let output = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = output.length;
+    output += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xref = output.length;
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return output;
+};
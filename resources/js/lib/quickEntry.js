@@ -0,0 +1,315 @@
+// Parses quick-entry text such as "bp 128/84 pulse 71 temp 37.2C this morning"
+// into readings for the active vital sign types. Free of React and browser
+// APIs, with relative imports, so it runs under node for tests.
+import { getSupportedUnits } from './units.js';
+import { toDateTimeLocal, fromDateTimeLocal } from './dateTime.js';
+
+// Extra words people use for each type, on top of its name and display name
+export const TYPE_ALIASES = {
+  blood_pressure: ['bp', 'pressure'],
+  heart_rate: ['hr', 'pulse', 'heartrate'],
+  body_temperature: ['temp', 'temperature', 'body temp'],
+  oxygen_saturation: ['spo2', 'o2', 'oxygen', 'sats', 'sat'],
+  weight: ['wt', 'weighed'],
+  blood_glucose: ['glucose', 'bg', 'sugar', 'blood sugar'],
+};
+
+// Spellings of the units stored on VitalSignType
+export const UNIT_ALIASES = {
+  'mmhg': 'mmHg',
+  'bpm': 'bpm',
+  '%': '%',
+  'kg': 'kg',
+  'kgs': 'kg',
+  'lb': 'lbs',
+  'lbs': 'lbs',
+  'pounds': 'lbs',
+  'mg/dl': 'mg/dL',
+  'mmol/l': 'mmol/L',
+  'mmol': 'mmol/L',
+  '°c': '°C',
+  'c': '°C',
+  'celsius': '°C',
+  '°f': '°F',
+  'f': '°F',
+  'fahrenheit': '°F',
+};
+
+// Default clock time for each part of the day
+const PARTS_OF_DAY = {
+  morning: 8,
+  afternoon: 14,
+  evening: 19,
+  tonight: 21,
+  night: 22,
+};
+
+// Words that can sit between readings without meaning anything
+const FILLER_WORDS = new Set(['and', 'with', 'was', 'is', 'of', 'my', 'then', 'reading', 'readings', 'at']);
+
+const VALUE_PATTERN = '(\\d+(?:\\.\\d+)?)(?:\\s*\\/\\s*(\\d+(?:\\.\\d+)?))?';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+// Longest first so "blood pressure" wins over "pressure"
+const alternation = (words) => [...words]
+  .sort((a, b) => b.length - a.length)
+  .map(escapeRegExp)
+  .join('|');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Find the first time expression in the text ("this morning", "at 7:30pm",
+ * "2 hours ago", "yesterday evening") as a clock time in the given timezone
+ * (the browser's by default). Returns { date, text, error } with the matched
+ * ranges so they can be left out of the reading parser. A bare "at 7" right
+ * after one of the given type keywords is a value ("pulse at 72"), not a time.
+ */
+export function parseTime(text, now = new Date(), timeZone = null, keywords = []) {
+  const lower = text.toLowerCase();
+  const ranges = [];
+  const take = (regex) => {
+    const match = regex.exec(lower);
+    if (match) ranges.push([match.index, match.index + match[0].length]);
+    return match;
+  };
+  const followsKeyword = (index) => {
+    const before = lower.slice(0, index).trimEnd();
+    return keywords.some(word => before.endsWith(word) && !/[a-z0-9]/.test(before.charAt(before.length - word.length - 1)));
+  };
+  const takeBareHour = () => {
+    const match = [...lower.matchAll(/\bat\s+(\d{1,2})\b(?![.\/])/g)].find(candidate => !followsKeyword(candidate.index));
+    if (match) ranges.push([match.index, match.index + match[0].length]);
+    return match;
+  };
+
+  const ago = take(/\b(\d+)\s*(minutes?|mins?|m|hours?|hrs?|h)\s+ago\b/);
+  if (ago) {
+    const amount = parseInt(ago[1]);
+    const minutes = ago[2].startsWith('m') ? amount : amount * 60;
+    return { date: new Date(now.getTime() - minutes * MINUTE), text: ago[0], ranges };
+  }
+
+  const lastNight = take(/\blast\s+night\b/);
+  const day = lastNight ? null : take(/\b(yesterday|today)\b/);
+  const part = lastNight ? null : take(/\b(?:this\s+)?(morning|afternoon|evening|tonight)\b/);
+  const clock = take(/\b(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b/)
+    || take(/\b(?:at\s+)?(\d{1,2}):(\d{2})\b/)
+    || takeBareHour();
+
+  if (!lastNight && !day && !part && !clock) {
+    return { date: now, text: null, ranges };
+  }
+
+  // Today's date and the current time on the user's clock
+  const wallNow = toDateTimeLocal(now, timeZone);
+  const partName = lastNight ? 'night' : part?.[1];
+  let hour = partName ? PARTS_OF_DAY[partName] : parseInt(wallNow.slice(11, 13));
+  let minute = partName ? 0 : parseInt(wallNow.slice(14, 16));
+
+  if (clock) {
+    hour = parseInt(clock[1]);
+    minute = clock[2] ? parseInt(clock[2]) : 0;
+
+    if (clock[3] === 'pm' && hour < 12) hour += 12;
+    if (clock[3] === 'am' && hour === 12) hour = 0;
+    // "at 7 this evening" means 19:00
+    if (!clock[3] && partName && partName !== 'morning' && hour < 12) hour += 12;
+
+    if (hour > 23 || minute > 59) {
+      return { date: now, text: clock[0], ranges, error: `"${clock[0].trim()}" is not a valid time` };
+    }
+  }
+
+  const pad = (number) => String(number).padStart(2, '0');
+  const atClockTime = (daysBack) => {
+    const [year, month, dayOfMonth] = wallNow.slice(0, 10).split('-').map(Number);
+    const calendarDay = new Date(Date.UTC(year, month - 1, dayOfMonth - daysBack)).toISOString().slice(0, 10);
+    return fromDateTimeLocal(`${calendarDay}T${pad(hour)}:${pad(minute)}`, timeZone);
+  };
+
+  let date = atClockTime(0);
+
+  if (lastNight || day?.[1] === 'yesterday') {
+    date = atClockTime(1);
+  } else if (date > now && !day && !part) {
+    // A bare clock time later than now was most likely yesterday
+    date = atClockTime(1);
+  }
+
+  const matchedText = ranges
+    .sort((a, b) => a[0] - b[0])
+    .map(([start, end]) => text.slice(start, end).trim())
+    .join(' ');
+
+  if (date > now) {
+    return { date: now, text: matchedText, ranges, error: `"${matchedText}" is in the future` };
+  }
+
+  return { date, text: matchedText, ranges };
+}
+
+// Every word that names a type, mapped to that type
+const buildKeywords = (types) => {
+  const keywords = new Map();
+
+  types.forEach(type => {
+    const words = [
+      type.name.replace(/_/g, ' '),
+      type.display_name?.toLowerCase(),
+      ...(TYPE_ALIASES[type.name] || []),
+    ];
+    words.filter(Boolean).forEach(word => {
+      if (!keywords.has(word)) keywords.set(word, type);
+    });
+  });
+
+  return keywords;
+};
+
+// A value without a keyword can still be placed by its unit or its shape
+const inferType = (types, unit, hasSecondary) => {
+  const candidates = types.filter(type => (
+    unit ? getSupportedUnits(type).includes(unit) : hasSecondary && type.has_secondary_value
+  ));
+  return candidates.length === 1 ? candidates[0] : null;
+};
+
+/**
+ * Parse quick-entry text into readings. Returns
+ * { readings, measuredAt, timeText, errors, unrecognized } where each reading
+ * has vital_sign_type_id, type, value_primary, value_secondary and unit.
+ * Values are not range-checked here; run them through validateReading.
+ */
+export function parseQuickEntry(text, vitalSignTypes = [], { now = new Date(), defaultUnit = null, timeZone = null } = {}) {
+  const types = vitalSignTypes.filter(type => type.is_active !== false);
+  const keywords = buildKeywords(types);
+  const errors = [];
+  const unrecognized = [];
+  const readings = [];
+
+  const time = parseTime(text, now, timeZone, [...keywords.keys()]);
+  if (time.error) errors.push(time.error);
+
+  // Blank out the time expression so its numbers are not read as values
+  let lower = text.toLowerCase();
+  time.ranges.forEach(([start, end]) => {
+    lower = lower.slice(0, start) + ' '.repeat(end - start) + lower.slice(end);
+  });
+
+  const tokenPattern = new RegExp(
+    `(?<![a-z0-9])(${alternation(keywords.keys())})(?![a-z0-9])`
+    + `|${VALUE_PATTERN}(?:\\s*(${alternation(Object.keys(UNIT_ALIASES))})(?![a-z]))?`,
+    'g'
+  );
+
+  let pendingType = null;
+  let orphan = null;
+  let lastIndex = 0;
+
+  const addReading = (type, value) => {
+    let unit = value.unit;
+
+    if (unit && !getSupportedUnits(type).includes(unit)) {
+      errors.push(`${unit} is not a unit for ${type.display_name}`);
+      return;
+    }
+
+    if (readings.some(reading => reading.type.id === type.id)) {
+      errors.push(`${type.display_name} was entered more than once`);
+      return;
+    }
+
+    if (!unit) {
+      unit = (defaultUnit && defaultUnit(type)) || type.unit_primary;
+    }
+
+    readings.push({
+      vital_sign_type_id: type.id,
+      type,
+      value_primary: value.primary,
+      value_secondary: value.secondary,
+      unit,
+      text: value.text,
+    });
+  };
+
+  const flushOrphan = () => {
+    if (orphan) {
+      errors.push(`Couldn't tell what "${orphan.text}" is`);
+      orphan = null;
+    }
+  };
+
+  const collectUnrecognized = (between) => {
+    between.split(/[\s,;:=]+/)
+      .filter(word => word && !FILLER_WORDS.has(word))
+      .forEach(word => unrecognized.push(word));
+  };
+
+  for (const match of lower.matchAll(tokenPattern)) {
+    collectUnrecognized(lower.slice(lastIndex, match.index));
+    lastIndex = match.index + match[0].length;
+
+    if (match[1]) {
+      const type = keywords.get(match[1]);
+
+      if (pendingType) {
+        errors.push(`No value found for ${pendingType.display_name}`);
+        pendingType = null;
+      }
+
+      // "71 pulse": the value came first
+      if (orphan) {
+        addReading(type, orphan);
+        orphan = null;
+      } else {
+        pendingType = type;
+      }
+      continue;
+    }
+
+    const value = {
+      primary: parseFloat(match[2]),
+      secondary: match[3] !== undefined ? parseFloat(match[3]) : null,
+      unit: match[4] ? UNIT_ALIASES[match[4]] : null,
+      text: text.slice(match.index, lastIndex).trim(),
+    };
+
+    if (pendingType) {
+      addReading(pendingType, value);
+      pendingType = null;
+      continue;
+    }
+
+    flushOrphan();
+
+    const inferred = inferType(types, value.unit, value.secondary !== null);
+    if (inferred) {
+      addReading(inferred, value);
+    } else {
+      orphan = value;
+    }
+  }
+
+  collectUnrecognized(lower.slice(lastIndex));
+  flushOrphan();
+
+  if (pendingType) {
+    errors.push(`No value found for ${pendingType.display_name}`);
+  }
+
+  return {
+    readings,
+    measuredAt: time.date,
+    timeText: time.text,
+    errors,
+    unrecognized,
+  };
+}
+
+// The "YYYY-MM-DDTHH:mm" format used by datetime-local inputs, in the given timezone
+export function formatDateTimeLocal(date, timeZone = null) {
+  return toDateTimeLocal(date, timeZone);
+}
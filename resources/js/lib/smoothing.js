@@ -0,0 +1,134 @@
+// Smoothing noisy series of readings so the underlying trend shows through.
+// Readings are { time, value } with time in ms; windows count readings
+// rather than days, since people measure at irregular intervals.
+
+export const SMOOTHING_METHODS = {
+  none: 'No smoothing',
+  sma: 'Moving average',
+  ema: 'Exponential average',
+  median: 'Rolling median',
+  loess: 'LOESS',
+};
+
+export const SMOOTHING_WINDOWS = [3, 5, 7, 14, 30];
+
+export const DEFAULT_SMOOTHING = { method: 'none', window: 7 };
+
+// LOESS fits a line through each neighbourhood, which takes at least three points
+const MIN_LOESS_WINDOW = 3;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Mean of the last `window` values at each point; the first few average what there is so far
+function movingAverage(values, window) {
+  let sum = 0;
+
+  return values.map((value, index) => {
+    sum += value;
+    if (index >= window) sum -= values[index - window];
+    return sum / Math.min(index + 1, window);
+  });
+}
+
+// Weights recent values by 2 / (window + 1), starting from the first value
+function exponentialAverage(values, window) {
+  const alpha = 2 / (window + 1);
+  let average = values[0];
+
+  return values.map((value, index) => {
+    average = index === 0 ? value : alpha * value + (1 - alpha) * average;
+    return average;
+  });
+}
+
+function rollingMedian(values, window) {
+  return values.map((_, index) => median(values.slice(Math.max(0, index - window + 1), index + 1)));
+}
+
+/**
+ * Locally weighted regression: at each reading, a straight line through
+ * its `window` nearest neighbours in time, weighted so the closest count
+ * most (tricube). Unlike the trailing averages it doesn't lag behind.
+ */
+function loess(points, window) {
+  const size = Math.min(points.length, Math.max(window, MIN_LOESS_WINDOW));
+
+  return points.map((point) => {
+    const neighbours = points
+      .map(other => ({ ...other, distance: Math.abs(other.time - point.time) }))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, size);
+
+    // Just past the furthest neighbour, so it still gets a little weight
+    const reach = neighbours[neighbours.length - 1].distance * 1.001 || 1;
+    let weightSum = 0;
+    let xMean = 0;
+    let yMean = 0;
+
+    neighbours.forEach((neighbour) => {
+      neighbour.weight = (1 - (neighbour.distance / reach) ** 3) ** 3;
+      weightSum += neighbour.weight;
+      xMean += neighbour.weight * neighbour.time;
+      yMean += neighbour.weight * neighbour.value;
+    });
+
+    xMean /= weightSum;
+    yMean /= weightSum;
+
+    let covariance = 0;
+    let variance = 0;
+    neighbours.forEach((neighbour) => {
+      covariance += neighbour.weight * (neighbour.time - xMean) * (neighbour.value - yMean);
+      variance += neighbour.weight * (neighbour.time - xMean) ** 2;
+    });
+
+    // Readings all at one time have no slope to fit
+    return variance > 0 ? yMean + (covariance / variance) * (point.time - xMean) : yMean;
+  });
+}
+
+/**
+ * Smoothed values for the points, in the same order as they were given.
+ * Points without a time or value are skipped over and come back as NaN.
+ * With method 'none' the values are returned as they are.
+ */
+export function smooth(points, method = 'none', window = DEFAULT_SMOOTHING.window) {
+  const result = new Array(points.length).fill(NaN);
+  const usable = points
+    .map((point, index) => ({ time: point.time, value: point.value, index }))
+    .filter(point => Number.isFinite(point.time) && Number.isFinite(point.value))
+    .sort((a, b) => a.time - b.time);
+
+  if (usable.length === 0) return result;
+
+  const size = Math.max(1, Math.round(window) || 1);
+  const values = usable.map(point => point.value);
+  const smoothed = {
+    sma: () => movingAverage(values, size),
+    ema: () => exponentialAverage(values, size),
+    median: () => rollingMedian(values, size),
+    loess: () => loess(usable, size),
+  }[method]?.() ?? values;
+
+  usable.forEach((point, index) => {
+    result[point.index] = smoothed[index];
+  });
+
+  return result;
+}
+
+export function isSmoothing(smoothing) {
+  return Boolean(smoothing && SMOOTHING_METHODS[smoothing.method] && smoothing.method !== 'none');
+}
+
+// "7-reading moving average" for a legend
+export function describeSmoothing({ method, window }) {
+  if (!isSmoothing({ method })) return SMOOTHING_METHODS.none;
+
+  const name = method === 'loess' ? SMOOTHING_METHODS.loess : SMOOTHING_METHODS[method].toLowerCase();
+  return `${window}-reading ${name}`;
+}
@@ -0,0 +1,75 @@
+// Summary statistics over plain arrays of numbers. Functions that need more
+// points than they are given return null rather than a misleading number.
+
+export function mean(values) {
+  if (values.length === 0) return null;
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * 1-based ranks in the original order, with tied values sharing the
+ * average of the ranks they span: [10, 20, 20, 30] ranks as [1, 2.5, 2.5, 4].
+ */
+export function ranks(values) {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const result = new Array(values.length);
+
+  for (let start = 0; start < order.length;) {
+    let end = start;
+    while (end + 1 < order.length && order[end + 1].value === order[start].value) end++;
+
+    const rank = (start + end) / 2 + 1;
+    for (let i = start; i <= end; i++) result[order[i].index] = rank;
+    start = end + 1;
+  }
+
+  return result;
+}
+
+// Pearson's r for paired values; null with fewer than 3 pairs or a constant side
+export function pearson(xs, ys) {
+  const n = Math.min(xs.length, ys.length);
+  if (n < 3) return null;
+
+  const xMean = mean(xs.slice(0, n));
+  const yMean = mean(ys.slice(0, n));
+  let covariance = 0;
+  let xVariance = 0;
+  let yVariance = 0;
+
+  for (let i = 0; i < n; i++) {
+    covariance += (xs[i] - xMean) * (ys[i] - yMean);
+    xVariance += (xs[i] - xMean) ** 2;
+    yVariance += (ys[i] - yMean) ** 2;
+  }
+
+  if (xVariance === 0 || yVariance === 0) return null;
+  return covariance / Math.sqrt(xVariance * yVariance);
+}
+
+// Spearman's rho: Pearson's r on the ranks, so any steadily rising relationship scores 1
+export function spearman(xs, ys) {
+  const n = Math.min(xs.length, ys.length);
+  return pearson(ranks(xs.slice(0, n)), ranks(ys.slice(0, n)));
+}
+
+// Least-squares line through the points; null when x never changes
+export function linearFit(xs, ys) {
+  const n = Math.min(xs.length, ys.length);
+  if (n < 2) return null;
+
+  const xMean = mean(xs.slice(0, n));
+  const yMean = mean(ys.slice(0, n));
+  let numerator = 0;
+  let denominator = 0;
+
+  for (let i = 0; i < n; i++) {
+    numerator += (xs[i] - xMean) * (ys[i] - yMean);
+    denominator += (xs[i] - xMean) ** 2;
+  }
+
+  if (denominator === 0) return null;
+
+  const slope = numerator / denominator;
+  return { slope, intercept: yMean - slope * xMean };
+}
@@ -0,0 +1,85 @@
+// The trends view (type, period and the zoomed-in window) as it is written
+// in the query string, so a shared or restored URL shows the same slice of
+// readings. The window is a pair of UTC times to the minute.
+
+export const PERIOD_OPTIONS = {
+  7: 'Last 7 days',
+  30: 'Last 30 days',
+  90: 'Last 3 months',
+  180: 'Last 6 months',
+  365: 'Last year',
+};
+
+export const DEFAULT_TRENDS_QUERY = {
+  vital_sign_type_id: '',
+  period: '30',
+  from: '',
+  to: '',
+};
+
+const TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?Z$/;
+
+const readTime = (value) => (TIME_PATTERN.test(value || '') ? Date.parse(value) : NaN);
+
+// 2025-09-01T08:30Z
+export function formatWindowTime(time) {
+  return new Date(Math.round(time / 60000) * 60000).toISOString().replace(/:00\.000Z$/, 'Z');
+}
+
+/**
+ * Read a trends query from URL parameters (an object or URLSearchParams).
+ * A window is only kept when both ends parse and are in order.
+ */
+export function parseTrendsQuery(params = {}) {
+  const source = params instanceof URLSearchParams ? Object.fromEntries(params.entries()) : (params || {});
+  const id = parseInt(source.vital_sign_type_id, 10);
+  const from = readTime(source.from);
+  const to = readTime(source.to);
+  const hasWindow = Number.isFinite(from) && Number.isFinite(to) && from < to;
+
+  return {
+    vital_sign_type_id: Number.isInteger(id) && id > 0 ? id.toString() : '',
+    period: PERIOD_OPTIONS[source.period] ? String(source.period) : DEFAULT_TRENDS_QUERY.period,
+    from: hasWindow ? formatWindowTime(from) : '',
+    to: hasWindow ? formatWindowTime(to) : '',
+  };
+}
+
+// The query as URL parameters, leaving out defaults so plain URLs stay plain
+export function toTrendsParams(query) {
+  const params = {};
+
+  Object.entries(query).forEach(([key, value]) => {
+    if (value === '' || value === null || value === undefined || value === DEFAULT_TRENDS_QUERY[key]) return;
+    params[key] = String(value);
+  });
+
+  return params;
+}
+
+// The zoomed-in window as [start, end] in ms, or null for the whole period
+export function getTrendsWindow(query) {
+  return query.from && query.to ? [Date.parse(query.from), Date.parse(query.to)] : null;
+}
+
+/**
+ * Apply changes to a query. A window only makes sense for the readings it
+ * was drawn over, so picking another type or period zooms back out.
+ */
+export function updateTrendsQuery(query, changes) {
+  const next = { ...query, ...changes };
+
+  if ('window' in changes) {
+    delete next.window;
+    next.from = changes.window ? formatWindowTime(changes.window[0]) : '';
+    next.to = changes.window ? formatWindowTime(changes.window[1]) : '';
+  } else if (
+    ('vital_sign_type_id' in changes && changes.vital_sign_type_id !== query.vital_sign_type_id)
+    || ('period' in changes && changes.period !== query.period)
+  ) {
+    next.from = '';
+    next.to = '';
+  }
+
+  return next;
+}
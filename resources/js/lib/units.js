@@ -0,0 +1,116 @@
+// Unit conversion for vital sign readings. Readings are stored in the
+// VitalSignType's unit_primary; everything here converts to and from that.
+
+export const KG_TO_LBS = 2.20462;
+
+// Molar mass of glucose / 10: mg/dL in one mmol/L
+export const GLUCOSE_MG_DL_PER_MMOL_L = 18.0182;
+
+const CONVERSIONS = {
+  '°C': { '°F': (value) => value * 9 / 5 + 32 },
+  '°F': { '°C': (value) => (value - 32) * 5 / 9 },
+  kg: { lbs: (value) => value * KG_TO_LBS },
+  lbs: { kg: (value) => value / KG_TO_LBS },
+  'mg/dL': { 'mmol/L': (value) => value / GLUCOSE_MG_DL_PER_MMOL_L },
+  'mmol/L': { 'mg/dL': (value) => value * GLUCOSE_MG_DL_PER_MMOL_L },
+};
+
+// Decimal places shown for each unit; anything else gets up to 2
+const UNIT_PRECISION = {
+  '°C': 1,
+  '°F': 1,
+  kg: 1,
+  lbs: 1,
+  'mg/dL': 0,
+  'mmol/L': 1,
+};
+
+const RANGE_FIELDS = [
+  'min_value',
+  'max_value',
+  'normal_range_min',
+  'normal_range_max',
+  'warning_range_min',
+  'warning_range_max',
+];
+
+export function canConvert(from, to) {
+  return from === to || Boolean(CONVERSIONS[from]?.[to]);
+}
+
+export function roundForUnit(value, unit) {
+  if (value === null || value === undefined || isNaN(value)) return value;
+
+  const precision = UNIT_PRECISION[unit] ?? 2;
+  return +Number(value).toFixed(precision);
+}
+
+export function convertValue(value, from, to) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const numValue = parseFloat(value);
+  if (isNaN(numValue) || from === to || !canConvert(from, to)) return numValue;
+
+  return CONVERSIONS[from][to](numValue);
+}
+
+// Every unit a type can be entered or displayed in, primary unit first
+export function getSupportedUnits(type) {
+  if (!type) return [];
+
+  const units = [type.unit_primary];
+
+  // For dual-value types unit_secondary belongs to the second value, not an alternative
+  if (type.unit_secondary && !type.has_secondary_value) {
+    units.push(type.unit_secondary);
+  }
+
+  units.push(...Object.keys(CONVERSIONS[type.unit_primary] || {}));
+
+  return [...new Set(units)];
+}
+
+// Places the server rounds converted values to before storing them
+const CANONICAL_PRECISION = 2;
+
+// The value as the server will store it, so checks here agree with its own
+export function toCanonical(value, unit, type) {
+  if (!type || !unit) return value === '' ? null : parseFloat(value);
+
+  const converted = convertValue(value, unit, type.unit_primary);
+  if (converted === null || isNaN(converted)) return converted;
+
+  return +converted.toFixed(CANONICAL_PRECISION);
+}
+
+// Copy of a record with its values expressed in the target unit
+export function convertReading(record, targetUnit) {
+  if (!record || !targetUnit || record.unit === targetUnit || !canConvert(record.unit, targetUnit)) {
+    return record;
+  }
+
+  return {
+    ...record,
+    value_primary: roundForUnit(convertValue(record.value_primary, record.unit, targetUnit), targetUnit),
+    value_secondary: record.value_secondary !== null && record.value_secondary !== undefined
+      ? roundForUnit(convertValue(record.value_secondary, record.unit, targetUnit), targetUnit)
+      : record.value_secondary,
+    unit: targetUnit,
+  };
+}
+
+// Copy of a type with its limits and ranges expressed in the target unit
+export function convertTypeRanges(type, targetUnit) {
+  if (!type || !targetUnit || type.unit_primary === targetUnit || !canConvert(type.unit_primary, targetUnit)) {
+    return type;
+  }
+
+  const converted = { ...type, unit_primary: targetUnit };
+  RANGE_FIELDS.forEach((field) => {
+    if (type[field] !== null && type[field] !== undefined) {
+      converted[field] = roundForUnit(convertValue(type[field], type.unit_primary, targetUnit), targetUnit);
+    }
+  });
+
+  return converted;
+}
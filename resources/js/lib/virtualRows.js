@@ -0,0 +1,67 @@
+// Windowing for long lists with fixed-height rows: only the rows in view (plus
+// a few either side) are rendered, with spacers standing in for the rest.
+
+export const DEFAULT_OVERSCAN = 8;
+
+/**
+ * The slice of rows to render for a scroll position. `end` is exclusive;
+ * `offsetTop` and `offsetBottom` are the heights of the spacers around it.
+ */
+export function getVirtualWindow({ scrollTop = 0, viewportHeight = 0, rowHeight, rowCount, overscan = DEFAULT_OVERSCAN }) {
+  if (!rowCount || !rowHeight) {
+    return { start: 0, end: 0, offsetTop: 0, offsetBottom: 0 };
+  }
+
+  const firstVisible = Math.floor(Math.max(scrollTop, 0) / rowHeight);
+  const visibleCount = Math.ceil(Math.max(viewportHeight, rowHeight) / rowHeight);
+
+  const start = Math.max(Math.min(firstVisible, rowCount - 1) - overscan, 0);
+  const end = Math.min(firstVisible + visibleCount + overscan, rowCount);
+
+  return {
+    start,
+    end,
+    offsetTop: start * rowHeight,
+    offsetBottom: (rowCount - end) * rowHeight,
+  };
+}
+
+/**
+ * Where the active row moves for a navigation key, or null for other keys.
+ * PageUp/PageDown move by one screen of rows.
+ */
+export function moveActiveRow(key, index, rowCount, pageRows = 10) {
+  if (!rowCount) return null;
+
+  const current = index === null || index === undefined || index < 0 ? -1 : index;
+  const last = rowCount - 1;
+
+  switch (key) {
+    case 'ArrowDown': return Math.min(current + 1, last);
+    case 'ArrowUp': return Math.max(current - 1, 0);
+    case 'PageDown': return Math.min(current + Math.max(pageRows, 1), last);
+    case 'PageUp': return Math.max(current - Math.max(pageRows, 1), 0);
+    case 'Home': return 0;
+    case 'End': return last;
+    default: return null;
+  }
+}
+
+/**
+ * The scrollTop that brings a row fully into view, or null when it already is.
+ * Pass the height of a sticky header so rows don't end up underneath it.
+ */
+export function scrollToRow({ index, scrollTop, viewportHeight, rowHeight, headerHeight = 0 }) {
+  const rowTop = index * rowHeight;
+  const rowBottom = rowTop + rowHeight;
+  const visibleHeight = viewportHeight - headerHeight;
+
+  if (rowTop < scrollTop) return rowTop;
+  if (rowBottom > scrollTop + visibleHeight) return rowBottom - visibleHeight;
+  return null;
+}
+
+// More rows should be fetched once the window gets this close to the end of what is loaded
+export function shouldLoadMore({ end, loadedCount, hasMore, threshold = 50 }) {
+  return hasMore && loadedCount - end <= threshold;
+}
@@ -0,0 +1,167 @@
+// Export files built in the browser from readings loaded from the API. The
+// CSV columns match the server's bulk export, so either file imports again.
+import { CONTEXT_GROUPS, formatContext } from './measurementContext.js';
+import { formatDateTime, toOffsetISOString, toDateKey } from './dateTime.js';
+import { createTablePdf } from './pdfTable.js';
+
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV', type: 'text/csv;charset=utf-8' },
+  json: { label: 'JSON', type: 'application/json' },
+  pdf: { label: 'PDF', type: 'application/pdf' },
+};
+
+export const CSV_HEADINGS = [
+  'Measured At',
+  'Type',
+  'Value',
+  'Diastolic',
+  'Unit',
+  'Method',
+  'Device',
+  'Context',
+  'Notes',
+  'Flagged',
+  'Flag Reason',
+];
+
+// Printable columns, widths in points across a landscape A4 page
+const PDF_COLUMNS = [
+  { label: 'Date & time', width: 105 },
+  { label: 'Type', width: 100 },
+  { label: 'Value', width: 60, align: 'right' },
+  { label: 'Unit', width: 45 },
+  { label: 'Method', width: 70 },
+  { label: 'Context', width: 110 },
+  { label: 'Notes', width: 165 },
+  { label: 'Flag', width: 115 },
+];
+
+const blank = (value) => (value === null || value === undefined ? '' : String(value));
+
+const capitalize = (value) => (value ? value.charAt(0).toUpperCase() + value.slice(1) : '');
+
+// "120/80" for readings with a second value
+export function formatExportValue(record) {
+  return record.value_secondary !== null && record.value_secondary !== undefined && record.value_secondary !== ''
+    ? `${record.value_primary}/${record.value_secondary}`
+    : blank(record.value_primary);
+}
+
+// Quote a CSV field when it holds a separator, quote or line break
+const csvField = (value) => {
+  const text = blank(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Spreadsheets run cells starting with these as formulas, so free text gets a leading apostrophe
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+export function spreadsheetSafe(value) {
+  const text = blank(value);
+  return FORMULA_PREFIX.test(text) ? `'${text}` : text;
+}
+
+export function toCsv(records, timeZone) {
+  const rows = records.map(record => [
+    toOffsetISOString(record.measured_at, timeZone),
+    record.vital_sign_type?.display_name,
+    record.value_primary,
+    record.value_secondary,
+    record.unit,
+    record.measurement_method,
+    spreadsheetSafe(record.device_name),
+    formatContext(record.context).join('; '),
+    spreadsheetSafe(record.notes),
+    record.is_flagged ? 'yes' : 'no',
+    spreadsheetSafe(record.flag_reason),
+  ]);
+
+  return [CSV_HEADINGS, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+export function toJson(records, timeZone, meta = {}) {
+  const data = records.map(record => ({
+    id: record.id,
+    measured_at: toOffsetISOString(record.measured_at, timeZone),
+    type: record.vital_sign_type?.name ?? null,
+    type_name: record.vital_sign_type?.display_name ?? null,
+    value_primary: record.value_primary === null ? null : Number(record.value_primary),
+    value_secondary: record.value_secondary === null || record.value_secondary === undefined ? null : Number(record.value_secondary),
+    unit: record.unit,
+    measurement_method: record.measurement_method,
+    device_name: record.device_name ?? null,
+    context: record.context ?? null,
+    notes: record.notes ?? null,
+    is_flagged: Boolean(record.is_flagged),
+    flag_reason: record.flag_reason ?? null,
+  }));
+
+  return JSON.stringify({ data, meta: { count: data.length, timezone: timeZone, ...meta } }, null, 2);
+}
+
+/**
+ * The filters in words for the top of a printout, e.g.
+ * "Blood Pressure · 1 Sep 2025 to 30 Sep 2025 · Sitting".
+ */
+export function describeFilters(filters = {}, vitalSignTypes = [], timeZone = null) {
+  const parts = [];
+  const type = vitalSignTypes.find(item => item.id.toString() === String(filters.vital_sign_type_id));
+  parts.push(type ? type.display_name : 'All measurement types');
+
+  // Date filters are calendar days, so format them at noon UTC to keep the day
+  const day = (value) => formatDateTime(`${value}T12:00:00Z`, 'UTC', 'date');
+  if (filters.start_date && filters.end_date) {
+    parts.push(`${day(filters.start_date)} to ${day(filters.end_date)}`);
+  } else if (filters.start_date) {
+    parts.push(`From ${day(filters.start_date)}`);
+  } else if (filters.end_date) {
+    parts.push(`Until ${day(filters.end_date)}`);
+  }
+
+  const [name, tag] = (filters.context || '').split(':');
+  const tagLabel = CONTEXT_GROUPS[name]?.options[tag];
+  if (tagLabel) parts.push(tagLabel);
+
+  if (timeZone) parts.push(`Times in ${timeZone}`);
+
+  return parts.join(' · ');
+}
+
+/**
+ * A printable table of readings for someone who can't see them in the app.
+ * Flagged readings are highlighted with their reason.
+ */
+export function toPdf(records, timeZone, { title = 'Vital signs', subtitle = '', generatedAt = new Date() } = {}) {
+  const rows = records.map(record => ({
+    highlight: Boolean(record.is_flagged),
+    cells: [
+      formatDateTime(record.measured_at, timeZone, 'dateTime'),
+      blank(record.vital_sign_type?.display_name),
+      formatExportValue(record),
+      blank(record.unit),
+      [capitalize(record.measurement_method), record.device_name].filter(Boolean).join(', '),
+      formatContext(record.context).join(', '),
+      blank(record.notes),
+      record.is_flagged ? (record.flag_reason || 'Flagged') : '',
+    ],
+  }));
+
+  return createTablePdf({
+    title,
+    subtitle,
+    columns: PDF_COLUMNS,
+    rows,
+    footer: `${records.length} readings · Generated ${formatDateTime(generatedAt, timeZone, 'dateTime')}`,
+  });
+}
+
+// "vital-signs-2025-09-30.pdf", dated in the user's timezone
+export function exportFilename(format, timeZone, date = new Date()) {
+  return `vital-signs-${toDateKey(date, timeZone)}.${format}`;
+}
+
+export function buildExport(format, records, { timeZone = null, title, subtitle, meta } = {}) {
+  if (format === 'json') return toJson(records, timeZone, meta);
+  if (format === 'pdf') return toPdf(records, timeZone, { title, subtitle });
+  return toCsv(records, timeZone);
+}
@@ -0,0 +1,137 @@
+// Turning spreadsheet rows into payloads for the vital-signs-bulk-import endpoint.
+import { validateReading } from './vitalSignsValidation.js';
+import { parseDateTime } from './dateTime.js';
+
+// The endpoint accepts at most 100 records per request
+export const IMPORT_CHUNK_SIZE = 100;
+
+export const IMPORT_FIELDS = [
+  { key: 'type', label: 'Measurement type', required: false },
+  { key: 'value_primary', label: 'Value (or systolic)', required: true },
+  { key: 'value_secondary', label: 'Secondary value (diastolic)', required: false },
+  { key: 'unit', label: 'Unit', required: false },
+  { key: 'measured_at', label: 'Date & time', required: true },
+  { key: 'notes', label: 'Notes', required: false },
+];
+
+// Header words that identify each field when guessing the mapping
+const HEADER_HINTS = {
+  type: ['type', 'measurement', 'vital', 'sign', 'metric'],
+  value_primary: ['value', 'systolic', 'reading', 'primary', 'result'],
+  value_secondary: ['diastolic', 'secondary', 'value2'],
+  unit: ['unit', 'units', 'uom'],
+  measured_at: ['date', 'time', 'timestamp', 'measured', 'taken', 'when'],
+  notes: ['note', 'notes', 'comment', 'comments', 'remark'],
+};
+
+export function guessColumnMapping(headers) {
+  const mapping = {};
+  const used = new Set();
+
+  // Secondary before primary so "diastolic" doesn't get taken by the generic "value" hint
+  ['value_secondary', 'measured_at', 'type', 'unit', 'notes', 'value_primary'].forEach((field) => {
+    const index = headers.findIndex((header, i) => {
+      const normalized = header.toLowerCase();
+      return !used.has(i) && HEADER_HINTS[field].some(hint => normalized.includes(hint));
+    });
+
+    if (index !== -1) {
+      mapping[field] = index;
+      used.add(index);
+    }
+  });
+
+  return mapping;
+}
+
+const normalizeName = (value) => value.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+// Match a cell against a type's id, name or display name
+export function findVitalSignType(value, vitalSignTypes) {
+  if (!value) return null;
+
+  const normalized = normalizeName(value);
+  return vitalSignTypes.find(type => (
+    type.id.toString() === value.trim()
+    || type.name === normalized
+    || normalizeName(type.display_name) === normalized
+  )) || null;
+}
+
+// Accept "2025-09-20 08:30" (read in the user's timezone) as well as full ISO strings
+const parseTimestamp = (value, timeZone) => {
+  if (!value) return null;
+
+  return parseDateTime(value.trim(), timeZone);
+};
+
+const cell = (row, index) => (index === undefined || index === null || index === '' ? '' : (row[index] ?? ''));
+
+/**
+ * Build a bulk import record from a parsed row and validate it with the
+ * shared vital signs rules. Timestamps without an offset are read in
+ * `timeZone`. Returns { record, type, errors }.
+ */
+export function buildImportRow(row, mapping, vitalSignTypes, defaults = {}, timeZone = null) {
+  const errors = [];
+
+  const type = mapping.type !== undefined
+    ? findVitalSignType(cell(row, mapping.type), vitalSignTypes)
+    : vitalSignTypes.find(t => t.id.toString() === defaults.vital_sign_type_id) || null;
+
+  if (!type) {
+    errors.push(mapping.type !== undefined
+      ? `Unknown measurement type "${cell(row, mapping.type)}"`
+      : 'Please choose a measurement type');
+  }
+
+  let primaryText = cell(row, mapping.value_primary);
+  let secondaryText = cell(row, mapping.value_secondary);
+
+  // Blood pressure is often written as a single "120/80" cell
+  if (secondaryText === '' && primaryText.includes('/')) {
+    [primaryText, secondaryText] = primaryText.split('/').map(part => part.trim());
+  }
+
+  const valuePrimary = parseFloat(primaryText);
+  const valueSecondary = secondaryText === '' ? null : parseFloat(secondaryText);
+  const unit = cell(row, mapping.unit) || type?.unit_primary || '';
+  const measuredAt = parseTimestamp(cell(row, mapping.measured_at), timeZone);
+  const notes = cell(row, mapping.notes);
+
+  // Same rules as the entry forms; the type itself is reported above
+  const readingErrors = validateReading(type, {
+    value_primary: primaryText,
+    value_secondary: secondaryText,
+    unit,
+    measured_at: measuredAt ? measuredAt.toISOString() : cell(row, mapping.measured_at),
+    measurement_method: defaults.measurement_method || 'manual',
+    device_name: defaults.device_name,
+    notes,
+  }, { maxAgeDays: null });
+  delete readingErrors.vital_sign_type_id;
+  errors.push(...Object.values(readingErrors));
+
+  return {
+    type,
+    errors,
+    record: {
+      vital_sign_type_id: type?.id ?? null,
+      value_primary: valuePrimary,
+      value_secondary: valueSecondary,
+      unit,
+      measured_at: measuredAt ? measuredAt.toISOString() : null,
+      measurement_method: defaults.measurement_method || 'manual',
+      device_name: defaults.device_name || null,
+      notes: notes || null,
+    },
+  };
+}
+
+export function chunk(items, size = IMPORT_CHUNK_SIZE) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
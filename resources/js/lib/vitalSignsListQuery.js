@@ -0,0 +1,155 @@
+// The vital signs list view (filters, sort and page) as it is written in the
+// query string. The same parameters go to /api/vital-signs, so a shared or
+// restored URL shows the same readings the API returns.
+
+export const SORT_OPTIONS = {
+  measured_at: 'Date',
+  value: 'Value',
+  type: 'Type',
+  flagged: 'Flagged',
+};
+
+// Direction picked when switching to a sort, so the useful end comes first
+const DEFAULT_DIRECTIONS = {
+  measured_at: 'desc',
+  value: 'desc',
+  type: 'asc',
+  flagged: 'desc',
+};
+
+export const PER_PAGE_OPTIONS = [10, 15, 25, 50];
+
+// Cards page through the list; the table loads it in chunks as it scrolls
+export const VIEW_OPTIONS = {
+  cards: 'Cards',
+  table: 'Table',
+};
+
+export const DEFAULT_LIST_QUERY = {
+  vital_sign_type_id: '',
+  start_date: '',
+  end_date: '',
+  context: '',
+  sort: 'measured_at',
+  direction: 'desc',
+  per_page: 15,
+  page: 1,
+  view: 'cards',
+};
+
+// Fields that narrow the list, as opposed to how it is ordered and paged
+const FILTER_FIELDS = ['vital_sign_type_id', 'start_date', 'end_date', 'context'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const toPositiveInt = (value) => {
+  const number = parseInt(value, 10);
+  return Number.isInteger(number) && number > 0 ? number : null;
+};
+
+// Context arrives as { group: tag } from the server and as "group:tag" from the filter
+const readContext = (value) => {
+  if (typeof value === 'string') return value.includes(':') ? value : '';
+  if (!value || typeof value !== 'object') return '';
+
+  const [entry] = Object.entries(value).filter(([, tag]) => typeof tag === 'string' && tag);
+  return entry ? `${entry[0]}:${entry[1]}` : '';
+};
+
+/**
+ * Read a list query from URL parameters (an object or URLSearchParams),
+ * dropping anything unknown or malformed in favour of the defaults.
+ */
+export function parseListQuery(params = {}) {
+  const source = params instanceof URLSearchParams ? paramsToObject(params) : (params || {});
+  const sort = SORT_OPTIONS[source.sort] ? source.sort : DEFAULT_LIST_QUERY.sort;
+
+  return {
+    vital_sign_type_id: toPositiveInt(source.vital_sign_type_id)?.toString() ?? '',
+    start_date: DATE_PATTERN.test(source.start_date || '') ? source.start_date : '',
+    end_date: DATE_PATTERN.test(source.end_date || '') ? source.end_date : '',
+    context: readContext(source.context),
+    sort,
+    direction: ['asc', 'desc'].includes(source.direction) ? source.direction : DEFAULT_LIST_QUERY.direction,
+    per_page: PER_PAGE_OPTIONS.includes(toPositiveInt(source.per_page)) ? toPositiveInt(source.per_page) : DEFAULT_LIST_QUERY.per_page,
+    page: toPositiveInt(source.page) ?? 1,
+    view: VIEW_OPTIONS[source.view] ? source.view : DEFAULT_LIST_QUERY.view,
+  };
+}
+
+// URLSearchParams to a plain object, with context[group]=tag read as { group: tag }
+function paramsToObject(params) {
+  const result = {};
+
+  for (const [key, value] of params.entries()) {
+    const match = /^context\[(\w+)\]$/.exec(key);
+    if (match) {
+      result.context = { ...(result.context || {}), [match[1]]: value };
+    } else {
+      result[key] = value;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * The query as flat URL parameters, leaving out defaults so plain URLs stay
+ * plain (the API uses the same defaults). The context filter is written as
+ * context[group]=tag.
+ */
+export function toQueryParams(query) {
+  const params = {};
+
+  Object.entries(query).forEach(([key, value]) => {
+    if (value === '' || value === null || value === undefined) return;
+
+    if (key === 'context') {
+      const [name, tag] = value.split(':');
+      if (name && tag) params[`context[${name}]`] = tag;
+      return;
+    }
+
+    if (value === DEFAULT_LIST_QUERY[key]) return;
+
+    params[key] = String(value);
+  });
+
+  return params;
+}
+
+/**
+ * The parameters for /api/vital-signs. The view only matters to the page, and
+ * the table asks for its own pages, so those are left to the caller.
+ */
+export function toApiParams(query, { page = query.page, perPage = query.per_page } = {}) {
+  const { view, ...params } = toQueryParams({ ...query, page, per_page: perPage });
+  return params;
+}
+
+/**
+ * Apply changes to a query. Changing a filter, the sort or the page size goes
+ * back to the first page; switching sort picks that sort's usual direction.
+ */
+export function updateListQuery(query, changes) {
+  const next = { ...query, ...changes };
+
+  if (changes.sort && changes.sort !== query.sort && !changes.direction) {
+    next.direction = DEFAULT_DIRECTIONS[changes.sort] ?? 'desc';
+  }
+
+  if (!('page' in changes)) {
+    next.page = 1;
+  }
+
+  return next;
+}
+
+export function hasActiveFilters(query) {
+  return FILTER_FIELDS.some(field => query[field]);
+}
+
+// The view without any filters, keeping the chosen sort and page size
+export function clearListFilters(query) {
+  return updateListQuery(query, Object.fromEntries(FILTER_FIELDS.map(field => [field, ''])));
+}
@@ -0,0 +1,271 @@
+// Validation shared by every vital signs entry surface. Limits and ranges come
+// from the VitalSignType metadata; the physiological limits mirror
+// VitalSignsValidationService::checkPhysiologicalLimits on the server.
+import { getSupportedUnits, toCanonical, convertValue, roundForUnit, canConvert } from './units.js';
+import { parseDateTime } from './dateTime.js';
+import { checkInputConstraints } from './inputWidgets.js';
+
+// Expressed in each type's primary unit
+export const PHYSIOLOGICAL_LIMITS = {
+  blood_pressure: {
+    primary: { min: 50, max: 300 },
+    secondary: { min: 30, max: 200 },
+    primaryAboveSecondary: true,
+  },
+  heart_rate: { primary: { min: 20, max: 250 } },
+  oxygen_saturation: { primary: { min: 50, max: 100 } },
+  weight: { primary: { min: 20, max: 300 } },
+  blood_glucose: { primary: { min: 20, max: 600 } },
+  body_temperature: { primary: { min: 30, max: 45 } },
+};
+
+// Readings older than this are rejected by CreateVitalSignsRequest
+export const MAX_READING_AGE_DAYS = 30;
+
+export const MEASUREMENT_METHODS = ['manual', 'device', 'estimated'];
+
+// Largest believable change from the previous reading within a day, in the
+// type's primary unit. Mirrors VitalSignsValidationService::detectRapidChanges.
+export const RAPID_CHANGE_THRESHOLDS = {
+  blood_pressure: 20,
+  heart_rate: 15,
+  weight: 2,
+  blood_glucose: 50,
+};
+const DEFAULT_RAPID_CHANGE_THRESHOLD = 10;
+const RAPID_CHANGE_WINDOW_HOURS = 24;
+
+// Readings of the same value this close together are probably entered twice
+export const DUPLICATE_WINDOW_MINUTES = 10;
+
+const MINUTE = 60 * 1000;
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+const hasValue = (value) => !isBlank(value) && !isNaN(parseFloat(value));
+
+// Stored values have two decimals, so converted entries are compared at that precision
+const sameValue = (stored, value) => Math.abs(parseFloat(stored) - value) < 0.005;
+
+// A limit from the type's primary unit, shown in the unit being entered
+const formatLimit = (limit, type, unit) => {
+  const converted = roundForUnit(convertValue(limit, type.unit_primary, unit), unit);
+  return `${converted} ${unit}`;
+};
+
+const labelsFor = (type) => ({
+  primary: type?.input_type === 'dual' ? 'Systolic value' : 'Value',
+  secondary: type?.input_type === 'dual' ? 'Diastolic value' : 'Secondary value',
+});
+
+/**
+ * Check the measured values of a reading against its type.
+ * Returns an object of field => message, empty when the values are valid.
+ */
+export function validateMeasurement(type, { value_primary, value_secondary, unit }) {
+  const errors = {};
+  const labels = labelsFor(type);
+
+  // Primary value
+  if (isBlank(value_primary)) {
+    errors.value_primary = 'Please enter a measurement value';
+  } else if (isNaN(parseFloat(value_primary))) {
+    errors.value_primary = 'Please enter a valid number';
+  } else if (parseFloat(value_primary) < 0) {
+    errors.value_primary = 'Value cannot be negative';
+  }
+
+  // Everything else depends on the type's metadata
+  if (!type) return errors;
+
+  // Secondary value
+  if (type.has_secondary_value && isBlank(value_secondary)) {
+    errors.value_secondary = `${labels.secondary} is required for this measurement type`;
+  } else if (!type.has_secondary_value && !isBlank(value_secondary)) {
+    errors.value_secondary = 'Secondary value is not applicable for this measurement type';
+  } else if (!isBlank(value_secondary) && isNaN(parseFloat(value_secondary))) {
+    errors.value_secondary = 'Please enter a valid number';
+  } else if (!isBlank(value_secondary) && parseFloat(value_secondary) < 0) {
+    errors.value_secondary = 'Value cannot be negative';
+  }
+
+  const entryUnit = unit || type.unit_primary;
+  const supportedUnits = getSupportedUnits(type);
+
+  // Range checks need numbers in a unit we can convert from
+  if (!supportedUnits.includes(entryUnit)) {
+    errors.unit = `Unit must be one of: ${supportedUnits.join(', ')}`;
+    return errors;
+  }
+
+  const primary = errors.value_primary ? null : toCanonical(value_primary, entryUnit, type);
+  const secondary = errors.value_secondary || isBlank(value_secondary)
+    ? null
+    : toCanonical(value_secondary, entryUnit, type);
+
+  if (primary !== null) {
+    const limits = PHYSIOLOGICAL_LIMITS[type.name]?.primary;
+
+    if (hasValue(type.min_value) && primary < parseFloat(type.min_value)) {
+      errors.value_primary = `${labels.primary} must be at least ${formatLimit(type.min_value, type, entryUnit)}`;
+    } else if (hasValue(type.max_value) && primary > parseFloat(type.max_value)) {
+      errors.value_primary = `${labels.primary} cannot exceed ${formatLimit(type.max_value, type, entryUnit)}`;
+    } else if (limits && (primary < limits.min || primary > limits.max)) {
+      errors.value_primary = `${labels.primary} must be between ${formatLimit(limits.min, type, entryUnit)} and ${formatLimit(limits.max, type, entryUnit)}`;
+    } else if (checkInputConstraints(type, primary)) {
+      errors.value_primary = checkInputConstraints(type, primary);
+    }
+  }
+
+  if (secondary !== null) {
+    const rules = PHYSIOLOGICAL_LIMITS[type.name];
+
+    if (rules?.secondary && (secondary < rules.secondary.min || secondary > rules.secondary.max)) {
+      errors.value_secondary = `${labels.secondary} must be between ${formatLimit(rules.secondary.min, type, entryUnit)} and ${formatLimit(rules.secondary.max, type, entryUnit)}`;
+    } else if (rules?.primaryAboveSecondary && primary !== null && primary <= secondary) {
+      errors.value_secondary = `${labels.secondary} must be lower than the ${labels.primary.toLowerCase()}`;
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a complete reading as submitted to the API, mirroring
+ * CreateVitalSignsRequest. Pass maxAgeDays: null for bulk imports, which
+ * accept older readings, and the user's timeZone to read datetime-local
+ * values in. Returns field => message.
+ */
+export function validateReading(type, data, { now = new Date(), maxAgeDays = MAX_READING_AGE_DAYS, timeZone = null } = {}) {
+  const errors = {};
+
+  if (!type) {
+    errors.vital_sign_type_id = 'Please select a vital sign type';
+  }
+
+  Object.assign(errors, validateMeasurement(type, data));
+
+  if (!data.unit) {
+    errors.unit = 'Please select a unit';
+  }
+
+  if (!data.measured_at) {
+    errors.measured_at = 'Please specify when the measurement was taken';
+  } else {
+    const measuredAt = parseDateTime(data.measured_at, timeZone);
+    const oldest = maxAgeDays === null ? null : new Date(now.getTime() - maxAgeDays * 24 * 60 * 60 * 1000);
+
+    if (!measuredAt) {
+      errors.measured_at = 'Please enter a valid date and time';
+    } else if (measuredAt > now) {
+      errors.measured_at = 'Measurement date cannot be in the future';
+    } else if (oldest && measuredAt < oldest) {
+      errors.measured_at = `Measurement date cannot be more than ${maxAgeDays} days ago`;
+    }
+  }
+
+  if (!MEASUREMENT_METHODS.includes(data.measurement_method)) {
+    errors.measurement_method = 'Please select a measurement method';
+  } else if (data.measurement_method === 'device' && !data.device_name?.trim()) {
+    errors.device_name = 'Device name is required for device measurements';
+  }
+
+  if (data.device_name && data.device_name.length > 100) {
+    errors.device_name = 'Device name cannot exceed 100 characters';
+  }
+
+  if (data.notes && data.notes.length > 1000) {
+    errors.notes = 'Notes cannot exceed 1000 characters';
+  }
+
+  return errors;
+}
+
+/**
+ * Where a valid value sits relative to the type's normal and warning ranges,
+ * using the same levels as VitalSignsValidationService::validateReading.
+ * Returns null for normal readings, otherwise { level, message }.
+ */
+export function getRangeFeedback(type, value, unit) {
+  if (!type || !hasValue(value)) return null;
+
+  const reading = toCanonical(value, unit || type.unit_primary, type);
+  const outside = (min, max) => (hasValue(min) && reading < parseFloat(min)) || (hasValue(max) && reading > parseFloat(max));
+
+  if (!outside(type.normal_range_min, type.normal_range_max)) return null;
+
+  if (outside(type.warning_range_min, type.warning_range_max)) {
+    return { level: 'critical', message: 'Critical reading outside safe range' };
+  }
+
+  return { level: 'warning', message: 'Reading outside normal range' };
+}
+
+/**
+ * Compare a new reading with recent readings of the same type (in the type's
+ * primary unit) and warn about likely duplicates and implausible jumps. Jumps
+ * are described in `displayUnit`, which defaults to the unit of the new reading.
+ * Returns a list of { kind: 'duplicate' | 'jump', message, reading }.
+ */
+export function checkReadingSequence(type, reading, recentReadings = [], { displayUnit = null } = {}) {
+  if (!type || !hasValue(reading.value_primary) || !reading.measured_at) return [];
+
+  const measuredAt = new Date(reading.measured_at).getTime();
+  const unit = reading.unit || type.unit_primary;
+  const primary = toCanonical(reading.value_primary, unit, type);
+  const secondary = hasValue(reading.value_secondary) ? toCanonical(reading.value_secondary, unit, type) : null;
+  const warnings = [];
+
+  const others = recentReadings
+    .filter(other => other.vital_sign_type_id === type.id)
+    .map(other => ({ ...other, time: new Date(other.measured_at).getTime() }));
+
+  const duplicate = others.find(other => (
+    Math.abs(other.time - measuredAt) <= DUPLICATE_WINDOW_MINUTES * MINUTE
+    && sameValue(other.value_primary, primary)
+    && (secondary === null || sameValue(other.value_secondary, secondary))
+  ));
+
+  if (duplicate) {
+    const minutes = Math.round(Math.abs(duplicate.time - measuredAt) / MINUTE);
+    warnings.push({
+      kind: 'duplicate',
+      reading: duplicate,
+      message: minutes === 0
+        ? 'The same value was already recorded at this time.'
+        : `The same value was already recorded ${minutes} minute${minutes === 1 ? '' : 's'} apart.`,
+    });
+  }
+
+  // Nearest earlier reading, as the server compares consecutive values
+  const previous = others
+    .filter(other => other.time < measuredAt && other !== duplicate)
+    .sort((a, b) => b.time - a.time)[0];
+
+  if (previous && measuredAt - previous.time < RAPID_CHANGE_WINDOW_HOURS * 60 * MINUTE) {
+    const threshold = RAPID_CHANGE_THRESHOLDS[type.name] ?? DEFAULT_RAPID_CHANGE_THRESHOLD;
+    const change = Math.abs(primary - parseFloat(previous.value_primary));
+
+    if (change > threshold) {
+      const hours = Math.max(1, Math.round((measuredAt - previous.time) / (60 * MINUTE)));
+      // Convert both values rather than the change, as temperature scales have different zeros
+      const shownUnit = [displayUnit, unit].find(candidate => candidate && canConvert(type.unit_primary, candidate)) || type.unit_primary;
+      const shown = (value) => convertValue(value, type.unit_primary, shownUnit);
+      const shownChange = Math.abs(shown(primary) - shown(previous.value_primary));
+
+      warnings.push({
+        kind: 'jump',
+        reading: previous,
+        message: `This is ${roundForUnit(shownChange, shownUnit)} ${shownUnit} ${primary > parseFloat(previous.value_primary) ? 'higher' : 'lower'} than your reading ${hours} hour${hours === 1 ? '' : 's'} earlier (${roundForUnit(shown(previous.value_primary), shownUnit)} ${shownUnit}).`,
+      });
+    }
+  }
+
+  return warnings;
+}
+
+// Add an explanation from the confirmation prompt to a reading's notes
+export function appendNote(notes, note) {
+  if (!note) return notes || '';
+  return notes ? `${notes}\n${note}` : note;
+}
@@ -0,0 +1,51 @@
+import { createRoot } from 'react-dom/client';
+import ReadingsChart from '@/Components/ReadingsChart';
+
+// Charts in Blade views: an element with `data-readings-chart` holds the
+// props as JSON and a `wire:ignore` child for React to render into. Livewire
+// updates the JSON, and the chart re-renders from it.
+
+const roots = new WeakMap();
+
+const render = (element) => {
+  const container = element.querySelector('[data-chart-root]');
+  if (!container) return;
+
+  let props = null;
+  try {
+    props = JSON.parse(element.dataset.readingsChart || 'null');
+  } catch (error) {
+    console.error('Error reading chart data:', error);
+  }
+
+  if (!roots.has(container)) roots.set(container, createRoot(container));
+  roots.get(container).render(props ? <ReadingsChart {...props} /> : null);
+};
+
+export function mountReadingsCharts(root = document) {
+  root.querySelectorAll('[data-readings-chart]').forEach(render);
+
+  const observer = new MutationObserver((mutations) => {
+    mutations.forEach((mutation) => {
+      if (mutation.type === 'attributes') {
+        render(mutation.target);
+        return;
+      }
+
+      mutation.addedNodes.forEach((node) => {
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+        if (node.matches('[data-readings-chart]')) render(node);
+        node.querySelectorAll('[data-readings-chart]').forEach(render);
+      });
+    });
+  });
+
+  observer.observe(root.body || root, {
+    subtree: true,
+    childList: true,
+    attributes: true,
+    attributeFilter: ['data-readings-chart'],
+  });
+
+  return observer;
+}
@@ -3,23 +3,21 @@
 use App\Models\VitalSignsRecord;
 use App\Models\VitalSignType;
 use Illuminate\Support\Facades\Auth;
-use Illuminate\Support\Carbon;
 use function Livewire\Volt\{state, computed, mount, on};
 
 state([
     'vital_sign_type_id' => null,
     'period' => 7, // days
     'chart_height' => 240,
-    'chart_width' => 600,
     'show_normal_range' => true,
     'show_flagged_only' => false,
+    'chart_style' => 'lines', // or 'range' for types with two values
 ]);
 
-mount(function ($vitalSignTypeId = null, $period = 7, $height = 240, $width = 600) {
+mount(function ($vitalSignTypeId = null, $period = 7, $height = 240) {
     $this->vital_sign_type_id = $vitalSignTypeId;
     $this->period = $period;
     $this->chart_height = $height;
-    $this->chart_width = $width;
 });
 
 $vitalSignTypes = computed(fn () => VitalSignType::where('is_active', true)->orderBy('display_name')->get());
@@ -106,7 +104,8 @@
     ];
 });
 
-$svgChart = computed(function () {
+// Props for the shared chart component, which resources/js/app.js mounts in the browser
+$chartProps = computed(function () {
     $data = $this->chartData;
     $type = $this->selectedType;
 
@@ -114,109 +113,22 @@
         return null;
     }
 
-    $padding = 40;
-    $chartWidth = $this->chart_width - (2 * $padding);
-    $chartHeight = $this->chart_height - (2 * $padding);
-
-    // Prepare data points
-    $values = $data->pluck('value_primary')->map(fn($v) => floatval($v))->toArray();
-    $dates = $data->pluck('measured_at')->map(fn($d) => Carbon::parse($d))->toArray();
-    $flagged = $data->pluck('is_flagged')->toArray();
-
-    // Calculate ranges
-    $minValue = min($values);
-    $maxValue = max($values);
-    $valueRange = $maxValue - $minValue;
-
-    // Add padding to value range
-    if ($valueRange == 0) {
-        $valueRange = 1;
-        $minValue -= 0.5;
-        $maxValue += 0.5;
-    } else {
-        $valuePadding = $valueRange * 0.1;
-        $minValue -= $valuePadding;
-        $maxValue += $valuePadding;
-        $valueRange = $maxValue - $minValue;
-    }
-
-    // Time range
-    $minDate = min($dates)->timestamp;
-    $maxDate = max($dates)->timestamp;
-    $dateRange = $maxDate - $minDate;
-    if ($dateRange == 0) $dateRange = 86400; // 1 day default
-
-    // Generate SVG points
-    $points = [];
-    $circles = [];
-    foreach ($data as $index => $record) {
-        $x = $padding + ($chartWidth * (Carbon::parse($record->measured_at)->timestamp - $minDate)) / $dateRange;
-        $y = $padding + $chartHeight - (($record->value_primary - $minValue) / $valueRange) * $chartHeight;
-
-        $points[] = "$x,$y";
-        $circles[] = [
-            'x' => $x,
-            'y' => $y,
-            'value' => $record->value_primary,
-            'date' => Carbon::parse($record->measured_at)->format('M j, Y H:i'),
-            'flagged' => $record->is_flagged,
-            'notes' => $record->notes,
-        ];
-    }
-
-    $pathData = 'M ' . implode(' L ', $points);
-
-    // Generate normal range band if available
-    $normalRangePath = null;
-    if ($this->show_normal_range && $type->normal_range_min && $type->normal_range_max) {
-        $normalMin = $type->normal_range_min;
-        $normalMax = $type->normal_range_max;
-
-        if ($normalMin >= $minValue && $normalMax <= $maxValue) {
-            $yMin = $padding + $chartHeight - (($normalMin - $minValue) / $valueRange) * $chartHeight;
-            $yMax = $padding + $chartHeight - (($normalMax - $minValue) / $valueRange) * $chartHeight;
-
-            $normalRangePath = "M $padding,$yMax L " . ($padding + $chartWidth) . ",$yMax L " .
-                              ($padding + $chartWidth) . ",$yMin L $padding,$yMin Z";
-        }
-    }
-
-    // Generate Y-axis labels
-    $yLabels = [];
-    for ($i = 0; $i <= 4; $i++) {
-        $value = $minValue + ($valueRange * $i / 4);
-        $y = $padding + $chartHeight - (($value - $minValue) / $valueRange) * $chartHeight;
-        $yLabels[] = [
-            'y' => $y,
-            'value' => round($value, 1),
-        ];
-    }
-
-    // Generate X-axis labels
-    $xLabels = [];
-    for ($i = 0; $i <= 4; $i++) {
-        $timestamp = $minDate + ($dateRange * $i / 4);
-        $x = $padding + ($chartWidth * $i / 4);
-        $xLabels[] = [
-            'x' => $x,
-            'date' => Carbon::createFromTimestamp($timestamp)->format('M j'),
-        ];
-    }
-
     return [
-        'svg_width' => $this->chart_width,
-        'svg_height' => $this->chart_height,
-        'path_data' => $pathData,
-        'normal_range_path' => $normalRangePath,
-        'circles' => $circles,
-        'y_labels' => $yLabels,
-        'x_labels' => $xLabels,
-        'chart_area' => [
-            'x' => $padding,
-            'y' => $padding,
-            'width' => $chartWidth,
-            'height' => $chartHeight,
-        ],
+        'readings' => $data->map(fn (VitalSignsRecord $record) => [
+            'id' => $record->id,
+            'measured_at' => $record->measured_at->toISOString(),
+            'value_primary' => (float) $record->value_primary,
+            'value_secondary' => $record->value_secondary !== null ? (float) $record->value_secondary : null,
+            'unit' => $record->unit,
+            'is_flagged' => (bool) $record->is_flagged,
+            'notes' => $record->notes,
+        ])->values(),
+        'type' => $type->only(['name', 'display_name', 'unit_primary', 'has_secondary_value', 'normal_range_min', 'normal_range_max']),
+        'timeZone' => Auth::user()->preferredTimezone(),
+        'height' => $this->chart_height,
+        'chartStyle' => $this->chart_style,
+        'showNormalRange' => $this->show_normal_range,
+        'showLegend' => true,
     ];
 });
 
@@ -224,7 +136,7 @@
     // Refresh chart data when new vital signs are recorded
     unset($this->chartData);
     unset($this->chartStats);
-    unset($this->svgChart);
+    unset($this->chartProps);
 }]);
 
 $updatePeriod = function ($days) {
@@ -239,6 +151,10 @@
     $this->show_flagged_only = !$this->show_flagged_only;
 };
 
+$toggleChartStyle = function () {
+    $this->chart_style = $this->chart_style === 'range' ? 'lines' : 'range';
+};
+
 ?>
 
 <div class="bg-white rounded-lg shadow-sm border p-6">
@@ -282,6 +198,14 @@ class="px-3 py-1 text-sm font-medium {{ $period === 90 ? 'bg-indigo-600 text-whi
                 <!-- Toggle buttons -->
                 @if($this->selectedType)
                     <div class="flex space-x-2">
+                        @if($this->selectedType->has_secondary_value)
+                            <button
+                                wire:click="toggleChartStyle"
+                                class="px-3 py-1 text-xs font-medium {{ $chart_style === 'range' ? 'bg-indigo-100 text-indigo-800' : 'bg-gray-100 text-gray-600' }} rounded-md hover:bg-indigo-200 focus:outline-none"
+                            >
+                                Range Bars
+                            </button>
+                        @endif
                         <button
                             wire:click="toggleNormalRange"
                             class="px-3 py-1 text-xs font-medium {{ $show_normal_range ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600' }} rounded-md hover:bg-green-200 focus:outline-none"
@@ -319,7 +243,7 @@ class="w-full max-w-md px-3 py-2 border border-gray-300 rounded-md shadow-sm foc
         @endif
     </div>
 
-    @if($this->chartData->isNotEmpty() && $this->svgChart)
+    @if($this->chartData->isNotEmpty() && $this->chartProps)
         <!-- Statistics -->
         <div class="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
             <div class="text-center">
@@ -353,85 +277,10 @@ class="w-full max-w-md px-3 py-2 border border-gray-300 rounded-md shadow-sm foc
         </div>
 
         <!-- Chart -->
-        <div class="relative bg-gray-50 rounded-lg p-4 overflow-x-auto">
-            <svg width="{{ $this->svgChart['svg_width'] }}" height="{{ $this->svgChart['svg_height'] }}" class="w-full">
-                <!-- Grid lines -->
-                <defs>
-                    <pattern id="grid" width="50" height="50" patternUnits="userSpaceOnUse">
-                        <path d="M 50 0 L 0 0 0 50" fill="none" stroke="#e5e7eb" stroke-width="1"/>
-                    </pattern>
-                </defs>
-                <rect x="{{ $this->svgChart['chart_area']['x'] }}" y="{{ $this->svgChart['chart_area']['y'] }}"
-                      width="{{ $this->svgChart['chart_area']['width'] }}" height="{{ $this->svgChart['chart_area']['height'] }}"
-                      fill="url(#grid)" opacity="0.5"/>
-
-                <!-- Normal range band -->
-                @if($this->svgChart['normal_range_path'] && $show_normal_range)
-                    <path d="{{ $this->svgChart['normal_range_path'] }}" fill="#dcfce7" opacity="0.6" />
-                @endif
-
-                <!-- Trend line -->
-                <path d="{{ $this->svgChart['path_data'] }}" fill="none" stroke="#3b82f6" stroke-width="3" />
-
-                <!-- Data points -->
-                @foreach($this->svgChart['circles'] as $circle)
-                    <circle
-                        cx="{{ $circle['x'] }}"
-                        cy="{{ $circle['y'] }}"
-                        r="{{ $circle['flagged'] ? '6' : '4' }}"
-                        fill="{{ $circle['flagged'] ? '#ef4444' : '#3b82f6' }}"
-                        stroke="white"
-                        stroke-width="2"
-                        class="hover:r-8 cursor-pointer"
-                        title="{{ $circle['date'] }}: {{ $circle['value'] }} {{ $this->selectedType->unit_primary }}{{ $circle['notes'] ? ' - ' . $circle['notes'] : '' }}"
-                    >
-                        <title>{{ $circle['date'] }}: {{ $circle['value'] }} {{ $this->selectedType->unit_primary }}{{ $circle['notes'] ? "\n" . $circle['notes'] : '' }}</title>
-                    </circle>
-                @endforeach
-
-                <!-- Y-axis labels -->
-                @foreach($this->svgChart['y_labels'] as $label)
-                    <text x="35" y="{{ $label['y'] + 4 }}" text-anchor="end" font-size="12" fill="#6b7280">
-                        {{ $label['value'] }}
-                    </text>
-                    <line x1="38" y1="{{ $label['y'] }}" x2="{{ $this->svgChart['chart_area']['x'] }}" y2="{{ $label['y'] }}" stroke="#d1d5db" stroke-width="1" />
-                @endforeach
-
-                <!-- X-axis labels -->
-                @foreach($this->svgChart['x_labels'] as $label)
-                    <text x="{{ $label['x'] }}" y="{{ $this->svgChart['svg_height'] - 10 }}" text-anchor="middle" font-size="12" fill="#6b7280">
-                        {{ $label['date'] }}
-                    </text>
-                    <line x1="{{ $label['x'] }}" y1="{{ $this->svgChart['chart_area']['y'] + $this->svgChart['chart_area']['height'] }}"
-                          x2="{{ $label['x'] }}" y2="{{ $this->svgChart['chart_area']['y'] + $this->svgChart['chart_area']['height'] + 5 }}"
-                          stroke="#d1d5db" stroke-width="1" />
-                @endforeach
-
-                <!-- Axis lines -->
-                <line x1="{{ $this->svgChart['chart_area']['x'] }}" y1="{{ $this->svgChart['chart_area']['y'] }}"
-                      x2="{{ $this->svgChart['chart_area']['x'] }}" y2="{{ $this->svgChart['chart_area']['y'] + $this->svgChart['chart_area']['height'] }}"
-                      stroke="#374151" stroke-width="2" />
-                <line x1="{{ $this->svgChart['chart_area']['x'] }}" y1="{{ $this->svgChart['chart_area']['y'] + $this->svgChart['chart_area']['height'] }}"
-                      x2="{{ $this->svgChart['chart_area']['x'] + $this->svgChart['chart_area']['width'] }}" y2="{{ $this->svgChart['chart_area']['y'] + $this->svgChart['chart_area']['height'] }}"
-                      stroke="#374151" stroke-width="2" />
-            </svg>
-
-            <!-- Legend -->
-            <div class="mt-4 flex flex-wrap items-center justify-center gap-4 text-sm">
-                <div class="flex items-center">
-                    <div class="w-3 h-3 bg-blue-500 rounded-full mr-2"></div>
-                    <span>Normal Reading</span>
-                </div>
-                <div class="flex items-center">
-                    <div class="w-3 h-3 bg-red-500 rounded-full mr-2"></div>
-                    <span>Flagged Reading</span>
-                </div>
-                @if($show_normal_range && $this->selectedType && $this->selectedType->normal_range_min)
-                    <div class="flex items-center">
-                        <div class="w-3 h-3 bg-green-200 mr-2"></div>
-                        <span>Normal Range</span>
-                    </div>
-                @endif
+        <div class="relative bg-gray-50 rounded-lg p-4">
+            <!-- Livewire updates the props; the chart inside is left to the browser -->
+            <div data-readings-chart="{{ json_encode($this->chartProps) }}">
+                <div wire:ignore data-chart-root></div>
             </div>
         </div>
 
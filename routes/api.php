@@ -1,7 +1,10 @@
 <?php
 
 use App\Http\Controllers\ConsentController;
+use App\Http\Controllers\FlagReviewController;
+use App\Http\Controllers\MeasurementScheduleController;
 use App\Http\Controllers\MedicalController;
+use App\Http\Controllers\PreferencesController;
 use App\Http\Controllers\RecommendationsController;
 use App\Http\Controllers\TrendsController;
 use App\Http\Controllers\VitalSignsController;
@@ -43,6 +46,25 @@
     Route::get('vital-signs-summary', [VitalSignsController::class, 'summary'])->name('vital-signs.summary');
     Route::get('vital-signs-by-type/{vitalSignTypeId}', [VitalSignsController::class, 'byType'])->name('vital-signs.by-type');
     Route::post('vital-signs-bulk-import', [VitalSignsController::class, 'bulkImport'])->name('vital-signs.bulk-import');
+    Route::post('vital-signs-bulk-delete', [VitalSignsController::class, 'bulkDestroy'])->name('vital-signs.bulk-delete');
+    Route::post('vital-signs-bulk-update', [VitalSignsController::class, 'bulkUpdate'])->name('vital-signs.bulk-update');
+    Route::post('vital-signs-bulk-export', [VitalSignsController::class, 'bulkExport'])->name('vital-signs.bulk-export');
+
+    // Flagged Reading Review Routes
+    Route::get('flag-reviews', [FlagReviewController::class, 'index'])->name('flag-reviews.index');
+    Route::get('vital-signs/{vitalSignsRecord}/reviews', [FlagReviewController::class, 'history'])->name('flag-reviews.history');
+    Route::post('vital-signs/{vitalSignsRecord}/reviews', [FlagReviewController::class, 'store'])->name('flag-reviews.store');
+
+    // Measurement Schedule Routes
+    Route::apiResource('measurement-schedules', MeasurementScheduleController::class, [
+        'except' => ['show'],
+    ]);
+    Route::get('measurement-schedules-due', [MeasurementScheduleController::class, 'due'])->name('measurement-schedules.due');
+    Route::get('measurement-schedules-adherence', [MeasurementScheduleController::class, 'adherence'])->name('measurement-schedules.adherence');
+
+    // Preferences Routes
+    Route::get('preferences', [PreferencesController::class, 'show'])->name('preferences.show');
+    Route::put('preferences', [PreferencesController::class, 'update'])->name('preferences.update');
 
     // Trends Routes
     Route::get('trends', [TrendsController::class, 'index'])->name('trends.index');
@@ -77,6 +99,10 @@
     // Medical professional patient access
     Route::get('patients', [MedicalController::class, 'patients'])->name('patients');
     Route::get('patients/{user}/vital-signs', [MedicalController::class, 'patientVitalSigns'])->name('patients.vital-signs');
+    Route::get('patients/{patient}/schedules', [MedicalController::class, 'patientSchedules'])->name('patients.schedules');
+    Route::post('patients/{patient}/schedules', [MedicalController::class, 'storePatientSchedule'])->name('patients.schedules.store');
+    Route::get('patients/{patient}/flagged', [MedicalController::class, 'patientFlagged'])->name('patients.flagged');
+    Route::post('patients/{patient}/flagged/{vitalSignsRecord}/reviews', [MedicalController::class, 'reviewPatientReading'])->name('patients.flagged.review');
 });
 
 /*
@@ -1,5 +1,6 @@
 <?php
 
+use Illuminate\Http\Request;
 use Illuminate\Support\Facades\Route;
 use Inertia\Inertia;
 
@@ -39,16 +40,22 @@
             ->limit(3)
             ->get();
 
+        $measurementSchedules = app(\App\Services\MeasurementScheduleService::class);
+        $flagReviews = app(\App\Services\FlagReviewService::class);
+
         $summary = [
             'total_records' => $totalRecords,
             'flagged_records' => $flaggedRecords,
+            'unreviewed_flags' => $flagReviews->getUnreviewedCount($user),
         ];
 
         return Inertia::render('Dashboard', [
             'summary' => $summary,
             'recentVitalSigns' => $recentVitalSigns,
-            'flaggedRecords' => [],
+            'flaggedRecords' => fn () => $flagReviews->getQueue($user, 'unreviewed', 5)->items(),
             'recommendations' => $recommendations,
+            'dueReadings' => fn () => $measurementSchedules->getDueReadings($user),
+            'adherence' => fn () => $measurementSchedules->getAdherence($user, 30),
         ]);
     })->name('dashboard');
 
@@ -56,33 +63,51 @@
     Route::get('/vital-signs/create', function () {
         $vitalSignTypes = \App\Models\VitalSignType::where('is_active', true)
             ->orderBy('display_name')
-            ->get(['id', 'name', 'display_name', 'unit_primary', 'unit_secondary', 'has_secondary_value', 'input_type', 'normal_range_min', 'normal_range_max']);
+            ->get(['id', 'name', 'display_name', 'unit_primary', 'unit_secondary', 'has_secondary_value', 'input_type', 'input_options', 'min_value', 'max_value', 'normal_range_min', 'normal_range_max', 'warning_range_min', 'warning_range_max']);
 
         return Inertia::render('VitalSigns/Create', [
             'vitalSignTypes' => $vitalSignTypes,
         ]);
     })->name('vital-signs.create');
 
-    Route::get('/vital-signs', function () {
+    Route::get('/vital-signs', function (Request $request) {
         $vitalSignTypes = \App\Models\VitalSignType::where('is_active', true)
             ->orderBy('display_name')
-            ->get(['id', 'name', 'display_name', 'unit_primary', 'unit_secondary', 'has_secondary_value', 'input_type']);
+            ->get(['id', 'name', 'display_name', 'unit_primary', 'unit_secondary', 'has_secondary_value', 'input_type', 'input_options', 'min_value', 'max_value', 'normal_range_min', 'normal_range_max', 'warning_range_min', 'warning_range_max']);
 
         return Inertia::render('VitalSigns/Index', [
             'vitalSignTypes' => $vitalSignTypes,
+            // The list is loaded from the API; the query string only restores the view
+            'filters' => $request->only(['vital_sign_type_id', 'start_date', 'end_date', 'context', 'sort', 'direction', 'per_page', 'page', 'view']),
         ]);
     })->name('vital-signs.index');
 
-    Route::get('/vital-signs/trends', function () {
+    Route::get('/vital-signs/import', function () {
+        $vitalSignTypes = \App\Models\VitalSignType::where('is_active', true)
+            ->orderBy('display_name')
+            ->get(['id', 'name', 'display_name', 'unit_primary', 'unit_secondary', 'has_secondary_value', 'input_type', 'input_options', 'min_value', 'max_value']);
+
+        return Inertia::render('VitalSigns/Import', [
+            'vitalSignTypes' => $vitalSignTypes,
+        ]);
+    })->name('vital-signs.import');
+
+    Route::get('/vital-signs/trends', function (Request $request) {
         $vitalSignTypes = \App\Models\VitalSignType::where('is_active', true)
             ->orderBy('display_name')
-            ->get(['id', 'name', 'display_name', 'unit_primary', 'unit_secondary', 'has_secondary_value', 'input_type', 'normal_range_min', 'normal_range_max', 'warning_range_min', 'warning_range_max']);
+            ->get(['id', 'name', 'display_name', 'unit_primary', 'unit_secondary', 'has_secondary_value', 'input_type', 'input_options', 'normal_range_min', 'normal_range_max', 'warning_range_min', 'warning_range_max']);
 
         return Inertia::render('VitalSigns/Trends', [
             'vitalSignTypes' => $vitalSignTypes,
+            // The type, period and zoomed-in window, so a shared URL shows the same view
+            'filters' => $request->only(['vital_sign_type_id', 'period', 'from', 'to']),
         ]);
     })->name('vital-signs.trends');
 
+    Route::get('/vital-signs/review', function () {
+        return Inertia::render('VitalSigns/Review');
+    })->name('vital-signs.review');
+
     // Recommendations
     Route::get('/recommendations', function () {
         return Inertia::render('Recommendations/Index');
@@ -0,0 +1,50 @@
+<?php
+
+declare(strict_types=1);
+
+use App\Models\PatientProviderConsent;
+use App\Models\User;
+use App\Models\VitalSignsRecord;
+
+beforeEach(function () {
+    $this->provider = User::factory()->create(['role' => 'medical_professional']);
+    $this->user = User::factory()->create();
+    $this->flagged = VitalSignsRecord::factory()->flagged()->create([
+        'user_id' => $this->user->id,
+        'measured_at' => now()->subHour(),
+    ]);
+});
+
+function reviewConsent(User $patient, User $provider, string $accessLevel): PatientProviderConsent
+{
+    return PatientProviderConsent::factory()->active()->create([
+        'user_id' => $patient->id,
+        'medical_professional_id' => $provider->id,
+        'access_level' => $accessLevel,
+    ]);
+}
+
+test('provider with full access can acknowledge a flagged reading', function () {
+    reviewConsent($this->user, $this->provider, 'full_access');
+
+    $this->actingAs($this->provider)
+        ->postJson("/api/medical/patients/{$this->user->id}/flagged/{$this->flagged->id}/reviews", [
+            'outcome' => 'no_action',
+        ])
+        ->assertCreated()
+        ->assertJsonPath('data.reviewed_by', $this->provider->id);
+});
+
+test('provider with read only access cannot acknowledge flagged readings', function () {
+    reviewConsent($this->user, $this->provider, 'read_only');
+
+    $this->actingAs($this->provider)
+        ->postJson("/api/medical/patients/{$this->user->id}/flagged/{$this->flagged->id}/reviews", [
+            'outcome' => 'no_action',
+        ])
+        ->assertForbidden();
+
+    $this->assertDatabaseMissing('flag_reviews', [
+        'vital_signs_record_id' => (string) $this->flagged->id,
+    ]);
+});
@@ -0,0 +1,49 @@
+<?php
+
+declare(strict_types=1);
+
+use App\Models\PatientProviderConsent;
+use App\Models\User;
+use App\Models\VitalSignType;
+
+beforeEach(function () {
+    $this->provider = User::factory()->create(['role' => 'medical_professional']);
+    $this->user = User::factory()->create();
+    $this->vitalSignType = VitalSignType::factory()->bloodPressure()->create();
+});
+
+function scheduleConsent(User $patient, User $provider, string $accessLevel): PatientProviderConsent
+{
+    return PatientProviderConsent::factory()->active()->create([
+        'user_id' => $patient->id,
+        'medical_professional_id' => $provider->id,
+        'access_level' => $accessLevel,
+    ]);
+}
+
+test('provider with full access can set up a schedule for the patient', function () {
+    scheduleConsent($this->user, $this->provider, 'full_access');
+
+    $response = $this->actingAs($this->provider)->postJson("/api/medical/patients/{$this->user->id}/schedules", [
+        'vital_sign_type_id' => $this->vitalSignType->id,
+        'frequency' => 'daily',
+        'target_count' => 1,
+    ]);
+
+    $response->assertCreated()
+        ->assertJsonPath('data.user_id', $this->user->id)
+        ->assertJsonPath('data.created_by', $this->provider->id);
+});
+
+test('provider with read only access cannot set up schedules', function () {
+    scheduleConsent($this->user, $this->provider, 'read_only');
+
+    $response = $this->actingAs($this->provider)->postJson("/api/medical/patients/{$this->user->id}/schedules", [
+        'vital_sign_type_id' => $this->vitalSignType->id,
+        'frequency' => 'daily',
+        'target_count' => 1,
+    ]);
+
+    $response->assertForbidden();
+    expect($this->user->measurementSchedules()->count())->toBe(0);
+});
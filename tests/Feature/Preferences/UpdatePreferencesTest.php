@@ -0,0 +1,108 @@
+<?php
+
+declare(strict_types=1);
+
+use App\Models\User;
+use App\Models\VitalSignType;
+
+beforeEach(function () {
+    $this->user = User::factory()->create();
+    $this->weight = VitalSignType::factory()->create([
+        'name' => 'weight',
+        'unit_primary' => 'kg',
+        'unit_secondary' => 'lbs',
+        'has_secondary_value' => false,
+    ]);
+});
+
+test('can get unit preferences', function () {
+    $this->user->update(['unit_preferences' => ['weight' => 'lbs']]);
+
+    $response = $this->actingAs($this->user)
+        ->getJson('/api/preferences');
+
+    $response->assertOk()
+        ->assertJsonPath('data.unit_preferences.weight', 'lbs');
+});
+
+test('can update unit preferences', function () {
+    $response = $this->actingAs($this->user)
+        ->putJson('/api/preferences', [
+            'unit_preferences' => ['weight' => 'lbs'],
+        ]);
+
+    $response->assertOk()
+        ->assertJsonPath('data.unit_preferences.weight', 'lbs');
+
+    expect($this->user->fresh()->unit_preferences)->toBe(['weight' => 'lbs']);
+});
+
+test('keeps preferences for other types when updating one', function () {
+    VitalSignType::factory()->create([
+        'name' => 'body_temperature',
+        'unit_primary' => '°C',
+        'unit_secondary' => '°F',
+        'has_secondary_value' => false,
+    ]);
+    $this->user->update(['unit_preferences' => ['body_temperature' => '°F']]);
+
+    $this->actingAs($this->user)
+        ->putJson('/api/preferences', [
+            'unit_preferences' => ['weight' => 'lbs'],
+        ])
+        ->assertOk();
+
+    expect($this->user->fresh()->unit_preferences)->toBe([
+        'body_temperature' => '°F',
+        'weight' => 'lbs',
+    ]);
+});
+
+test('rejects units the vital sign type does not support', function () {
+    $response = $this->actingAs($this->user)
+        ->putJson('/api/preferences', [
+            'unit_preferences' => ['weight' => 'mmol/L'],
+        ]);
+
+    $response->assertUnprocessable()
+        ->assertJsonValidationErrors(['unit_preferences.weight']);
+});
+
+test('rejects unknown vital sign types', function () {
+    $response = $this->actingAs($this->user)
+        ->putJson('/api/preferences', [
+            'unit_preferences' => ['shoe_size' => 'EU'],
+        ]);
+
+    $response->assertUnprocessable()
+        ->assertJsonValidationErrors(['unit_preferences.shoe_size']);
+});
+
+test('requires authentication to update preferences', function () {
+    $response = $this->putJson('/api/preferences', [
+        'unit_preferences' => ['weight' => 'lbs'],
+    ]);
+
+    $response->assertUnauthorized();
+});
+
+test('can update the timezone', function () {
+    $response = $this->actingAs($this->user)
+        ->putJson('/api/preferences', [
+            'timezone' => 'Europe/Berlin',
+        ]);
+
+    $response->assertOk()
+        ->assertJsonPath('data.timezone', 'Europe/Berlin');
+
+    expect($this->user->fresh()->timezone)->toBe('Europe/Berlin');
+});
+
+test('rejects unknown timezones', function () {
+    $this->actingAs($this->user)
+        ->putJson('/api/preferences', [
+            'timezone' => 'Mars/Olympus_Mons',
+        ])
+        ->assertUnprocessable()
+        ->assertJsonValidationErrors(['timezone']);
+});
@@ -0,0 +1,109 @@
+<?php
+
+declare(strict_types=1);
+
+use App\Models\MeasurementSchedule;
+use App\Models\User;
+use App\Models\VitalSignsRecord;
+use App\Models\VitalSignType;
+use Illuminate\Support\Carbon;
+
+beforeEach(function () {
+    // A Monday morning
+    Carbon::setTestNow(Carbon::parse('2025-09-29 10:00:00', 'UTC'));
+
+    $this->user = User::factory()->create(['timezone' => 'UTC']);
+    $this->bloodPressure = VitalSignType::factory()->bloodPressure()->create();
+    $this->bloodGlucose = VitalSignType::factory()->bloodGlucose()->create();
+});
+
+afterEach(function () {
+    Carbon::setTestNow();
+});
+
+function recordReadingAt(User $user, VitalSignType $type, string $measuredAt): VitalSignsRecord
+{
+    return VitalSignsRecord::factory()->create([
+        'user_id' => $user->id,
+        'vital_sign_type_id' => $type->id,
+        'measured_at' => Carbon::parse($measuredAt, 'UTC'),
+    ]);
+}
+
+test('a missed reminder time makes a daily reading overdue', function () {
+    MeasurementSchedule::factory()->dailyAt('08:00', '20:00')->create([
+        'user_id' => $this->user->id,
+        'vital_sign_type_id' => $this->bloodPressure->id,
+    ]);
+
+    $response = $this->actingAs($this->user)->getJson('/api/measurement-schedules-due');
+
+    $response->assertOk()
+        ->assertJsonPath('data.0.status', 'overdue')
+        ->assertJsonPath('data.0.completed_count', 0)
+        ->assertJsonPath('data.0.due_count', 1)
+        ->assertJsonPath('data.0.remind', true)
+        ->assertJsonPath('meta.overdue', 1);
+});
+
+test('a reading taken today moves the plan on to the next reminder', function () {
+    MeasurementSchedule::factory()->dailyAt('08:00', '20:00')->create([
+        'user_id' => $this->user->id,
+        'vital_sign_type_id' => $this->bloodPressure->id,
+    ]);
+    recordReadingAt($this->user, $this->bloodPressure, '2025-09-29 08:15:00');
+    recordReadingAt($this->user, $this->bloodPressure, '2025-09-28 20:05:00');
+
+    $response = $this->actingAs($this->user)->getJson('/api/measurement-schedules-due');
+
+    $response->assertOk()
+        ->assertJsonPath('data.0.status', 'due')
+        ->assertJsonPath('data.0.completed_count', 1)
+        ->assertJsonPath('data.0.remaining_count', 1)
+        ->assertJsonPath('data.0.remind', false);
+
+    expect(Carbon::parse($response->json('data.0.next_due_at'))->format('H:i'))->toBe('20:00');
+});
+
+test('weekly plans count readings since monday', function () {
+    MeasurementSchedule::factory()->weekly(1)->create([
+        'user_id' => $this->user->id,
+        'vital_sign_type_id' => $this->bloodGlucose->id,
+    ]);
+    recordReadingAt($this->user, $this->bloodGlucose, '2025-09-27 09:00:00');
+
+    $response = $this->actingAs($this->user)->getJson('/api/measurement-schedules-due');
+
+    $response->assertOk()
+        ->assertJsonPath('data.0.status', 'due')
+        ->assertJsonPath('data.0.period_start', '2025-09-29')
+        ->assertJsonPath('data.0.completed_count', 0);
+});
+
+test('adherence counts completed days since the plan started', function () {
+    MeasurementSchedule::factory()->create([
+        'user_id' => $this->user->id,
+        'vital_sign_type_id' => $this->bloodPressure->id,
+        'frequency' => 'daily',
+        'target_count' => 1,
+        'starts_on' => '2025-09-22',
+    ]);
+
+    // Three of the seven finished days, with an extra reading that doesn't count twice
+    recordReadingAt($this->user, $this->bloodPressure, '2025-09-22 08:00:00');
+    recordReadingAt($this->user, $this->bloodPressure, '2025-09-22 20:00:00');
+    recordReadingAt($this->user, $this->bloodPressure, '2025-09-23 08:00:00');
+    recordReadingAt($this->user, $this->bloodPressure, '2025-09-25 08:00:00');
+
+    // Today is still in progress
+    recordReadingAt($this->user, $this->bloodPressure, '2025-09-29 08:00:00');
+
+    $response = $this->actingAs($this->user)->getJson('/api/measurement-schedules-adherence?days=30');
+
+    $response->assertOk()
+        ->assertJsonPath('data.schedules.0.expected_count', 7)
+        ->assertJsonPath('data.schedules.0.completed_count', 3)
+        ->assertJsonCount(7, 'data.schedules.0.periods');
+
+    expect($response->json('data.overall'))->toEqual(42.9);
+});
@@ -0,0 +1,91 @@
+<?php
+
+declare(strict_types=1);
+
+use App\Models\MeasurementSchedule;
+use App\Models\User;
+use App\Models\VitalSignType;
+
+beforeEach(function () {
+    $this->user = User::factory()->create();
+    $this->vitalSignType = VitalSignType::factory()->bloodPressure()->create();
+});
+
+test('can create a twice daily plan with reminder times', function () {
+    $response = $this->actingAs($this->user)->postJson('/api/measurement-schedules', [
+        'vital_sign_type_id' => $this->vitalSignType->id,
+        'frequency' => 'daily',
+        'target_count' => 2,
+        'reminder_times' => ['20:00', '08:00'],
+    ]);
+
+    $response->assertCreated()
+        ->assertJsonPath('data.frequency', 'daily')
+        ->assertJsonPath('data.target_count', 2)
+        ->assertJsonPath('data.reminder_times', ['08:00', '20:00'])
+        ->assertJsonPath('data.created_by', $this->user->id);
+});
+
+test('rejects reminder times that do not match the plan', function () {
+    $this->actingAs($this->user)->postJson('/api/measurement-schedules', [
+        'vital_sign_type_id' => $this->vitalSignType->id,
+        'frequency' => 'daily',
+        'target_count' => 2,
+        'reminder_times' => ['08:00'],
+    ])->assertUnprocessable()
+        ->assertJsonValidationErrors(['reminder_times']);
+
+    $this->actingAs($this->user)->postJson('/api/measurement-schedules', [
+        'vital_sign_type_id' => $this->vitalSignType->id,
+        'frequency' => 'weekly',
+        'target_count' => 1,
+        'reminder_times' => ['08:00'],
+    ])->assertUnprocessable()
+        ->assertJsonValidationErrors(['reminder_times']);
+});
+
+test('allows only one plan per vital sign type', function () {
+    MeasurementSchedule::factory()->create([
+        'user_id' => $this->user->id,
+        'vital_sign_type_id' => $this->vitalSignType->id,
+    ]);
+
+    $this->actingAs($this->user)->postJson('/api/measurement-schedules', [
+        'vital_sign_type_id' => $this->vitalSignType->id,
+        'frequency' => 'weekly',
+        'target_count' => 1,
+    ])->assertUnprocessable()
+        ->assertJsonValidationErrors(['vital_sign_type_id']);
+});
+
+test('switching a plan to weekly drops its reminder times', function () {
+    $schedule = MeasurementSchedule::factory()->dailyAt('08:00', '20:00')->create([
+        'user_id' => $this->user->id,
+        'vital_sign_type_id' => $this->vitalSignType->id,
+    ]);
+
+    $this->actingAs($this->user)
+        ->putJson("/api/measurement-schedules/{$schedule->id}", [
+            'frequency' => 'weekly',
+            'target_count' => 3,
+        ])
+        ->assertOk()
+        ->assertJsonPath('data.frequency', 'weekly')
+        ->assertJsonPath('data.reminder_times', null);
+});
+
+test('cannot change or delete another user\'s plan', function () {
+    $schedule = MeasurementSchedule::factory()->create([
+        'vital_sign_type_id' => $this->vitalSignType->id,
+    ]);
+
+    $this->actingAs($this->user)
+        ->putJson("/api/measurement-schedules/{$schedule->id}", ['is_active' => false])
+        ->assertForbidden();
+
+    $this->actingAs($this->user)
+        ->deleteJson("/api/measurement-schedules/{$schedule->id}")
+        ->assertForbidden();
+
+    expect($schedule->fresh()->is_active)->toBeTrue();
+});
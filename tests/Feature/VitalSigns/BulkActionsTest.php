@@ -0,0 +1,235 @@
+<?php
+
+declare(strict_types=1);
+
+use App\Models\User;
+use App\Models\VitalSignsRecord;
+use App\Models\VitalSignType;
+use App\Services\VitalSignsExportService;
+use Illuminate\Support\Collection;
+
+beforeEach(function () {
+    $this->user = User::factory()->create();
+    $this->type = VitalSignType::factory()->create();
+});
+
+function bulkRecords(User $user, VitalSignType $type, int $count, array $attributes = []): Collection
+{
+    return VitalSignsRecord::factory()->count($count)->create([
+        'user_id' => $user->id,
+        'vital_sign_type_id' => $type->id,
+        ...$attributes,
+    ]);
+}
+
+test('deletes the selected records', function () {
+    $records = bulkRecords($this->user, $this->type, 3);
+
+    $this->actingAs($this->user)
+        ->postJson('/api/vital-signs-bulk-delete', [
+            'ids' => [$records[0]->id, $records[1]->id],
+        ])
+        ->assertOk()
+        ->assertJsonPath('data.deleted', 2);
+
+    $this->assertDatabaseMissing('vital_signs_records', ['id' => (string) $records[0]->id]);
+    $this->assertDatabaseMissing('vital_signs_records', ['id' => (string) $records[1]->id]);
+    $this->assertDatabaseHas('vital_signs_records', ['id' => (string) $records[2]->id]);
+});
+
+test('leaves other users records alone', function () {
+    $other = bulkRecords(User::factory()->create(), $this->type, 1)->first();
+
+    $this->actingAs($this->user)
+        ->postJson('/api/vital-signs-bulk-delete', ['ids' => [$other->id]])
+        ->assertOk()
+        ->assertJsonPath('data.deleted', 0);
+
+    $this->assertDatabaseHas('vital_signs_records', ['id' => (string) $other->id]);
+});
+
+test('deletes every record matching the filters apart from the deselected ones', function () {
+    $otherType = VitalSignType::factory()->create();
+    $matching = bulkRecords($this->user, $this->type, 3);
+    $kept = bulkRecords($this->user, $otherType, 2);
+
+    $this->actingAs($this->user)
+        ->postJson('/api/vital-signs-bulk-delete', [
+            'all' => true,
+            'except' => [$matching[2]->id],
+            'filters' => ['vital_sign_type_id' => $this->type->id],
+        ])
+        ->assertOk()
+        ->assertJsonPath('data.deleted', 2);
+
+    expect($this->user->vitalSignsRecords()->pluck('id')->map(fn ($id) => (string) $id)->sort()->values()->all())
+        ->toBe(collect([$matching[2]->id, ...$kept->pluck('id')])->map(fn ($id) => (string) $id)->sort()->values()->all());
+});
+
+test('applies the date filters to all matching selections', function () {
+    $old = bulkRecords($this->user, $this->type, 1, ['measured_at' => now()->subDays(20)])->first();
+    $recent = bulkRecords($this->user, $this->type, 1, ['measured_at' => now()->subDay()])->first();
+
+    $this->actingAs($this->user)
+        ->postJson('/api/vital-signs-bulk-delete', [
+            'all' => true,
+            'filters' => ['start_date' => now()->subDays(5)->toDateString()],
+        ])
+        ->assertOk()
+        ->assertJsonPath('data.deleted', 1);
+
+    $this->assertDatabaseHas('vital_signs_records', ['id' => (string) $old->id]);
+    $this->assertDatabaseMissing('vital_signs_records', ['id' => (string) $recent->id]);
+});
+
+test('requires ids unless all matching records are selected', function () {
+    $this->actingAs($this->user)
+        ->postJson('/api/vital-signs-bulk-delete', [])
+        ->assertUnprocessable()
+        ->assertJsonValidationErrors(['ids']);
+
+    $this->actingAs($this->user)
+        ->postJson('/api/vital-signs-bulk-delete', ['ids' => ['not-a-uuid']])
+        ->assertUnprocessable()
+        ->assertJsonValidationErrors(['ids.0']);
+});
+
+test('re-tags the measurement method and clears devices that no longer apply', function () {
+    $records = bulkRecords($this->user, $this->type, 2, [
+        'measurement_method' => 'device',
+        'device_name' => 'Omron BP Monitor',
+    ]);
+
+    $this->actingAs($this->user)
+        ->postJson('/api/vital-signs-bulk-update', [
+            'ids' => $records->pluck('id')->all(),
+            'measurement_method' => 'manual',
+        ])
+        ->assertOk()
+        ->assertJsonPath('data.updated', 2);
+
+    $records->each(function (VitalSignsRecord $record) {
+        $record->refresh();
+        expect($record->measurement_method)->toBe('manual')
+            ->and($record->device_name)->toBeNull();
+    });
+});
+
+test('requires a device name when switching readings to a device', function () {
+    $record = bulkRecords($this->user, $this->type, 1, ['measurement_method' => 'manual', 'device_name' => null])->first();
+
+    $this->actingAs($this->user)
+        ->postJson('/api/vital-signs-bulk-update', [
+            'ids' => [$record->id],
+            'measurement_method' => 'device',
+        ])
+        ->assertUnprocessable()
+        ->assertJsonValidationErrors(['device_name' => 'Device name is required when measurement method is "device".']);
+
+    expect($record->refresh()->measurement_method)->toBe('manual');
+});
+
+test('sets the device name only on device readings', function () {
+    $device = bulkRecords($this->user, $this->type, 1, ['measurement_method' => 'device', 'device_name' => 'Old Cuff'])->first();
+    $manual = bulkRecords($this->user, $this->type, 1, ['measurement_method' => 'manual', 'device_name' => null])->first();
+
+    $this->actingAs($this->user)
+        ->postJson('/api/vital-signs-bulk-update', [
+            'ids' => [$device->id, $manual->id],
+            'device_name' => 'New Cuff',
+        ])
+        ->assertOk()
+        ->assertJsonPath('data.updated', 1);
+
+    expect($device->refresh()->device_name)->toBe('New Cuff')
+        ->and($manual->refresh()->device_name)->toBeNull();
+});
+
+test('adds a note below existing notes and skips records that would get too long', function () {
+    $empty = bulkRecords($this->user, $this->type, 1, ['notes' => null])->first();
+    $noted = bulkRecords($this->user, $this->type, 1, ['notes' => 'After coffee'])->first();
+    $full = bulkRecords($this->user, $this->type, 1, ['notes' => str_repeat('a', 995)])->first();
+
+    $this->actingAs($this->user)
+        ->postJson('/api/vital-signs-bulk-update', [
+            'ids' => [$empty->id, $noted->id, $full->id],
+            'note' => 'Cuff replaced',
+        ])
+        ->assertOk()
+        ->assertJsonPath('data.updated', 2)
+        ->assertJsonPath('data.skipped', 1);
+
+    expect($empty->refresh()->notes)->toBe('Cuff replaced')
+        ->and($noted->refresh()->notes)->toBe("After coffee\nCuff replaced")
+        ->and($full->refresh()->notes)->toBe(str_repeat('a', 995));
+});
+
+test('requires a change to apply', function () {
+    $record = bulkRecords($this->user, $this->type, 1)->first();
+
+    $this->actingAs($this->user)
+        ->postJson('/api/vital-signs-bulk-update', ['ids' => [$record->id]])
+        ->assertUnprocessable()
+        ->assertJsonValidationErrors(['note' => 'Choose a measurement method, device or note to apply.']);
+});
+
+test('exports the selected records as csv', function () {
+    $records = bulkRecords($this->user, $this->type, 2, ['notes' => 'Morning']);
+    bulkRecords($this->user, $this->type, 1);
+
+    $response = $this->actingAs($this->user)
+        ->postJson('/api/vital-signs-bulk-export', [
+            'ids' => $records->pluck('id')->all(),
+            'format' => 'csv',
+        ]);
+
+    $response->assertOk()
+        ->assertHeader('Content-Type', 'text/csv; charset=UTF-8')
+        ->assertDownload();
+
+    $lines = array_filter(explode("\n", trim($response->streamedContent())));
+
+    expect($lines)->toHaveCount(3)
+        ->and(str_getcsv($lines[0]))->toBe(VitalSignsExportService::CSV_HEADINGS);
+});
+
+test('keeps exported notes and device names from being read as formulas', function () {
+    $records = bulkRecords($this->user, $this->type, 1, [
+        'notes' => '=HYPERLINK("http://example.com")',
+        'device_name' => '@cuff',
+    ]);
+
+    $response = $this->actingAs($this->user)
+        ->postJson('/api/vital-signs-bulk-export', [
+            'ids' => $records->pluck('id')->all(),
+            'format' => 'csv',
+        ]);
+
+    $lines = array_values(array_filter(explode("\n", trim($response->streamedContent()))));
+    $row = array_combine(VitalSignsExportService::CSV_HEADINGS, str_getcsv($lines[1]));
+
+    expect($row['Notes'])->toBe('\'=HYPERLINK("http://example.com")')
+        ->and($row['Device'])->toBe("'@cuff");
+});
+
+test('exports all matching records as json', function () {
+    bulkRecords($this->user, $this->type, 3);
+    bulkRecords(User::factory()->create(), $this->type, 2);
+
+    $this->actingAs($this->user)
+        ->postJson('/api/vital-signs-bulk-export', [
+            'all' => true,
+            'filters' => ['vital_sign_type_id' => $this->type->id],
+            'format' => 'json',
+        ])
+        ->assertOk()
+        ->assertJsonCount(3, 'data')
+        ->assertJsonPath('meta.count', 3)
+        ->assertJsonPath('data.0.type', $this->type->name);
+});
+
+test('requires authentication for bulk actions', function () {
+    $this->postJson('/api/vital-signs-bulk-delete', ['ids' => []])->assertUnauthorized();
+    $this->postJson('/api/vital-signs-bulk-update', ['ids' => []])->assertUnauthorized();
+    $this->postJson('/api/vital-signs-bulk-export', ['ids' => [], 'format' => 'csv'])->assertUnauthorized();
+});
@@ -136,3 +136,44 @@
 
     $response->assertUnauthorized();
 });
+
+test('stores readings entered in an alternative unit in the primary unit', function () {
+    $temperature = VitalSignType::factory()->create([
+        'name' => 'body_temperature',
+        'unit_primary' => '°C',
+        'unit_secondary' => '°F',
+        'is_active' => true,
+    ]);
+
+    $payload = [
+        'vital_sign_type_id' => $temperature->id,
+        'value_primary' => 98.6,
+        'unit' => '°F',
+        'measured_at' => now()->subHour()->toISOString(),
+        'measurement_method' => 'manual',
+    ];
+
+    $response = $this->actingAs($this->user)
+        ->postJson('/api/vital-signs', $payload);
+
+    $response->assertCreated()
+        ->assertJsonPath('data.unit', '°C')
+        ->assertJsonPath('data.value_primary', '37.00');
+});
+
+test('rejects units that cannot be converted to the primary unit', function () {
+    $payload = [
+        'vital_sign_type_id' => $this->vitalSignType->id,
+        'value_primary' => 120.5,
+        'value_secondary' => 80.0,
+        'unit' => 'kPa',
+        'measured_at' => now()->subHour()->toISOString(),
+        'measurement_method' => 'manual',
+    ];
+
+    $response = $this->actingAs($this->user)
+        ->postJson('/api/vital-signs', $payload);
+
+    $response->assertUnprocessable()
+        ->assertJsonValidationErrors(['unit']);
+});
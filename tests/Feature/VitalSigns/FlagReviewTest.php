@@ -0,0 +1,125 @@
+<?php
+
+declare(strict_types=1);
+
+use App\Models\FlagReview;
+use App\Models\User;
+use App\Models\VitalSignsRecord;
+
+beforeEach(function () {
+    $this->user = User::factory()->create();
+    $this->flagged = VitalSignsRecord::factory()->flagged()->create([
+        'user_id' => $this->user->id,
+        'measured_at' => now()->subHour(),
+    ]);
+});
+
+test('lists flagged readings that have not been reviewed', function () {
+    $reviewed = VitalSignsRecord::factory()->flagged()->create(['user_id' => $this->user->id]);
+    FlagReview::factory()->create(['vital_signs_record_id' => $reviewed->id, 'reviewed_by' => $this->user->id]);
+    VitalSignsRecord::factory()->create(['user_id' => $this->user->id, 'is_flagged' => false]);
+    VitalSignsRecord::factory()->flagged()->create();
+
+    $this->actingAs($this->user)
+        ->getJson('/api/flag-reviews')
+        ->assertOk()
+        ->assertJsonCount(1, 'data')
+        ->assertJsonPath('data.0.id', (string) $this->flagged->id)
+        ->assertJsonPath('meta.unreviewed_count', 1);
+});
+
+test('counts unreviewed flags on the dashboard', function () {
+    $reviewed = VitalSignsRecord::factory()->flagged()->create(['user_id' => $this->user->id]);
+    FlagReview::factory()->create(['vital_signs_record_id' => $reviewed->id, 'reviewed_by' => $this->user->id]);
+
+    $this->actingAs($this->user)
+        ->get('/dashboard')
+        ->assertOk()
+        ->assertInertia(fn ($page) => $page
+            ->where('summary.flagged_records', 2)
+            ->where('summary.unreviewed_flags', 1));
+});
+
+test('lists reviewed readings with their history', function () {
+    FlagReview::factory()->create([
+        'vital_signs_record_id' => $this->flagged->id,
+        'reviewed_by' => $this->user->id,
+        'outcome' => 'remeasured',
+    ]);
+
+    $this->actingAs($this->user)
+        ->getJson('/api/flag-reviews?status=reviewed')
+        ->assertOk()
+        ->assertJsonCount(1, 'data')
+        ->assertJsonPath('data.0.flag_reviews.0.outcome', 'remeasured')
+        ->assertJsonPath('data.0.flag_reviews.0.reviewer.name', $this->user->name)
+        ->assertJsonPath('meta.unreviewed_count', 0);
+});
+
+test('acknowledges a flagged reading with an outcome', function () {
+    $this->actingAs($this->user)
+        ->postJson("/api/vital-signs/{$this->flagged->id}/reviews", [
+            'outcome' => 'contacted_provider',
+            'notes' => 'Nurse line said to re-check tomorrow',
+        ])
+        ->assertCreated()
+        ->assertJsonPath('data.outcome', 'contacted_provider')
+        ->assertJsonPath('data.reviewed_by', $this->user->id)
+        ->assertJsonPath('meta.unreviewed_count', 0);
+
+    $this->assertDatabaseHas('flag_reviews', [
+        'vital_signs_record_id' => (string) $this->flagged->id,
+        'outcome' => 'contacted_provider',
+    ]);
+});
+
+test('keeps every review in the history', function () {
+    foreach (['remeasured', 'symptoms'] as $outcome) {
+        $this->actingAs($this->user)
+            ->postJson("/api/vital-signs/{$this->flagged->id}/reviews", ['outcome' => $outcome])
+            ->assertCreated();
+    }
+
+    $this->actingAs($this->user)
+        ->getJson("/api/vital-signs/{$this->flagged->id}/reviews")
+        ->assertOk()
+        ->assertJsonCount(2, 'data.flag_reviews');
+});
+
+test('rejects unknown outcomes', function () {
+    $this->actingAs($this->user)
+        ->postJson("/api/vital-signs/{$this->flagged->id}/reviews", ['outcome' => 'ignored'])
+        ->assertUnprocessable()
+        ->assertJsonValidationErrors(['outcome']);
+});
+
+test('only reviews flagged readings', function () {
+    $normal = VitalSignsRecord::factory()->create(['user_id' => $this->user->id, 'is_flagged' => false]);
+
+    $this->actingAs($this->user)
+        ->postJson("/api/vital-signs/{$normal->id}/reviews", ['outcome' => 'no_action'])
+        ->assertUnprocessable()
+        ->assertJsonPath('message', 'Only flagged readings can be reviewed.');
+});
+
+test('cannot review or see the history of other users readings', function () {
+    $other = VitalSignsRecord::factory()->flagged()->create();
+
+    $this->actingAs($this->user)
+        ->postJson("/api/vital-signs/{$other->id}/reviews", ['outcome' => 'no_action'])
+        ->assertForbidden();
+
+    $this->actingAs($this->user)
+        ->getJson("/api/vital-signs/{$other->id}/reviews")
+        ->assertForbidden();
+});
+
+test('removes reviews with their reading', function () {
+    $review = FlagReview::factory()->create(['vital_signs_record_id' => $this->flagged->id]);
+
+    $this->actingAs($this->user)
+        ->deleteJson("/api/vital-signs/{$this->flagged->id}")
+        ->assertNoContent();
+
+    $this->assertDatabaseMissing('flag_reviews', ['id' => (string) $review->id]);
+});
@@ -3,6 +3,8 @@
 declare(strict_types=1);
 
 use App\Models\User;
+use App\Models\VitalSignsRecord;
+use App\Models\VitalSignType;
 
 beforeEach(function () {
     $this->user = User::factory()->create();
@@ -82,3 +84,76 @@
 
     $response->assertUnprocessable();
 });
+
+test('sorts vital signs by value', function () {
+    $type = VitalSignType::factory()->bloodGlucose()->create();
+
+    foreach ([110, 85, 140] as $value) {
+        VitalSignsRecord::factory()->create([
+            'user_id' => $this->user->id,
+            'vital_sign_type_id' => $type->id,
+            'value_primary' => $value,
+            'value_secondary' => null,
+        ]);
+    }
+
+    $response = $this->actingAs($this->user)
+        ->getJson('/api/vital-signs?sort=value&direction=asc');
+
+    $response->assertOk();
+    expect(array_map('floatval', array_column($response->json('data'), 'value_primary')))->toBe([85.0, 110.0, 140.0]);
+});
+
+test('sorts vital signs by type name', function () {
+    $glucose = VitalSignType::factory()->bloodGlucose()->create();
+    $pressure = VitalSignType::factory()->bloodPressure()->create();
+
+    VitalSignsRecord::factory()->create(['user_id' => $this->user->id, 'vital_sign_type_id' => $pressure->id]);
+    VitalSignsRecord::factory()->create(['user_id' => $this->user->id, 'vital_sign_type_id' => $glucose->id]);
+
+    $response = $this->actingAs($this->user)
+        ->getJson('/api/vital-signs?sort=type&direction=asc');
+
+    $response->assertOk();
+    expect(array_column($response->json('data'), 'vital_sign_type_id'))->toBe([$glucose->id, $pressure->id]);
+});
+
+test('lists flagged vital signs first when sorting by flag', function () {
+    VitalSignsRecord::factory()->count(3)->create(['user_id' => $this->user->id, 'is_flagged' => false]);
+    $flagged = VitalSignsRecord::factory()->flagged()->create(['user_id' => $this->user->id]);
+
+    $response = $this->actingAs($this->user)
+        ->getJson('/api/vital-signs?sort=flagged');
+
+    $response->assertOk()
+        ->assertJsonPath('data.0.id', (string) $flagged->id);
+});
+
+test('keeps the filters and sort in pagination links', function () {
+    VitalSignsRecord::factory()->count(3)->create(['user_id' => $this->user->id]);
+
+    $response = $this->actingAs($this->user)
+        ->getJson('/api/vital-signs?sort=value&per_page=1');
+
+    $response->assertOk();
+    expect($response->json('links.next'))->toContain('sort=value')->toContain('per_page=1');
+});
+
+test('validates sort parameters', function () {
+    $this->actingAs($this->user)
+        ->getJson('/api/vital-signs?sort=notes&direction=sideways')
+        ->assertUnprocessable()
+        ->assertJsonValidationErrors(['sort', 'direction']);
+});
+
+test('passes the list query back to the vital signs page', function () {
+    $this->actingAs($this->user)
+        ->get('/vital-signs?sort=value&direction=asc&page=2&context[posture]=sitting')
+        ->assertInertia(fn ($page) => $page
+            ->component('VitalSigns/Index')
+            ->where('filters.sort', 'value')
+            ->where('filters.direction', 'asc')
+            ->where('filters.page', '2')
+            ->where('filters.context.posture', 'sitting')
+        );
+});
@@ -0,0 +1,99 @@
+<?php
+
+declare(strict_types=1);
+
+use App\Models\User;
+use App\Models\VitalSignType;
+
+beforeEach(function () {
+    $this->user = User::factory()->create();
+    $this->vitalSignType = VitalSignType::factory()->create([
+        'name' => 'heart_rate',
+        'display_name' => 'Heart Rate',
+        'unit_primary' => 'bpm',
+        'has_secondary_value' => false,
+        'min_value' => 20,
+        'max_value' => 250,
+        'is_active' => true,
+    ]);
+});
+
+test('import page provides vital sign types with their limits', function () {
+    $response = $this->actingAs($this->user)->get('/vital-signs/import');
+
+    $response->assertSuccessful();
+    $response->assertInertia(function ($page) {
+        $page->component('VitalSigns/Import')
+            ->has('vitalSignTypes', 1)
+            ->where('vitalSignTypes.0.name', 'heart_rate')
+            ->has('vitalSignTypes.0.min_value')
+            ->has('vitalSignTypes.0.max_value');
+    });
+});
+
+test('bulk import creates every valid row in a chunk', function () {
+    $records = [
+        [
+            'vital_sign_type_id' => $this->vitalSignType->id,
+            'value_primary' => 72,
+            'unit' => 'bpm',
+            'measured_at' => now()->subDay()->toISOString(),
+            'measurement_method' => 'manual',
+        ],
+        [
+            'vital_sign_type_id' => $this->vitalSignType->id,
+            'value_primary' => 68,
+            'unit' => 'bpm',
+            'measured_at' => now()->subHours(2)->toISOString(),
+            'measurement_method' => 'manual',
+        ],
+    ];
+
+    $response = $this->actingAs($this->user)
+        ->postJson('/api/vital-signs-bulk-import', ['records' => $records]);
+
+    $response->assertCreated()
+        ->assertJsonPath('data.success', 2)
+        ->assertJsonPath('data.failed', 0);
+});
+
+test('bulk import rejects more records than one chunk', function () {
+    $record = [
+        'vital_sign_type_id' => $this->vitalSignType->id,
+        'value_primary' => 72,
+        'unit' => 'bpm',
+        'measured_at' => now()->subDay()->toISOString(),
+        'measurement_method' => 'manual',
+    ];
+
+    $response = $this->actingAs($this->user)
+        ->postJson('/api/vital-signs-bulk-import', ['records' => array_fill(0, 101, $record)]);
+
+    $response->assertUnprocessable()
+        ->assertJsonValidationErrors(['records']);
+});
+
+test('bulk import rejects rows outside the type limits', function () {
+    $record = [
+        'vital_sign_type_id' => $this->vitalSignType->id,
+        'unit' => 'bpm',
+        'measured_at' => now()->subDay()->toISOString(),
+        'measurement_method' => 'manual',
+    ];
+
+    $response = $this->actingAs($this->user)->postJson('/api/vital-signs-bulk-import', [
+        'records' => [
+            [...$record, 'value_primary' => 72],
+            [...$record, 'value_primary' => 720],
+            [...$record, 'value_primary' => 72, 'unit' => 'mmHg'],
+        ],
+    ]);
+
+    $response->assertUnprocessable()
+        ->assertJsonValidationErrors([
+            'records.1.value_primary' => 'The measurement value cannot exceed 250.00 bpm.',
+            'records.2.unit',
+        ])
+        ->assertJsonMissingValidationErrors(['records.0.value_primary']);
+    expect($this->user->vitalSignsRecords()->count())->toBe(0);
+});
@@ -0,0 +1,96 @@
+<?php
+
+declare(strict_types=1);
+
+use App\Models\User;
+use App\Models\VitalSignsRecord;
+use App\Models\VitalSignType;
+
+beforeEach(function () {
+    $this->user = User::factory()->create();
+});
+
+function widgetReading(VitalSignType $type, float $value): array
+{
+    return [
+        'vital_sign_type_id' => $type->id,
+        'value_primary' => $value,
+        'unit' => $type->unit_primary,
+        'measured_at' => now()->subHour()->toISOString(),
+        'measurement_method' => 'manual',
+    ];
+}
+
+test('accepts a listed choice for select types', function () {
+    $type = VitalSignType::factory()->swellingSelect()->create();
+
+    $this->actingAs($this->user)
+        ->postJson('/api/vital-signs', widgetReading($type, 2))
+        ->assertCreated();
+});
+
+test('rejects values a select type does not offer', function () {
+    $type = VitalSignType::factory()->swellingSelect()->create();
+
+    $this->actingAs($this->user)
+        ->postJson('/api/vital-signs', widgetReading($type, 1.5))
+        ->assertUnprocessable()
+        ->assertJsonValidationErrors(['value_primary' => 'Please choose one of the listed options.']);
+});
+
+test('rejects scale values between the points of the scale', function () {
+    $type = VitalSignType::factory()->painScale()->create();
+
+    $this->actingAs($this->user)
+        ->postJson('/api/vital-signs', widgetReading($type, 6.5))
+        ->assertUnprocessable()
+        ->assertJsonValidationErrors(['value_primary' => 'The measurement value must be in steps of 1.']);
+
+    $this->actingAs($this->user)
+        ->postJson('/api/vital-signs', widgetReading($type, 6))
+        ->assertCreated();
+});
+
+test('applies the stepper grid when updating a reading', function () {
+    $type = VitalSignType::factory()->oxygenSaturation()->create();
+    $record = VitalSignsRecord::factory()->create([
+        'user_id' => $this->user->id,
+        'vital_sign_type_id' => $type->id,
+        'value_primary' => 97,
+        'unit' => '%',
+    ]);
+
+    $this->actingAs($this->user)
+        ->putJson("/api/vital-signs/{$record->id}", ['vital_sign_type_id' => $type->id, 'value_primary' => 96.5])
+        ->assertUnprocessable()
+        ->assertJsonValidationErrors(['value_primary']);
+});
+
+test('applies the input options to bulk readings', function () {
+    $type = VitalSignType::factory()->painScale()->create();
+
+    $this->actingAs($this->user)
+        ->postJson('/api/vital-signs-bulk-import', [
+            'records' => [widgetReading($type, 6), widgetReading($type, 6.5)],
+        ])
+        ->assertUnprocessable()
+        ->assertJsonValidationErrors(['records.1.value_primary' => 'The measurement value must be in steps of 1.'])
+        ->assertJsonMissingValidationErrors(['records.0.value_primary']);
+});
+
+test('accepts any value when a stepper has no usable step', function () {
+    $type = VitalSignType::factory()->oxygenSaturation()->create(['input_options' => ['step' => 0]]);
+
+    $this->actingAs($this->user)
+        ->postJson('/api/vital-signs', widgetReading($type, 96.5))
+        ->assertCreated();
+});
+
+test('shares input options with the entry forms', function () {
+    $type = VitalSignType::factory()->painScale()->create();
+
+    expect($type->fresh()->input_options)
+        ->toBeArray()
+        ->toHaveKey('labels')
+        ->and($type->fresh()->input_options['labels']['10'])->toBe('Worst possible');
+});
@@ -0,0 +1,103 @@
+<?php
+
+declare(strict_types=1);
+
+use App\Models\User;
+use App\Models\VitalSignsRecord;
+use App\Models\VitalSignType;
+
+beforeEach(function () {
+    $this->user = User::factory()->create();
+    $this->vitalSignType = VitalSignType::factory()->bloodPressure()->create();
+
+    $this->payload = [
+        'vital_sign_type_id' => $this->vitalSignType->id,
+        'value_primary' => 128,
+        'value_secondary' => 84,
+        'unit' => 'mmHg',
+        'measured_at' => now()->subHour()->toISOString(),
+        'measurement_method' => 'manual',
+    ];
+});
+
+test('stores context tags with a reading', function () {
+    $response = $this->actingAs($this->user)->postJson('/api/vital-signs', [
+        ...$this->payload,
+        'context' => [
+            'posture' => 'sitting',
+            'limb' => 'left_arm',
+            'symptoms' => ['headache'],
+        ],
+    ]);
+
+    $response->assertCreated()
+        ->assertJsonPath('data.context.posture', 'sitting')
+        ->assertJsonPath('data.context.symptoms', ['headache']);
+});
+
+test('rejects tags that do not exist or do not apply to the type', function () {
+    $response = $this->actingAs($this->user)->postJson('/api/vital-signs', [
+        ...$this->payload,
+        'context' => [
+            'posture' => 'upside_down',
+            'meal' => 'fasting',
+        ],
+    ]);
+
+    $response->assertUnprocessable()
+        ->assertJsonValidationErrors(['context.posture', 'context.meal']);
+});
+
+test('checks the context tags of bulk readings', function () {
+    $response = $this->actingAs($this->user)->postJson('/api/vital-signs-bulk-import', [
+        'records' => [
+            [...$this->payload, 'context' => ['posture' => 'sitting']],
+            [...$this->payload, 'context' => ['meal' => 'fasting']],
+        ],
+    ]);
+
+    $response->assertUnprocessable()
+        ->assertJsonValidationErrors(['records.1.context.meal'])
+        ->assertJsonMissingValidationErrors(['records.0.context.posture']);
+});
+
+test('filters readings by context tag', function () {
+    VitalSignsRecord::factory()->create([
+        'user_id' => $this->user->id,
+        'vital_sign_type_id' => $this->vitalSignType->id,
+        'context' => ['posture' => 'sitting', 'symptoms' => ['dizziness']],
+    ]);
+    VitalSignsRecord::factory()->create([
+        'user_id' => $this->user->id,
+        'vital_sign_type_id' => $this->vitalSignType->id,
+        'context' => ['posture' => 'standing'],
+    ]);
+
+    $this->actingAs($this->user)
+        ->getJson('/api/vital-signs?context[posture]=sitting')
+        ->assertOk()
+        ->assertJsonCount(1, 'data')
+        ->assertJsonPath('data.0.context.posture', 'sitting');
+
+    $this->actingAs($this->user)
+        ->getJson('/api/vital-signs?context[symptoms]=dizziness')
+        ->assertOk()
+        ->assertJsonCount(1, 'data');
+});
+
+test('updating with an empty context clears the tags', function () {
+    $record = VitalSignsRecord::factory()->create([
+        'user_id' => $this->user->id,
+        'vital_sign_type_id' => $this->vitalSignType->id,
+        'context' => ['posture' => 'sitting'],
+    ]);
+
+    $response = $this->actingAs($this->user)->putJson("/api/vital-signs/{$record->id}", [
+        'vital_sign_type_id' => $this->vitalSignType->id,
+        'context' => [],
+    ]);
+
+    $response->assertOk();
+
+    expect($record->fresh()->context)->toBeNull();
+});
@@ -0,0 +1,52 @@
+<?php
+
+declare(strict_types=1);
+
+use App\Models\User;
+use App\Models\VitalSignType;
+
+beforeEach(function () {
+    $this->user = User::factory()->create();
+    VitalSignType::factory()->create([
+        'name' => 'heart_rate',
+        'display_name' => 'Heart Rate',
+        'unit_primary' => 'bpm',
+        'is_active' => true,
+    ]);
+    VitalSignType::factory()->create([
+        'name' => 'body_temperature',
+        'display_name' => 'Body Temperature',
+        'unit_primary' => '°C',
+        'is_active' => false,
+    ]);
+});
+
+test('every page shares the active vital sign types for quick entry', function () {
+    $response = $this->actingAs($this->user)->get('/dashboard');
+
+    $response->assertSuccessful();
+    $response->assertInertia(function ($page) {
+        $page->has('quickEntryTypes', 1)
+            ->where('quickEntryTypes.0.name', 'heart_rate')
+            ->has('quickEntryTypes.0.unit_primary')
+            ->has('quickEntryTypes.0.has_secondary_value');
+    });
+});
+
+test('quick entry readings are saved through the bulk import endpoint', function () {
+    $heartRate = VitalSignType::where('name', 'heart_rate')->first();
+
+    $response = $this->actingAs($this->user)->postJson('/api/vital-signs-bulk-import', [
+        'records' => [[
+            'vital_sign_type_id' => $heartRate->id,
+            'value_primary' => 71,
+            'value_secondary' => null,
+            'unit' => 'bpm',
+            'measured_at' => now()->subHour()->format('Y-m-d\TH:i'),
+            'measurement_method' => 'manual',
+        ]],
+    ]);
+
+    $response->assertCreated()->assertJsonPath('data.success', 1);
+    expect($this->user->vitalSignsRecords()->count())->toBe(1);
+});
@@ -0,0 +1,78 @@
+<?php
+
+declare(strict_types=1);
+
+use App\Models\User;
+use App\Models\VitalSignType;
+
+beforeEach(function () {
+    $this->user = User::factory()->create();
+    $this->bloodPressure = VitalSignType::factory()->bloodPressure()->create();
+    $this->temperature = VitalSignType::factory()->create([
+        'name' => 'body_temperature',
+        'display_name' => 'Body Temperature',
+        'unit_primary' => '°C',
+        'unit_secondary' => '°F',
+        'has_secondary_value' => false,
+        'min_value' => 30,
+        'max_value' => 45,
+        'is_active' => true,
+    ]);
+});
+
+function sessionRecord(VitalSignType $type, array $overrides = []): array
+{
+    return array_merge([
+        'vital_sign_type_id' => $type->id,
+        'value_primary' => 120,
+        'value_secondary' => null,
+        'unit' => $type->unit_primary,
+        'measured_at' => now()->subMinutes(5)->toISOString(),
+        'measurement_method' => 'manual',
+    ], $overrides);
+}
+
+test('saves every reading of a session', function () {
+    $response = $this->actingAs($this->user)->postJson('/api/vital-signs-bulk-import', [
+        'records' => [
+            sessionRecord($this->bloodPressure, ['value_secondary' => 80]),
+            sessionRecord($this->temperature, ['value_primary' => 98.6, 'unit' => '°F']),
+        ],
+    ]);
+
+    $response->assertCreated()->assertJsonPath('data.success', 2);
+    expect($this->user->vitalSignsRecords()->count())->toBe(2);
+});
+
+test('checks each reading against its type limits after unit conversion', function () {
+    $response = $this->actingAs($this->user)->postJson('/api/vital-signs-bulk-import', [
+        'records' => [
+            sessionRecord($this->bloodPressure, ['value_secondary' => 80]),
+            sessionRecord($this->temperature, ['value_primary' => 120, 'unit' => '°F']),
+        ],
+    ]);
+
+    $response->assertUnprocessable()
+        ->assertJsonValidationErrors(['records.1.value_primary' => 'The measurement value cannot exceed 45.00 °C.'])
+        ->assertJsonMissingValidationErrors(['records.0.value_primary']);
+    expect($this->user->vitalSignsRecords()->count())->toBe(0);
+});
+
+test('rejects readings with the wrong shape for their type', function () {
+    $response = $this->actingAs($this->user)->postJson('/api/vital-signs-bulk-import', [
+        'records' => [
+            sessionRecord($this->bloodPressure),
+            sessionRecord($this->temperature, ['value_primary' => 37, 'value_secondary' => 36]),
+            sessionRecord($this->temperature, ['value_primary' => 310, 'unit' => 'K']),
+            sessionRecord($this->temperature, ['value_primary' => 37, 'measurement_method' => 'device']),
+        ],
+    ]);
+
+    $response->assertUnprocessable()
+        ->assertJsonValidationErrors([
+            'records.0.value_secondary',
+            'records.1.value_secondary',
+            'records.2.unit',
+            'records.3.device_name',
+        ]);
+});
@@ -0,0 +1,84 @@
+<?php
+
+declare(strict_types=1);
+
+use App\Models\User;
+use App\Models\VitalSignsRecord;
+use App\Models\VitalSignType;
+use Illuminate\Support\Carbon;
+
+beforeEach(function () {
+    Carbon::setTestNow(Carbon::parse('2025-09-28 12:00:00', 'UTC'));
+
+    $this->user = User::factory()->create(['timezone' => 'America/Los_Angeles']);
+    $this->bloodPressure = VitalSignType::factory()->bloodPressure()->create();
+    $this->weight = VitalSignType::factory()->weight()->create();
+});
+
+afterEach(function () {
+    Carbon::setTestNow();
+});
+
+function summaryReading(User $user, VitalSignType $type, string $localTime, bool $flagged = false): VitalSignsRecord
+{
+    return VitalSignsRecord::factory()->create([
+        'user_id' => $user->id,
+        'vital_sign_type_id' => $type->id,
+        'measured_at' => Carbon::parse($localTime, $user->timezone)->utc(),
+        'is_flagged' => $flagged,
+    ]);
+}
+
+test('counts readings per day in the user timezone', function () {
+    // 11pm on the 26th in Los Angeles is already the 27th in UTC
+    summaryReading($this->user, $this->bloodPressure, '2025-09-26 23:00:00', true);
+    summaryReading($this->user, $this->bloodPressure, '2025-09-27 08:00:00');
+    summaryReading($this->user, $this->weight, '2025-09-27 09:00:00', true);
+
+    $response = $this->actingAs($this->user)->getJson('/api/vital-signs-summary?days=30');
+
+    $response->assertOk()
+        ->assertJsonPath('meta.timezone', 'America/Los_Angeles')
+        ->assertJsonPath('data.by_day', [
+            ['date' => '2025-09-26', 'count' => 1, 'flagged' => 1],
+            ['date' => '2025-09-27', 'count' => 2, 'flagged' => 1],
+        ]);
+});
+
+test('starts the summary window at midnight in the user timezone', function () {
+    // It is 5am on the 28th in Los Angeles, so the last seven days begin on the 22nd
+    summaryReading($this->user, $this->weight, '2025-09-21 23:30:00');
+    summaryReading($this->user, $this->weight, '2025-09-22 00:30:00');
+    summaryReading($this->user, $this->weight, '2025-09-28 04:00:00');
+
+    $response = $this->actingAs($this->user)->getJson('/api/vital-signs-summary?days=7');
+
+    $response->assertOk()
+        ->assertJsonPath('data.total_records', 2)
+        ->assertJsonPath('data.by_day', [
+            ['date' => '2025-09-22', 'count' => 1, 'flagged' => 0],
+            ['date' => '2025-09-28', 'count' => 1, 'flagged' => 0],
+        ]);
+});
+
+test('limits the summary to one vital sign type', function () {
+    summaryReading($this->user, $this->bloodPressure, '2025-09-27 08:00:00');
+    summaryReading($this->user, $this->weight, '2025-09-27 09:00:00');
+    summaryReading($this->user, $this->weight, '2025-09-20 09:00:00');
+
+    $response = $this->actingAs($this->user)
+        ->getJson("/api/vital-signs-summary?days=30&vital_sign_type_id={$this->weight->id}");
+
+    $response->assertOk()
+        ->assertJsonPath('data.total_records', 2)
+        ->assertJsonPath('meta.vital_sign_type_id', $this->weight->id)
+        ->assertJsonPath('data.by_day.0.date', '2025-09-20')
+        ->assertJsonCount(2, 'data.by_day');
+});
+
+test('validates summary parameters', function () {
+    $this->actingAs($this->user)
+        ->getJson('/api/vital-signs-summary?days=500&vital_sign_type_id=999')
+        ->assertUnprocessable()
+        ->assertJsonValidationErrors(['days', 'vital_sign_type_id']);
+});
@@ -0,0 +1,82 @@
+<?php
+
+declare(strict_types=1);
+
+use App\Models\User;
+use App\Models\VitalSignsRecord;
+use App\Models\VitalSignType;
+use Illuminate\Support\Str;
+
+beforeEach(function () {
+    $this->user = User::factory()->create();
+    $this->vitalSignType = VitalSignType::factory()->bloodPressure()->create();
+
+    $this->payload = [
+        'client_id' => (string) Str::uuid(),
+        'vital_sign_type_id' => $this->vitalSignType->id,
+        'value_primary' => 120,
+        'value_secondary' => 80,
+        'unit' => 'mmHg',
+        'measured_at' => now()->subHours(3)->startOfMinute()->toISOString(),
+        'measurement_method' => 'manual',
+    ];
+});
+
+test('stores the client id of a reading recorded offline', function () {
+    $response = $this->actingAs($this->user)
+        ->postJson('/api/vital-signs', $this->payload);
+
+    $response->assertCreated();
+
+    expect(VitalSignsRecord::where('client_id', $this->payload['client_id'])->count())->toBe(1);
+});
+
+test('replaying an already synced reading returns the existing record', function () {
+    $first = $this->actingAs($this->user)
+        ->postJson('/api/vital-signs', $this->payload);
+
+    $replay = $this->actingAs($this->user)
+        ->postJson('/api/vital-signs', $this->payload);
+
+    $replay->assertOk()
+        ->assertJsonPath('data.id', $first->json('data.id'));
+
+    expect(VitalSignsRecord::where('user_id', $this->user->id)->count())->toBe(1);
+});
+
+test('reports a conflict when a reading of the same type exists at the same time', function () {
+    $existing = VitalSignsRecord::factory()->create([
+        'user_id' => $this->user->id,
+        'vital_sign_type_id' => $this->vitalSignType->id,
+        'measured_at' => $this->payload['measured_at'],
+    ]);
+
+    $response = $this->actingAs($this->user)
+        ->postJson('/api/vital-signs', $this->payload);
+
+    $response->assertConflict()
+        ->assertJsonPath('data.id', $existing->id);
+});
+
+test('keeps a conflicting offline reading when duplicates are allowed', function () {
+    VitalSignsRecord::factory()->create([
+        'user_id' => $this->user->id,
+        'vital_sign_type_id' => $this->vitalSignType->id,
+        'measured_at' => $this->payload['measured_at'],
+    ]);
+
+    $response = $this->actingAs($this->user)
+        ->postJson('/api/vital-signs', [...$this->payload, 'allow_duplicate' => true]);
+
+    $response->assertCreated();
+
+    expect(VitalSignsRecord::where('user_id', $this->user->id)->count())->toBe(2);
+});
+
+test('validates the client id format', function () {
+    $response = $this->actingAs($this->user)
+        ->postJson('/api/vital-signs', [...$this->payload, 'client_id' => 'not-a-uuid']);
+
+    $response->assertUnprocessable()
+        ->assertJsonValidationErrors(['client_id']);
+});
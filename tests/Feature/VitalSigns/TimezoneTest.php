@@ -0,0 +1,71 @@
+<?php
+
+declare(strict_types=1);
+
+use App\Models\User;
+use App\Models\VitalSignsRecord;
+use App\Models\VitalSignType;
+use Illuminate\Support\Carbon;
+
+beforeEach(function () {
+    $this->user = User::factory()->create(['timezone' => 'America/Los_Angeles']);
+    $this->vitalSignType = VitalSignType::factory()->bloodPressure()->create();
+
+    $this->payload = [
+        'vital_sign_type_id' => $this->vitalSignType->id,
+        'value_primary' => 128,
+        'value_secondary' => 84,
+        'unit' => 'mmHg',
+        'measurement_method' => 'manual',
+    ];
+});
+
+test('stores timestamps with an offset in utc', function () {
+    $measuredAt = now('America/Los_Angeles')->subHour()->startOfMinute();
+
+    $response = $this->actingAs($this->user)->postJson('/api/vital-signs', [
+        ...$this->payload,
+        'measured_at' => $measuredAt->toIso8601String(),
+    ]);
+
+    $response->assertCreated();
+
+    $record = VitalSignsRecord::findOrFail($response->json('data.id'));
+
+    expect($record->measured_at->toDateTimeString())
+        ->toBe($measuredAt->copy()->utc()->toDateTimeString());
+});
+
+test('rejects timestamps in the future once the offset is applied', function () {
+    $measuredAt = now('Asia/Tokyo')->addHour();
+
+    $this->actingAs($this->user)->postJson('/api/vital-signs', [
+        ...$this->payload,
+        'measured_at' => $measuredAt->toIso8601String(),
+    ])->assertUnprocessable()
+        ->assertJsonValidationErrors(['measured_at']);
+});
+
+test('filters by calendar day in the user timezone', function () {
+    Carbon::setTestNow(Carbon::parse('2025-09-28 12:00:00', 'UTC'));
+
+    // 11pm on the 26th in Los Angeles is already the 27th in UTC
+    VitalSignsRecord::factory()->create([
+        'user_id' => $this->user->id,
+        'vital_sign_type_id' => $this->vitalSignType->id,
+        'measured_at' => Carbon::parse('2025-09-26 23:00:00', 'America/Los_Angeles')->utc(),
+    ]);
+    VitalSignsRecord::factory()->create([
+        'user_id' => $this->user->id,
+        'vital_sign_type_id' => $this->vitalSignType->id,
+        'measured_at' => Carbon::parse('2025-09-27 09:00:00', 'America/Los_Angeles')->utc(),
+    ]);
+
+    $response = $this->actingAs($this->user)
+        ->getJson('/api/vital-signs?start_date=2025-09-27&end_date=2025-09-27');
+
+    $response->assertOk()
+        ->assertJsonCount(1, 'data');
+
+    Carbon::setTestNow();
+});
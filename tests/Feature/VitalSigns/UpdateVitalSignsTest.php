@@ -83,3 +83,32 @@
 
     $response->assertUnauthorized();
 });
+
+test('converts only the values sent in an alternative unit', function () {
+    $temperature = VitalSignType::factory()->create([
+        'name' => 'body_temperature',
+        'unit_primary' => '°C',
+        'unit_secondary' => '°F',
+        'has_secondary_value' => false,
+    ]);
+    $record = VitalSignsRecord::factory()->create([
+        'user_id' => $this->user->id,
+        'vital_sign_type_id' => $temperature->id,
+        'value_primary' => 37.0,
+        'value_secondary' => null,
+        'unit' => '°C',
+    ]);
+
+    // The stored value is already in °C, so a unit alone changes nothing
+    $this->actingAs($this->user)
+        ->putJson("/api/vital-signs/{$record->id}", ['unit' => '°F'])
+        ->assertOk()
+        ->assertJsonPath('data.unit', '°C')
+        ->assertJsonPath('data.value_primary', '37.00');
+
+    $this->actingAs($this->user)
+        ->putJson("/api/vital-signs/{$record->id}", ['value_primary' => 100.4, 'unit' => '°F'])
+        ->assertOk()
+        ->assertJsonPath('data.unit', '°C')
+        ->assertJsonPath('data.value_primary', '38.00');
+});
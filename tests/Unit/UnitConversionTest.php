@@ -0,0 +1,49 @@
+<?php
+
+use App\Models\VitalSignType;
+use App\Services\UnitConversionService;
+
+describe('Unit Conversion', function () {
+    beforeEach(function () {
+        $this->units = new UnitConversionService;
+    });
+
+    it('converts temperature between celsius and fahrenheit', function () {
+        expect($this->units->convert(37.0, '°C', '°F'))->toBeCloseTo(98.6, 2);
+        expect($this->units->convert(98.6, '°F', '°C'))->toBeCloseTo(37.0, 2);
+    });
+
+    it('converts weight between kilograms and pounds', function () {
+        expect($this->units->convert(70.0, 'kg', 'lbs'))->toBeCloseTo(154.32, 2);
+        expect($this->units->convert(154.32, 'lbs', 'kg'))->toBeCloseTo(70.0, 2);
+    });
+
+    it('converts blood glucose between mg/dL and mmol/L', function () {
+        expect($this->units->convert(90.0, 'mg/dL', 'mmol/L'))->toBeCloseTo(4.99, 2);
+        expect($this->units->convert(5.5, 'mmol/L', 'mg/dL'))->toBeCloseTo(99.1, 1);
+    });
+
+    it('returns the value unchanged for the same unit', function () {
+        expect($this->units->convert(120.0, 'mmHg', 'mmHg'))->toBe(120.0);
+    });
+
+    it('throws for unsupported conversions', function () {
+        $this->units->convert(120.0, 'mmHg', 'kg');
+    })->throws(InvalidArgumentException::class);
+
+    it('lists the units a type supports', function () {
+        $weight = new VitalSignType(['unit_primary' => 'kg', 'unit_secondary' => 'lbs', 'has_secondary_value' => false]);
+        $bloodPressure = new VitalSignType(['unit_primary' => 'mmHg', 'unit_secondary' => 'mmHg', 'has_secondary_value' => true]);
+
+        expect($this->units->supportedUnits($weight))->toBe(['kg', 'lbs']);
+        expect($this->units->supportedUnits($bloodPressure))->toBe(['mmHg']);
+    });
+
+    it('converts values into the canonical unit of a type', function () {
+        $temperature = new VitalSignType(['unit_primary' => '°C', 'unit_secondary' => '°F', 'has_secondary_value' => false]);
+
+        expect($this->units->toCanonical($temperature, 98.6, '°F'))->toBe(37.0);
+        expect($this->units->toCanonical($temperature, 37.0, '°C'))->toBe(37.0);
+        expect($this->units->toCanonical($temperature, 37.0, null))->toBe(37.0);
+    });
+});
@@ -0,0 +1,243 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DAY,
+  tCritical,
+  timeRegression,
+  predict,
+  predictionInterval,
+  trendDirection,
+  canForecast,
+  forecast,
+  robustSpread,
+  detectChangePoints,
+  baselineSegments,
+  detectAnomalies,
+} from '../../resources/js/lib/analytics.js';
+
+const close = (actual, expected, places = 6) => assert.equal(+actual.toFixed(places), +expected.toFixed(places));
+
+const at = (day, value) => ({ time: day * DAY, value });
+
+describe('tCritical', () => {
+  test('reads the table', () => {
+    assert.equal(tCritical(1), 12.706);
+    assert.equal(tCritical(10), 2.228);
+    assert.equal(tCritical(Infinity), 1.96);
+  });
+
+  test('interpolates between rows and tends to the normal value', () => {
+    const t11 = tCritical(11);
+
+    assert.ok(t11 < 2.228 && t11 > 2.179);
+    assert.ok(Math.abs(tCritical(1000) - 1.96) < 0.01);
+    assert.ok(Number.isNaN(tCritical(0)));
+  });
+});
+
+describe('timeRegression', () => {
+  test('measures the slope per day, however unevenly readings were taken', () => {
+    // Rising 2 a day, read on days 0, 1, 2 and then not until day 10
+    const model = timeRegression([at(0, 100), at(1, 102), at(2, 104), at(10, 120)]);
+
+    close(model.slope, 2);
+    close(model.intercept, 100);
+    close(model.rSquared, 1);
+    close(model.residualError, 0);
+    assert.equal(model.spanDays, 10);
+    assert.equal(model.lastTime, 10 * DAY);
+  });
+
+  test('reports how well the line fits', () => {
+    const model = timeRegression([at(0, 1), at(1, 3), at(2, 2), at(3, 4)]);
+
+    // Slope 0.8, intercept 1.3; residuals -0.3, 0.9, -0.9, 0.3
+    close(model.slope, 0.8);
+    close(model.rSquared, 0.64);
+    close(model.residualError, Math.sqrt(1.8 / 2));
+    close(predict(model, 5 * DAY), 5.3);
+  });
+
+  test('needs three readings at more than one time', () => {
+    assert.equal(timeRegression([at(0, 1), at(1, 2)]), null);
+    assert.equal(timeRegression([at(1, 1), at(1, 2), at(1, 3)]), null);
+    assert.equal(timeRegression([at(0, 1), at(1, NaN), { time: NaN, value: 3 }]), null);
+  });
+
+  test('counts flat readings as a perfect fit', () => {
+    assert.equal(timeRegression([at(0, 5), at(1, 5), at(2, 5)]).rSquared, 1);
+  });
+});
+
+describe('prediction intervals', () => {
+  const model = timeRegression([at(0, 100), at(1, 104), at(2, 101), at(3, 106), at(4, 103), at(5, 108)]);
+
+  test('surround the fitted value', () => {
+    const { value, low, high } = predictionInterval(model, 3 * DAY);
+
+    close(value, predict(model, 3 * DAY));
+    close(value - low, high - value);
+    assert.ok(low < value && high > value);
+  });
+
+  test('widen further from the readings', () => {
+    const width = (day) => {
+      const { low, high } = predictionInterval(model, day * DAY);
+      return high - low;
+    };
+
+    assert.ok(width(2.5) < width(5));
+    assert.ok(width(5) < width(12));
+  });
+});
+
+describe('trendDirection', () => {
+  test('follows a clear slope', () => {
+    assert.equal(trendDirection(timeRegression([at(0, 100), at(1, 102), at(2, 104.5), at(3, 106)])), 'increasing');
+    assert.equal(trendDirection(timeRegression([at(0, 80), at(2, 76), at(4, 73), at(6, 70)])), 'decreasing');
+  });
+
+  test('calls a slope lost in the noise stable', () => {
+    assert.equal(trendDirection(timeRegression([at(0, 100), at(1, 110), at(2, 95), at(3, 108), at(4, 98)])), 'stable');
+    assert.equal(trendDirection(null), 'stable');
+  });
+});
+
+describe('forecast', () => {
+  const readings = [at(0, 70), at(1, 71), at(2, 71.5), at(4, 73), at(5, 74)];
+
+  test('runs from the last reading to the horizon', () => {
+    const points = forecast(timeRegression(readings), { days: 7 });
+
+    assert.equal(points.length, 8);
+    assert.equal(points[0].time, 5 * DAY);
+    assert.equal(points[7].time, 12 * DAY);
+    assert.ok(points[7].high - points[7].low > points[0].high - points[0].low);
+  });
+
+  test('takes fewer steps when asked', () => {
+    assert.equal(forecast(timeRegression(readings), { days: 7, steps: 1 }).length, 2);
+  });
+
+  test('holds back with too few readings or too short a span', () => {
+    assert.equal(forecast(timeRegression(readings.slice(0, 4))), null);
+    assert.equal(canForecast(timeRegression(readings.map(({ time, value }) => ({ time: time / 10, value })))), false);
+    assert.equal(forecast(null), null);
+  });
+});
+
+// Readings a day apart around `level`, with the same small wobble each time
+const WOBBLE = [0.5, -0.8, 0.3, -0.2, 0.9, -0.6, 0.1, -0.4, 0.7, -0.5];
+const series = (...levels) => levels.flatMap((level, run) => (
+  WOBBLE.map((wobble, index) => at(run * WOBBLE.length + index, level + wobble))
+));
+
+describe('robustSpread', () => {
+  test('scales the median absolute deviation', () => {
+    const { median, spread } = robustSpread([1, 2, 3, 4, 100]);
+
+    assert.equal(median, 3);
+    close(spread, 1.4826);
+  });
+
+  test('falls back to the mean deviation when most values agree', () => {
+    const { median, spread } = robustSpread([5, 5, 5, 5, 5, 5, 5, 9]);
+
+    assert.equal(median, 5);
+    close(spread, 1.2533 * 0.5);
+    assert.equal(robustSpread([4, 4, 4]).spread, 0);
+    assert.ok(Number.isNaN(robustSpread([]).median));
+  });
+});
+
+describe('detectChangePoints', () => {
+  test('finds a shift in baseline', () => {
+    const changes = detectChangePoints(series(100, 110));
+
+    assert.equal(changes.length, 1);
+    assert.equal(changes[0].time, 9.5 * DAY);
+    close(changes[0].before, 100, 1);
+    close(changes[0].after, 110, 1);
+    close(changes[0].change, 10, 1);
+  });
+
+  test('finds shifts one after another', () => {
+    const changes = detectChangePoints(series(100, 110, 95));
+
+    assert.deepEqual(changes.map(change => change.time / DAY), [9.5, 19.5]);
+    assert.ok(changes[1].change < 0);
+  });
+
+  test('leaves a steady series alone', () => {
+    assert.deepEqual(detectChangePoints(series(100, 100, 100)), []);
+  });
+
+  test('does not take a single wild reading for a shift', () => {
+    const points = series(100, 100);
+    points[12] = at(12, 160);
+
+    assert.deepEqual(detectChangePoints(points), []);
+  });
+
+  test('reads the points in time order and needs enough of them', () => {
+    assert.equal(detectChangePoints([...series(100, 110)].reverse()).length, 1);
+    assert.deepEqual(detectChangePoints(series(100).concat(at(10, 120), at(11, 121))), []);
+  });
+});
+
+describe('baselineSegments', () => {
+  test('groups the readings between change points', () => {
+    const points = series(100, 110);
+    const segments = baselineSegments(points, detectChangePoints(points));
+
+    assert.deepEqual(segments.map(segment => segment.n), [10, 10]);
+    assert.equal(segments[1].start, 10 * DAY);
+    assert.equal(segments[1].end, 19 * DAY);
+    close(segments[0].median, 99.95);
+    assert.equal(segments[1].points[0], points[10]);
+  });
+
+  test('is one segment without change points', () => {
+    assert.equal(baselineSegments(series(100, 110)).length, 1);
+  });
+});
+
+describe('detectAnomalies', () => {
+  test('picks out readings far from the usual', () => {
+    const points = series(100, 100);
+    points[4] = at(4, 120);
+    points[15] = at(15, 85);
+
+    const anomalies = detectAnomalies(points);
+
+    assert.deepEqual(anomalies.map(anomaly => anomaly.point), [points[4], points[15]]);
+    assert.deepEqual(anomalies.map(anomaly => anomaly.direction), ['high', 'low']);
+    assert.ok(anomalies[0].score > 3.5);
+    assert.equal(anomalies[0].n, 20);
+  });
+
+  test('judges each reading against its own baseline', () => {
+    const points = series(100, 110);
+
+    // Against all the readings a shift is just spread; against each side nothing stands out
+    assert.deepEqual(detectAnomalies(points, { changePoints: detectChangePoints(points) }), []);
+
+    points[15] = at(15, 100);
+    const anomalies = detectAnomalies(points, { changePoints: detectChangePoints(points) });
+    assert.deepEqual(anomalies.map(anomaly => anomaly.point), [points[15]]);
+    close(anomalies[0].baseline, 109.95);
+  });
+
+  test('needs a baseline to stand out from', () => {
+    assert.deepEqual(detectAnomalies([at(0, 100), at(1, 100), at(2, 100), at(3, 100), at(4, 150)]), []);
+    assert.deepEqual(detectAnomalies(series(100).map(point => ({ ...point, value: 100 }))), []);
+  });
+
+  test('takes a stricter threshold', () => {
+    const points = series(100);
+    points[3] = at(3, 104);
+
+    assert.equal(detectAnomalies(points).length, 1);
+    assert.equal(detectAnomalies(points, { threshold: 10 }).length, 0);
+  });
+});
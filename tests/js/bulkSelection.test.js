@@ -0,0 +1,82 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  EMPTY_SELECTION,
+  isSelected,
+  selectedCount,
+  toggleSelected,
+  selectRange,
+  selectIds,
+  deselectIds,
+  selectAllMatching,
+  toSelectionPayload,
+} from '../../resources/js/lib/bulkSelection.js';
+
+const IDS = ['a', 'b', 'c', 'd', 'e'];
+
+describe('toggleSelected', () => {
+  test('ticks and unticks picked readings', () => {
+    const ticked = toggleSelected(EMPTY_SELECTION, 'a');
+    assert.deepEqual(ticked.ids, ['a']);
+    assert.equal(isSelected(ticked, 'a'), true);
+    assert.deepEqual(toggleSelected(ticked, 'a').ids, []);
+  });
+
+  test('records unticked readings as exceptions once all matching are selected', () => {
+    const selection = toggleSelected(selectAllMatching(), 'c');
+
+    assert.deepEqual(selection.except, ['c']);
+    assert.equal(isSelected(selection, 'c'), false);
+    assert.equal(isSelected(selection, 'z'), true);
+    assert.equal(selectedCount(selection, 40), 39);
+  });
+});
+
+describe('selectRange', () => {
+  test('ticks everything between the anchor and the clicked reading', () => {
+    const selection = selectRange(toggleSelected(EMPTY_SELECTION, 'b'), IDS, 'b', 'd');
+    assert.deepEqual([...selection.ids].sort(), ['b', 'c', 'd']);
+  });
+
+  test('works upwards and unticks when the clicked reading was ticked', () => {
+    const start = selectIds(EMPTY_SELECTION, IDS);
+    const selection = selectRange(start, IDS, 'e', 'c');
+    assert.deepEqual([...selection.ids].sort(), ['a', 'b']);
+  });
+
+  test('only changes the clicked reading when the anchor is not shown', () => {
+    const selection = selectRange(EMPTY_SELECTION, IDS, 'x', 'c');
+    assert.deepEqual(selection.ids, ['c']);
+  });
+});
+
+describe('selectIds and deselectIds', () => {
+  test('keep readings ticked on other pages', () => {
+    const selection = selectIds({ ...EMPTY_SELECTION, ids: ['x'] }, ['a', 'b']);
+    assert.deepEqual(selection.ids, ['x', 'a', 'b']);
+    assert.deepEqual(deselectIds(selection, ['a', 'b']).ids, ['x']);
+  });
+
+  test('do not duplicate ids', () => {
+    assert.deepEqual(selectIds(selectIds(EMPTY_SELECTION, ['a']), ['a', 'b']).ids, ['a', 'b']);
+  });
+});
+
+describe('toSelectionPayload', () => {
+  test('sends picked ids', () => {
+    assert.deepEqual(toSelectionPayload({ ...EMPTY_SELECTION, ids: ['a'] }, { vital_sign_type_id: '3' }), { ids: ['a'] });
+  });
+
+  test('sends the list filters for all matching selections', () => {
+    const payload = toSelectionPayload(
+      { all: true, ids: [], except: ['c'] },
+      { vital_sign_type_id: '3', start_date: '2025-09-01', end_date: '', context: 'posture:sitting', sort: 'value' }
+    );
+
+    assert.deepEqual(payload, {
+      all: true,
+      except: ['c'],
+      filters: { vital_sign_type_id: '3', start_date: '2025-09-01', context: { posture: 'sitting' } },
+    });
+  });
+});
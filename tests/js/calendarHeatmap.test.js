@@ -0,0 +1,124 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  addDays,
+  weekdayOf,
+  buildCalendar,
+  intensityLevel,
+  monthLabels,
+  currentStreak,
+  moveFocus,
+} from '../../resources/js/lib/calendarHeatmap.js';
+
+describe('calendar days', () => {
+  test('adds days across months and years', () => {
+    assert.equal(addDays('2025-09-30', 1), '2025-10-01');
+    assert.equal(addDays('2025-01-01', -1), '2024-12-31');
+    assert.equal(addDays('2024-02-28', 1), '2024-02-29');
+  });
+
+  test('reads the weekday', () => {
+    assert.equal(weekdayOf('2025-09-28'), 0);
+    assert.equal(weekdayOf('2025-10-04'), 6);
+  });
+});
+
+describe('buildCalendar', () => {
+  const byDay = [
+    { date: '2025-09-20', count: 1, flagged: 0 },
+    { date: '2025-09-27', count: 4, flagged: 1 },
+    { date: '2025-08-01', count: 9, flagged: 9 },
+  ];
+
+  test('pads the first week back to Sunday', () => {
+    // Wednesday 1 October, 14 days back is Thursday 18 September
+    const calendar = buildCalendar(byDay, { endDate: '2025-10-01', days: 14 });
+
+    assert.equal(calendar.start, '2025-09-18');
+    assert.equal(calendar.end, '2025-10-01');
+    assert.equal(calendar.weeks.length, 3);
+    assert.equal(calendar.weeks[0][0].date, '2025-09-14');
+    assert.equal(calendar.weeks[0][0].inRange, false);
+    assert.equal(calendar.weeks[0][4].inRange, true);
+    assert.equal(calendar.weeks[2][3].date, '2025-10-01');
+    assert.equal(calendar.weeks[2][4].inRange, false);
+  });
+
+  test('starts weeks on Monday when asked', () => {
+    const calendar = buildCalendar([], { endDate: '2025-10-01', days: 14, weekStartsOn: 1 });
+
+    assert.equal(calendar.weeks[0][0].date, '2025-09-15');
+    assert.equal(calendar.weeks.every(week => week.length === 7), true);
+  });
+
+  test('totals the days in range only', () => {
+    const calendar = buildCalendar(byDay, { endDate: '2025-10-01', days: 14 });
+
+    assert.equal(calendar.max, 4);
+    assert.deepEqual(calendar.totals, { readings: 5, activeDays: 2, flaggedDays: 1 });
+  });
+});
+
+describe('intensityLevel', () => {
+  test('scales counts against the busiest day', () => {
+    assert.equal(intensityLevel(0, 8), 0);
+    assert.equal(intensityLevel(1, 8), 1);
+    assert.equal(intensityLevel(4, 8), 2);
+    assert.equal(intensityLevel(8, 8), 4);
+    assert.equal(intensityLevel(1, 1), 4);
+  });
+});
+
+describe('monthLabels', () => {
+  test('labels the weeks where a month starts', () => {
+    const calendar = buildCalendar([], { endDate: '2025-10-31', days: 92 });
+    const labels = monthLabels(calendar.weeks, { locale: 'en-US' });
+
+    assert.deepEqual(labels.map(label => label.label), ['Aug', 'Sep', 'Oct']);
+    assert.equal(labels[0].index, 0);
+  });
+
+  test('lets a month starting near the first column take its place', () => {
+    // The range starts on 28 August, and September starts in the next column
+    const calendar = buildCalendar([], { endDate: '2025-10-31', days: 65 });
+    const labels = monthLabels(calendar.weeks, { locale: 'en-US' });
+
+    assert.deepEqual(labels.map(label => label.label), ['Sep', 'Oct']);
+  });
+});
+
+describe('currentStreak', () => {
+  const byDay = [
+    { date: '2025-09-25', count: 1 },
+    { date: '2025-09-26', count: 2 },
+    { date: '2025-09-27', count: 1 },
+  ];
+
+  test('counts back from today', () => {
+    assert.equal(currentStreak([...byDay, { date: '2025-09-28', count: 1 }], '2025-09-28'), 4);
+  });
+
+  test('keeps the streak alive until today is over', () => {
+    assert.equal(currentStreak(byDay, '2025-09-28'), 3);
+    assert.equal(currentStreak(byDay, '2025-09-29'), 0);
+  });
+});
+
+describe('moveFocus', () => {
+  const range = { start: '2025-09-18', end: '2025-10-01' };
+
+  test('moves by day and by week', () => {
+    assert.equal(moveFocus('2025-09-24', 'ArrowDown', range), '2025-09-25');
+    assert.equal(moveFocus('2025-09-24', 'ArrowUp', range), '2025-09-23');
+    assert.equal(moveFocus('2025-09-24', 'ArrowRight', range), '2025-10-01');
+    assert.equal(moveFocus('2025-09-25', 'ArrowLeft', range), '2025-09-18');
+  });
+
+  test('stays inside the range', () => {
+    assert.equal(moveFocus('2025-09-20', 'ArrowLeft', range), null);
+    assert.equal(moveFocus('2025-10-01', 'ArrowDown', range), null);
+    assert.equal(moveFocus('2025-09-24', 'Home', range), '2025-09-18');
+    assert.equal(moveFocus('2025-09-24', 'End', range), '2025-10-01');
+    assert.equal(moveFocus('2025-09-24', 'Enter', range), null);
+  });
+});
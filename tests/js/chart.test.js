@@ -0,0 +1,168 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  niceStep,
+  niceTicks,
+  tickPrecision,
+  linearScale,
+  valueExtent,
+  timeExtent,
+  pickTimeInterval,
+  timeTicks,
+  formatTimeTick,
+  linePath,
+  areaPath,
+  nearestIndex,
+  chartLayout,
+  tickCount,
+} from '../../resources/js/lib/chart.js';
+
+const iso = (times) => times.map(time => new Date(time).toISOString());
+
+describe('value ticks', () => {
+  test('steps by 1, 2, 2.5 or 5 times a power of ten', () => {
+    assert.equal(niceStep(56, 5), 20);
+    assert.equal(niceStep(10, 5), 2);
+    assert.equal(niceStep(1.2, 5), 0.25);
+    assert.equal(niceStep(4000, 4), 1000);
+  });
+
+  test('widens the range to round numbers', () => {
+    assert.deepEqual(niceTicks(87, 143), { min: 80, max: 160, step: 20, ticks: [80, 100, 120, 140, 160] });
+    assert.deepEqual(niceTicks(0.3, 1.7).ticks, [0, 0.5, 1, 1.5, 2]);
+  });
+
+  test('spreads out a single value', () => {
+    const { min, max, ticks } = niceTicks(70, 70);
+
+    assert.ok(min < 70 && max > 70);
+    assert.ok(ticks.includes(70));
+  });
+
+  test('keeps enough decimals to tell ticks apart', () => {
+    assert.equal(tickPrecision(10), 0);
+    assert.equal(tickPrecision(2.5), 1);
+    assert.equal(tickPrecision(0.25), 2);
+  });
+});
+
+describe('linearScale', () => {
+  test('maps and inverts', () => {
+    const y = linearScale([0, 200], [100, 0]);
+
+    assert.equal(y(50), 75);
+    assert.equal(y.invert(75), 50);
+    assert.deepEqual(y.domain, [0, 200]);
+  });
+
+  test('survives an empty domain', () => {
+    assert.equal(linearScale([5, 5], [0, 100])(5), 0);
+  });
+});
+
+describe('extents', () => {
+  test('adds headroom and takes in extra values', () => {
+    assert.deepEqual(valueExtent([100, 120]), [98, 122]);
+    assert.deepEqual(valueExtent([100, 120], { padding: 0, include: [90, 140] }), [90, 140]);
+    assert.deepEqual(valueExtent([NaN, 5, null], { padding: 0 }), [5, 5]);
+    assert.equal(valueExtent([]), null);
+  });
+
+  test('gives a single reading a day around it', () => {
+    const time = Date.parse('2025-09-27T12:00:00Z');
+
+    assert.deepEqual(iso(timeExtent([time])), ['2025-09-27T00:00:00.000Z', '2025-09-28T00:00:00.000Z']);
+  });
+});
+
+describe('time ticks', () => {
+  test('picks the interval from the span', () => {
+    const start = Date.parse('2025-09-01T00:00:00Z');
+
+    assert.deepEqual(pickTimeInterval(start, start + 12 * 3600000, 5), { unit: 'hour', step: 3, ms: 3 * 3600000 });
+    assert.equal(pickTimeInterval(start, start + 30 * 86400000, 5).step, 7);
+    assert.equal(pickTimeInterval(start, start + 365 * 86400000, 5).unit, 'month');
+  });
+
+  test('puts weekly ticks on Mondays at midnight in the timezone', () => {
+    const { ticks, interval } = timeTicks(
+      Date.parse('2025-09-01T05:00:00Z'),
+      Date.parse('2025-09-30T05:00:00Z'),
+      5,
+      'America/Los_Angeles'
+    );
+
+    assert.equal(interval.step, 7);
+    assert.deepEqual(iso(ticks), [
+      '2025-09-01T07:00:00.000Z',
+      '2025-09-08T07:00:00.000Z',
+      '2025-09-15T07:00:00.000Z',
+      '2025-09-22T07:00:00.000Z',
+      '2025-09-29T07:00:00.000Z',
+    ]);
+    assert.equal(formatTimeTick(ticks[0], interval, 'America/Los_Angeles', 'en-US'), 'Sep 1');
+  });
+
+  test('follows the clock across a daylight saving change', () => {
+    const { ticks } = timeTicks(
+      Date.parse('2025-03-09T00:00:00Z'),
+      Date.parse('2025-03-10T00:00:00Z'),
+      6,
+      'America/New_York'
+    );
+
+    // Midnight EST, then 6am, noon and 6pm EDT
+    assert.deepEqual(iso(ticks), [
+      '2025-03-09T05:00:00.000Z',
+      '2025-03-09T10:00:00.000Z',
+      '2025-03-09T16:00:00.000Z',
+      '2025-03-09T22:00:00.000Z',
+    ]);
+  });
+
+  test('starts months on the first', () => {
+    const { ticks, interval } = timeTicks(
+      Date.parse('2025-01-10T00:00:00Z'),
+      Date.parse('2025-12-10T00:00:00Z'),
+      6,
+      'UTC'
+    );
+
+    assert.equal(interval.unit, 'month');
+    assert.deepEqual(ticks.map(tick => formatTimeTick(tick, interval, 'UTC', 'en-US')), ['Apr 2025', 'Jul 2025', 'Oct 2025']);
+  });
+});
+
+describe('paths and layout', () => {
+  test('breaks the line at missing values', () => {
+    const path = linePath([{ x: 1, y: 2 }, { x: 2, y: NaN }, { x: 3, y: 4 }, { x: 4.256, y: 5 }]);
+
+    assert.equal(path, 'M 1,2 M 3,4 L 4.26,5');
+    assert.equal(linePath([]), '');
+  });
+
+  test('closes an area between two lines', () => {
+    const path = areaPath([{ x: 0, y0: 10, y1: 5 }, { x: 1, y0: NaN, y1: 4 }, { x: 2, y0: 12, y1: 6 }]);
+
+    assert.equal(path, 'M 0,5 L 2,6 L 2,12 L 0,10 Z');
+    assert.equal(areaPath([{ x: 0, y0: 1, y1: 2 }]), '');
+  });
+
+  test('finds the nearest point', () => {
+    const points = [{ x: 0 }, { x: 10 }, { x: 20 }];
+
+    assert.equal(nearestIndex(points, 14), 1);
+    assert.equal(nearestIndex(points, 16), 2);
+    assert.equal(nearestIndex(points, -5), 0);
+    assert.equal(nearestIndex([], 3), -1);
+  });
+
+  test('fits the plot inside the margins', () => {
+    const margin = { top: 10, right: 10, bottom: 20, left: 40 };
+
+    assert.deepEqual(chartLayout(300, 200, margin), { margin, innerWidth: 250, innerHeight: 170 });
+    assert.equal(chartLayout(20, 20, margin).innerWidth, 0);
+    assert.equal(tickCount(320, 80), 4);
+    assert.equal(tickCount(50, 80), 2);
+  });
+});
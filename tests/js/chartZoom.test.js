@@ -0,0 +1,121 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  HOUR,
+  wheelZoomFactor,
+  clampDomain,
+  zoomDomain,
+  panDomain,
+  dragBrush,
+  isFullDomain,
+  withinDomain,
+  keyboardDomain,
+  visibleWindow,
+} from '../../resources/js/lib/chartZoom.js';
+
+const DAY = 24 * HOUR;
+const bounds = [0, 30 * DAY];
+const options = { bounds, minSpan: 6 * HOUR };
+
+describe('zooming', () => {
+  test('keeps the time under the cursor in place', () => {
+    const [start, end] = zoomDomain([0, 10 * DAY], 0.5, 2 * DAY, options);
+
+    assert.deepEqual([start, end], [DAY, 6 * DAY]);
+    assert.equal((2 * DAY - start) / (end - start), 0.2);
+  });
+
+  test('zooms about the middle without a focus', () => {
+    assert.deepEqual(zoomDomain([0, 10 * DAY], 0.5, null, options), [2.5 * DAY, 7.5 * DAY]);
+  });
+
+  test('stops at the narrowest window and the whole range', () => {
+    assert.deepEqual(zoomDomain([DAY, 2 * DAY], 0.01, 1.5 * DAY, options), [1.5 * DAY - 3 * HOUR, 1.5 * DAY + 3 * HOUR]);
+    assert.deepEqual(zoomDomain([DAY, 20 * DAY], 4, 10 * DAY, options), bounds);
+  });
+
+  test('turns wheel movement into a factor either side of 1', () => {
+    assert.ok(wheelZoomFactor(-100) < 1);
+    assert.ok(wheelZoomFactor(100) > 1);
+    assert.equal(wheelZoomFactor(0), 1);
+    assert.equal(wheelZoomFactor(3, 1), wheelZoomFactor(48));
+    // A huge flick is no worse than a big one
+    assert.equal(wheelZoomFactor(5000), wheelZoomFactor(100));
+  });
+});
+
+describe('panning', () => {
+  test('moves the window and stops at the ends of the data', () => {
+    assert.deepEqual(panDomain([DAY, 3 * DAY], DAY, options), [2 * DAY, 4 * DAY]);
+    assert.deepEqual(panDomain([DAY, 3 * DAY], -5 * DAY, options), [0, 2 * DAY]);
+    assert.deepEqual(panDomain([27 * DAY, 29 * DAY], 5 * DAY, options), [28 * DAY, 30 * DAY]);
+  });
+
+  test('moves freely without bounds', () => {
+    assert.deepEqual(panDomain([0, DAY], -DAY), [-DAY, 0]);
+  });
+
+  test('steps with the keyboard', () => {
+    assert.deepEqual(keyboardDomain([10 * DAY, 20 * DAY], 'ArrowRight', options), [11 * DAY, 21 * DAY]);
+    assert.deepEqual(keyboardDomain([10 * DAY, 20 * DAY], 'Home', options), [0, 10 * DAY]);
+    assert.deepEqual(keyboardDomain([10 * DAY, 20 * DAY], '+', options), [11 * DAY, 19 * DAY]);
+    assert.equal(keyboardDomain([10 * DAY, 20 * DAY], 'a', options), null);
+  });
+});
+
+describe('clamping', () => {
+  test('slides a window back inside the data', () => {
+    assert.deepEqual(clampDomain([-2 * DAY, 3 * DAY], bounds), [0, 5 * DAY]);
+    assert.deepEqual(clampDomain([40 * DAY, 45 * DAY], bounds), [25 * DAY, 30 * DAY]);
+  });
+
+  test('widens a window narrower than the minimum about its middle', () => {
+    assert.deepEqual(clampDomain([DAY, DAY + HOUR], bounds, 6 * HOUR), [DAY - 2.5 * HOUR, DAY + 3.5 * HOUR]);
+  });
+
+  test('never grows past the data', () => {
+    assert.deepEqual(clampDomain([0, HOUR], [0, 2 * HOUR], 6 * HOUR), [0, 2 * HOUR]);
+  });
+});
+
+describe('brushing', () => {
+  test('moves the whole selection', () => {
+    assert.deepEqual(dragBrush('move', [DAY, 3 * DAY], DAY, options), [2 * DAY, 4 * DAY]);
+  });
+
+  test('resizes from either edge', () => {
+    assert.deepEqual(dragBrush('start', [5 * DAY, 10 * DAY], -2 * DAY, options), [3 * DAY, 10 * DAY]);
+    assert.deepEqual(dragBrush('end', [5 * DAY, 10 * DAY], 2 * DAY, options), [5 * DAY, 12 * DAY]);
+    assert.deepEqual(dragBrush('end', [5 * DAY, 10 * DAY], 40 * DAY, options), [5 * DAY, 30 * DAY]);
+  });
+
+  test('swaps the edges when one is dragged past the other', () => {
+    assert.deepEqual(dragBrush('end', [5 * DAY, 10 * DAY], -7 * DAY, options), [3 * DAY, 5 * DAY]);
+  });
+
+  test('keeps the selection at least the minimum wide', () => {
+    assert.deepEqual(dragBrush('end', [5 * DAY, 10 * DAY], -5 * DAY, options), [5 * DAY, 5 * DAY + 6 * HOUR]);
+    assert.deepEqual(dragBrush('start', [5 * DAY, 10 * DAY], 5 * DAY, options), [10 * DAY - 6 * HOUR, 10 * DAY]);
+  });
+});
+
+describe('the visible window', () => {
+  test('counts a window over all the data as no zoom', () => {
+    assert.equal(isFullDomain([0, 30 * DAY], bounds), true);
+    assert.equal(isFullDomain([0, 29 * DAY], bounds), false);
+    assert.equal(isFullDomain(null, bounds), true);
+    assert.equal(visibleWindow([-DAY, 31 * DAY], bounds), null);
+    assert.equal(visibleWindow([DAY, 2 * DAY], null), null);
+  });
+
+  test('keeps a requested window inside the data', () => {
+    assert.deepEqual(visibleWindow([-DAY, DAY], bounds), [0, 2 * DAY]);
+  });
+
+  test('picks out the items in view', () => {
+    const items = [{ t: 0 }, { t: DAY }, { t: 2 * DAY }, { t: 3 * DAY }];
+
+    assert.deepEqual(withinDomain(items, [DAY, 2 * DAY], item => item.t), [{ t: DAY }, { t: 2 * DAY }]);
+    assert.equal(withinDomain(items, null, item => item.t), items);
+  });
+});
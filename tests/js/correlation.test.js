@@ -0,0 +1,116 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MIN_PAIRS,
+  alignReadings,
+  correlate,
+  lagAnalysis,
+  strongestLag,
+  describeCorrelation,
+  formatLag,
+} from '../../resources/js/lib/correlation.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const reading = (time, value) => ({ time, value });
+
+describe('alignReadings', () => {
+  test('pairs each reading with the nearest one within the window', () => {
+    const a = [reading(0, 120), reading(2 * HOUR, 130)];
+    const b = [reading(10 * MINUTE, 70), reading(2 * HOUR - 5 * MINUTE, 80), reading(5 * HOUR, 90)];
+
+    const pairs = alignReadings(a, b, 30 * MINUTE);
+
+    assert.deepEqual(pairs.map(pair => [pair.a.value, pair.b.value, pair.gap]), [
+      [120, 70, 10 * MINUTE],
+      [130, 80, 5 * MINUTE],
+    ]);
+  });
+
+  test('uses each reading once, closest pairs first', () => {
+    // Both readings of a are near the one reading of b; the closer one gets it
+    const a = [reading(0, 1), reading(20 * MINUTE, 2)];
+    const b = [reading(15 * MINUTE, 10)];
+
+    assert.deepEqual(alignReadings(a, b, HOUR).map(pair => pair.a.value), [2]);
+  });
+
+  test('leaves out readings with nothing close enough', () => {
+    assert.deepEqual(alignReadings([reading(0, 1)], [reading(2 * HOUR, 2)], HOUR), []);
+  });
+
+  test('compares with the other type shifted by a lag', () => {
+    const pairs = alignReadings([reading(0, 1)], [reading(DAY, 2)], HOUR, DAY);
+
+    assert.equal(pairs.length, 1);
+    assert.equal(pairs[0].gap, 0);
+  });
+
+  test('skips readings without a time or value', () => {
+    const a = [reading(NaN, 1), reading(0, NaN), reading(HOUR, 3)];
+    const b = [reading(HOUR, 4)];
+
+    assert.deepEqual(alignReadings(a, b, HOUR).map(pair => pair.a.value), [3]);
+  });
+});
+
+describe('correlate', () => {
+  test('reports both coefficients once there are enough pairs', () => {
+    const pairs = [1, 2, 3, 4, 5].map(x => ({ a: reading(x, x), b: reading(x, 2 * x + 1), gap: 0 }));
+    const result = correlate(pairs);
+
+    assert.equal(result.n, 5);
+    assert.equal(+result.pearson.toFixed(6), 1);
+    assert.equal(+result.spearman.toFixed(6), 1);
+  });
+
+  test('holds back with too few pairs', () => {
+    const pairs = [1, 2, 3].map(x => ({ a: reading(x, x), b: reading(x, x), gap: 0 }));
+
+    assert.ok(pairs.length < MIN_PAIRS);
+    assert.deepEqual(correlate(pairs), { n: 3, pearson: null, spearman: null });
+  });
+});
+
+describe('lag analysis', () => {
+  test('finds the delay at which one type follows the other', () => {
+    // b repeats a's pattern two days later
+    const pattern = [5, 1, 4, 2, 8, 3, 7, 6, 9, 2, 5, 7];
+    const a = pattern.map((value, day) => reading(day * DAY, value));
+    const b = pattern.map((value, day) => reading((day + 2) * DAY, value * 10));
+
+    const lags = lagAnalysis(a, b, DAY, 3);
+    const best = strongestLag(lags);
+
+    assert.equal(lags.length, 7);
+    assert.equal(best.lag, 2 * DAY);
+    assert.equal(+best.r.toFixed(6), 1);
+  });
+
+  test('has nothing to report without enough pairs', () => {
+    assert.equal(strongestLag(lagAnalysis([reading(0, 1)], [reading(0, 2)], HOUR, 2)), null);
+  });
+
+  test('prefers the shorter lag on a tie', () => {
+    assert.equal(strongestLag([{ lag: -HOUR, r: 0.5 }, { lag: 0, r: -0.5 }, { lag: HOUR, r: 0.5 }]).lag, 0);
+  });
+});
+
+describe('wording', () => {
+  test('describes the size and direction of a coefficient', () => {
+    assert.equal(describeCorrelation(0.05), 'no clear');
+    assert.equal(describeCorrelation(0.2), 'weak positive');
+    assert.equal(describeCorrelation(-0.4), 'moderate negative');
+    assert.equal(describeCorrelation(0.8), 'strong positive');
+    assert.equal(describeCorrelation(null), 'not enough data');
+  });
+
+  test('names lags in the largest whole unit', () => {
+    assert.equal(formatLag(0), 'no delay');
+    assert.equal(formatLag(-2 * DAY), '2 days');
+    assert.equal(formatLag(HOUR), '1 hour');
+    assert.equal(formatLag(15 * MINUTE), '15 minutes');
+  });
+});
@@ -0,0 +1,48 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  toDateTimeLocal,
+  fromDateTimeLocal,
+  toOffsetISOString,
+  toDateKey,
+  resolveTimeZone,
+} from '../../resources/js/lib/dateTime.js';
+
+describe('toOffsetISOString', () => {
+  test('posts wall-clock values with the zone offset', () => {
+    assert.equal(toOffsetISOString('2025-09-27T08:30', 'America/Los_Angeles'), '2025-09-27T08:30:00-07:00');
+    assert.equal(toOffsetISOString('2025-01-15T08:30', 'America/Los_Angeles'), '2025-01-15T08:30:00-08:00');
+    assert.equal(toOffsetISOString('2025-09-27T08:30', 'Asia/Kolkata'), '2025-09-27T08:30:00+05:30');
+  });
+
+  test('keeps the instant of values that already carry a zone', () => {
+    assert.equal(toOffsetISOString('2025-09-27T15:30:00Z', 'America/New_York'), '2025-09-27T11:30:00-04:00');
+  });
+
+  test('returns null for values it cannot read', () => {
+    assert.equal(toOffsetISOString('', 'UTC'), null);
+    assert.equal(toOffsetISOString('not a date', 'UTC'), null);
+  });
+});
+
+describe('fromDateTimeLocal', () => {
+  test('shifts times skipped by a daylight saving change', () => {
+    const date = fromDateTimeLocal('2025-03-09T02:30', 'America/New_York');
+    assert.equal(date.toISOString(), '2025-03-09T07:30:00.000Z');
+  });
+});
+
+describe('toDateTimeLocal', () => {
+  test('renders an instant on the wall clock of the zone', () => {
+    assert.equal(toDateTimeLocal('2025-09-27T06:30:00Z', 'America/Los_Angeles'), '2025-09-26T23:30');
+    assert.equal(toDateKey('2025-09-27T06:30:00Z', 'America/Los_Angeles'), '2025-09-26');
+    assert.equal(toDateKey('2025-09-27T06:30:00Z', 'Pacific/Auckland'), '2025-09-27');
+  });
+});
+
+describe('resolveTimeZone', () => {
+  test('falls back to the browser zone for unknown names', () => {
+    assert.equal(resolveTimeZone('Europe/Berlin'), 'Europe/Berlin');
+    assert.equal(resolveTimeZone('Mars/Olympus_Mons'), Intl.DateTimeFormat().resolvedOptions().timeZone);
+  });
+});
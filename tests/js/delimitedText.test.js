@@ -0,0 +1,54 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectDelimiter, parseDelimited, toDelimited } from '../../resources/js/lib/delimitedText.js';
+
+describe('detectDelimiter', () => {
+  test('picks the separator that splits the first line most', () => {
+    assert.equal(detectDelimiter('date,value,unit\n2025-09-20,120,mmHg'), ',');
+    assert.equal(detectDelimiter('date\tvalue\tunit'), '\t');
+    assert.equal(detectDelimiter('date;value;notes, if any'), ';');
+  });
+
+  test('skips leading blank lines and falls back to commas', () => {
+    assert.equal(detectDelimiter('\n\ndate;value'), ';');
+    assert.equal(detectDelimiter('value'), ',');
+  });
+});
+
+describe('parseDelimited', () => {
+  test('keeps separators and newlines inside quoted fields', () => {
+    const text = 'date,value,notes\r\n2025-09-20,120,"after coffee, felt fine"\r\n2025-09-21,118,"first line\nsecond line"';
+
+    assert.deepEqual(parseDelimited(text), [
+      ['date', 'value', 'notes'],
+      ['2025-09-20', '120', 'after coffee, felt fine'],
+      ['2025-09-21', '118', 'first line\nsecond line'],
+    ]);
+  });
+
+  test('unescapes doubled quotes', () => {
+    assert.deepEqual(parseDelimited('notes\n"said ""recheck"" tomorrow"'), [['notes'], ['said "recheck" tomorrow']]);
+  });
+
+  test('drops a byte order mark so the first header matches', () => {
+    assert.deepEqual(parseDelimited('﻿date,value\n2025-09-20,120'), [['date', 'value'], ['2025-09-20', '120']]);
+  });
+
+  test('trims cells and drops blank lines', () => {
+    assert.deepEqual(parseDelimited('date\tvalue\n\n 2025-09-20 \t 120 \n\t\n'), [['date', 'value'], ['2025-09-20', '120']]);
+  });
+
+  test('uses the given delimiter over the detected one', () => {
+    assert.deepEqual(parseDelimited('a;b,c', ';'), [['a', 'b,c']]);
+  });
+});
+
+describe('toDelimited', () => {
+  test('quotes fields that need it and reads back the same', () => {
+    const rows = [['notes', 'value'], ['said "hi", then left', 120], ['two\nlines', null]];
+    const text = toDelimited(rows);
+
+    assert.equal(text, 'notes,value\r\n"said ""hi"", then left",120\r\n"two\nlines",');
+    assert.deepEqual(parseDelimited(text), [['notes', 'value'], ['said "hi", then left', '120'], ['two\nlines', '']]);
+  });
+});
@@ -0,0 +1,58 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  isDualType,
+  getSeriesLabels,
+  getSeriesRanges,
+  hasSecondaryValues,
+  readSecondary,
+  describeDualValue,
+} from '../../resources/js/lib/dualSeries.js';
+
+const bloodPressure = {
+  name: 'blood_pressure',
+  has_secondary_value: true,
+  normal_range_min: '90.00',
+  normal_range_max: '140.00',
+};
+
+const heartRate = { name: 'heart_rate', has_secondary_value: false, normal_range_min: 60, normal_range_max: 100 };
+
+describe('dual-value types', () => {
+  test('names the two values', () => {
+    assert.equal(isDualType(bloodPressure), true);
+    assert.equal(isDualType(heartRate), false);
+    assert.equal(isDualType(null), false);
+    assert.deepEqual(getSeriesLabels(bloodPressure), { primary: 'Systolic', secondary: 'Diastolic' });
+    assert.deepEqual(getSeriesLabels({ name: 'other', has_secondary_value: true }), { primary: 'First value', secondary: 'Second value' });
+  });
+
+  test('gives each value its own normal range', () => {
+    assert.deepEqual(getSeriesRanges(bloodPressure), {
+      primary: { min: 90, max: 140 },
+      secondary: { min: 60, max: 100 },
+    });
+
+    const { secondary } = getSeriesRanges(heartRate);
+    assert.ok(Number.isNaN(secondary.min) && Number.isNaN(secondary.max));
+  });
+});
+
+describe('readings with two values', () => {
+  const readings = [
+    { value_primary: 128, value_secondary: 84 },
+    { value_primary: 131, value_secondary: null },
+  ];
+
+  test('reads the second value', () => {
+    assert.equal(hasSecondaryValues(readings), true);
+    assert.equal(hasSecondaryValues([{ value_primary: 72, value_secondary: '' }]), false);
+    assert.equal(readSecondary(readings[0]), 84);
+    assert.ok(Number.isNaN(readSecondary(readings[1])));
+  });
+
+  test('describes both values for a tooltip', () => {
+    assert.equal(describeDualValue(readings[0], bloodPressure), 'Systolic 128 · Diastolic 84');
+    assert.equal(describeDualValue(readings[1], bloodPressure), '131');
+  });
+});
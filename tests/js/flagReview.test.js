@@ -0,0 +1,44 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getOutcomeLabel,
+  isReviewed,
+  getLatestReview,
+  describeReviewer,
+  applyReview,
+} from '../../resources/js/lib/flagReview.js';
+
+const review = (id, outcome, reviewer = { id: 'u1', name: 'Sam Lee', role: 'patient' }) => ({ id, outcome, reviewer });
+
+describe('reviews of a reading', () => {
+  test('reads the latest review', () => {
+    const record = { id: 'a', flag_reviews: [review('r1', 'remeasured'), review('r2', 'symptoms')] };
+
+    assert.equal(isReviewed(record), true);
+    assert.equal(getLatestReview(record).id, 'r2');
+    assert.equal(isReviewed({ id: 'b' }), false);
+    assert.equal(getLatestReview({ id: 'b' }), null);
+  });
+
+  test('labels outcomes and clinicians', () => {
+    assert.equal(getOutcomeLabel('contacted_provider'), 'Contacted provider');
+    assert.equal(getOutcomeLabel('something_else'), 'something_else');
+    assert.equal(describeReviewer(review('r1', 'no_action')), 'Sam Lee');
+    assert.equal(describeReviewer(review('r1', 'no_action', { name: 'Dr Patel', role: 'medical_professional' })), 'Dr Patel (clinician)');
+    assert.equal(describeReviewer({ outcome: 'no_action', reviewer: null }), 'Someone');
+  });
+});
+
+describe('applyReview', () => {
+  const records = [{ id: 'a', flag_reviews: [] }, { id: 'b', flag_reviews: [review('r1', 'remeasured')] }];
+
+  test('drops reviewed readings from the needs-review list', () => {
+    assert.deepEqual(applyReview(records, 'a', review('r2', 'symptoms')).map(record => record.id), ['b']);
+  });
+
+  test('adds the review to the history elsewhere', () => {
+    const next = applyReview(records, 'b', review('r2', 'symptoms'), 'all');
+    assert.deepEqual(next[1].flag_reviews.map(item => item.id), ['r1', 'r2']);
+    assert.equal(next[0], records[0]);
+  });
+});
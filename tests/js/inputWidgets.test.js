@@ -0,0 +1,130 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getInputType,
+  getStep,
+  getChoices,
+  getChoiceLabel,
+  parseDualValue,
+  formatDualValue,
+  stepValue,
+  checkInputConstraints,
+} from '../../resources/js/lib/inputWidgets.js';
+
+const bloodPressure = { name: 'blood_pressure', input_type: 'dual', min_value: '60.00', max_value: '250.00' };
+const oxygen = { name: 'oxygen_saturation', input_type: 'stepper', input_options: { step: 1 }, min_value: '70.00', max_value: '100.00', normal_range_min: '95.00' };
+const pain = {
+  name: 'pain_level',
+  input_type: 'scale',
+  input_options: { step: 1, labels: { 0: 'No pain', 5: 'Moderate', 10: 'Worst possible' } },
+  min_value: '0.00',
+  max_value: '10.00',
+};
+const swelling = {
+  name: 'ankle_swelling',
+  input_type: 'select',
+  input_options: { choices: [{ value: 0, label: 'None' }, { value: 1, label: 'Mild' }, { value: 2, label: 'Moderate' }] },
+  min_value: '0.00',
+  max_value: '3.00',
+};
+
+describe('getInputType', () => {
+  test('falls back to a number box for unknown or missing types', () => {
+    assert.equal(getInputType(pain), 'scale');
+    assert.equal(getInputType({ input_type: 'wheel' }), 'single');
+    assert.equal(getInputType(null), 'single');
+  });
+
+  test('uses the configured step or the default for the widget', () => {
+    assert.equal(getStep(oxygen), 1);
+    assert.equal(getStep({ input_type: 'single' }), 0.01);
+    assert.equal(getStep({ input_type: 'stepper', input_options: { step: 0.5 } }), 0.5);
+  });
+});
+
+describe('getChoices', () => {
+  test('lists every point of a scale with its label', () => {
+    const choices = getChoices(pain);
+
+    assert.equal(choices.length, 11);
+    assert.deepEqual(choices[0], { value: 0, label: 'No pain' });
+    assert.deepEqual(choices[3], { value: 3, label: null });
+    assert.equal(getChoiceLabel(pain, '10'), 'Worst possible');
+  });
+
+  test('reads select choices as numbers', () => {
+    assert.deepEqual(getChoices(swelling).map(choice => choice.value), [0, 1, 2]);
+    assert.equal(getChoiceLabel(swelling, '2.00'), 'Moderate');
+    assert.equal(getChoiceLabel(swelling, ''), null);
+  });
+
+  test('scales with fractional steps stay on the grid', () => {
+    const values = getChoices({ input_type: 'scale', input_options: { step: 0.1 }, min_value: 0, max_value: 0.5 })
+      .map(choice => choice.value);
+
+    assert.deepEqual(values, [0, 0.1, 0.2, 0.3, 0.4, 0.5]);
+  });
+});
+
+describe('parseDualValue', () => {
+  test('splits common ways of writing blood pressure', () => {
+    for (const text of ['120/80', '120 / 80', '120\\80', '120 over 80', '120 80']) {
+      assert.deepEqual(parseDualValue(text), { value_primary: '120', value_secondary: '80', valid: true }, text);
+    }
+  });
+
+  test('keeps partial entries while typing', () => {
+    assert.deepEqual(parseDualValue('120'), { value_primary: '120', value_secondary: '', valid: true });
+    assert.deepEqual(parseDualValue('120/'), { value_primary: '120', value_secondary: '', valid: true });
+    assert.deepEqual(parseDualValue(''), { value_primary: '', value_secondary: '', valid: true });
+  });
+
+  test('rejects text that is not two numbers', () => {
+    assert.equal(parseDualValue('high').valid, false);
+    assert.equal(parseDualValue('120/80/60').valid, false);
+  });
+
+  test('formats values back into one box', () => {
+    assert.equal(formatDualValue('120', '80'), '120/80');
+    assert.equal(formatDualValue('120', ''), '120');
+    assert.equal(formatDualValue('', ''), '');
+    assert.equal(getInputType(bloodPressure), 'dual');
+  });
+});
+
+describe('stepValue', () => {
+  test('starts a blank stepper at the bottom of the normal range', () => {
+    assert.equal(stepValue(oxygen, '', 1), 95);
+  });
+
+  test('moves by the step and stays within the bounds', () => {
+    assert.equal(stepValue(oxygen, '97', 1), 98);
+    assert.equal(stepValue(oxygen, '100', 1), 100);
+    assert.equal(stepValue(oxygen, '70', -1), 70);
+  });
+
+  test('snaps off-grid values onto the grid', () => {
+    const halves = { input_type: 'stepper', input_options: { step: 0.5 }, min_value: 0 };
+
+    assert.equal(stepValue(halves, '1.3', 1), 1.5);
+    assert.equal(stepValue(halves, '1.3', -1), 1);
+  });
+});
+
+describe('checkInputConstraints', () => {
+  test('only accepts listed choices for selects', () => {
+    assert.equal(checkInputConstraints(swelling, '1'), null);
+    assert.equal(checkInputConstraints(swelling, '1.5'), 'Please choose one of the listed options');
+  });
+
+  test('only accepts points on the step grid for scales and steppers', () => {
+    assert.equal(checkInputConstraints(pain, '4'), null);
+    assert.equal(checkInputConstraints(pain, '4.5'), 'Value must be in steps of 1');
+    assert.equal(checkInputConstraints(oxygen, '96.5'), 'Value must be in steps of 1');
+  });
+
+  test('leaves number boxes and blank values alone', () => {
+    assert.equal(checkInputConstraints({ input_type: 'single' }, '72.35'), null);
+    assert.equal(checkInputConstraints(pain, ''), null);
+  });
+});
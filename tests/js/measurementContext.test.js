@@ -0,0 +1,102 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  UNTAGGED,
+  getContextGroups,
+  getContextGroupsForTypes,
+  pickContext,
+  formatContext,
+  hasContextTag,
+  parseContextFilter,
+  matchesContextFilter,
+  splitByContext,
+} from '../../resources/js/lib/measurementContext.js';
+
+const bloodPressure = { name: 'blood_pressure' };
+const weight = { name: 'weight' };
+
+describe('getContextGroups', () => {
+  test('returns the groups that apply to a type', () => {
+    assert.deepEqual(Object.keys(getContextGroups(bloodPressure)), ['posture', 'limb', 'activity', 'symptoms']);
+    assert.deepEqual(Object.keys(getContextGroups(weight)), ['meal', 'symptoms']);
+    assert.equal(Object.keys(getContextGroups()).length, 5);
+  });
+
+  test('combines the groups of several types', () => {
+    assert.deepEqual(Object.keys(getContextGroupsForTypes([weight])), ['meal', 'symptoms']);
+    assert.deepEqual(Object.keys(getContextGroupsForTypes([])), []);
+  });
+});
+
+describe('pickContext', () => {
+  test('drops tags that do not apply to the type', () => {
+    assert.deepEqual(
+      pickContext(weight, { posture: 'sitting', meal: 'fasting', symptoms: ['fatigue', 'unknown'] }),
+      { meal: 'fasting', symptoms: ['fatigue'] },
+    );
+  });
+
+  test('returns null when no tag is left', () => {
+    assert.equal(pickContext(weight, { limb: 'left_arm', symptoms: [] }), null);
+    assert.equal(pickContext(bloodPressure, null), null);
+  });
+});
+
+describe('formatContext', () => {
+  test('labels the tags in group order', () => {
+    assert.deepEqual(
+      formatContext({ symptoms: ['headache'], limb: 'left_arm', posture: 'sitting' }),
+      ['Sitting', 'Left arm', 'Headache'],
+    );
+    assert.deepEqual(formatContext(null), []);
+  });
+});
+
+describe('context filters', () => {
+  test('parses "group:tag" filters with known tags only', () => {
+    assert.deepEqual(parseContextFilter('posture:sitting'), { name: 'posture', value: 'sitting' });
+    assert.equal(parseContextFilter('posture:jumping'), null);
+    assert.equal(parseContextFilter(''), null);
+  });
+
+  test('matches single and multiple tags', () => {
+    const record = { context: { posture: 'sitting', symptoms: ['dizziness'] } };
+
+    assert.equal(hasContextTag(record, 'symptoms', 'dizziness'), true);
+    assert.equal(matchesContextFilter(record, 'posture:sitting'), true);
+    assert.equal(matchesContextFilter(record, 'posture:standing'), false);
+    assert.equal(matchesContextFilter({ context: null }, 'symptoms:headache'), false);
+    assert.equal(matchesContextFilter({ context: null }, null), true);
+  });
+});
+
+describe('splitByContext', () => {
+  const records = [
+    { id: 1, context: { posture: 'sitting' } },
+    { id: 2, context: { posture: 'standing', symptoms: ['headache', 'dizziness'] } },
+    { id: 3, context: null },
+    { id: 4, context: { symptoms: [] } },
+  ];
+  const ids = series => series.map(item => [item.key, item.records.map(record => record.id)]);
+
+  test('puts untagged readings last and skips empty series', () => {
+    assert.deepEqual(ids(splitByContext(records, 'posture')), [
+      ['sitting', [1]],
+      ['standing', [2]],
+      [UNTAGGED, [3, 4]],
+    ]);
+    assert.equal(splitByContext(records, 'posture').at(-1).label, 'No posture tag');
+  });
+
+  test('puts multi-tag readings in every series they are tagged with', () => {
+    assert.deepEqual(ids(splitByContext(records, 'symptoms')), [
+      ['dizziness', [2]],
+      ['headache', [2]],
+      [UNTAGGED, [1, 3, 4]],
+    ]);
+  });
+
+  test('keeps all readings together for an unknown group', () => {
+    assert.deepEqual(ids(splitByContext(records, 'mood')), [['all', [1, 2, 3, 4]]]);
+  });
+});
@@ -0,0 +1,84 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  describeSchedule,
+  describeProgress,
+  defaultReminderTimes,
+  resizeReminderTimes,
+  adherenceClassName,
+  formatAdherence,
+  reminderKey,
+} from '../../resources/js/lib/measurementSchedule.js';
+
+describe('describeSchedule', () => {
+  test('lists the reminder times of daily plans', () => {
+    assert.equal(
+      describeSchedule({ frequency: 'daily', target_count: 2, reminder_times: ['08:00', '20:00'] }),
+      'Twice daily at 08:00 and 20:00',
+    );
+    assert.equal(
+      describeSchedule({ frequency: 'daily', target_count: 4, reminder_times: ['08:00', '12:00', '16:00', '20:00'] }),
+      '4 times daily at 08:00, 12:00, 16:00 and 20:00',
+    );
+  });
+
+  test('ignores reminder times on weekly plans', () => {
+    assert.equal(describeSchedule({ frequency: 'weekly', target_count: 1, reminder_times: ['08:00'] }), 'Once weekly');
+    assert.equal(describeSchedule({ frequency: 'daily', target_count: 3, reminder_times: null }), 'Three times daily');
+  });
+});
+
+describe('describeProgress', () => {
+  test('names the current period', () => {
+    assert.equal(describeProgress({ frequency: 'daily', completed_count: 1, target_count: 2 }), '1 of 2 today');
+    assert.equal(describeProgress({ frequency: 'weekly', completed_count: 0, target_count: 3 }), '0 of 3 this week');
+  });
+});
+
+describe('defaultReminderTimes', () => {
+  test('spreads the times from 08:00 to 20:00 on quarter hours', () => {
+    assert.deepEqual(defaultReminderTimes(1), ['08:00']);
+    assert.deepEqual(defaultReminderTimes(2), ['08:00', '20:00']);
+    assert.deepEqual(defaultReminderTimes(3), ['08:00', '14:00', '20:00']);
+    assert.deepEqual(defaultReminderTimes(5), ['08:00', '11:00', '14:00', '17:00', '20:00']);
+    assert.deepEqual(defaultReminderTimes(7), ['08:00', '10:00', '12:00', '14:00', '16:00', '18:00', '20:00']);
+  });
+
+  test('rounds uneven steps to the nearest quarter hour', () => {
+    assert.deepEqual(defaultReminderTimes(4), ['08:00', '12:00', '16:00', '20:00']);
+    assert.deepEqual(defaultReminderTimes(6), ['08:00', '10:30', '12:45', '15:15', '17:30', '20:00']);
+  });
+});
+
+describe('resizeReminderTimes', () => {
+  test('keeps the chosen times and fills the rest with defaults', () => {
+    assert.deepEqual(resizeReminderTimes(['07:30'], 3), ['07:30', '14:00', '20:00']);
+    assert.deepEqual(resizeReminderTimes(['07:30', '12:00', '19:00'], 2), ['07:30', '12:00']);
+  });
+});
+
+describe('adherence', () => {
+  test('colours adherence by band', () => {
+    assert.equal(adherenceClassName(95), 'text-green-600');
+    assert.equal(adherenceClassName(80), 'text-green-600');
+    assert.equal(adherenceClassName(50), 'text-yellow-600');
+    assert.equal(adherenceClassName(49.9), 'text-red-600');
+    assert.equal(adherenceClassName(null), 'text-muted-foreground');
+  });
+
+  test('formats adherence as a whole percentage', () => {
+    assert.equal(formatAdherence(66.6667), '67%');
+    assert.equal(formatAdherence(0), '0%');
+    assert.equal(formatAdherence(undefined), '—');
+  });
+});
+
+describe('reminderKey', () => {
+  test('changes once a reading is logged or another one falls due', () => {
+    const status = { schedule_id: 4, period_start: '2025-03-10', completed_count: 1, due_count: 2 };
+
+    assert.equal(reminderKey(status), '4:2025-03-10:1:2');
+    assert.notEqual(reminderKey({ ...status, completed_count: 2 }), reminderKey(status));
+    assert.notEqual(reminderKey({ ...status, due_count: 3 }), reminderKey(status));
+  });
+});
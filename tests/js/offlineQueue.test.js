@@ -0,0 +1,121 @@
+import 'fake-indexeddb/auto';
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The queue runs in the browser; give it the globals it reaches for
+globalThis.window = Object.assign(new EventTarget(), { indexedDB, crypto });
+globalThis.document = { querySelector: () => ({ content: 'csrf-token' }) };
+Object.defineProperty(globalThis, 'navigator', { value: { onLine: true }, configurable: true });
+
+const {
+  QUEUE_STATUS,
+  getPendingReadings,
+  queueReading,
+  syncPendingReadings,
+} = await import('../../resources/js/lib/offlineQueue.js');
+
+let responses;
+let posted;
+
+globalThis.fetch = async (url, init) => {
+  posted.push(JSON.parse(init.body));
+  const next = responses.shift();
+  if (next instanceof Error) throw next;
+
+  const { status, body = {} } = next;
+  return { ok: status >= 200 && status < 300, status, json: async () => body };
+};
+
+const reading = (value) => ({
+  vital_sign_type_id: 1,
+  value_primary: value,
+  unit: 'bpm',
+  measured_at: '2025-09-30T08:00:00Z',
+  measurement_method: 'manual',
+});
+
+// Readings replay in the order they were queued, so keep their timestamps apart
+const queueInOrder = async (userId, values) => {
+  for (const value of values) {
+    await queueReading(userId, reading(value));
+    await new Promise(resolve => setTimeout(resolve, 2));
+  }
+};
+
+let nextUserId = 1;
+
+describe('offline queue', () => {
+  let userId;
+
+  beforeEach(() => {
+    // The database lives for the whole file, so each test gets users of its own
+    userId = nextUserId;
+    nextUserId += 2;
+    responses = [];
+    posted = [];
+  });
+
+  test('lists only the readings queued by the user', async () => {
+    await queueReading(userId, reading(70));
+    await queueReading(userId + 1, reading(80));
+
+    const entries = await getPendingReadings(userId);
+
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].payload.value_primary, 70);
+    assert.equal(entries[0].payload.client_id, entries[0].client_id);
+    assert.deepEqual(await getPendingReadings(null), []);
+  });
+
+  test('replays only the signed-in user\'s readings', async () => {
+    await queueReading(userId, reading(70));
+    await queueReading(userId + 1, reading(80));
+    responses = [{ status: 201 }];
+
+    const results = await syncPendingReadings(userId);
+
+    assert.deepEqual(posted.map(payload => payload.value_primary), [70]);
+    assert.equal(results.synced, 1);
+    assert.equal(results.remaining, 0);
+    assert.equal((await getPendingReadings(userId + 1)).length, 1);
+  });
+
+  test('keeps readings queued when the session or token has expired', async () => {
+    await queueInOrder(userId, [70, 72]);
+    responses = [{ status: 419, body: { message: 'CSRF token mismatch.' } }];
+
+    const results = await syncPendingReadings(userId);
+    const entries = await getPendingReadings(userId);
+
+    assert.equal(results.signedOut, true);
+    assert.equal(posted.length, 1);
+    assert.equal(results.remaining, 2);
+    assert.ok(entries.every(entry => entry.status === QUEUE_STATUS.PENDING));
+  });
+
+  test('marks conflicts and rejections and carries on', async () => {
+    await queueInOrder(userId, [70, 72]);
+    responses = [
+      { status: 409, body: { message: 'Duplicate reading', data: { value_primary: '70.00' } } },
+      { status: 422, body: { message: 'Invalid', errors: { value_primary: ['Too high'] } } },
+    ];
+
+    const results = await syncPendingReadings(userId);
+    const entries = await getPendingReadings(userId);
+
+    assert.equal(results.conflicts, 1);
+    assert.equal(results.rejected, 1);
+    assert.deepEqual(entries.map(entry => entry.status), [QUEUE_STATUS.CONFLICT, QUEUE_STATUS.REJECTED]);
+    assert.deepEqual(entries[1].errors, { value_primary: ['Too high'] });
+  });
+
+  test('stops at the first network failure', async () => {
+    await queueInOrder(userId, [70, 72]);
+    responses = [new TypeError('Failed to fetch')];
+
+    const results = await syncPendingReadings(userId);
+
+    assert.equal(posted.length, 1);
+    assert.equal(results.remaining, 2);
+  });
+});
@@ -0,0 +1,201 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuickEntry, parseTime, formatDateTimeLocal } from '../../resources/js/lib/quickEntry.js';
+
+const vitalSignTypes = [
+  { id: 1, name: 'blood_pressure', display_name: 'Blood Pressure', unit_primary: 'mmHg', unit_secondary: null, has_secondary_value: true, input_type: 'dual' },
+  { id: 2, name: 'oxygen_saturation', display_name: 'Oxygen Saturation', unit_primary: '%', unit_secondary: null, has_secondary_value: false, input_type: 'single' },
+  { id: 3, name: 'weight', display_name: 'Weight', unit_primary: 'kg', unit_secondary: 'lbs', has_secondary_value: false, input_type: 'single' },
+  { id: 4, name: 'blood_glucose', display_name: 'Blood Glucose', unit_primary: 'mg/dL', unit_secondary: 'mmol/L', has_secondary_value: false, input_type: 'single' },
+  { id: 5, name: 'heart_rate', display_name: 'Heart Rate', unit_primary: 'bpm', unit_secondary: null, has_secondary_value: false, input_type: 'single' },
+  { id: 6, name: 'body_temperature', display_name: 'Body Temperature', unit_primary: '°C', unit_secondary: '°F', has_secondary_value: false, input_type: 'single' },
+];
+
+// Local time, so the expectations hold in any timezone
+const now = new Date(2025, 8, 26, 10, 30);
+
+const parse = (text, options = {}) => parseQuickEntry(text, vitalSignTypes, { now, ...options });
+
+const summarize = (result) => result.readings.map(reading => [
+  reading.type.name,
+  reading.value_primary,
+  reading.value_secondary,
+  reading.unit,
+]);
+
+describe('parseQuickEntry', () => {
+  test('parses several readings with keywords, units and a time', () => {
+    const result = parse('bp 128/84 pulse 71 temp 37.2C this morning');
+
+    assert.deepEqual(summarize(result), [
+      ['blood_pressure', 128, 84, 'mmHg'],
+      ['heart_rate', 71, null, 'bpm'],
+      ['body_temperature', 37.2, null, '°C'],
+    ]);
+    assert.deepEqual(result.measuredAt, new Date(2025, 8, 26, 8, 0));
+    assert.equal(result.timeText, 'this morning');
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.unrecognized, []);
+  });
+
+  test('sets vital_sign_type_id from the matched type', () => {
+    const [reading] = parse('pulse 64').readings;
+
+    assert.equal(reading.vital_sign_type_id, 5);
+    assert.equal(reading.text, '64');
+  });
+
+  test('matches display names and multi-word aliases', () => {
+    const result = parse('Blood Pressure 118/76, blood sugar 95, Oxygen Saturation 97');
+
+    assert.deepEqual(summarize(result), [
+      ['blood_pressure', 118, 76, 'mmHg'],
+      ['blood_glucose', 95, null, 'mg/dL'],
+      ['oxygen_saturation', 97, null, '%'],
+    ]);
+  });
+
+  test('infers the type from the unit or from a dual value', () => {
+    const result = parse('120/80 98% 98.6F 72 bpm');
+
+    assert.deepEqual(summarize(result), [
+      ['blood_pressure', 120, 80, 'mmHg'],
+      ['oxygen_saturation', 98, null, '%'],
+      ['body_temperature', 98.6, null, '°F'],
+      ['heart_rate', 72, null, 'bpm'],
+    ]);
+  });
+
+  test('accepts the value before the keyword', () => {
+    assert.deepEqual(summarize(parse('71 pulse')), [['heart_rate', 71, null, 'bpm']]);
+  });
+
+  test('normalizes unit spellings', () => {
+    const result = parse('weight 180 pounds glucose 5.6 mmol');
+
+    assert.deepEqual(summarize(result), [
+      ['weight', 180, null, 'lbs'],
+      ['blood_glucose', 5.6, null, 'mmol/L'],
+    ]);
+  });
+
+  test('uses the default unit callback when no unit is given', () => {
+    const result = parse('temp 98.4', { defaultUnit: (type) => (type.name === 'body_temperature' ? '°F' : null) });
+
+    assert.deepEqual(summarize(result), [['body_temperature', 98.4, null, '°F']]);
+  });
+
+  test('reports units that do not belong to the type', () => {
+    const result = parse('pulse 71 kg');
+
+    assert.deepEqual(result.readings, []);
+    assert.deepEqual(result.errors, ['kg is not a unit for Heart Rate']);
+  });
+
+  test('reports keywords without values and values without types', () => {
+    const result = parse('bp pulse 70 42');
+
+    assert.deepEqual(summarize(result), [['heart_rate', 70, null, 'bpm']]);
+    assert.deepEqual(result.errors, ['No value found for Blood Pressure', 'Couldn\'t tell what "42" is']);
+  });
+
+  test('reports a type entered twice and keeps the first value', () => {
+    const result = parse('hr 60 hr 70');
+
+    assert.deepEqual(summarize(result), [['heart_rate', 60, null, 'bpm']]);
+    assert.deepEqual(result.errors, ['Heart Rate was entered more than once']);
+  });
+
+  test('lists words it did not understand, ignoring filler words', () => {
+    const result = parse('my pulse was 70 after running');
+
+    assert.deepEqual(summarize(result), [['heart_rate', 70, null, 'bpm']]);
+    assert.deepEqual(result.unrecognized, ['after', 'running']);
+  });
+
+  test('ignores inactive types', () => {
+    const types = vitalSignTypes.map(type => (type.name === 'weight' ? { ...type, is_active: false } : type));
+    const result = parseQuickEntry('weight 80', types, { now });
+
+    assert.deepEqual(result.readings, []);
+    assert.deepEqual(result.unrecognized, ['weight']);
+  });
+
+  test('does not read the time expression as a value', () => {
+    const result = parse('spo2 97 at 9:15');
+
+    assert.deepEqual(summarize(result), [['oxygen_saturation', 97, null, '%']]);
+    assert.deepEqual(result.measuredAt, new Date(2025, 8, 26, 9, 15));
+  });
+
+  test('reads "at" after a type keyword as part of the reading', () => {
+    const result = parse('pulse at 72');
+
+    assert.deepEqual(summarize(result), [['heart_rate', 72, null, 'bpm']]);
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.measuredAt, now);
+  });
+
+  test('still reads a bare hour after a value as the time', () => {
+    const result = parse('bp 120/80 pulse at 68 at 9');
+
+    assert.deepEqual(summarize(result), [['blood_pressure', 120, 80, 'mmHg'], ['heart_rate', 68, null, 'bpm']]);
+    assert.deepEqual(result.measuredAt, new Date(2025, 8, 26, 9, 0));
+  });
+
+  test('returns nothing for empty text', () => {
+    const result = parse('');
+
+    assert.deepEqual(result.readings, []);
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.measuredAt, now);
+  });
+});
+
+describe('parseTime', () => {
+  test('defaults to now', () => {
+    assert.equal(parseTime('pulse 70', now).date, now);
+  });
+
+  test('parses relative times', () => {
+    assert.deepEqual(parseTime('2 hours ago', now).date, new Date(2025, 8, 26, 8, 30));
+    assert.deepEqual(parseTime('15 min ago', now).date, new Date(2025, 8, 26, 10, 15));
+  });
+
+  test('parses parts of the day', () => {
+    assert.deepEqual(parseTime('yesterday evening', now).date, new Date(2025, 8, 25, 19, 0));
+    assert.deepEqual(parseTime('last night', now).date, new Date(2025, 8, 25, 22, 0));
+  });
+
+  test('parses clock times', () => {
+    assert.deepEqual(parseTime('at 7:45am', now).date, new Date(2025, 8, 26, 7, 45));
+    assert.deepEqual(parseTime('yesterday at 7 pm', now).date, new Date(2025, 8, 25, 19, 0));
+    assert.deepEqual(parseTime('at 7 yesterday evening', now).date, new Date(2025, 8, 25, 19, 0));
+  });
+
+  test('leaves a bare hour after a type keyword alone', () => {
+    assert.equal(parseTime('pulse at 72', now, null, ['pulse']).text, null);
+    assert.deepEqual(parseTime('impulse at 7', now, null, ['pulse']).date, new Date(2025, 8, 26, 7, 0));
+  });
+
+  test('treats a bare clock time later than now as yesterday', () => {
+    assert.deepEqual(parseTime('at 11pm', now).date, new Date(2025, 8, 25, 23, 0));
+  });
+
+  test('rejects times in the future', () => {
+    const result = parseTime('this evening', now);
+
+    assert.equal(result.date, now);
+    assert.equal(result.error, '"this evening" is in the future');
+  });
+
+  test('rejects invalid clock times', () => {
+    assert.equal(parseTime('at 25:00', now).error, '"at 25:00" is not a valid time');
+  });
+});
+
+describe('formatDateTimeLocal', () => {
+  test('formats a date for datetime-local inputs', () => {
+    assert.equal(formatDateTimeLocal(new Date(2025, 0, 5, 7, 3)), '2025-01-05T07:03');
+  });
+});
@@ -0,0 +1,74 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { smooth, isSmoothing, describeSmoothing } from '../../resources/js/lib/smoothing.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// One reading a day with the given values
+const daily = (values) => values.map((value, day) => ({ time: day * DAY, value }));
+
+const rounded = (values) => values.map(value => (Number.isFinite(value) ? +value.toFixed(4) : value));
+
+describe('trailing averages', () => {
+  test('averages the last few readings, and what there is at the start', () => {
+    assert.deepEqual(smooth(daily([2, 4, 6, 8, 10]), 'sma', 3), [2, 3, 4, 6, 8]);
+  });
+
+  test('weights recent readings more in the exponential average', () => {
+    // alpha = 2 / (3 + 1) = 0.5
+    assert.deepEqual(smooth(daily([10, 20, 20, 0]), 'ema', 3), [10, 15, 17.5, 8.75]);
+  });
+
+  test('ignores a single spike with the rolling median', () => {
+    assert.deepEqual(smooth(daily([120, 122, 180, 121, 123]), 'median', 3), [120, 121, 122, 122, 123]);
+  });
+});
+
+describe('LOESS', () => {
+  test('follows a straight line exactly', () => {
+    const line = daily([100, 102, 104, 106, 108, 110]);
+
+    assert.deepEqual(rounded(smooth(line, 'loess', 3)), [100, 102, 104, 106, 108, 110]);
+  });
+
+  test('pulls a noisy point towards its neighbours without lagging', () => {
+    const [, , middle] = smooth(daily([100, 100, 130, 100, 100]), 'loess', 5);
+
+    assert.ok(middle > 100 && middle < 130);
+    // Symmetric noise about the middle leaves the ends level with each other
+    const values = smooth(daily([100, 110, 100, 110, 100]), 'loess', 5);
+    assert.equal(+values[0].toFixed(6), +values[4].toFixed(6));
+  });
+
+  test('copes with readings all at one time', () => {
+    const points = [{ time: 0, value: 1 }, { time: 0, value: 3 }, { time: 0, value: 5 }];
+
+    assert.deepEqual(smooth(points, 'loess', 3), [3, 3, 3]);
+  });
+});
+
+describe('smooth', () => {
+  test('keeps the order the points were given in', () => {
+    const points = [{ time: 2 * DAY, value: 6 }, { time: 0, value: 2 }, { time: DAY, value: 4 }];
+
+    assert.deepEqual(smooth(points, 'sma', 2), [5, 2, 3]);
+  });
+
+  test('skips points without a value', () => {
+    const points = daily([2, NaN, 4]);
+
+    assert.deepEqual(smooth(points, 'sma', 2), [2, NaN, 3]);
+  });
+
+  test('returns the values as they are without a method', () => {
+    assert.deepEqual(smooth(daily([1, 5, 2]), 'none', 3), [1, 5, 2]);
+    assert.deepEqual(smooth([], 'sma', 3), []);
+  });
+
+  test('describes the choice for a legend', () => {
+    assert.equal(isSmoothing({ method: 'none', window: 7 }), false);
+    assert.equal(isSmoothing(null), false);
+    assert.equal(describeSmoothing({ method: 'sma', window: 7 }), '7-reading moving average');
+    assert.equal(describeSmoothing({ method: 'loess', window: 14 }), '14-reading LOESS');
+  });
+});
@@ -0,0 +1,63 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { mean, ranks, pearson, spearman, linearFit } from '../../resources/js/lib/statistics.js';
+
+const close = (actual, expected, places = 6) => assert.equal(+actual.toFixed(places), +expected.toFixed(places));
+
+describe('mean', () => {
+  test('averages, with nothing to average giving null', () => {
+    assert.equal(mean([2, 4, 9]), 5);
+    assert.equal(mean([]), null);
+  });
+});
+
+describe('ranks', () => {
+  test('ranks in the original order', () => {
+    assert.deepEqual(ranks([30, 10, 20]), [3, 1, 2]);
+  });
+
+  test('shares ranks between ties', () => {
+    assert.deepEqual(ranks([10, 20, 20, 30]), [1, 2.5, 2.5, 4]);
+    assert.deepEqual(ranks([5, 5, 5]), [2, 2, 2]);
+  });
+});
+
+describe('correlation coefficients', () => {
+  test('scores straight lines as 1 or -1', () => {
+    close(pearson([1, 2, 3, 4], [10, 20, 30, 40]), 1);
+    close(pearson([1, 2, 3, 4], [8, 6, 4, 2]), -1);
+  });
+
+  test('matches a worked example', () => {
+    // r = 0.7745966692 for these by hand
+    close(pearson([1, 2, 3, 4, 5], [2, 4, 5, 4, 5]), 0.7745966692, 6);
+  });
+
+  test('sees any rising relationship as a perfect rank correlation', () => {
+    const xs = [1, 2, 3, 4, 5];
+    const ys = xs.map(x => x ** 3);
+
+    assert.ok(pearson(xs, ys) < 1);
+    close(spearman(xs, ys), 1);
+  });
+
+  test('gives no answer for too few points or a constant side', () => {
+    assert.equal(pearson([1, 2], [3, 4]), null);
+    assert.equal(pearson([1, 2, 3], [5, 5, 5]), null);
+    assert.equal(spearman([], []), null);
+  });
+});
+
+describe('linearFit', () => {
+  test('finds the slope and intercept', () => {
+    const fit = linearFit([0, 1, 2, 3], [1, 3, 5, 7]);
+
+    close(fit.slope, 2);
+    close(fit.intercept, 1);
+  });
+
+  test('needs x to change', () => {
+    assert.equal(linearFit([2, 2, 2], [1, 2, 3]), null);
+    assert.equal(linearFit([1], [1]), null);
+  });
+});
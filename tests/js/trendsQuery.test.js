@@ -0,0 +1,71 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_TRENDS_QUERY,
+  formatWindowTime,
+  parseTrendsQuery,
+  toTrendsParams,
+  getTrendsWindow,
+  updateTrendsQuery,
+} from '../../resources/js/lib/trendsQuery.js';
+
+describe('parseTrendsQuery', () => {
+  test('uses the defaults for an empty query string', () => {
+    assert.deepEqual(parseTrendsQuery({}), DEFAULT_TRENDS_QUERY);
+    assert.deepEqual(parseTrendsQuery(new URLSearchParams('')), DEFAULT_TRENDS_QUERY);
+  });
+
+  test('restores the type, period and window from the URL', () => {
+    const query = parseTrendsQuery(new URLSearchParams(
+      'vital_sign_type_id=2&period=90&from=2025-09-01T08:00Z&to=2025-09-08T20:30Z'
+    ));
+
+    assert.deepEqual(query, {
+      vital_sign_type_id: '2',
+      period: '90',
+      from: '2025-09-01T08:00Z',
+      to: '2025-09-08T20:30Z',
+    });
+    assert.deepEqual(getTrendsWindow(query), [Date.parse('2025-09-01T08:00Z'), Date.parse('2025-09-08T20:30Z')]);
+  });
+
+  test('drops unknown periods and broken or backwards windows', () => {
+    assert.equal(parseTrendsQuery({ period: '45' }).period, '30');
+    assert.equal(parseTrendsQuery({ vital_sign_type_id: 'abc' }).vital_sign_type_id, '');
+    assert.equal(parseTrendsQuery({ from: '2025-09-01T08:00Z' }).from, '');
+    assert.equal(parseTrendsQuery({ from: 'yesterday', to: '2025-09-08T20:30Z' }).to, '');
+    assert.equal(getTrendsWindow(parseTrendsQuery({ from: '2025-09-08T00:00Z', to: '2025-09-01T00:00Z' })), null);
+  });
+});
+
+describe('writing the query', () => {
+  test('leaves out defaults', () => {
+    assert.deepEqual(toTrendsParams(DEFAULT_TRENDS_QUERY), {});
+    assert.deepEqual(toTrendsParams({ ...DEFAULT_TRENDS_QUERY, vital_sign_type_id: '4', period: '7' }), {
+      vital_sign_type_id: '4',
+      period: '7',
+    });
+  });
+
+  test('writes window times to the minute in UTC', () => {
+    assert.equal(formatWindowTime(Date.parse('2025-09-01T08:00:29.400Z')), '2025-09-01T08:00Z');
+    assert.equal(formatWindowTime(Date.parse('2025-09-01T08:00:31Z')), '2025-09-01T08:01Z');
+  });
+});
+
+describe('updateTrendsQuery', () => {
+  const zoomed = { vital_sign_type_id: '2', period: '30', from: '2025-09-01T00:00Z', to: '2025-09-05T00:00Z' };
+
+  test('sets and clears the window', () => {
+    const window = [Date.parse('2025-09-02T00:00Z'), Date.parse('2025-09-03T12:00Z')];
+
+    assert.deepEqual(updateTrendsQuery(zoomed, { window }), { ...zoomed, from: '2025-09-02T00:00Z', to: '2025-09-03T12:00Z' });
+    assert.deepEqual(updateTrendsQuery(zoomed, { window: null }), { ...zoomed, from: '', to: '' });
+  });
+
+  test('zooms back out for another type or period', () => {
+    assert.deepEqual(updateTrendsQuery(zoomed, { period: '90' }), { vital_sign_type_id: '2', period: '90', from: '', to: '' });
+    assert.deepEqual(updateTrendsQuery(zoomed, { vital_sign_type_id: '3' }).from, '');
+    assert.deepEqual(updateTrendsQuery(zoomed, { period: '30' }), zoomed);
+  });
+});
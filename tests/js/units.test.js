@@ -0,0 +1,103 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  canConvert,
+  roundForUnit,
+  convertValue,
+  getSupportedUnits,
+  toCanonical,
+  convertReading,
+  convertTypeRanges,
+} from '../../resources/js/lib/units.js';
+
+const temperature = {
+  id: 1,
+  unit_primary: '°C',
+  unit_secondary: '°F',
+  has_secondary_value: false,
+  min_value: '30.00',
+  max_value: '45.00',
+  normal_range_min: '36.10',
+  normal_range_max: '37.20',
+  warning_range_min: null,
+};
+const glucose = { id: 2, unit_primary: 'mg/dL', unit_secondary: 'mmol/L', has_secondary_value: false };
+const bloodPressure = { id: 3, unit_primary: 'mmHg', unit_secondary: 'mmHg', has_secondary_value: true };
+
+describe('convertValue', () => {
+  test('converts between the supported units', () => {
+    assert.equal(convertValue(37, '°C', '°F'), 98.6);
+    assert.equal(roundForUnit(convertValue('180', 'mg/dL', 'mmol/L'), 'mmol/L'), 10);
+    assert.equal(roundForUnit(convertValue(70, 'kg', 'lbs'), 'lbs'), 154.3);
+  });
+
+  test('leaves values it cannot convert as numbers', () => {
+    assert.equal(convertValue('120', 'mmHg', 'kg'), 120);
+    assert.equal(convertValue('', '°C', '°F'), null);
+    assert.equal(canConvert('mmHg', 'kg'), false);
+    assert.equal(canConvert('bpm', 'bpm'), true);
+  });
+});
+
+describe('roundForUnit', () => {
+  test('uses the display precision of the unit', () => {
+    assert.equal(roundForUnit(98.64, '°F'), 98.6);
+    assert.equal(roundForUnit(99.5, 'mg/dL'), 100);
+    assert.equal(roundForUnit(1.005001, 'bpm'), 1.01);
+    assert.equal(roundForUnit(null, '°C'), null);
+  });
+});
+
+describe('toCanonical', () => {
+  test('rounds to two decimals like the server stores them', () => {
+    assert.equal(toCanonical('100.4', '°F', temperature), 38);
+    assert.equal(toCanonical('99.1', '°F', temperature), 37.28);
+    assert.equal(toCanonical('5.5', 'mmol/L', glucose), 99.1);
+  });
+
+  test('parses the value when there is nothing to convert', () => {
+    assert.equal(toCanonical('37.25', '°C', temperature), 37.25);
+    assert.equal(toCanonical('120', null, bloodPressure), 120);
+    assert.equal(toCanonical('', '°C', null), null);
+  });
+});
+
+describe('getSupportedUnits', () => {
+  test('lists the primary unit first with its alternatives', () => {
+    assert.deepEqual(getSupportedUnits(temperature), ['°C', '°F']);
+    assert.deepEqual(getSupportedUnits(glucose), ['mg/dL', 'mmol/L']);
+  });
+
+  test('does not offer the second value unit of dual types as an alternative', () => {
+    assert.deepEqual(getSupportedUnits(bloodPressure), ['mmHg']);
+    assert.deepEqual(getSupportedUnits(null), []);
+  });
+});
+
+describe('convertReading', () => {
+  test('shows a stored reading in the display unit', () => {
+    const record = { id: 9, value_primary: '37.00', value_secondary: null, unit: '°C' };
+
+    assert.deepEqual(convertReading(record, '°F'), { id: 9, value_primary: 98.6, value_secondary: null, unit: '°F' });
+  });
+
+  test('returns the record as it is when no conversion applies', () => {
+    const record = { value_primary: '120.00', value_secondary: '80.00', unit: 'mmHg' };
+
+    assert.equal(convertReading(record, 'mmHg'), record);
+    assert.equal(convertReading(record, 'kg'), record);
+  });
+});
+
+describe('convertTypeRanges', () => {
+  test('converts the limits and ranges that are set', () => {
+    const converted = convertTypeRanges(temperature, '°F');
+
+    assert.equal(converted.unit_primary, '°F');
+    assert.equal(converted.min_value, 86);
+    assert.equal(converted.max_value, 113);
+    assert.equal(converted.normal_range_min, 97);
+    assert.equal(converted.normal_range_max, 99);
+    assert.equal(converted.warning_range_min, null);
+  });
+});
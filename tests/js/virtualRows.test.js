@@ -0,0 +1,78 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { getVirtualWindow, moveActiveRow, scrollToRow, shouldLoadMore } from '../../resources/js/lib/virtualRows.js';
+
+describe('getVirtualWindow', () => {
+  test('renders the rows in view plus the overscan', () => {
+    const window = getVirtualWindow({ scrollTop: 3600, viewportHeight: 360, rowHeight: 36, rowCount: 20000, overscan: 5 });
+
+    assert.deepEqual(window, { start: 95, end: 115, offsetTop: 95 * 36, offsetBottom: (20000 - 115) * 36 });
+  });
+
+  test('stays within the list at either end', () => {
+    assert.deepEqual(
+      getVirtualWindow({ scrollTop: 0, viewportHeight: 360, rowHeight: 36, rowCount: 4, overscan: 5 }),
+      { start: 0, end: 4, offsetTop: 0, offsetBottom: 0 }
+    );
+
+    const bottom = getVirtualWindow({ scrollTop: 1000000, viewportHeight: 360, rowHeight: 36, rowCount: 100, overscan: 5 });
+    assert.equal(bottom.end, 100);
+    assert.equal(bottom.start, 94);
+  });
+
+  test('renders nothing for an empty list', () => {
+    assert.deepEqual(getVirtualWindow({ scrollTop: 0, viewportHeight: 360, rowHeight: 36, rowCount: 0 }), { start: 0, end: 0, offsetTop: 0, offsetBottom: 0 });
+  });
+
+  test('keeps the rendered row count flat however long the list is', () => {
+    const short = getVirtualWindow({ scrollTop: 7200, viewportHeight: 720, rowHeight: 36, rowCount: 1000 });
+    const long = getVirtualWindow({ scrollTop: 7200, viewportHeight: 720, rowHeight: 36, rowCount: 50000 });
+
+    assert.equal(short.end - short.start, long.end - long.start);
+  });
+});
+
+describe('moveActiveRow', () => {
+  test('moves with the arrow, page and home/end keys', () => {
+    assert.equal(moveActiveRow('ArrowDown', 4, 100), 5);
+    assert.equal(moveActiveRow('ArrowUp', 4, 100), 3);
+    assert.equal(moveActiveRow('PageDown', 4, 100, 20), 24);
+    assert.equal(moveActiveRow('PageUp', 4, 100, 20), 0);
+    assert.equal(moveActiveRow('Home', 40, 100), 0);
+    assert.equal(moveActiveRow('End', 40, 100), 99);
+  });
+
+  test('starts at the first row and stops at the last', () => {
+    assert.equal(moveActiveRow('ArrowDown', null, 100), 0);
+    assert.equal(moveActiveRow('ArrowDown', 99, 100), 99);
+  });
+
+  test('ignores other keys and empty lists', () => {
+    assert.equal(moveActiveRow('a', 4, 100), null);
+    assert.equal(moveActiveRow('ArrowDown', 0, 0), null);
+  });
+});
+
+describe('scrollToRow', () => {
+  const viewport = { viewportHeight: 400, rowHeight: 36, headerHeight: 40 };
+
+  test('scrolls up to a row above the view', () => {
+    assert.equal(scrollToRow({ ...viewport, index: 2, scrollTop: 360 }), 72);
+  });
+
+  test('scrolls down so a row below the view clears the bottom edge', () => {
+    assert.equal(scrollToRow({ ...viewport, index: 20, scrollTop: 0 }), 21 * 36 - 360);
+  });
+
+  test('leaves the scroll alone for a row in view', () => {
+    assert.equal(scrollToRow({ ...viewport, index: 3, scrollTop: 0 }), null);
+  });
+});
+
+describe('shouldLoadMore', () => {
+  test('asks for more near the end of what is loaded', () => {
+    assert.equal(shouldLoadMore({ end: 60, loadedCount: 100, hasMore: true }), true);
+    assert.equal(shouldLoadMore({ end: 20, loadedCount: 100, hasMore: true }), false);
+    assert.equal(shouldLoadMore({ end: 100, loadedCount: 100, hasMore: false }), false);
+  });
+});
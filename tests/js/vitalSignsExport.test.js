@@ -0,0 +1,171 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CSV_HEADINGS,
+  toCsv,
+  spreadsheetSafe,
+  toJson,
+  toPdf,
+  describeFilters,
+  exportFilename,
+  formatExportValue,
+} from '../../resources/js/lib/vitalSignsExport.js';
+import { createTablePdf, wrapText, textWidth } from '../../resources/js/lib/pdfTable.js';
+
+const bloodPressure = { id: 1, name: 'blood_pressure', display_name: 'Blood Pressure' };
+
+const READINGS = [
+  {
+    id: 'a',
+    vital_sign_type: bloodPressure,
+    value_primary: 142,
+    value_secondary: 91,
+    unit: 'mmHg',
+    measured_at: '2025-09-20T14:30:00Z',
+    measurement_method: 'device',
+    device_name: 'Omron, Series 5',
+    context: { posture: 'sitting' },
+    notes: 'After "coffee"',
+    is_flagged: true,
+    flag_reason: 'Above normal range',
+  },
+  {
+    id: 'b',
+    vital_sign_type: { id: 2, name: 'body_temperature', display_name: 'Body Temperature' },
+    value_primary: 37.2,
+    value_secondary: null,
+    unit: '°C',
+    measured_at: '2025-09-21T08:00:00Z',
+    measurement_method: 'manual',
+    device_name: null,
+    context: null,
+    notes: null,
+    is_flagged: false,
+    flag_reason: null,
+  },
+];
+
+describe('toCsv', () => {
+  test('writes the same headings as the server export', () => {
+    const [heading] = toCsv(READINGS, 'UTC').split('\n');
+    assert.equal(heading, CSV_HEADINGS.join(','));
+  });
+
+  test('quotes fields with commas and quotes and keeps units and flag reasons', () => {
+    const lines = toCsv(READINGS, 'America/New_York').trim().split('\n');
+
+    assert.equal(
+      lines[1],
+      '2025-09-20T10:30:00-04:00,Blood Pressure,142,91,mmHg,device,"Omron, Series 5",Sitting,"After ""coffee""",yes,Above normal range'
+    );
+    assert.equal(lines[2], '2025-09-21T04:00:00-04:00,Body Temperature,37.2,,°C,manual,,,,no,');
+  });
+
+  test('keeps notes and device names from being read as spreadsheet formulas', () => {
+    const reading = { ...READINGS[1], device_name: '@Home cuff', notes: '=HYPERLINK("http://example.com","x")' };
+    const [, line] = toCsv([reading], 'UTC').trim().split('\n');
+
+    assert.equal(
+      line,
+      '2025-09-21T08:00:00+00:00,Body Temperature,37.2,,°C,manual,\'@Home cuff,,"\'=HYPERLINK(""http://example.com"",""x"")",no,'
+    );
+    assert.equal(spreadsheetSafe('+1 extra dose'), "'+1 extra dose");
+    assert.equal(spreadsheetSafe('-'), "'-");
+    assert.equal(spreadsheetSafe('Felt fine'), 'Felt fine');
+    assert.equal(spreadsheetSafe(null), '');
+  });
+});
+
+describe('toJson', () => {
+  test('lists readings with their units, flags and a count', () => {
+    const parsed = JSON.parse(toJson(READINGS, 'UTC', { exported_at: 'now' }));
+
+    assert.equal(parsed.meta.count, 2);
+    assert.equal(parsed.meta.timezone, 'UTC');
+    assert.equal(parsed.data[0].type, 'blood_pressure');
+    assert.equal(parsed.data[0].value_secondary, 91);
+    assert.equal(parsed.data[0].flag_reason, 'Above normal range');
+    assert.equal(parsed.data[1].unit, '°C');
+    assert.equal(parsed.data[1].value_secondary, null);
+  });
+});
+
+describe('describeFilters', () => {
+  test('names the type, dates and context tag', () => {
+    const text = describeFilters(
+      { vital_sign_type_id: '1', start_date: '2025-09-01', end_date: '2025-09-30', context: 'posture:sitting' },
+      [bloodPressure]
+    );
+
+    assert.match(text, /^Blood Pressure · /);
+    assert.match(text, /2025 to /);
+    assert.match(text, /· Sitting$/);
+  });
+
+  test('describes an unfiltered export', () => {
+    assert.equal(describeFilters({}, [], 'Europe/London'), 'All measurement types · Times in Europe/London');
+  });
+});
+
+test('formatExportValue joins dual readings', () => {
+  assert.equal(formatExportValue(READINGS[0]), '142/91');
+  assert.equal(formatExportValue(READINGS[1]), '37.2');
+});
+
+test('exportFilename uses the day in the timezone', () => {
+  assert.equal(exportFilename('pdf', 'Pacific/Auckland', new Date('2025-09-30T20:00:00Z')), 'vital-signs-2025-10-01.pdf');
+});
+
+describe('pdf', () => {
+  const startxref = (pdf) => Number(/startxref\n(\d+)/.exec(pdf)[1]);
+
+  test('writes a readable table document', () => {
+    const pdf = toPdf(READINGS, 'UTC', { subtitle: 'Blood Pressure' });
+
+    assert.ok(pdf.startsWith('%PDF-1.4'));
+    assert.ok(pdf.trimEnd().endsWith('%%EOF'));
+    assert.equal(pdf.slice(startxref(pdf), startxref(pdf) + 4), 'xref');
+    assert.match(pdf, /\(Above normal range\) Tj/);
+    // "°C" in WinAnsiEncoding
+    assert.match(pdf, /\(\\260C\) Tj/);
+    assert.match(pdf, /\(Page 1 of 1\) Tj/);
+  });
+
+  test('points the cross-reference table at every object', () => {
+    const pdf = createTablePdf({ columns: [{ label: 'A', width: 100 }], rows: [{ cells: ['x'] }] });
+    const offsets = pdf.match(/^\d{10} 00000 n $/gm).map(line => Number(line.slice(0, 10)));
+
+    offsets.forEach((offset, index) => {
+      assert.ok(pdf.slice(offset).startsWith(`${index + 1} 0 obj`));
+    });
+  });
+
+  test('escapes parentheses and backslashes', () => {
+    const pdf = createTablePdf({ columns: [{ label: 'Notes', width: 200 }], rows: [{ cells: ['left (arm) \\ cuff'] }] });
+    assert.match(pdf, /\(left \\\(arm\\\) \\\\ cuff\) Tj/);
+  });
+
+  test('starts new pages and numbers them', () => {
+    const rows = Array.from({ length: 120 }, (_, i) => ({ cells: [`Reading ${i}`] }));
+    const pdf = createTablePdf({ columns: [{ label: 'Reading', width: 200 }], rows });
+    const pageCount = pdf.match(/\/Type \/Page /g).length;
+
+    assert.ok(pageCount > 1);
+    assert.match(pdf, new RegExp(`/Count ${pageCount}`));
+    assert.match(pdf, new RegExp(`\\(Page ${pageCount} of ${pageCount}\\) Tj`));
+  });
+});
+
+describe('wrapText', () => {
+  test('wraps words to the width', () => {
+    const lines = wrapText('Measured after a long walk up the hill', 60);
+    assert.ok(lines.length > 1);
+    lines.forEach(line => assert.ok(textWidth(line) <= 60));
+  });
+
+  test('breaks words that are too long and caps the line count', () => {
+    const lines = wrapText('x'.repeat(200), 40, 8, 3);
+    assert.equal(lines.length, 3);
+    assert.ok(lines[2].endsWith('...'));
+  });
+});
@@ -0,0 +1,118 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  guessColumnMapping,
+  findVitalSignType,
+  buildImportRow,
+  chunk,
+} from '../../resources/js/lib/vitalSignsImport.js';
+
+const bloodPressure = {
+  id: 2,
+  name: 'blood_pressure',
+  display_name: 'Blood Pressure',
+  unit_primary: 'mmHg',
+  unit_secondary: 'mmHg',
+  has_secondary_value: true,
+  input_type: 'dual',
+  min_value: '60.00',
+  max_value: '250.00',
+};
+const temperature = {
+  id: 5,
+  name: 'body_temperature',
+  display_name: 'Body Temperature',
+  unit_primary: '°C',
+  unit_secondary: '°F',
+  has_secondary_value: false,
+  input_type: 'single',
+  min_value: '30.00',
+  max_value: '45.00',
+};
+const types = [bloodPressure, temperature];
+
+describe('guessColumnMapping', () => {
+  test('maps columns by their headers', () => {
+    assert.deepEqual(guessColumnMapping(['Date', 'Type', 'Systolic', 'Diastolic', 'Unit', 'Notes']), {
+      measured_at: 0,
+      type: 1,
+      value_primary: 2,
+      value_secondary: 3,
+      unit: 4,
+      notes: 5,
+    });
+  });
+
+  test('gives the diastolic column to the secondary value despite the generic value hint', () => {
+    assert.deepEqual(guessColumnMapping(['Value', 'Diastolic value', 'Taken']), {
+      value_secondary: 1,
+      measured_at: 2,
+      value_primary: 0,
+    });
+  });
+
+  test('leaves out fields with no matching header', () => {
+    assert.deepEqual(guessColumnMapping(['Timestamp', 'Reading']), { measured_at: 0, value_primary: 1 });
+  });
+});
+
+describe('findVitalSignType', () => {
+  test('matches an id, a name or a display name', () => {
+    assert.equal(findVitalSignType('5', types), temperature);
+    assert.equal(findVitalSignType('blood_pressure', types), bloodPressure);
+    assert.equal(findVitalSignType('Blood pressure ', types), bloodPressure);
+    assert.equal(findVitalSignType('Weight', types), null);
+    assert.equal(findVitalSignType('', types), null);
+  });
+});
+
+describe('buildImportRow', () => {
+  const mapping = { type: 0, value_primary: 1, value_secondary: 2, unit: 3, measured_at: 4, notes: 5 };
+
+  test('splits a "120/80" cell into systolic and diastolic', () => {
+    const { record, type, errors } = buildImportRow(['Blood Pressure', '120 / 80', '', '', '2025-09-20T08:30:00Z', ''], mapping, types);
+
+    assert.deepEqual(errors, []);
+    assert.equal(type, bloodPressure);
+    assert.equal(record.value_primary, 120);
+    assert.equal(record.value_secondary, 80);
+    assert.equal(record.unit, 'mmHg');
+    assert.equal(record.notes, null);
+  });
+
+  test('reads timestamps without an offset in the timezone', () => {
+    const { record } = buildImportRow(['body_temperature', '98.6', '', '°F', '2025-09-20 08:30', 'Evening'], mapping, types, {}, 'Europe/London');
+
+    assert.equal(record.measured_at, '2025-09-20T07:30:00.000Z');
+    assert.equal(record.unit, '°F');
+    assert.equal(record.notes, 'Evening');
+  });
+
+  test('takes the type from the defaults when no column holds it', () => {
+    const { record, errors } = buildImportRow(['37.2', '2025-09-20T08:30:00Z'], { value_primary: 0, measured_at: 1 }, types, {
+      vital_sign_type_id: '5',
+      measurement_method: 'device',
+      device_name: 'Thermometer',
+    });
+
+    assert.deepEqual(errors, []);
+    assert.equal(record.vital_sign_type_id, 5);
+    assert.equal(record.measurement_method, 'device');
+    assert.equal(record.device_name, 'Thermometer');
+  });
+
+  test('reports an unknown type and the shared validation errors', () => {
+    assert.equal(buildImportRow(['Weight', '80', '', '', '2025-09-20T08:30:00Z', ''], mapping, types).errors[0], 'Unknown measurement type "Weight"');
+    assert.deepEqual(buildImportRow(['Blood Pressure', '80/90', '', '', 'yesterday', ''], mapping, types).errors, [
+      'Diastolic value must be lower than the systolic value',
+      'Please enter a valid date and time',
+    ]);
+  });
+});
+
+describe('chunk', () => {
+  test('splits records into requests of the given size', () => {
+    assert.deepEqual(chunk([1, 2, 3, 4, 5], 2), [[1, 2], [3, 4], [5]]);
+    assert.deepEqual(chunk([]), []);
+  });
+});
@@ -0,0 +1,106 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_LIST_QUERY,
+  parseListQuery,
+  toQueryParams,
+  toApiParams,
+  updateListQuery,
+  hasActiveFilters,
+  clearListFilters,
+} from '../../resources/js/lib/vitalSignsListQuery.js';
+
+describe('parseListQuery', () => {
+  test('uses the defaults for an empty query string', () => {
+    assert.deepEqual(parseListQuery({}), DEFAULT_LIST_QUERY);
+    assert.deepEqual(parseListQuery(new URLSearchParams('')), DEFAULT_LIST_QUERY);
+  });
+
+  test('restores filters, sort and page from the URL', () => {
+    const query = parseListQuery(new URLSearchParams(
+      'vital_sign_type_id=3&start_date=2025-09-01&context[posture]=sitting&sort=value&direction=asc&per_page=25&page=4&view=table'
+    ));
+
+    assert.deepEqual(query, {
+      vital_sign_type_id: '3',
+      start_date: '2025-09-01',
+      end_date: '',
+      context: 'posture:sitting',
+      sort: 'value',
+      direction: 'asc',
+      per_page: 25,
+      page: 4,
+      view: 'table',
+    });
+  });
+
+  test('reads the context filter as the server passes it back', () => {
+    assert.equal(parseListQuery({ context: { posture: 'standing' } }).context, 'posture:standing');
+  });
+
+  test('ignores values the list cannot use', () => {
+    const query = parseListQuery({
+      vital_sign_type_id: 'abc',
+      start_date: 'yesterday',
+      sort: 'notes',
+      direction: 'sideways',
+      per_page: '1000',
+      page: '-2',
+      view: 'grid',
+    });
+
+    assert.deepEqual(query, DEFAULT_LIST_QUERY);
+  });
+});
+
+describe('toQueryParams', () => {
+  test('leaves defaults out of the URL', () => {
+    assert.deepEqual(toQueryParams(DEFAULT_LIST_QUERY), {});
+  });
+
+  test('writes changed values and the context filter as the API expects', () => {
+    const params = toQueryParams({ ...DEFAULT_LIST_QUERY, context: 'posture:sitting', sort: 'type', direction: 'asc', page: 2 });
+
+    assert.deepEqual(params, { 'context[posture]': 'sitting', sort: 'type', direction: 'asc', page: '2' });
+  });
+
+  test('round-trips through the query string', () => {
+    const query = { ...DEFAULT_LIST_QUERY, vital_sign_type_id: '2', end_date: '2025-09-20', context: 'meal:fasting', sort: 'flagged', per_page: 50, page: 3 };
+
+    assert.deepEqual(parseListQuery(new URLSearchParams(toQueryParams(query))), query);
+  });
+});
+
+describe('toApiParams', () => {
+  test('leaves the view out and lets the table ask for its own pages', () => {
+    const query = { ...DEFAULT_LIST_QUERY, sort: 'value', page: 7, view: 'table' };
+
+    assert.deepEqual(toApiParams(query), { sort: 'value', page: '7' });
+    assert.deepEqual(toApiParams(query, { page: 2, perPage: 100 }), { sort: 'value', per_page: '100', page: '2' });
+  });
+});
+
+describe('updateListQuery', () => {
+  test('goes back to the first page when the view changes', () => {
+    const query = { ...DEFAULT_LIST_QUERY, page: 5 };
+
+    assert.equal(updateListQuery(query, { vital_sign_type_id: '1' }).page, 1);
+    assert.equal(updateListQuery(query, { per_page: 50 }).page, 1);
+    assert.equal(updateListQuery(query, { page: 6 }).page, 6);
+  });
+
+  test('picks the usual direction when switching sort', () => {
+    assert.equal(updateListQuery(DEFAULT_LIST_QUERY, { sort: 'type' }).direction, 'asc');
+    assert.equal(updateListQuery(DEFAULT_LIST_QUERY, { sort: 'value' }).direction, 'desc');
+    assert.equal(updateListQuery(DEFAULT_LIST_QUERY, { sort: 'type', direction: 'desc' }).direction, 'desc');
+  });
+
+  test('clearing filters keeps the sort and page size', () => {
+    const query = { ...DEFAULT_LIST_QUERY, vital_sign_type_id: '1', context: 'posture:sitting', sort: 'value', per_page: 50, page: 2 };
+    const cleared = clearListFilters(query);
+
+    assert.equal(hasActiveFilters(query), true);
+    assert.equal(hasActiveFilters(cleared), false);
+    assert.deepEqual(cleared, { ...DEFAULT_LIST_QUERY, sort: 'value', per_page: 50 });
+  });
+});
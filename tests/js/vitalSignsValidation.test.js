@@ -0,0 +1,230 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  validateMeasurement,
+  validateReading,
+  checkReadingSequence,
+  MAX_READING_AGE_DAYS,
+  DUPLICATE_WINDOW_MINUTES,
+} from '../../resources/js/lib/vitalSignsValidation.js';
+
+const temperature = {
+  id: 1,
+  name: 'body_temperature',
+  unit_primary: '°C',
+  unit_secondary: '°F',
+  has_secondary_value: false,
+  input_type: 'single',
+  min_value: '30.00',
+  max_value: '45.00',
+};
+const bloodPressure = {
+  id: 2,
+  name: 'blood_pressure',
+  unit_primary: 'mmHg',
+  unit_secondary: 'mmHg',
+  has_secondary_value: true,
+  input_type: 'dual',
+  min_value: '60.00',
+  max_value: '250.00',
+};
+const heartRate = {
+  id: 3,
+  name: 'heart_rate',
+  unit_primary: 'bpm',
+  has_secondary_value: false,
+  input_type: 'single',
+  min_value: '30.00',
+  max_value: '220.00',
+};
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const now = new Date('2025-09-30T12:00:00Z');
+const reading = (changes = {}) => ({
+  value_primary: '37',
+  unit: '°C',
+  measured_at: '2025-09-30T08:00:00Z',
+  measurement_method: 'manual',
+  ...changes,
+});
+
+describe('validateMeasurement', () => {
+  test('checks the limits after converting to the primary unit', () => {
+    assert.deepEqual(validateMeasurement(temperature, { value_primary: '98.6', unit: '°F' }), {});
+    assert.deepEqual(validateMeasurement(temperature, { value_primary: '120', unit: '°F' }), {
+      value_primary: 'Value cannot exceed 113 °F',
+    });
+    assert.deepEqual(validateMeasurement(temperature, { value_primary: '85', unit: '°F' }), {
+      value_primary: 'Value must be at least 86 °F',
+    });
+  });
+
+  test('compares converted values at the precision the server stores', () => {
+    // 85.99 °F is 29.994 °C, which is stored as 29.99 and so below the minimum
+    assert.ok(validateMeasurement(temperature, { value_primary: '85.99', unit: '°F' }).value_primary);
+    assert.deepEqual(validateMeasurement(temperature, { value_primary: '86', unit: '°F' }), {});
+  });
+
+  test('rejects units the type cannot be converted from', () => {
+    assert.deepEqual(validateMeasurement(temperature, { value_primary: '37', unit: 'kPa' }), {
+      unit: 'Unit must be one of: °C, °F',
+    });
+  });
+
+  test('needs the systolic value above the diastolic', () => {
+    assert.deepEqual(validateMeasurement(bloodPressure, { value_primary: '120', value_secondary: '80', unit: 'mmHg' }), {});
+    assert.deepEqual(validateMeasurement(bloodPressure, { value_primary: '90', value_secondary: '90', unit: 'mmHg' }), {
+      value_secondary: 'Diastolic value must be lower than the systolic value',
+    });
+    assert.deepEqual(validateMeasurement(bloodPressure, { value_primary: '120', value_secondary: '', unit: 'mmHg' }), {
+      value_secondary: 'Diastolic value is required for this measurement type',
+    });
+  });
+
+  test('keeps to the physiological limits of the type', () => {
+    assert.deepEqual(validateMeasurement(bloodPressure, { value_primary: '140', value_secondary: '20', unit: 'mmHg' }), {
+      value_secondary: 'Diastolic value must be between 30 mmHg and 200 mmHg',
+    });
+  });
+
+  test('checks a value without a type only for being a number', () => {
+    assert.deepEqual(validateMeasurement(null, { value_primary: '' }), { value_primary: 'Please enter a measurement value' });
+    assert.deepEqual(validateMeasurement(null, { value_primary: '-1' }), { value_primary: 'Value cannot be negative' });
+    assert.deepEqual(validateMeasurement(null, { value_primary: '12' }), {});
+  });
+});
+
+describe('validateReading', () => {
+  test('accepts a complete reading', () => {
+    assert.deepEqual(validateReading(temperature, reading(), { now }), {});
+  });
+
+  test('rejects readings taken in the future', () => {
+    assert.deepEqual(validateReading(temperature, reading({ measured_at: '2025-09-30T12:01:00Z' }), { now }), {
+      measured_at: 'Measurement date cannot be in the future',
+    });
+  });
+
+  test('rejects readings older than the maximum age', () => {
+    const edge = new Date(now.getTime() - MAX_READING_AGE_DAYS * DAY);
+    const older = new Date(edge.getTime() - 60 * 1000);
+
+    assert.deepEqual(validateReading(temperature, reading({ measured_at: edge.toISOString() }), { now }), {});
+    assert.deepEqual(validateReading(temperature, reading({ measured_at: older.toISOString() }), { now }), {
+      measured_at: `Measurement date cannot be more than ${MAX_READING_AGE_DAYS} days ago`,
+    });
+  });
+
+  test('accepts older readings when there is no maximum age', () => {
+    assert.deepEqual(validateReading(temperature, reading({ measured_at: '2024-01-01T08:00:00Z' }), { now, maxAgeDays: null }), {});
+  });
+
+  test('reads datetime-local values in the given timezone', () => {
+    // 14:00 in Berlin is 12:00 UTC, so 14:30 there is still to come
+    assert.deepEqual(validateReading(temperature, reading({ measured_at: '2025-09-30T13:30' }), { now, timeZone: 'Europe/Berlin' }), {});
+    assert.ok(validateReading(temperature, reading({ measured_at: '2025-09-30T14:30' }), { now, timeZone: 'Europe/Berlin' }).measured_at);
+  });
+
+  test('needs a type, unit, date and method', () => {
+    const errors = validateReading(null, { value_primary: '37' }, { now });
+
+    assert.deepEqual(Object.keys(errors).sort(), ['measured_at', 'measurement_method', 'unit', 'vital_sign_type_id']);
+  });
+
+  test('needs a device name for device readings', () => {
+    assert.deepEqual(validateReading(temperature, reading({ measurement_method: 'device', device_name: ' ' }), { now }), {
+      device_name: 'Device name is required for device measurements',
+    });
+  });
+});
+
+describe('checkReadingSequence', () => {
+  const at = (minutesBefore) => new Date(now.getTime() - minutesBefore * MINUTE).toISOString();
+  const stored = (type, minutesBefore, value_primary, value_secondary = null) => ({
+    id: minutesBefore,
+    vital_sign_type_id: type.id,
+    value_primary,
+    value_secondary,
+    measured_at: at(minutesBefore),
+  });
+  const kinds = (type, newReading, recent) => checkReadingSequence(type, newReading, recent).map(warning => warning.kind);
+
+  test('flags the same value within the duplicate window', () => {
+    const entry = { value_primary: '72', unit: 'bpm', measured_at: at(0) };
+
+    assert.deepEqual(kinds(heartRate, entry, [stored(heartRate, DUPLICATE_WINDOW_MINUTES, '72.00')]), ['duplicate']);
+    assert.deepEqual(kinds(heartRate, entry, [stored(heartRate, DUPLICATE_WINDOW_MINUTES + 1, '72.00')]), []);
+    assert.equal(
+      checkReadingSequence(heartRate, entry, [stored(heartRate, 1, '72.00')])[0].message,
+      'The same value was already recorded 1 minute apart.',
+    );
+  });
+
+  test('compares duplicates in the primary unit', () => {
+    const entry = { value_primary: '98.6', unit: '°F', measured_at: at(0) };
+
+    assert.deepEqual(kinds(temperature, entry, [stored(temperature, 5, '37.00')]), ['duplicate']);
+  });
+
+  test('needs both values to match for dual readings', () => {
+    const entry = { value_primary: '120', value_secondary: '80', unit: 'mmHg', measured_at: at(0) };
+
+    assert.deepEqual(kinds(bloodPressure, entry, [stored(bloodPressure, 5, '120.00', '80.00')]), ['duplicate']);
+    assert.deepEqual(kinds(bloodPressure, entry, [stored(bloodPressure, 5, '120.00', '85.00')]), []);
+  });
+
+  test('warns about jumps just over the type threshold', () => {
+    const previous = [stored(heartRate, 120, '70.00')];
+
+    assert.deepEqual(kinds(heartRate, { value_primary: '85', unit: 'bpm', measured_at: at(0) }, previous), []);
+    const [warning, ...rest] = checkReadingSequence(heartRate, { value_primary: '86', unit: 'bpm', measured_at: at(0) }, previous);
+
+    assert.equal(rest.length, 0);
+    assert.equal(warning.kind, 'jump');
+    assert.equal(warning.reading.id, previous[0].id);
+    assert.equal(warning.message, 'This is 16 bpm higher than your reading 2 hours earlier (70 bpm).');
+  });
+
+  test('describes jumps in the display unit', () => {
+    const previous = [stored(temperature, 60, '30.00')];
+    const entry = { value_primary: '105.8', unit: '°F', measured_at: at(0) };
+
+    assert.equal(
+      checkReadingSequence(temperature, entry, previous)[0].message,
+      'This is 19.8 °F higher than your reading 1 hour earlier (86 °F).'
+    );
+    assert.equal(
+      checkReadingSequence(temperature, { ...entry, value_primary: '41', unit: '°C' }, previous, { displayUnit: '°F' })[0].message,
+      'This is 19.8 °F higher than your reading 1 hour earlier (86 °F).'
+    );
+    assert.equal(
+      checkReadingSequence(temperature, entry, previous, { displayUnit: '°C' })[0].message,
+      'This is 11 °C higher than your reading 1 hour earlier (30 °C).'
+    );
+  });
+
+  test('uses the blood pressure threshold and the default for other types', () => {
+    const pressures = [stored(bloodPressure, 60, '120.00', '80.00')];
+    const temperatures = [stored(temperature, 60, '30.00')];
+
+    assert.deepEqual(kinds(bloodPressure, { value_primary: '140', value_secondary: '80', unit: 'mmHg', measured_at: at(0) }, pressures), []);
+    assert.deepEqual(kinds(bloodPressure, { value_primary: '99', value_secondary: '70', unit: 'mmHg', measured_at: at(0) }, pressures), ['jump']);
+    assert.deepEqual(kinds(temperature, { value_primary: '40', unit: '°C', measured_at: at(0) }, temperatures), []);
+    assert.deepEqual(kinds(temperature, { value_primary: '40.5', unit: '°C', measured_at: at(0) }, temperatures), ['jump']);
+  });
+
+  test('only compares with the nearest earlier reading within a day', () => {
+    const entry = { value_primary: '100', unit: 'bpm', measured_at: at(0) };
+
+    assert.deepEqual(kinds(heartRate, entry, [stored(heartRate, 24 * 60 - 1, '70.00')]), ['jump']);
+    assert.deepEqual(kinds(heartRate, entry, [stored(heartRate, 24 * 60, '70.00')]), []);
+    assert.deepEqual(kinds(heartRate, entry, [stored(heartRate, 180, '70.00'), stored(heartRate, 60, '95.00')]), []);
+  });
+
+  test('ignores readings of other types', () => {
+    const entry = { value_primary: '72', unit: 'bpm', measured_at: at(0) };
+
+    assert.deepEqual(kinds(heartRate, entry, [{ ...stored(heartRate, 5, '72.00'), vital_sign_type_id: bloodPressure.id }]), []);
+  });
+});